@@ -25,7 +25,7 @@ class AIClassifier {
     this.batchSize = 10;       // Pack more messages per API call to use fewer requests
     this.batchDelayMs = 3000;  // Wait 3s to collect a batch
     this.batchTimer = null;
-    this.stats = { classified: 0, errors: 0, apiCalls: 0 };
+    this.stats = { classified: 0, extracted: 0, errors: 0, apiCalls: 0 };
 
     // Rate limiting — Anthropic free tier is 5 req/min
     this.rateLimitDelayMs = 13000;  // ~4.6 req/min to stay safely under 5/min
@@ -184,6 +184,112 @@ Context: These are work messages in WhatsApp groups. The team needs to know what
       }]
     });
 
+    const text = await this._requestWithRetry(requestBody);
+    if (text === null) return messages.map(() => null);
+
+    try {
+      // Parse JSON — handle potential markdown wrapping
+      const parsed = JSON.parse(this._stripFences(text || '[]'));
+
+      // Ensure we have an array
+      if (!Array.isArray(parsed)) return messages.map(() => null);
+
+      return parsed.map((r) => {
+        if (!r || typeof r !== 'object') return null;
+        return {
+          intent: r.intent || 'other',
+          questionType: r.question_type || null,
+          priority: r.priority || 'normal',
+          confidence: Math.min(1, Math.max(0, r.confidence || 0.5)),
+          isActionable: !!r.is_actionable,
+          summary: r.summary || '',
+          classifiedBy: 'ai'
+        };
+      });
+    } catch (err) {
+      console.error('[AI Classifier] Could not parse classification:', err.message);
+      this.stats.errors++;
+      return messages.map(() => null);
+    }
+  }
+
+  /**
+   * Extract the structured terms of a reply to an offer sheet: the decision,
+   * line items (SKU / quantity / price), conditions and any deadline.
+   *
+   * `offer` is the registered offer sheet the reply was matched to (if any) and
+   * `contextMessages` the surrounding chat — both help resolve replies like
+   * "ok 200 of the blue ones at that price".
+   *
+   * Returns null when AI is disabled or the call fails, so callers can fall back.
+   */
+  async extractApproval(body, { sender = 'Unknown', chatName = 'Unknown', timestamp, offer = null, quotedBody = null, contextMessages = [] } = {}) {
+    if (!this.enabled || !body) return null;
+
+    await this._waitForRateLimit();
+    this.stats.apiCalls++;
+
+    const sentAt = new Date(timestamp || Date.now());
+    const parts = [`Reply from ${sender} in group "${chatName}", sent ${sentAt.toISOString().split('T')[0]}:`, `"${body}"`];
+    if (quotedBody) parts.push(`\nIt quotes this earlier message:\n"${quotedBody.substring(0, 1000)}"`);
+    if (offer) {
+      const items = (offer.line_items || [])
+        .map(i => `- ${[i.sku, i.description].filter(Boolean).join(' ')}${i.quantity != null ? ` qty ${i.quantity}` : ''}${i.price != null ? ` @ ${i.price}` : ''}`)
+        .join('\n');
+      parts.push(`\nThe offer sheet being answered — "${offer.title}":\n${(offer.body || '').substring(0, 1000)}${items ? `\n${items}` : ''}`);
+    }
+    if (contextMessages.length) {
+      parts.push('\nSurrounding messages:\n' + contextMessages.map(m => `${m.sender}: ${m.body}`).join('\n'));
+    }
+
+    const requestBody = JSON.stringify({
+      model: this.model,
+      max_tokens: 1024,
+      system: `You extract the terms of partner replies to offer sheets (lists of products offered for sale) in WhatsApp business groups. Respond ONLY with a JSON object — no markdown, no explanation.
+
+Return:
+- "decision": "approved", "rejected", "conditional" (accepted with changes or conditions), or "unclear"
+- "line_items": array of { "sku": string|null, "description": string, "quantity": number|null, "unit": string|null, "price": number|null } for each product the reply commits to — use the offer's SKUs/prices when the reply refers to them implicitly
+- "currency": ISO currency code if any price is mentioned or implied, else null
+- "conditions": short plain-text list of conditions or changes the partner asked for, "" if none
+- "deadline": date (YYYY-MM-DD) the partner needs delivery or a response by, resolved relative to the send date, else null
+- "deadline_text": the deadline exactly as written, else null
+- "confidence": 0.0-1.0
+- "summary": one sentence describing what was agreed`,
+      messages: [{ role: 'user', content: parts.join('\n') }]
+    });
+
+    const text = await this._requestWithRetry(requestBody);
+    if (text === null) return null;
+
+    try {
+      const r = JSON.parse(this._stripFences(text));
+      if (!r || typeof r !== 'object' || Array.isArray(r)) return null;
+      const decisions = ['approved', 'rejected', 'conditional', 'unclear'];
+      this.stats.extracted++;
+      return {
+        decision: decisions.includes(r.decision) ? r.decision : 'unclear',
+        lineItems: Array.isArray(r.line_items) ? r.line_items.filter(i => i && typeof i === 'object') : [],
+        currency: typeof r.currency === 'string' ? r.currency.toUpperCase().substring(0, 3) : null,
+        conditions: typeof r.conditions === 'string' ? r.conditions : (Array.isArray(r.conditions) ? r.conditions.join('; ') : ''),
+        deadline: this._validDate(r.deadline),
+        deadlineText: r.deadline_text || null,
+        confidence: Math.min(1, Math.max(0, r.confidence || 0.5)),
+        summary: r.summary || '',
+        extractedBy: 'ai'
+      };
+    } catch (err) {
+      console.error('[AI Classifier] Could not parse approval extraction:', err.message);
+      this.stats.errors++;
+      return null;
+    }
+  }
+
+  /**
+   * POST a request body with the rate-limit / overload retry policy.
+   * Resolves to the model's text output, or null once retries are exhausted.
+   */
+  async _requestWithRetry(requestBody) {
     // Retry loop with exponential backoff
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
       try {
@@ -204,7 +310,7 @@ Context: These are work messages in WhatsApp groups. The team needs to know what
           // Out of retries
           this.stats.errors++;
           console.error('[AI Classifier] Rate limit — max retries exhausted. Skipping batch.');
-          return messages.map(() => null);
+          return null;
         }
 
         // Handle overloaded (529)
@@ -217,7 +323,7 @@ Context: These are work messages in WhatsApp groups. The team needs to know what
             continue;
           }
           this.stats.errors++;
-          return messages.map(() => null);
+          return null;
         }
 
         // Handle other non-2xx errors
@@ -232,26 +338,7 @@ Context: These are work messages in WhatsApp groups. The team needs to know what
           throw new Error(responseJSON.error.message || 'API error');
         }
 
-        const text = responseJSON.content?.[0]?.text || '[]';
-        // Parse JSON — handle potential markdown wrapping
-        const jsonStr = text.replace(/^```json?\s*/i, '').replace(/\s*```$/i, '').trim();
-        const parsed = JSON.parse(jsonStr);
-
-        // Ensure we have an array
-        if (!Array.isArray(parsed)) return messages.map(() => null);
-
-        return parsed.map((r) => {
-          if (!r || typeof r !== 'object') return null;
-          return {
-            intent: r.intent || 'other',
-            questionType: r.question_type || null,
-            priority: r.priority || 'normal',
-            confidence: Math.min(1, Math.max(0, r.confidence || 0.5)),
-            isActionable: !!r.is_actionable,
-            summary: r.summary || '',
-            classifiedBy: 'ai'
-          };
-        });
+        return responseJSON.content?.[0]?.text || '';
 
       } catch (err) {
         console.error(`[AI Classifier] API error (attempt ${attempt + 1}):`, err.message);
@@ -264,11 +351,26 @@ Context: These are work messages in WhatsApp groups. The team needs to know what
         }
 
         this.stats.errors++;
-        return messages.map(() => null);
+        return null;
       }
     }
 
-    return messages.map(() => null);
+    return null;
+  }
+
+  _stripFences(text) {
+    return text.replace(/^```json?\s*/i, '').replace(/\s*```$/i, '').trim();
+  }
+
+  /**
+   * The YYYY-MM-DD string if it names a real calendar day, else null —
+   * the model sometimes returns shapes like 2025-02-30 or 2025-13-01.
+   */
+  _validDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof value === 'string' ? value : '');
+    if (!m) return null;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? value : null;
   }
 
   /**
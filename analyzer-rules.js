@@ -0,0 +1,260 @@
+/**
+ * Analyzer Rules — admin-managed additions to the Analyzer's built-in
+ * language packs (language-packs.js), edited under /api/settings/analyzer
+ *
+ *   rules   (analyzer_rules table) — extra priority keywords and
+ *           non-question filters:
+ *             kind        'priority' (adds `weight` to the priority score)
+ *                         | 'non_question' (the message is never a question)
+ *             match_type  'keywords' — comma-separated words / phrases,
+ *                                      matched as whole words
+ *                         | 'regex'   — a regular expression
+ *             language    only for messages in this language (null: any)
+ *             chat_id     only in this group (null: every chat)
+ *           Both kinds match the lowercased, accent-free text, so write
+ *           "manana" for "mañana".
+ *
+ *   config  (app_settings 'analyzer_config') — the weights of the built-in
+ *           priority signals and the score thresholds for each priority,
+ *           with per-group overrides:
+ *             { weights: {...}, thresholds: {...}, groups: { chatId: { weights, thresholds } } }
+ *           Thresholds must stay in order: urgent > high > low.
+ *
+ *   builtins (app_settings 'analyzer_builtins') — changes to the language
+ *           packs' own urgent / high / low keywords and non-question filters
+ *           (see builtinRules), by id: { [id]: { enabled, pattern } }. A
+ *           pattern here is a regex that replaces the built-in one.
+ *
+ * The running Analyzer picks changes up on its next message (see
+ * Store.getAnalyzerRuleset and Analyzer.setRules); no restart needed.
+ */
+
+const { LANGUAGE_PACKS, foldText } = require('./language-packs');
+
+const RULE_KINDS = ['priority', 'non_question'];
+const RULE_MATCH_TYPES = ['keywords', 'regex'];
+const MAX_PATTERN_LENGTH = 500;
+const BUILTIN_PRIORITY_SIGNALS = ['urgent', 'high', 'low'];
+
+// What each built-in priority signal adds to the score
+const DEFAULT_WEIGHTS = {
+  urgent: 3,           // urgency words ("asap", "urgente")
+  high: 2,             // importance words ("deadline", "cliente")
+  low: -2,             // "no rush", "sin prisa"
+  directed_at_me: 1,
+  approval: 1,         // by question type
+  action_request: 0.5,
+  status_check: 0.5
+};
+
+// score >= urgent → urgent, >= high → high, <= low → low, else normal
+const DEFAULT_THRESHOLDS = {
+  urgent: 3,
+  high: 2,
+  low: -1
+};
+
+// Whole words in any script — \b only knows ASCII letters
+function keywordPattern(pattern) {
+  const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const keywords = String(pattern).split(',')
+    .map(k => foldText(k).toLowerCase().trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  if (keywords.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(${keywords.map(escape).join('|')})(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+function compilePattern(matchType, pattern) {
+  return matchType === 'regex' ? new RegExp(pattern, 'i') : keywordPattern(pattern);
+}
+
+function validatePattern(matchType, pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'pattern required';
+  if (pattern.length > MAX_PATTERN_LENGTH) return `pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    if (!compilePattern(matchType, pattern)) return 'keywords must list at least one word';
+  } catch (err) {
+    return `Invalid regex: ${err.message}`;
+  }
+  return null;
+}
+
+function validateNumbers(values, allowed, label) {
+  if (values === undefined) return null;
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return `${label} must be an object`;
+  for (const [key, value] of Object.entries(values)) {
+    if (!allowed.includes(key)) return `Unknown ${label} "${key}" (use ${allowed.join(', ')})`;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${label}.${key} must be a number`;
+  }
+  return null;
+}
+
+/**
+ * Check a rule (for an update, the stored rule with the changes applied).
+ * Returns an error message, or null.
+ */
+function validateRule({ kind, matchType, pattern, weight, language, chatId }) {
+  if (!RULE_KINDS.includes(kind)) return `kind must be one of: ${RULE_KINDS.join(', ')}`;
+  if (!RULE_MATCH_TYPES.includes(matchType)) return `matchType must be one of: ${RULE_MATCH_TYPES.join(', ')}`;
+  const invalidPattern = validatePattern(matchType, pattern);
+  if (invalidPattern) return invalidPattern;
+  if (weight !== undefined && weight !== null && (typeof weight !== 'number' || !Number.isFinite(weight))) {
+    return 'weight must be a number';
+  }
+  if (kind === 'priority' && !weight) return 'priority rules need a non-zero weight';
+  if (language !== undefined && language !== null && !LANGUAGE_PACKS[language]) {
+    return `language must be one of: ${Object.keys(LANGUAGE_PACKS).join(', ')} (or null for any)`;
+  }
+  if (chatId !== undefined && chatId !== null && typeof chatId !== 'string') return 'chatId must be a string';
+  return null;
+}
+
+/**
+ * Check an analyzer config (weights / thresholds / per-group overrides).
+ * Returns an error message, or null.
+ */
+function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'config must be an object';
+  const check = (part, label) =>
+    validateNumbers(part.weights, Object.keys(DEFAULT_WEIGHTS), `${label}weights`) ||
+    validateNumbers(part.thresholds, Object.keys(DEFAULT_THRESHOLDS), `${label}thresholds`);
+
+  // Checked as they apply, defaults filled in — an inverted pair would
+  // classify every question the wrong way round
+  const checkOrder = ({ urgent, high, low }, label) =>
+    urgent > high && high > low ? null : `${label}thresholds must be in order urgent > high > low (got ${urgent}, ${high}, ${low})`;
+
+  const invalid = check(config, '');
+  if (invalid) return invalid;
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(config.thresholds || {}) };
+  const unordered = checkOrder(thresholds, '');
+  if (unordered) return unordered;
+
+  if (config.groups !== undefined) {
+    if (!config.groups || typeof config.groups !== 'object' || Array.isArray(config.groups)) return 'groups must be an object';
+    for (const [chatId, group] of Object.entries(config.groups)) {
+      if (!group || typeof group !== 'object') return `groups["${chatId}"] must be an object`;
+      const label = `groups["${chatId}"].`;
+      const groupInvalid = check(group, label) || checkOrder({ ...thresholds, ...(group.thresholds || {}) }, label);
+      if (groupInvalid) return groupInvalid;
+    }
+  }
+  return null;
+}
+
+/**
+ * The language packs' priority keywords and non-question filters as rules,
+ * so one that misfires can be switched off or rewritten. Ids are stable:
+ * builtin.<language>.<urgent|high|low> and builtin.<language>.non_question.<n>.
+ * Priority rules add the weight of their `signal` (DEFAULT_WEIGHTS).
+ */
+function builtinRules(packs = LANGUAGE_PACKS) {
+  const rules = [];
+  for (const [language, pack] of Object.entries(packs)) {
+    for (const signal of BUILTIN_PRIORITY_SIGNALS) {
+      rules.push({ id: `builtin.${language}.${signal}`, kind: 'priority', signal, language, pattern: pack.priority[signal] });
+    }
+    pack.nonQuestion.forEach((pattern, i) => {
+      rules.push({ id: `builtin.${language}.non_question.${i + 1}`, kind: 'non_question', signal: null, language, pattern });
+    });
+  }
+  return rules;
+}
+
+/**
+ * Check a change to a built-in rule: { enabled?, pattern? } (a null pattern
+ * restores the built-in one). Returns an error message, or null.
+ */
+function validateBuiltinOverride(id, { enabled, pattern }) {
+  if (!builtinRules().some(rule => rule.id === id)) return `Unknown built-in rule "${id}"`;
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be true or false';
+  if (pattern !== undefined && pattern !== null) return validatePattern('regex', pattern);
+  return null;
+}
+
+/** Built-in rules as the API shows them, with admin changes applied. */
+function describeBuiltins(overrides = {}) {
+  return builtinRules().map(rule => {
+    const override = overrides[rule.id] || {};
+    return {
+      id: rule.id,
+      kind: rule.kind,
+      signal: rule.signal,
+      language: rule.language,
+      pattern: override.pattern || rule.pattern.source,
+      defaultPattern: rule.pattern.source,
+      edited: !!override.pattern,
+      enabled: override.enabled !== false
+    };
+  });
+}
+
+// Built-in rules with the admin changes applied; switched-off ones left out
+function compileBuiltins(overrides) {
+  const compiled = [];
+  for (const rule of builtinRules()) {
+    const override = overrides[rule.id] || {};
+    if (override.enabled === false) continue;
+    let pattern = rule.pattern;
+    if (override.pattern) {
+      try {
+        pattern = compilePattern('regex', override.pattern);
+      } catch (err) {
+        console.warn(`[Analyzer] Keeping built-in pattern for ${rule.id}: ${err.message}`);
+      }
+    }
+    compiled.push({ ...rule, pattern });
+  }
+  return compiled;
+}
+
+/**
+ * Turn stored rules, config and built-in changes into what the Analyzer
+ * matches with. Rules that are disabled or no longer compile are left out.
+ */
+function compileRuleset({ rules = [], config = {}, builtins = {}, revision = null } = {}) {
+  const compiled = [];
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    let pattern;
+    try {
+      pattern = compilePattern(rule.match_type, rule.pattern);
+    } catch (err) {
+      console.warn(`[Analyzer] Skipping rule ${rule.id}: ${err.message}`);
+      continue;
+    }
+    if (!pattern) continue;
+    compiled.push({
+      id: rule.id,
+      kind: rule.kind,
+      description: rule.description || '',
+      pattern,
+      weight: Number(rule.weight) || 0,
+      language: rule.language || null,
+      chatId: rule.chat_id || null
+    });
+  }
+
+  const cfg = config || {};
+  return {
+    revision,
+    rules: compiled,
+    builtins: compileBuiltins(builtins || {}),
+    weights: { ...DEFAULT_WEIGHTS, ...(cfg.weights || {}) },
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(cfg.thresholds || {}) },
+    groups: cfg.groups || {}
+  };
+}
+
+module.exports = {
+  RULE_KINDS,
+  RULE_MATCH_TYPES,
+  DEFAULT_WEIGHTS,
+  DEFAULT_THRESHOLDS,
+  validateRule,
+  validateConfig,
+  validateBuiltinOverride,
+  builtinRules,
+  describeBuiltins,
+  compileRuleset
+};
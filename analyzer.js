@@ -3,11 +3,24 @@
  *
  * Detects mentions, classifies questions by type and priority,
  * extracts keywords, and scores answer candidates with multi-signal confidence.
+ * Each message is classified with the language pack (language-packs.js) it
+ * is written in — English, Spanish or Portuguese.
  */
 
+const { DEFAULT_LANGUAGE, LANGUAGE_PACKS, foldText, detectLanguage } = require('./language-packs');
+const { compileRuleset } = require('./analyzer-rules');
+
+// Checked in this order; the first type with a matching pattern wins
+const QUESTION_TYPE_ORDER = ['approval', 'scheduling', 'status_check', 'action_request', 'opinion', 'info_seeking'];
+
 class Analyzer {
   constructor(trackName = '') {
+    this.packs = LANGUAGE_PACKS;
+    // Keywords skip the filler words of every language, so a Spanish
+    // question and an English answer still share only meaningful words
+    this.stopWords = new Set(Object.values(this.packs).flatMap(pack => pack.stopWords));
     this.setTrackName(trackName);
+    this.setRules();
   }
 
   setTrackName(name) {
@@ -19,27 +32,84 @@ class Analyzer {
   // Mention Detection
   // ═══════════════════════════════════════════
 
+  // Names are matched accent-insensitively ("Jose" finds "José") and as
+  // whole words in any script — \b only knows ASCII letters
   _buildNamePatterns(fullName) {
     const patterns = [];
     if (!fullName || !fullName.trim()) return patterns;
-    const escaped = this._escapeRegex(fullName);
-    patterns.push(new RegExp(`\\b${escaped}\\b`, 'i'));
+    const wholeWord = name => new RegExp(`(?<![\\p{L}\\p{N}_])${this._escapeRegex(foldText(name))}(?![\\p{L}\\p{N}_])`, 'iu');
+    patterns.push(wholeWord(fullName.trim()));
     const parts = fullName.trim().split(/\s+/);
     for (const part of parts) {
       if (part.length >= 3) {
-        patterns.push(new RegExp(`\\b${this._escapeRegex(part)}\\b`, 'i'));
+        patterns.push(wholeWord(part));
       }
     }
     return patterns;
   }
 
   _matchesAnyNamePattern(text) {
+    const folded = foldText(text);
     for (const pattern of this.namePatterns) {
-      if (pattern.test(text)) return true;
+      if (pattern.test(folded)) return true;
     }
     return false;
   }
 
+  // ═══════════════════════════════════════════
+  // Language
+  // ═══════════════════════════════════════════
+
+  /** The language code ('en', 'es', 'pt') a message is written in. */
+  detectLanguage(text) {
+    return detectLanguage(text, this.packs);
+  }
+
+  /**
+   * Packs to classify a message in `language` with: its own, then English —
+   * partners switch to English for "ASAP" or "please confirm" mid-sentence.
+   */
+  _packsFor(language) {
+    return [...new Set([language, DEFAULT_LANGUAGE])].map(code => this.packs[code]).filter(Boolean);
+  }
+
+  // Lowercased and accent-free, without the opening ¿ / ¡ of Spanish questions
+  _normalize(text) {
+    return foldText(text).toLowerCase().trim().replace(/^[¿¡]+\s*/, '');
+  }
+
+  // ═══════════════════════════════════════════
+  // Admin Rules
+  // ═══════════════════════════════════════════
+
+  /**
+   * Apply the admin-managed rules and priority settings (analyzer-rules.js),
+   * from Store.getAnalyzerRuleset. A ruleset with the revision already in
+   * use is skipped; with no argument the built-in defaults are restored.
+   */
+  setRules(ruleset = {}) {
+    if (this.rules && ruleset.revision && ruleset.revision === this.rules.revision) return;
+    this.rules = compileRuleset(ruleset);
+  }
+
+  // Priority weights and thresholds, with the group's overrides applied
+  _settingsFor(chatId) {
+    const group = (chatId && this.rules.groups[chatId]) || {};
+    return {
+      weights: { ...this.rules.weights, ...(group.weights || {}) },
+      thresholds: { ...this.rules.thresholds, ...(group.thresholds || {}) }
+    };
+  }
+
+  // Enabled rules of `kind` that apply to this language and chat and match the (normalized) text
+  _matchingRules(kind, text, language, chatId) {
+    return this.rules.rules.filter(rule =>
+      rule.kind === kind &&
+      (!rule.language || rule.language === language) &&
+      (!rule.chatId || rule.chatId === chatId) &&
+      rule.pattern.test(text));
+  }
+
   isMention(message, myId, myLid) {
     if (message.mentionedIds && message.mentionedIds.length > 0) {
       const myIds = new Set();
@@ -72,20 +142,24 @@ class Analyzer {
    *   questionType: 'yes_no' | 'info_seeking' | 'action_request' | 'opinion' | 'status_check' | 'scheduling' | 'approval' | 'general',
    *   priority: 'low' | 'normal' | 'high' | 'urgent',
    *   keywords: string[],
-   *   directedAtMe: boolean
+   *   directedAtMe: boolean,
+   *   language: 'en' | 'es' | 'pt'
    * }
+   * `chatId` selects the group's rules and priority overrides.
    */
-  analyzeQuestion(message, myId, myLid, isGroupChat) {
+  analyzeQuestion(message, myId, myLid, isGroupChat, { chatId = null } = {}) {
     const body = (message.body || '').trim();
     if (!body || body.length < 3) return null;
 
+    const language = this.detectLanguage(body);
+
     // Skip common non-question patterns that look like questions
-    if (this._isNonQuestion(body)) return null;
+    if (this._isNonQuestion(body, language, chatId)) return null;
 
-    const questionType = this._classifyQuestionType(body);
+    const questionType = this._classifyQuestionType(body, language);
     if (!questionType) return null;
 
-    const priority = this._classifyPriority(body, questionType, message, myId, myLid, isGroupChat);
+    const priority = this._classifyPriority(body, questionType, message, myId, myLid, isGroupChat, language, chatId);
     const keywords = this._extractKeywords(body);
     const directedAtMe = this._isDirectedAtMe(message, myId, myLid, isGroupChat);
 
@@ -94,146 +168,62 @@ class Analyzer {
       questionType,
       priority,
       keywords,
-      directedAtMe
+      directedAtMe,
+      language
     };
   }
 
   /**
    * Filter out false-positive questions — greetings, reactions, rhetorical, etc.
+   * A reaction is one in any language: "jaja?" is no question in an English chat either.
    */
-  _isNonQuestion(text) {
-    const lower = text.toLowerCase().trim();
-
-    // Very short — usually not real questions
-    if (lower.length < 5) return true;
-
-    // Rhetorical / reaction patterns
-    const nonQuestionPatterns = [
-      /^(lol|haha|😂|🤣|😅|💀|omg|wow|nice|great|awesome|cool|ok|okay)\s*\??$/i,
-      /^(good morning|good afternoon|good evening|gm|ga)\s*\??$/i,
-      /^(hi|hello|hey|sup|yo)\s*\??$/i,
-      /^(right|ikr|i know right|same|true|facts)\s*\??$/i,
-      /^(done|sorted|fixed|handled|resolved|completed|finished|sent|updated|approved|confirmed|noted|acknowledged|received|accepted|rejected|denied)\s*[.!]?$/i,
-      /^(what|wut|wat)\s*\?*$/i,  // just "what??" as reaction
-      /^(huh|hmm|eh|ah|oh)\s*\??$/i,
-      /^(really|seriously|for real)\s*\??$/i,
-      /^\?+$/,
-      /^[^\w]*$/,  // only emojis or symbols
-    ];
-
-    for (const p of nonQuestionPatterns) {
-      if (p.test(lower)) return true;
-    }
-
-    return false;
+  _isNonQuestion(text, language = DEFAULT_LANGUAGE, chatId = null) {
+    return !!this._nonQuestionMatch(text, language, chatId);
   }
 
-  /**
-   * Classify the type of question being asked.
-   * Returns null if not a question.
-   */
-  _classifyQuestionType(text) {
-    const lower = text.toLowerCase().trim();
+  // What marks the text as no question: { source: 'too short' | 'pack' | 'rule', language?, ruleId? }, or null
+  _nonQuestionMatch(text, language = DEFAULT_LANGUAGE, chatId = null) {
+    const lower = this._normalize(text);
 
-    // ── Yes/No Questions ──
-    const yesNoStarters = /^(is|are|was|were|do|does|did|can|could|would|should|will|shall|have|has|had|may|might|isn't|aren't|wasn't|weren't|don't|doesn't|didn't|can't|couldn't|wouldn't|shouldn't|won't)\b/i;
-    if (yesNoStarters.test(lower) && (lower.includes('?') || lower.length < 80)) {
-      return 'yes_no';
-    }
+    // Very short — usually not real questions
+    if (lower.length < 5) return { source: 'too short' };
 
-    // ── Approval / Permission ──
-    // Note: bare "approved", "sign off" etc. are ANSWERS, not questions.
-    // Only match approval patterns when there's interrogative framing.
-    const approvalPatterns = [
-      /\b(approve|approved|approval|sign off|sign-off|greenlight|green light)\b.*\?/i,
-      /\bcan (i|we) (go ahead|proceed|move forward|start|begin)\b/i,
-      /\b(is this|does this|are we) (ok|okay|good|ready|approved)\b/i,
-      /\bpermission to\b/i,
-      /\b(ready to|good to) (go|send|ship|launch|submit|publish)\b.*\?/i,
-    ];
-    for (const p of approvalPatterns) {
-      if (p.test(lower)) return 'approval';
-    }
+    // Rhetorical / reaction patterns (built-in, unless switched off)
+    const builtin = this.rules.builtins.find(rule => rule.kind === 'non_question' && rule.pattern.test(lower));
+    if (builtin) return { source: 'pack', language: builtin.language, ruleId: builtin.id };
 
-    // ── Scheduling ──
-    const schedulePatterns = [
-      /\b(when|what time|what day|which day)\b.*\b(meeting|call|session|standup|sync|available|free)\b/i,
-      /\b(meeting|call|session|standup|sync)\b.*\b(when|what time|schedule)\b/i,
-      /\bschedule\b/i,
-      /\bwhat('s| is) (the|a good) time\b/i,
-      /\bwhen (can|should|will|do) (we|you|i|they)\b/i,
-      /\b(availability|availabilities|available)\s*\?/i,
-    ];
-    for (const p of schedulePatterns) {
-      if (p.test(lower)) return 'scheduling';
-    }
+    // Admin filters, e.g. a group's recurring "daily report?" broadcast
+    const [rule] = this._matchingRules('non_question', lower, language, chatId);
+    if (rule) return { source: 'rule', ruleId: rule.id, description: rule.description };
 
-    // ── Status Check ──
-    const statusPatterns = [
-      /\b(status|update|progress|eta|timeline|deadline)\b.*\?/i,
-      /\bwhat('s| is) the (status|update|progress|eta|plan|timeline)\b/i,
-      /\b(any|got) (update|news|progress)\b/i,
-      /\bhow('s| is) (it|that|the|this) (going|coming|progressing)\b/i,
-      /\bwhere (are|do) (we|you|they) stand\b/i,
-      /\bhow far along\b/i,
-    ];
-    for (const p of statusPatterns) {
-      if (p.test(lower)) return 'status_check';
-    }
+    return null;
+  }
 
-    // ── Action Request ──
-    const actionPatterns = [
-      /\bcan (you|someone|anyone|anybody|we)\b.*\b(send|do|make|create|check|look|handle|fix|update|share|forward|upload|post|add|remove|set up)\b/i,
-      /\bcould (you|someone|anyone)\b/i,
-      /\bwould (you|someone) (mind|be able to|please)\b/i,
-      /\bplease\b.*\b(send|do|make|create|check|look|handle|fix|update|share)\b/i,
-      /\bneed (you|someone|help) to\b/i,
-      /\b(who|which one of you) (can|will|is going to)\b/i,
-    ];
-    for (const p of actionPatterns) {
-      if (p.test(lower)) return 'action_request';
-    }
+  /**
+   * Classify the type of question being asked, with the patterns of its
+   * language (then English). Returns null if not a question.
+   */
+  _classifyQuestionType(text, language = DEFAULT_LANGUAGE) {
+    const lower = this._normalize(text);
 
-    // ── Opinion ──
-    const opinionPatterns = [
-      /\bwhat do (you|you all|y'all|everyone|we) think\b/i,
-      /\bthoughts\s*\?/i,
-      /\bwdyt\b/i,
-      /\bopinion(s)?\s*\?/i,
-      /\bfeedback\s*\?/i,
-      /\bwhat('s| is) your (take|view|opinion|thought)\b/i,
-      /\b(good|bad|better|best|right|wrong) (idea|approach|way|option|choice)\s*\?/i,
-      /\b(should|shall) (we|i)\b/i,
-      /\b(prefer|preference)\b.*\?/i,
-    ];
-    for (const p of opinionPatterns) {
-      if (p.test(lower)) return 'opinion';
-    }
+    for (const { questionTypes } of this._packsFor(language)) {
+      // ── Yes/No Questions ──
+      if (questionTypes.yes_no.some(p => p.test(lower)) && (lower.includes('?') || lower.length < 80)) {
+        return 'yes_no';
+      }
 
-    // ── Info Seeking (wh- questions) ──
-    const infoPatterns = [
-      /^(who|what|where|when|why|how|which|whose|whom)\b/i,
-      /\b(who|what|where|when|why|how|which)\b.*\?$/i,
-    ];
-    for (const p of infoPatterns) {
-      if (p.test(lower)) return 'info_seeking';
+      // ── Approval, scheduling, status, action, opinion, wh- questions ──
+      for (const type of QUESTION_TYPE_ORDER) {
+        if (questionTypes[type].some(p => p.test(lower))) return type;
+      }
     }
 
     // ── Generic question mark ──
     if (lower.endsWith('?')) return 'general';
 
     // ── Implicit question patterns ──
-    const implicitPatterns = [
-      /\bany\s*(one|body)\s*(know|here|available|free)\b/i,
-      /\bany idea(s)?\b/i,
-      /\bdo you have\b/i,
-      /\bhave you\b/i,
-      /\bis there\b/i,
-      /\bwondering (if|about|whether)\b/i,
-      /\bcurious (if|about|whether)\b/i,
-    ];
-    for (const p of implicitPatterns) {
-      if (p.test(lower)) return 'general';
+    for (const { questionTypes } of this._packsFor(language)) {
+      if (questionTypes.general.some(p => p.test(lower))) return 'general';
     }
 
     return null;
@@ -242,38 +232,57 @@ class Analyzer {
   /**
    * Classify priority of a question based on content, type, and context.
    */
-  _classifyPriority(text, questionType, message, myId, myLid, isGroupChat) {
-    const lower = text.toLowerCase();
-    let score = 0;
+  _classifyPriority(text, questionType, message, myId, myLid, isGroupChat, language = DEFAULT_LANGUAGE, chatId = null) {
+    return this._scorePriority(text, questionType, message, myId, myLid, isGroupChat, language, chatId).priority;
+  }
+
+  /**
+   * The priority with its workings: { priority, score, signals: [{ signal,
+   * weight, ruleId? }], thresholds }. Weights and thresholds are the admin
+   * settings for the chat (DEFAULT_WEIGHTS / DEFAULT_THRESHOLDS unless changed).
+   */
+  _scorePriority(text, questionType, message, myId, myLid, isGroupChat, language = DEFAULT_LANGUAGE, chatId = null) {
+    const lower = this._normalize(text);
+    const languages = [language, DEFAULT_LANGUAGE];
+    const { weights, thresholds } = this._settingsFor(chatId);
+    const signals = [];
+    const add = (signal, weight, extra = {}) => {
+      if (weight) signals.push({ signal, weight, ...extra });
+    };
+    // The language packs' keywords, as edited by admins (builtinRules)
+    const keywords = signal => this.rules.builtins.find(rule =>
+      rule.signal === signal && languages.includes(rule.language) && rule.pattern.test(lower));
 
     // Urgent keywords
-    const urgentWords = /\b(urgent|asap|emergency|critical|immediately|right now|time sensitive|deadline today|eod|end of day|blocker|blocking|stuck)\b/i;
-    if (urgentWords.test(lower)) score += 3;
+    const urgent = keywords('urgent');
+    if (urgent) add('urgent', weights.urgent, { ruleId: urgent.id });
 
     // High priority keywords
-    const highWords = /\b(important|priority|needed|required|must|deadline|by (today|tomorrow|monday|tuesday|wednesday|thursday|friday)|client|customer|partner|escalat)\b/i;
-    if (highWords.test(lower)) score += 2;
+    const high = keywords('high');
+    if (high) add('high', weights.high, { ruleId: high.id });
 
     // Directed at me — higher priority
-    if (this._isDirectedAtMe(message, myId, myLid, isGroupChat)) score += 1;
+    if (this._isDirectedAtMe(message, myId, myLid, isGroupChat)) add('directed_at_me', weights.directed_at_me);
 
-    // Approval questions are inherently higher priority
-    if (questionType === 'approval') score += 1;
-
-    // Action requests tend to be important
-    if (questionType === 'action_request') score += 0.5;
-
-    // Status checks from others are moderate
-    if (questionType === 'status_check') score += 0.5;
+    // Approval questions are inherently higher priority; action requests
+    // tend to be important, status checks from others are moderate
+    if (['approval', 'action_request', 'status_check'].includes(questionType)) add(questionType, weights[questionType]);
 
     // Low priority indicators
-    const lowWords = /\b(just wondering|just curious|no rush|whenever|no hurry|low priority|not urgent|fyi|btw)\b/i;
-    if (lowWords.test(lower)) score -= 2;
+    const low = keywords('low');
+    if (low) add('low', weights.low, { ruleId: low.id });
+
+    // Admin keyword / regex rules
+    for (const rule of this._matchingRules('priority', lower, language, chatId)) {
+      add('rule', rule.weight, { ruleId: rule.id, description: rule.description });
+    }
 
-    if (score >= 3) return 'urgent';
-    if (score >= 2) return 'high';
-    if (score <= -1) return 'low';
-    return 'normal';
+    const score = signals.reduce((sum, s) => sum + s.weight, 0);
+    let priority = 'normal';
+    if (score >= thresholds.urgent) priority = 'urgent';
+    else if (score >= thresholds.high) priority = 'high';
+    else if (score <= thresholds.low) priority = 'low';
+    return { priority, score, signals, thresholds };
   }
 
   /**
@@ -288,26 +297,10 @@ class Analyzer {
    * Extract meaningful keywords from a question for matching answers.
    */
   _extractKeywords(text) {
-    const stopWords = new Set([
-      'the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-      'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-      'should', 'may', 'might', 'shall', 'can', 'need', 'must',
-      'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
-      'my', 'your', 'his', 'its', 'our', 'their',
-      'this', 'that', 'these', 'those', 'what', 'which', 'who', 'whom',
-      'when', 'where', 'why', 'how',
-      'and', 'but', 'or', 'nor', 'not', 'so', 'yet', 'both', 'either', 'neither',
-      'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'about', 'into',
-      'if', 'then', 'than', 'too', 'very', 'just', 'also', 'any', 'all', 'no', 'yes',
-      'up', 'out', 'there', 'here', 'now', 'get', 'got', 'still', 'some',
-      'please', 'thanks', 'thank', 'know', 'think', 'anyone', 'someone', 'anybody',
-      'everybody', 'everyone', 'something', 'anything', 'nothing'
-    ]);
-
-    return (text || '').toLowerCase()
+    return foldText(text).toLowerCase()
       .replace(/[^\w\s]/g, ' ')
       .split(/\s+/)
-      .filter(w => w.length > 2 && !stopWords.has(w))
+      .filter(w => w.length > 2 && !this.stopWords.has(w))
       .filter((w, i, arr) => arr.indexOf(w) === i)  // dedupe
       .slice(0, 15);
   }
@@ -316,14 +309,25 @@ class Analyzer {
   // Answer Scoring (Enhanced Multi-Signal)
   // ═══════════════════════════════════════════
 
+  /**
+   * Whether a message came from the question's asker — by contact id when
+   * both have one (stable across WhatsApp name changes), else by name.
+   */
+  _sameSender(senderId, senderName, question) {
+    if (senderId && question.sender_id) return senderId === question.sender_id;
+    return senderName === question.sender;
+  }
+
   /**
    * Score how likely a message is an answer to a specific question.
    * Returns { confidence: 0-1, signals: { ... } }
    */
   scoreAnswer(question, candidateMsg, {
     isQuotedReply = false,
+    quotedMsgId = null,
     quotedMsgBody = null,
     quotedMsgSender = null,
+    quotedMsgSenderId = null,
     isFromMe = false,
     timeDeltaMs = 0,
     recentMsgCount = 0
@@ -336,24 +340,34 @@ class Analyzer {
 
     if (!aBody || aBody.length < 1) return { confidence: 0, signals };
 
+    // Answer patterns of the reply's language and the question's (see _answerLanguages)
+    const aText = this._normalize(aBody);
+    const languages = this._answerLanguages(aBody, question);
+
     // ── Signal 1: Direct Quoted Reply (strongest signal) ──
-    if (isQuotedReply && quotedMsgBody) {
+    // With message ids on both sides whether it quotes the question is exact;
+    // otherwise compare the quoted text
+    const idsKnown = !!(quotedMsgId && question.msg_id);
+    if (isQuotedReply && idsKnown && quotedMsgId === question.msg_id) {
+      signals.quoted_reply = { score: 1.0, detail: 'quoted reply' };
+      totalScore += 1.0;
+    } else if (isQuotedReply && quotedMsgBody) {
       const quotedLower = quotedMsgBody.toLowerCase().trim();
       // Check if the quoted message IS the question
       const similarity = this._textSimilarity(quotedLower, qBody);
-      if (similarity > 0.7) {
+      if (similarity > 0.7 && !idsKnown) {
         signals.quoted_reply = { score: 1.0, detail: `quoted reply (similarity: ${similarity.toFixed(2)})` };
         totalScore += 1.0;
-      } else if (quotedMsgSender === question.sender && similarity > 0.3) {
+      } else if (this._sameSender(quotedMsgSenderId, quotedMsgSender, question) && similarity > 0.3) {
         signals.quoted_reply = { score: 0.8, detail: 'quoted same sender, partial match' };
         totalScore += 0.8;
       }
     }
 
     // ── Signal 2: Answer Pattern Detection ──
-    const patternScore = this._getAnswerPatternScore(aBody, question.questionType);
+    const patternScore = this._getAnswerPatternScore(aText, question.questionType, languages);
     if (patternScore > 0) {
-      signals.answer_pattern = { score: patternScore, detail: this._getAnswerPatternDetail(aBody, question.questionType) };
+      signals.answer_pattern = { score: patternScore, detail: this._getAnswerPatternDetail(aText, question.questionType, languages) };
       totalScore += patternScore * 0.4;
     }
 
@@ -368,8 +382,8 @@ class Analyzer {
 
     // ── Signal 4: Addresses the question asker by name ──
     if (question.sender) {
-      const askerParts = question.sender.toLowerCase().split(/\s+/);
-      const addressed = askerParts.some(part => part.length >= 3 && aBody.includes(part));
+      const askerParts = this._normalize(question.sender).split(/\s+/);
+      const addressed = askerParts.some(part => part.length >= 3 && aText.includes(part));
       if (addressed) {
         signals.addresses_asker = { score: 0.3, detail: `mentions ${question.sender}` };
         totalScore += 0.3;
@@ -403,13 +417,14 @@ class Analyzer {
     }
 
     // ── Signal 7: Self-reply penalty ──
-    if (candidateMsg.sender === question.sender) {
+    const selfReply = this._sameSender(candidateMsg.senderId, candidateMsg.sender, question);
+    if (selfReply) {
       signals.self_reply = { score: -0.5, detail: 'same person as asker' };
       totalScore *= 0.3;
     }
 
     // ── Signal 8: Manager's own reply boost ──
-    if (isFromMe && candidateMsg.sender !== question.sender) {
+    if (isFromMe && !selfReply) {
       signals.manager_reply = { score: 0.25, detail: 'your reply to someone else\'s question' };
       totalScore += 0.25;
     }
@@ -424,7 +439,7 @@ class Analyzer {
     }
 
     // ── Signal 10: Question-type-specific answer matching ──
-    const typeScore = this._questionTypeAnswerMatch(question.questionType, aBody);
+    const typeScore = this._questionTypeAnswerMatch(question.questionType, aText, languages);
     if (typeScore > 0) {
       signals.type_match = { score: typeScore, detail: `matches ${question.questionType} answer pattern` };
       totalScore += typeScore * 0.2;
@@ -435,121 +450,81 @@ class Analyzer {
   }
 
   /**
-   * Improved answer pattern scoring
+   * Languages whose answer patterns a reply is scored with: English, the
+   * reply's own and the question's — a short "sí" or "ok" says little
+   * about its language, but answers a Spanish question all the same.
+   */
+  _answerLanguages(answerText, question) {
+    return [...new Set([DEFAULT_LANGUAGE, this.detectLanguage(answerText), question.language])]
+      .filter(code => code && this.packs[code]);
+  }
+
+  /**
+   * Improved answer pattern scoring — the best score in any of `languages`
    */
-  _getAnswerPatternScore(text, questionType) {
+  _getAnswerPatternScore(text, questionType, languages = [DEFAULT_LANGUAGE]) {
     let score = 0;
 
-    const strongPatterns = [
-      /^(yes|yeah|yep|yup|ya|yea|sure|correct|exactly|absolutely|definitely|of course|right)\b/,
-      /^(no|nope|nah|not really|unfortunately|sadly|afraid not|negative)\b/,
-      /^(done|sorted|fixed|handled|resolved|completed|finished|sent|updated|approved)\b/,
-      /\b(i('ll|'ll| will| can)|we('ll|'ll| will| can)|let me|i('m|'m| am) on it)\b/,
-      /\b(here you go|here it is|see attached|check this|take a look|see below)\b/,
-      /\b(the answer is|it('s|'s| is)|they('re|'re| are)|that('s|'s| is))\b/,
-      /^@?\w+\s+(yes|no|it|the|that|here|done|i)\b/,
-    ];
-
-    const mediumPatterns = [
-      /\bhttps?:\/\/\S+\b/,
-      /\b\d{1,2}[:.]\d{2}\b/,
-      /\b\d+\s*(pm|am|hrs?|hours?|mins?|minutes?|days?|weeks?)\b/i,
-      /\b(tomorrow|today|tonight|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
-      /\b(because|since|the reason|due to)\b/i,
-      /\b(try|use|go to|click|open|check|look at)\b/i,
-      /\b(attached|uploading|sending|forwarding)\b/i,
-    ];
-
-    const weakPatterns = [
-      /\b(ok|okay|sure thing|will do|got it|noted|thanks|thank you|understood|acknowledged)\b/i,
-      /\b(i think|maybe|probably|possibly|perhaps|likely)\b/i,
-    ];
-
-    const antiPatterns = [
-      /^(lol|haha|😂|🤣|😅|💀)/i,
-      /^(good morning|good afternoon|good evening|hi|hello|hey)\b/i,
-      /^\?+$/,
-      /^(same|me too|i agree)\s*$/i,
-    ];
-
-    for (const p of antiPatterns) {
+    for (const code of languages) {
+      score = Math.max(score, this._packAnswerPatternScore(this.packs[code].answers, text));
+    }
+
+    if (text.length > 100) score = Math.max(score, 0.4);
+    else if (text.length > 50) score = Math.max(score, 0.25);
+
+    return Math.min(score, 1);
+  }
+
+  _packAnswerPatternScore(answers, text) {
+    let score = 0;
+
+    for (const p of answers.anti) {
       if (p.test(text)) return 0;
     }
 
-    for (const p of strongPatterns) {
+    for (const p of answers.strong) {
       if (p.test(text)) { score = Math.max(score, 0.85); break; }
     }
     if (score < 0.85) {
-      for (const p of mediumPatterns) {
+      for (const p of answers.medium) {
         if (p.test(text)) { score = Math.max(score, 0.5); break; }
       }
     }
     if (score < 0.5) {
-      for (const p of weakPatterns) {
+      for (const p of answers.weak) {
         if (p.test(text)) { score = Math.max(score, 0.3); break; }
       }
     }
 
-    if (text.length > 100) score = Math.max(score, 0.4);
-    else if (text.length > 50) score = Math.max(score, 0.25);
-
-    return Math.min(score, 1);
+    return score;
   }
 
-  _getAnswerPatternDetail(text, questionType) {
-    if (/^(yes|yeah|yep|sure|correct|absolutely|definitely)\b/i.test(text)) return 'affirmative response';
-    if (/^(no|nope|nah|not really|unfortunately)\b/i.test(text)) return 'negative response';
-    if (/^(done|sorted|fixed|handled|resolved|completed)\b/i.test(text)) return 'task completion';
-    if (/\bhttps?:\/\//i.test(text)) return 'contains link';
-    if (/\b(attached|uploading|sending)\b/i.test(text)) return 'sharing resource';
+  _getAnswerPatternDetail(text, questionType, languages = [DEFAULT_LANGUAGE]) {
+    for (const code of languages) {
+      for (const [pattern, detail] of this.packs[code].answerDetails) {
+        if (pattern.test(text)) return detail;
+      }
+    }
     return 'answer-like pattern';
   }
 
   /**
    * Question-type-specific answer matching
    */
-  _questionTypeAnswerMatch(questionType, answerText) {
+  _questionTypeAnswerMatch(questionType, answerText, languages = [DEFAULT_LANGUAGE]) {
     const lower = answerText.toLowerCase();
 
-    switch (questionType) {
-      case 'yes_no':
-        if (/^(yes|yeah|yep|yup|sure|correct|no|nope|nah|not really)\b/i.test(lower)) return 0.9;
-        if (/\b(yes|no|correct|incorrect|right|wrong)\b/i.test(lower)) return 0.5;
-        return 0;
-
-      case 'approval':
-        if (/\b(approved|approve|go ahead|lgtm|looks good|green light|sign off|rejected|denied)\b/i.test(lower)) return 0.95;
-        if (/\b(yes|sure|ok|no|hold off|wait|not yet)\b/i.test(lower)) return 0.6;
-        return 0;
-
-      case 'scheduling':
-        if (/\b\d{1,2}[:.]\d{2}\b/.test(lower)) return 0.8;
-        if (/\b(tomorrow|today|monday|tuesday|wednesday|thursday|friday|pm|am)\b/i.test(lower)) return 0.7;
-        if (/\b(works for me|i'm free|available|busy|can't make it)\b/i.test(lower)) return 0.6;
-        return 0;
-
-      case 'status_check':
-        if (/\b(done|complete|in progress|working on|almost|nearly|started|not started|blocked)\b/i.test(lower)) return 0.8;
-        if (/\b(eta|expected|should be|will be|by)\b/i.test(lower)) return 0.5;
-        return 0;
-
-      case 'action_request':
-        if (/\b(done|on it|will do|i'll|i can|sending|sent|shared|handling)\b/i.test(lower)) return 0.8;
-        if (/\b(i can't|unable|not possible|someone else)\b/i.test(lower)) return 0.6;
-        return 0;
-
-      case 'info_seeking':
-        if (lower.length > 30) return 0.3;  // substantive replies likely informational
-        return 0;
-
-      case 'opinion':
-        if (/\b(i think|in my opinion|imo|i'd say|i prefer|i suggest|i recommend)\b/i.test(lower)) return 0.8;
-        if (/\b(agree|disagree|option|better|worse|prefer)\b/i.test(lower)) return 0.5;
-        return 0;
-
-      default:
-        return 0;
+    if (questionType === 'info_seeking') {
+      return lower.length > 30 ? 0.3 : 0;  // substantive replies likely informational
     }
+
+    let score = 0;
+    for (const code of languages) {
+      const patterns = this.packs[code].typeAnswers[questionType] || [];
+      const match = patterns.find(([pattern]) => pattern.test(lower));
+      if (match) score = Math.max(score, match[1]);
+    }
+    return score;
   }
 
   /**
@@ -608,7 +583,7 @@ class Analyzer {
   // Main Analyze Method
   // ═══════════════════════════════════════════
 
-  analyze(message, myId, myLid, isGroupChat) {
+  analyze(message, myId, myLid, isGroupChat, options = {}) {
     const result = {
       isMention: false,
       isQuestion: false,
@@ -622,7 +597,7 @@ class Analyzer {
     result.isMention = this.isMention(message, myId, myLid);
     result.isDirectMessage = !isGroupChat;
 
-    const qa = this.analyzeQuestion(message, myId, myLid, isGroupChat);
+    const qa = this.analyzeQuestion(message, myId, myLid, isGroupChat, options);
     if (qa) {
       result.isQuestion = true;
       result.isDirectedQuestion = qa.directedAtMe;
@@ -632,6 +607,29 @@ class Analyzer {
     return result;
   }
 
+  /**
+   * analyze() plus how it got there — the language, what filtered it out
+   * as no question, and how its priority score adds up — for the rules
+   * dry run (POST /api/settings/analyzer/dry-run).
+   */
+  explain(message, myId, myLid, isGroupChat, options = {}) {
+    const { chatId = null } = options;
+    const body = (message.body || '').trim();
+    const language = this.detectLanguage(body);
+    const questionType = body.length >= 3 ? this._classifyQuestionType(body, language) : null;
+
+    return {
+      ...this.analyze(message, myId, myLid, isGroupChat, options),
+      trace: {
+        language,
+        nonQuestion: body.length >= 3 ? this._nonQuestionMatch(body, language, chatId) : { source: 'too short' },
+        questionType,
+        priority: questionType ? this._scorePriority(body, questionType, message, myId, myLid, isGroupChat, language, chatId) : null,
+        rulesRevision: this.rules.revision
+      }
+    };
+  }
+
   _escapeRegex(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
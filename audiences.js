@@ -0,0 +1,101 @@
+/**
+ * Audiences — named recipient lists and dynamic segments for broadcasts
+ *
+ * Anywhere a broadcast takes `chatIds` it also takes `audience` (an id or
+ * name), resolved server-side when the message is sent:
+ *
+ *   list     a fixed set of chats, stored in audiences.chat_ids
+ *   segment  rules matched against `groups` at send time, so the audience
+ *            follows groups joining, going quiet or getting questions
+ *
+ * Segment rules (all optional, combined with AND):
+ *   partnersOnly      only groups configured as partner groups in Settings
+ *   activeWithinDays  last message within N days
+ *   hasOpenQuestions  at least one unanswered question
+ *   nameContains      case-insensitive match on the group name
+ *   includeIgnored    also match groups hidden from the dashboard (default false)
+ */
+
+const SEGMENT_RULES = ['partnersOnly', 'activeWithinDays', 'hasOpenQuestions', 'nameContains', 'includeIgnored'];
+
+// Always available, not stored
+const BUILTIN_SEGMENTS = [
+  {
+    id: 'builtin:partners',
+    name: 'All partner groups',
+    description: 'Groups listed under Partner Groups in Settings',
+    rules: { partnersOnly: true }
+  },
+  {
+    id: 'builtin:active-7d',
+    name: 'Active in last 7 days',
+    description: 'Groups with a message in the past week',
+    rules: { activeWithinDays: 7 }
+  },
+  {
+    id: 'builtin:open-questions',
+    name: 'Groups with open questions',
+    description: 'Groups where a question is still unanswered',
+    rules: { hasOpenQuestions: true }
+  }
+].map(segment => ({ ...segment, kind: 'segment', builtin: true, chat_ids: [] }));
+
+/**
+ * Check and tidy segment rules. Throws with a user-facing message.
+ */
+function normalizeRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('rules must be an object');
+  }
+  const unknown = Object.keys(rules).filter(key => !SEGMENT_RULES.includes(key));
+  if (unknown.length) throw new Error(`Unknown rule(s): ${unknown.join(', ')}`);
+
+  const clean = {};
+  for (const key of ['partnersOnly', 'hasOpenQuestions', 'includeIgnored']) {
+    if (rules[key] !== undefined) clean[key] = rules[key] === true || rules[key] === 'true';
+  }
+  if (rules.activeWithinDays !== undefined && rules.activeWithinDays !== null && rules.activeWithinDays !== '') {
+    const days = Number(rules.activeWithinDays);
+    if (!Number.isFinite(days) || days <= 0) throw new Error('activeWithinDays must be a positive number');
+    clean.activeWithinDays = days;
+  }
+  if (rules.nameContains) clean.nameContains = String(rules.nameContains).trim();
+  return clean;
+}
+
+/** A built-in segment or stored audience, by id or name. */
+async function findAudience(store, ref) {
+  if (!ref) return null;
+  const key = String(ref).trim();
+  const builtin = BUILTIN_SEGMENTS.find(s => s.id === key || s.name.toLowerCase() === key.toLowerCase());
+  if (builtin) return builtin;
+  return (await store.getAudience(key)) || (await store.getAudienceByName(key));
+}
+
+/** The chat ids an audience currently covers. */
+async function resolveAudience(store, audience) {
+  if (audience.kind === 'list') return [...new Set(audience.chat_ids || [])];
+  const groups = await store.getGroupsForSegment(audience.rules || {});
+  return groups.map(g => g.chat_id);
+}
+
+/**
+ * Recipients for a send: explicit `chatIds`, or everything in `audience`.
+ * Returns { chatIds, audience } (audience is null for explicit ids).
+ * Throws with a user-facing message if the audience is unknown.
+ */
+async function resolveRecipients(store, { chatIds, audience }) {
+  if (!audience) return { chatIds: chatIds || [], audience: null };
+  const found = await findAudience(store, audience);
+  if (!found) throw new Error(`Unknown audience: ${audience}`);
+  return { chatIds: await resolveAudience(store, found), audience: found };
+}
+
+module.exports = {
+  BUILTIN_SEGMENTS,
+  SEGMENT_RULES,
+  normalizeRules,
+  findAudience,
+  resolveAudience,
+  resolveRecipients
+};
@@ -0,0 +1,109 @@
+/**
+ * Auth — JWT authentication and role-based authorization
+ *
+ * Shared by server.js (Railway) and api/index.js (Vercel). Every /api route
+ * except register, login and the status probe sits behind `authenticate`;
+ * routes that change things add `requireRole('agent')` or `requireRole('admin')`.
+ *
+ * Roles (each includes everything the one before it can do):
+ *   viewer — read-only access to dashboards, questions, tasks, approvals
+ *   agent  — send / broadcast, triage questions, tasks and approvals
+ *   admin  — settings, the WhatsApp session, backfill, user roles
+ *
+ * The role is read from the users table on every request, so promotions and
+ * demotions take effect immediately instead of when the 30-day token expires.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const ROLES = ['viewer', 'agent', 'admin'];
+
+/**
+ * Resolve a user row to its role. Rows from before the `role` column
+ * existed fall back to is_admin, with everyone else keeping agent access.
+ */
+function roleOf(user) {
+  if (!user) return null;
+  if (ROLES.includes(user.role)) return user.role;
+  return user.is_admin ? 'admin' : 'agent';
+}
+
+function hasRole(user, required) {
+  return ROLES.indexOf(roleOf(user)) >= ROLES.indexOf(required);
+}
+
+/**
+ * @param {object} options
+ * @param {() => Promise<Store>} options.getStore — resolves the (initialized) Store
+ * @param {string} options.secret — JWT signing secret
+ */
+function createAuth({ getStore, secret }) {
+  function signToken(user) {
+    return jwt.sign({ id: user.id, email: user.email, name: user.name }, secret, { expiresIn: '30d' });
+  }
+
+  // Bearer header for fetch(); ?token= only where the browser can't set headers
+  // (see acceptsQueryToken), so tokens stay out of logs and Referer elsewhere
+  function readToken(req) {
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.slice(7);
+    if (!acceptsQueryToken(req.method, req.baseUrl + req.path)) return null;
+    return req.query && typeof req.query.token === 'string' ? req.query.token : null;
+  }
+
+  async function authenticate(req, res, next) {
+    const token = readToken(req);
+    if (!token) return res.status(401).json({ ok: false, error: 'Authentication required' });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, secret);
+    } catch (err) {
+      return res.status(401).json({ ok: false, error: 'Invalid or expired token' });
+    }
+
+    try {
+      const store = await getStore();
+      const user = await store.getUserById(decoded.id);
+      if (!user) return res.status(401).json({ ok: false, error: 'Account no longer exists' });
+      req.user = { ...decoded, name: user.name, role: roleOf(user) };
+      next();
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) return res.status(401).json({ ok: false, error: 'Authentication required' });
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ ok: false, error: `This action requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  // Mounted on /api ahead of every router so new routes are protected by default
+  function guard(req, res, next) {
+    if (isPublicPath(req.baseUrl + req.path)) return next();
+    authenticate(req, res, next);
+  }
+
+  return { authenticate, guard, requireRole, signToken };
+}
+
+// Paths reachable without a token
+const PUBLIC_PATHS = new Set(['/api/auth/register', '/api/auth/login', '/api/status']);
+
+function isPublicPath(path) {
+  return PUBLIC_PATHS.has(path);
+}
+
+// GETs opened by EventSource (/api/events) or as <img> / link URLs
+// (/api/media/:id, /api/media/:id/thumbnail), which can't send a header
+function acceptsQueryToken(method, path) {
+  if (method !== 'GET' && method !== 'HEAD') return false;
+  return path === '/api/events' || /^\/api\/media\/[^/]+(\/thumbnail)?$/.test(path);
+}
+
+module.exports = { createAuth, roleOf, hasRole, isPublicPath, acceptsQueryToken, ROLES };
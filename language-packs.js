@@ -0,0 +1,542 @@
+/**
+ * Language Packs — the per-language word lists and patterns the Analyzer
+ * classifies with: question starters by type, urgency words, non-question
+ * filters and answer patterns, for English, Spanish and Portuguese
+ *
+ * Patterns run against folded text (foldText: lowercased by the Analyzer,
+ * accents stripped, a leading ¿ / ¡ dropped), so they are written without
+ * accents and match "cuándo" and "cuando" alike. detectLanguage picks a
+ * message's pack from the words it uses; English is the fallback.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_PACKS = {
+  en: {
+    name: 'English',
+
+    // Common words that mark a message as this language (see detectLanguage)
+    detect: [
+      'the', 'is', 'are', 'you', 'what', 'when', 'where', 'how', 'can', 'could', 'would',
+      'this', 'that', 'with', 'have', 'has', 'will', 'please', 'for', 'and', 'it', 'we',
+      'they', 'does', 'did', 'there', 'of', 'to', 'any', 'need', 'send', 'thanks'
+    ],
+
+    // Greetings, reactions and rhetorical replies that look like questions
+    nonQuestion: [
+      /^(lol|(ha){2,}|😂|🤣|😅|💀|omg|wow|nice|great|awesome|cool|ok|okay)\s*\??$/i,
+      /^(good morning|good afternoon|good evening|gm|ga)\s*\??$/i,
+      /^(hi|hello|hey|sup|yo)\s*\??$/i,
+      /^(right|ikr|i know right|same|true|facts)\s*\??$/i,
+      /^(done|sorted|fixed|handled|resolved|completed|finished|sent|updated|approved|confirmed|noted|acknowledged|received|accepted|rejected|denied)\s*[.!]?$/i,
+      /^(what|wut|wat)\s*\?*$/i,  // just "what??" as reaction
+      /^(huh|hmm|eh|ah|oh)\s*\??$/i,
+      /^(really|seriously|for real)\s*\??$/i,
+      /^\?+$/,
+      /^[^\w]*$/,  // only emojis or symbols
+    ],
+
+    questionTypes: {
+      // Counts with a question mark, or in a message under 80 characters
+      yes_no: [
+        /^(is|are|was|were|do|does|did|can|could|would|should|will|shall|have|has|had|may|might|isn't|aren't|wasn't|weren't|don't|doesn't|didn't|can't|couldn't|wouldn't|shouldn't|won't)\b/i,
+      ],
+      // Note: bare "approved", "sign off" etc. are ANSWERS, not questions.
+      // Only match approval patterns when there's interrogative framing.
+      approval: [
+        /\b(approve|approved|approval|sign off|sign-off|greenlight|green light)\b.*\?/i,
+        /\bcan (i|we) (go ahead|proceed|move forward|start|begin)\b/i,
+        /\b(is this|does this|are we) (ok|okay|good|ready|approved)\b/i,
+        /\bpermission to\b/i,
+        /\b(ready to|good to) (go|send|ship|launch|submit|publish)\b.*\?/i,
+      ],
+      scheduling: [
+        /\b(when|what time|what day|which day)\b.*\b(meeting|call|session|standup|sync|available|free)\b/i,
+        /\b(meeting|call|session|standup|sync)\b.*\b(when|what time|schedule)\b/i,
+        /\bschedule\b/i,
+        /\bwhat('s| is) (the|a good) time\b/i,
+        /\bwhen (can|should|will|do) (we|you|i|they)\b/i,
+        /\b(availability|availabilities|available)\s*\?/i,
+      ],
+      status_check: [
+        /\b(status|update|progress|eta|timeline|deadline)\b.*\?/i,
+        /\bwhat('s| is) the (status|update|progress|eta|plan|timeline)\b/i,
+        /\b(any|got) (update|news|progress)\b/i,
+        /\bhow('s| is) (it|that|the|this) (going|coming|progressing)\b/i,
+        /\bwhere (are|do) (we|you|they) stand\b/i,
+        /\bhow far along\b/i,
+      ],
+      action_request: [
+        /\bcan (you|someone|anyone|anybody|we)\b.*\b(send|do|make|create|check|look|handle|fix|update|share|forward|upload|post|add|remove|set up)\b/i,
+        /\bcould (you|someone|anyone)\b/i,
+        /\bwould (you|someone) (mind|be able to|please)\b/i,
+        /\bplease\b.*\b(send|do|make|create|check|look|handle|fix|update|share)\b/i,
+        /\bneed (you|someone|help) to\b/i,
+        /\b(who|which one of you) (can|will|is going to)\b/i,
+      ],
+      opinion: [
+        /\bwhat do (you|you all|y'all|everyone|we) think\b/i,
+        /\bthoughts\s*\?/i,
+        /\bwdyt\b/i,
+        /\bopinion(s)?\s*\?/i,
+        /\bfeedback\s*\?/i,
+        /\bwhat('s| is) your (take|view|opinion|thought)\b/i,
+        /\b(good|bad|better|best|right|wrong) (idea|approach|way|option|choice)\s*\?/i,
+        /\b(should|shall) (we|i)\b/i,
+        /\b(prefer|preference)\b.*\?/i,
+      ],
+      info_seeking: [
+        /^(who|what|where|when|why|how|which|whose|whom)\b/i,
+        /\b(who|what|where|when|why|how|which)\b.*\?$/i,
+      ],
+      // Implicit questions, without a question mark
+      general: [
+        /\bany\s*(one|body)\s*(know|here|available|free)\b/i,
+        /\bany idea(s)?\b/i,
+        /\bdo you have\b/i,
+        /\bhave you\b/i,
+        /\bis there\b/i,
+        /\bwondering (if|about|whether)\b/i,
+        /\bcurious (if|about|whether)\b/i,
+      ]
+    },
+
+    priority: {
+      urgent: /\b(urgent|asap|emergency|critical|immediately|right now|time sensitive|deadline today|eod|end of day|blocker|blocking|stuck)\b/i,
+      high: /\b(important|priority|needed|required|must|deadline|by (today|tomorrow|monday|tuesday|wednesday|thursday|friday)|client|customer|partner|escalat)\b/i,
+      low: /\b(just wondering|just curious|no rush|whenever|no hurry|low priority|not urgent|fyi|btw)\b/i
+    },
+
+    stopWords: [
+      'the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+      'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+      'should', 'may', 'might', 'shall', 'can', 'need', 'must',
+      'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
+      'my', 'your', 'his', 'its', 'our', 'their',
+      'this', 'that', 'these', 'those', 'what', 'which', 'who', 'whom',
+      'when', 'where', 'why', 'how',
+      'and', 'but', 'or', 'nor', 'not', 'so', 'yet', 'both', 'either', 'neither',
+      'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'about', 'into',
+      'if', 'then', 'than', 'too', 'very', 'just', 'also', 'any', 'all', 'no', 'yes',
+      'up', 'out', 'there', 'here', 'now', 'get', 'got', 'still', 'some',
+      'please', 'thanks', 'thank', 'know', 'think', 'anyone', 'someone', 'anybody',
+      'everybody', 'everyone', 'something', 'anything', 'nothing'
+    ],
+
+    answers: {
+      strong: [
+        /^(yes|yeah|yep|yup|ya|yea|sure|correct|exactly|absolutely|definitely|of course|right)\b/,
+        /^(no|nope|nah|not really|unfortunately|sadly|afraid not|negative)\b/,
+        /^(done|sorted|fixed|handled|resolved|completed|finished|sent|updated|approved)\b/,
+        /\b(i('ll|'ll| will| can)|we('ll|'ll| will| can)|let me|i('m|'m| am) on it)\b/,
+        /\b(here you go|here it is|see attached|check this|take a look|see below)\b/,
+        /\b(the answer is|it('s|'s| is)|they('re|'re| are)|that('s|'s| is))\b/,
+        /^@?\w+\s+(yes|no|it|the|that|here|done|i)\b/,
+      ],
+      medium: [
+        /\bhttps?:\/\/\S+\b/,
+        /\b\d{1,2}[:.]\d{2}\b/,
+        /\b\d+\s*(pm|am|hrs?|hours?|mins?|minutes?|days?|weeks?)\b/i,
+        /\b(tomorrow|today|tonight|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
+        /\b(because|since|the reason|due to)\b/i,
+        /\b(try|use|go to|click|open|check|look at)\b/i,
+        /\b(attached|uploading|sending|forwarding)\b/i,
+      ],
+      weak: [
+        /\b(ok|okay|sure thing|will do|got it|noted|thanks|thank you|understood|acknowledged)\b/i,
+        /\b(i think|maybe|probably|possibly|perhaps|likely)\b/i,
+      ],
+      anti: [
+        /^(lol|haha|😂|🤣|😅|💀)/i,
+        /^(good morning|good afternoon|good evening|hi|hello|hey)\b/i,
+        /^\?+$/,
+        /^(same|me too|i agree)\s*$/i,
+      ]
+    },
+
+    // How a matched answer is described in its signals, first match wins
+    answerDetails: [
+      [/^(yes|yeah|yep|sure|correct|absolutely|definitely)\b/i, 'affirmative response'],
+      [/^(no|nope|nah|not really|unfortunately)\b/i, 'negative response'],
+      [/^(done|sorted|fixed|handled|resolved|completed)\b/i, 'task completion'],
+      [/\bhttps?:\/\//i, 'contains link'],
+      [/\b(attached|uploading|sending)\b/i, 'sharing resource'],
+    ],
+
+    // Answers that fit the question's type, as [pattern, score] (first match wins)
+    typeAnswers: {
+      yes_no: [
+        [/^(yes|yeah|yep|yup|sure|correct|no|nope|nah|not really)\b/i, 0.9],
+        [/\b(yes|no|correct|incorrect|right|wrong)\b/i, 0.5],
+      ],
+      approval: [
+        [/\b(approved|approve|go ahead|lgtm|looks good|green light|sign off|rejected|denied)\b/i, 0.95],
+        [/\b(yes|sure|ok|no|hold off|wait|not yet)\b/i, 0.6],
+      ],
+      scheduling: [
+        [/\b\d{1,2}[:.]\d{2}\b/, 0.8],
+        [/\b(tomorrow|today|monday|tuesday|wednesday|thursday|friday|pm|am)\b/i, 0.7],
+        [/\b(works for me|i'm free|available|busy|can't make it)\b/i, 0.6],
+      ],
+      status_check: [
+        [/\b(done|complete|in progress|working on|almost|nearly|started|not started|blocked)\b/i, 0.8],
+        [/\b(eta|expected|should be|will be|by)\b/i, 0.5],
+      ],
+      action_request: [
+        [/\b(done|on it|will do|i'll|i can|sending|sent|shared|handling)\b/i, 0.8],
+        [/\b(i can't|unable|not possible|someone else)\b/i, 0.6],
+      ],
+      opinion: [
+        [/\b(i think|in my opinion|imo|i'd say|i prefer|i suggest|i recommend)\b/i, 0.8],
+        [/\b(agree|disagree|option|better|worse|prefer)\b/i, 0.5],
+      ]
+    }
+  },
+
+  es: {
+    name: 'Español',
+
+    detect: [
+      'el', 'los', 'las', 'es', 'y', 'pero', 'muy', 'hay', 'tienes', 'tiene', 'tienen',
+      'puedes', 'puede', 'pueden', 'cuando', 'donde', 'hola', 'gracias', 'usted', 'ustedes',
+      'tambien', 'alguien', 'necesito', 'necesitamos', 'hoy', 'manana', 'cuanto', 'cuantos',
+      'cual', 'quien', 'en', 'del', 'con', 'un', 'una', 'lo', 'al', 'yo', 'esto', 'eso'
+    ],
+
+    nonQuestion: [
+      /^((ja){2,}|(je){2,}|(js){2,}|xd|😂|🤣|😅|💀|genial|buenisimo|perfecto|vale|ok|okey|dale|excelente)\s*[?!.]*$/i,
+      /^(buenos dias|buen dia|buenas tardes|buenas noches|buenas)\s*[?!.]*$/i,
+      /^(hola|holi|que tal)\s*[?!.]*$/i,
+      /^(claro|cierto|verdad|exacto|igual|asi es)\s*\??$/i,
+      /^(listo|hecho|enviado|resuelto|terminado|actualizado|aprobado|confirmado|recibido|anotado|aceptado|rechazado)\s*[.!]?$/i,
+      /^(que|como)\s*\?*$/i,  // just "¿qué?" as reaction
+      /^(en serio|de verdad)\s*\??$/i,
+      /^que (bien|bueno|buena|lindo|linda|genial|pena|suerte|bonito|bonita)\b[^?]*$/i,
+    ],
+
+    questionTypes: {
+      // Spanish doesn't invert for yes/no questions, so only with a question mark
+      yes_no: [
+        /^(es|son|esta|estan|hay|tienes|tiene|tienen|tenemos|puedes|puede|pueden|podemos|podrias|podria|sabes|sabe|saben|vas|va|van|vamos|hiciste|hizo|llego|llegaron|quieres|quiere|necesitas|necesita)\b.*\?/i,
+      ],
+      approval: [
+        /\b(aprueba|apruebas|aprobado|aprobacion|visto bueno|luz verde|autoriza|autorizas|autorizacion)\b.*\?/i,
+        /\b(puedo|podemos) (seguir|avanzar|proceder|continuar|empezar|comenzar|arrancar)\b/i,
+        /\b(esta|estamos) (bien|ok|listo|listos|aprobado)\b.*\?/i,
+        /\b(listo|listos) para (enviar|mandar|lanzar|publicar|despachar)\b.*\?/i,
+      ],
+      scheduling: [
+        /\b(cuando|a que hora|que dia|que hora)\b.*\b(reunion|llamada|junta|sesion|disponible|disponibles|libre|libres)\b/i,
+        /\b(reunion|llamada|junta)\b.*\b(cuando|a que hora|agendar|programar)\b/i,
+        /\b(agendar|agendamos|reprogramar)\b/i,
+        /\bcuando (puedes|puedo|podemos|pueden|nos vemos|quedamos)\b/i,
+        /\b(disponibilidad|disponible)\s*\?/i,
+      ],
+      status_check: [
+        /\b(estado|avance|novedades|actualizacion|eta|plazo|fecha de entrega)\b.*\?/i,
+        /\bcomo (va|vamos|van|sigue)\b/i,
+        /\b(alguna|hay) (novedad|noticia|actualizacion)\b/i,
+        /\ben que (va|quedo|estamos)\b/i,
+      ],
+      action_request: [
+        /\b(puedes|podes|puede|pueden|podrias|podria|podrian)\b.*\b(enviar|mandar|hacer|crear|revisar|ver|checar|chequear|arreglar|actualizar|compartir|reenviar|subir|agregar|quitar|confirmar|cotizar)\b/i,
+        /\bme (puedes|podrias|pasas|mandas|envias|confirmas)\b/i,
+        /\b(por favor|porfa)\b.*\b(enviar|envia|manda|mandar|hacer|haz|revisa|revisar|confirma|confirmar|comparte|compartir|actualiza)\b/i,
+        /\bnecesito (que|ayuda)\b/i,
+        /\bquien (puede|va a|se encarga)\b/i,
+      ],
+      opinion: [
+        /\bque (opinas|opinan|piensas|piensan|te parece|les parece)\b/i,
+        /\b(opiniones|comentarios|ideas)\s*\?/i,
+        /\b(buena|mala|mejor) (idea|opcion|forma|manera)\s*\?/i,
+        /\b(deberiamos|debemos)\b/i,
+        /\b(prefieres|prefieren|preferencia)\b.*\?/i,
+      ],
+      info_seeking: [
+        /^(quien|quienes|donde|adonde|cuando|cual|cuales|cuanto|cuanta|cuantos|cuantas)\b/i,
+        /^(que|como|por que)\b.*\?/i,  // also exclamations ("¡qué bien!") without one
+        /\b(quien|que|donde|cuando|por que|como|cual|cuanto|cuantos)\b.*\?$/i,
+      ],
+      general: [
+        /\balguien (sabe|tiene|puede|esta)\b/i,
+        /\balguna idea\b/i,
+        /\b(tienes|tienen|tendras|tendran)\b/i,
+        /\bhay (algun|alguna|algo)\b/i,
+        /\b(me pregunto|quisiera saber|queria saber) si\b/i,
+      ]
+    },
+
+    priority: {
+      urgent: /\b(urgente|urge|emergencia|critico|critica|inmediato|inmediatamente|ya mismo|ahora mismo|cuanto antes|lo antes posible|hoy mismo|bloqueado|bloqueante|trabado)\b/i,
+      high: /\b(importante|prioridad|prioritario|necesario|necesitamos|obligatorio|fecha limite|plazo|para (hoy|manana|el lunes|el martes|el miercoles|el jueves|el viernes)|cliente|socio|escalar)\b/i,
+      low: /\b(sin prisa|sin apuro|no es urgente|cuando puedas|cuando tengas tiempo|baja prioridad|solo por curiosidad|para que sepas)\b/i
+    },
+
+    stopWords: [
+      'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'del', 'al',
+      'que', 'es', 'son', 'era', 'fue', 'ser', 'estar', 'esta', 'estan', 'este', 'esto',
+      'ese', 'esa', 'eso', 'por', 'para', 'con', 'sin', 'sus', 'les', 'nos',
+      'ella', 'ellos', 'ustedes', 'usted', 'como', 'cuando', 'donde', 'quien', 'cual',
+      'cuanto', 'pero', 'muy', 'mas', 'tambien', 'hay', 'tiene', 'tienen', 'tienes',
+      'puede', 'puedes', 'pueden', 'favor', 'gracias', 'hola', 'alguien', 'algo', 'nada',
+      'todo', 'todos', 'porque', 'aqui', 'ahi', 'bien'
+    ],
+
+    answers: {
+      strong: [
+        /^(si|claro|correcto|exacto|por supuesto|obvio|desde luego|asi es|dale)\b/,
+        /^(no|nop|para nada|lamentablemente|desafortunadamente)\b/,
+        /^(listo|hecho|resuelto|terminado|enviado|actualizado|aprobado)\b/,
+        /\b(me encargo|yo (lo )?(hago|reviso|envio|mando)|ahora (lo )?(hago|envio|mando)|ya (lo )?(envie|mande|hice))\b/,
+        /\b(aqui (esta|tienes|va)|te (lo )?(envio|mando|paso)|ver abajo)\b/,
+        /\b(la respuesta es)\b/,
+      ],
+      medium: [
+        /\bhttps?:\/\/\S+\b/,
+        /\b\d{1,2}[:.]\d{2}\b/,
+        /\b\d+\s*(hrs?|horas?|min|minutos?|dias?|semanas?)\b/i,
+        /\b(manana|hoy|esta noche|lunes|martes|miercoles|jueves|viernes|sabado|domingo)\b/i,
+        /\b(porque|ya que|debido a|la razon)\b/i,
+        /\b(prueba|usa|ve a|haz clic|abre|revisa|mira)\b/i,
+        /\b(adjunto|adjunta|enviando|mandando|reenviando)\b/i,
+      ],
+      weak: [
+        /\b(ok|vale|de acuerdo|entendido|anotado|gracias|perfecto|recibido)\b/i,
+        /\b(creo que|quizas|quiza|tal vez|probablemente|posiblemente)\b/i,
+      ],
+      anti: [
+        /^(jaja|jeje|😂|🤣|😅|💀)/i,
+        /^(buenos dias|buen dia|buenas tardes|buenas noches|buenas|hola)\b/i,
+        /^\?+$/,
+        /^(igual|yo tambien|lo mismo|estoy de acuerdo)\s*$/i,
+      ]
+    },
+
+    answerDetails: [
+      [/^(si|claro|correcto|exacto|por supuesto)\b/i, 'affirmative response'],
+      [/^(no|nop|para nada|lamentablemente)\b/i, 'negative response'],
+      [/^(listo|hecho|resuelto|terminado)\b/i, 'task completion'],
+      [/\bhttps?:\/\//i, 'contains link'],
+      [/\b(adjunto|enviando|mandando)\b/i, 'sharing resource'],
+    ],
+
+    typeAnswers: {
+      yes_no: [
+        [/^(si|claro|correcto|no|nop|para nada)\b/i, 0.9],
+        [/\b(si|no|correcto|incorrecto|cierto|falso)\b/i, 0.5],
+      ],
+      approval: [
+        [/\b(aprobado|apruebo|adelante|luz verde|visto bueno|se ve bien|rechazado|denegado)\b/i, 0.95],
+        [/\b(si|ok|vale|dale|no|espera|todavia no|aun no)\b/i, 0.6],
+      ],
+      scheduling: [
+        [/\b\d{1,2}[:.]\d{2}\b/, 0.8],
+        [/\b(manana|hoy|lunes|martes|miercoles|jueves|viernes)\b/i, 0.7],
+        [/\b(me sirve|me queda bien|estoy libre|disponible|ocupado|no puedo)\b/i, 0.6],
+      ],
+      status_check: [
+        [/\b(listo|terminado|en proceso|en curso|trabajando en|casi|empezamos|sin empezar|bloqueado)\b/i, 0.8],
+        [/\b(estimado|deberia estar|va a estar|estara|para el)\b/i, 0.5],
+      ],
+      action_request: [
+        [/\b(listo|hecho|me encargo|lo hago|enviando|enviado|compartido|en eso)\b/i, 0.8],
+        [/\b(no puedo|imposible|no es posible|otra persona)\b/i, 0.6],
+      ],
+      opinion: [
+        [/\b(creo que|en mi opinion|yo diria|prefiero|sugiero|recomiendo)\b/i, 0.8],
+        [/\b(de acuerdo|en desacuerdo|opcion|mejor|peor)\b/i, 0.5],
+      ]
+    }
+  },
+
+  pt: {
+    name: 'Português',
+
+    detect: [
+      'voce', 'voces', 'nao', 'sim', 'obrigado', 'obrigada', 'tem', 'temos', 'pode', 'podem',
+      'quando', 'onde', 'com', 'um', 'uma', 'isso', 'isto', 'mas', 'muito', 'hoje', 'amanha',
+      'quanto', 'qual', 'quem', 'tambem', 'alguem', 'preciso', 'precisamos', 'ola', 'oi',
+      'em', 'da', 'dos', 'das', 'na', 'eu', 'e', 'sao', 'estou', 'vou', 'pra', 'gente', 'tudo'
+    ],
+
+    nonQuestion: [
+      /^(k{3,}|(rs)+|(ha){2,}|(he){2,}|😂|🤣|😅|💀|legal|otimo|show|beleza|blz|top|massa|ok|certo|perfeito)\s*[?!.]*$/i,
+      /^(bom dia|boa tarde|boa noite)\s*[?!.]*$/i,
+      /^(oi|ola|opa|e ai|tudo bem|tudo bom|tudo certo)\s*[?!.]*$/i,
+      /^(verdade|exato|isso|pois e|tambem)\s*\??$/i,
+      /^(feito|pronto|resolvido|concluido|enviado|atualizado|aprovado|confirmado|recebido|anotado|aceito|rejeitado)\s*[.!]?$/i,
+      /^(que|o que|como|hein|ue)\s*\?*$/i,  // just "o quê?" as reaction
+      /^(serio|jura)\s*\??$/i,
+      /^que (bom|legal|otimo|pena|sorte|lindo|linda)\b[^?]*$/i,
+    ],
+
+    questionTypes: {
+      // Portuguese doesn't invert for yes/no questions, so only with a question mark
+      yes_no: [
+        /^(e (possivel|isso|verdade|para)|sao|esta|estao|ta|tem|tens|temos|voce tem|pode|podes|podem|podemos|poderia|sabe|sabem|vai|vao|vamos|chegou|chegaram|quer|querem|precisa)\b.*\?/i,
+      ],
+      approval: [
+        /\b(aprova|aprovado|aprovacao|sinal verde|autoriza|autorizado|autorizacao)\b.*\?/i,
+        /\b(posso|podemos) (seguir|avancar|prosseguir|continuar|comecar|iniciar)\b/i,
+        /\b(esta|estamos|ta) (ok|bom|pronto|prontos|aprovado|certo)\b.*\?/i,
+        /\b(pronto|prontos) para (enviar|mandar|lancar|publicar|despachar)\b.*\?/i,
+      ],
+      scheduling: [
+        /\b(quando|que horas|que dia|qual dia|qual horario)\b.*\b(reuniao|ligacao|call|chamada|disponivel|livre)\b/i,
+        /\b(reuniao|ligacao|call|chamada)\b.*\b(quando|que horas|agendar|marcar)\b/i,
+        /\b(agendar|agendamos|remarcar)\b/i,
+        /\bquando (pode|podemos|podem|voce pode|a gente)\b/i,
+        /\b(disponibilidade|disponivel)\s*\?/i,
+      ],
+      status_check: [
+        /\b(status|andamento|novidade|novidades|atualizacao|previsao|prazo)\b.*\?/i,
+        /\bcomo (esta|ta|estao|anda|andam) (o|a|os|as)\b/i,
+        /\b(alguma|tem) (novidade|noticia|atualizacao)\b/i,
+        /\bem que pe (esta|estamos|ta)\b/i,
+      ],
+      action_request: [
+        /\b(pode|podes|podem|poderia|poderiam|consegue|consegues|conseguem|conseguiria)\b.*\b(enviar|mandar|fazer|criar|verificar|ver|olhar|checar|resolver|arrumar|atualizar|compartilhar|encaminhar|subir|adicionar|remover|confirmar|cotar)\b/i,
+        /\bme (manda|envia|passa|confirma)\b/i,
+        /\b(por favor|pfv)\b.*\b(enviar|envia|manda|mandar|fazer|faz|verifica|verificar|confirma|confirmar|compartilha|atualiza)\b/i,
+        /\bpreciso (que|de ajuda)\b/i,
+        /\bquem (pode|vai|consegue)\b/i,
+      ],
+      opinion: [
+        /\bo que (voce acha|voces acham|acha|acham)\b/i,
+        /\b(opinioes|opiniao|sugestoes|ideias)\s*\?/i,
+        /\b(boa|ma|melhor) (ideia|opcao|forma|maneira)\s*\?/i,
+        /\b(devemos|deveriamos)\b/i,
+        /\b(prefere|preferem|preferencia)\b.*\?/i,
+      ],
+      info_seeking: [
+        /^(quem|onde|aonde|quando|qual|quais|quanto|quanta|quantos|quantas)\b/i,
+        /^(o que|que|como|por que)\b.*\?/i,
+        /\b(quem|que|onde|quando|por que|como|qual|quanto|quantos)\b.*\?$/i,
+      ],
+      general: [
+        /\balguem (sabe|tem|pode|esta)\b/i,
+        /\balguma ideia\b/i,
+        /\b(voce tem|voces tem|tem como)\b/i,
+        /\b(sera que|queria saber se|gostaria de saber)\b/i,
+      ]
+    },
+
+    priority: {
+      urgent: /\b(urgente|urgencia|emergencia|critico|critica|imediato|imediatamente|agora mesmo|o quanto antes|o mais rapido possivel|hoje ainda|travado|bloqueado|bloqueando)\b/i,
+      high: /\b(importante|prioridade|prioritario|necessario|precisamos|obrigatorio|prazo|ate (hoje|amanha|segunda|terca|quarta|quinta|sexta)|cliente|parceiro|escalar)\b/i,
+      low: /\b(sem pressa|quando puder|quando der|nao e urgente|baixa prioridade|so por curiosidade|so curiosidade)\b/i
+    },
+
+    stopWords: [
+      'uma', 'uns', 'umas', 'dos', 'das', 'nos', 'nas', 'que', 'sao', 'era', 'foi',
+      'ser', 'estar', 'esta', 'estao', 'este', 'esse', 'essa', 'isso', 'isto', 'aquilo',
+      'por', 'para', 'pra', 'com', 'sem', 'seu', 'sua', 'seus', 'suas', 'lhe', 'meu',
+      'minha', 'eu', 'ele', 'ela', 'eles', 'elas', 'voce', 'voces', 'como', 'quando',
+      'onde', 'quem', 'qual', 'quanto', 'mas', 'sim', 'nao', 'muito', 'mais', 'tambem',
+      'tem', 'pode', 'podem', 'favor', 'obrigado', 'obrigada', 'ola', 'alguem', 'algo',
+      'nada', 'tudo', 'todos', 'gente', 'porque', 'aqui', 'bem'
+    ],
+
+    answers: {
+      strong: [
+        /^(sim|claro|certo|correto|exato|com certeza|isso mesmo|pode ser|beleza)\b/,
+        /^(nao|infelizmente|negativo)\b/,
+        /^(feito|pronto|resolvido|concluido|enviado|atualizado|aprovado)\b/,
+        /\b(vou (fazer|ver|mandar|enviar|verificar)|deixa comigo|to vendo|estou vendo|ja (enviei|mandei|fiz))\b/,
+        /\b(aqui esta|segue|em anexo|veja abaixo)\b/,
+        /\b(a resposta e)\b/,
+      ],
+      medium: [
+        /\bhttps?:\/\/\S+\b/,
+        /\b\d{1,2}[:.]\d{2}\b/,
+        /\b\d+\s*(hrs?|horas?|min|minutos?|dias?|semanas?)\b/i,
+        /\b(amanha|hoje|hoje a noite|segunda|terca|quarta|quinta|sexta|sabado|domingo)\b/i,
+        /\b(porque|pois|devido a|o motivo)\b/i,
+        /\b(tenta|tente|usa|use|vai em|clica|clique|abre|abra|olha|veja)\b/i,
+        /\b(anexo|anexado|enviando|mandando|encaminhando)\b/i,
+      ],
+      weak: [
+        /\b(ok|beleza|blz|combinado|entendi|entendido|anotado|obrigado|obrigada|valeu|perfeito|recebido)\b/i,
+        /\b(acho que|talvez|provavelmente|possivelmente)\b/i,
+      ],
+      anti: [
+        /^(kkk|rs|haha|😂|🤣|😅|💀)/i,
+        /^(bom dia|boa tarde|boa noite|oi|ola)\b/i,
+        /^\?+$/,
+        /^(igual|eu tambem|concordo)\s*$/i,
+      ]
+    },
+
+    answerDetails: [
+      [/^(sim|claro|certo|correto|exato|com certeza)\b/i, 'affirmative response'],
+      [/^(nao|infelizmente|negativo)\b/i, 'negative response'],
+      [/^(feito|pronto|resolvido|concluido)\b/i, 'task completion'],
+      [/\bhttps?:\/\//i, 'contains link'],
+      [/\b(anexo|enviando|mandando|segue)\b/i, 'sharing resource'],
+    ],
+
+    typeAnswers: {
+      yes_no: [
+        [/^(sim|claro|certo|correto|nao)\b/i, 0.9],
+        [/\b(sim|nao|correto|incorreto|certo|errado)\b/i, 0.5],
+      ],
+      approval: [
+        [/\b(aprovado|aprovo|pode seguir|sinal verde|de acordo|ta bom|rejeitado|negado)\b/i, 0.95],
+        [/\b(sim|ok|beleza|nao|espera|ainda nao)\b/i, 0.6],
+      ],
+      scheduling: [
+        [/\b\d{1,2}[:.]\d{2}\b/, 0.8],
+        [/\b(amanha|hoje|segunda|terca|quarta|quinta|sexta)\b/i, 0.7],
+        [/\b(pra mim serve|fica bom|estou livre|disponivel|ocupado|nao consigo)\b/i, 0.6],
+      ],
+      status_check: [
+        [/\b(pronto|concluido|em andamento|trabalhando nisso|quase|comecamos|nao comecou|travado)\b/i, 0.8],
+        [/\b(previsao|deve ficar|vai ficar|ate)\b/i, 0.5],
+      ],
+      action_request: [
+        [/\b(feito|pronto|deixa comigo|vou fazer|enviando|enviado|compartilhado|to vendo)\b/i, 0.8],
+        [/\b(nao consigo|nao posso|impossivel|nao da|outra pessoa)\b/i, 0.6],
+      ],
+      opinion: [
+        [/\b(acho que|na minha opiniao|eu diria|prefiro|sugiro|recomendo)\b/i, 0.8],
+        [/\b(concordo|discordo|opcao|melhor|pior)\b/i, 0.5],
+      ]
+    }
+  }
+};
+
+/** Strip accents ("cuándo" → "cuando", "não" → "nao"), leaving case alone. */
+function foldText(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * The pack a message is written in: the one whose marker words it uses most
+ * (ñ / ¿ / ¡ count towards Spanish, ã / õ / ç towards Portuguese). Falls back
+ * to English when no other language clearly wins.
+ */
+function detectLanguage(text, packs = LANGUAGE_PACKS) {
+  const raw = String(text || '').toLowerCase();
+  const words = foldText(raw).split(/[^a-z0-9']+/).filter(Boolean);
+  if (words.length === 0) return DEFAULT_LANGUAGE;
+
+  const scores = {};
+  for (const [code, pack] of Object.entries(packs)) {
+    const markers = new Set(pack.detect || []);
+    scores[code] = words.filter(w => markers.has(w)).length;
+  }
+  if (scores.es !== undefined && /[ñ¿¡]/.test(raw)) scores.es += 2;
+  if (scores.pt !== undefined && /[ãõç]/.test(raw)) scores.pt += 2;
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, runnerUp] = ranked;
+  if (!best || best[1] === 0 || (runnerUp && runnerUp[1] === best[1])) return DEFAULT_LANGUAGE;
+  return best[0];
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_PACKS,
+  foldText,
+  detectLanguage
+};
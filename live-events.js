@@ -0,0 +1,125 @@
+/**
+ * Live Events — pushes WhatsApp and Store events to the browser over SSE
+ *
+ * server.js forwards events into publish(); each open GET /api/events
+ * connection receives them as Server-Sent Events, so the dashboards update
+ * the moment something happens instead of on the next poll.
+ *
+ * Events (the SSE `event:` name; `data:` is JSON):
+ *   notification      { type: question | mention | dm, sender, body, chatId, chatName, timestamp }
+ *   question_answered { id, answeredBy, auto }
+ *   task_changed      { id, action }
+ *   approval_changed  { id, action }
+ *   outbox_status     { id, batchId, chatId, status, error } — a queued send progressed
+ *   data_updated      {} — something was stored; coalesced to one per second
+ *   status            { whatsapp } — connection state changed
+ *
+ * Clients can pass ?topics=task_changed,approval_changed to receive a subset.
+ * A comment line is written every 25s so proxies don't close idle streams.
+ */
+
+const HEARTBEAT_MS = 25000;
+const COALESCE_MS = 1000;
+
+// Events that fire once per stored message — collapsed so a backfill doesn't flood clients
+const COALESCED_EVENTS = new Set(['data_updated']);
+
+class LiveEvents {
+  constructor() {
+    this.clients = new Set();
+    this._pending = new Map(); // event -> timer for coalesced events
+    this._heartbeat = null;
+  }
+
+  /**
+   * Attach an Express request/response pair as an SSE stream.
+   * The caller is responsible for authentication.
+   */
+  subscribe(req, res) {
+    const topics = typeof req.query.topics === 'string' && req.query.topics
+      ? new Set(req.query.topics.split(',').map(t => t.trim()).filter(Boolean))
+      : null;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable nginx/Railway proxy buffering
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, topics, user: req.user ? req.user.name : null };
+    this.clients.add(client);
+    this._startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this._stopHeartbeat();
+    });
+
+    this._write(client, 'hello', { clients: this.clients.size });
+  }
+
+  publish(event, data = {}) {
+    if (!COALESCED_EVENTS.has(event)) return this._broadcast(event, data);
+    if (this._pending.has(event)) return;
+    this._pending.set(event, setTimeout(() => {
+      this._pending.delete(event);
+      this._broadcast(event, data);
+    }, COALESCE_MS));
+  }
+
+  /**
+   * Forward the given events from an EventEmitter (Store, WhatsAppClient).
+   * Returns a function that removes the listeners again.
+   */
+  forward(emitter, events) {
+    const listeners = events.map(event => {
+      const listener = (data) => this.publish(event, data);
+      emitter.on(event, listener);
+      return [event, listener];
+    });
+    return () => listeners.forEach(([event, listener]) => emitter.off(event, listener));
+  }
+
+  close() {
+    for (const timer of this._pending.values()) clearTimeout(timer);
+    this._pending.clear();
+    this._stopHeartbeat();
+    for (const client of this.clients) client.res.end();
+    this.clients.clear();
+  }
+
+  // ── Internals ──
+
+  _broadcast(event, data) {
+    for (const client of this.clients) {
+      if (client.topics && !client.topics.has(event)) continue;
+      this._write(client, event, data);
+    }
+  }
+
+  _write(client, event, data) {
+    try {
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data || {})}\n\n`);
+    } catch (err) {
+      console.error('[LiveEvents] write error:', err.message);
+      this.clients.delete(client);
+    }
+  }
+
+  _startHeartbeat() {
+    if (this._heartbeat) return;
+    this._heartbeat = setInterval(() => {
+      for (const client of this.clients) client.res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    this._heartbeat.unref();
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeat);
+    this._heartbeat = null;
+  }
+}
+
+module.exports = { LiveEvents };
@@ -0,0 +1,176 @@
+/**
+ * Media Archive — keeps the photos, documents, voice notes and videos
+ * partners send, since WhatsApp stops serving media after a while
+ *
+ * Store.archiveMedia saves each file once (keyed by its SHA-256, so the same
+ * offer-sheet PDF forwarded to five groups is stored once), records it in
+ * media_files and links it from `messages.media_id`. The bytes live in a
+ * backend chosen with MEDIA_STORAGE:
+ *
+ *   local    (default) — files under MEDIA_DIR (default <WWEBJS_DATA_DIR>/media,
+ *                        so they sit on the same volume as the WhatsApp session)
+ *   supabase           — a private Supabase Storage bucket, MEDIA_BUCKET
+ *                        (default 'media'); needs SUPABASE_URL + SUPABASE_SERVICE_KEY.
+ *                        Use this when the API also runs on Vercel, which
+ *                        can't see the server's disk.
+ *
+ * Thumbnails are the small JPEG previews WhatsApp sends with images, videos
+ * and some documents; nothing is rendered server-side.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MEDIA_BACKENDS = ['local', 'supabase'];
+
+// WhatsApp message types worth keeping, by the kind shown in the archive
+const MEDIA_KINDS = {
+  image: 'image',
+  video: 'video',
+  gif: 'video',
+  audio: 'audio',
+  ptt: 'audio',        // voice note
+  document: 'document',
+  sticker: 'image'
+};
+
+// Anything bigger is left on WhatsApp (MEDIA_MAX_MB)
+const DEFAULT_MAX_MB = 64;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif',
+  'video/mp4': 'mp4', 'video/3gpp': '3gp',
+  'audio/ogg': 'ogg', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a', 'audio/aac': 'aac',
+  'application/pdf': 'pdf'
+};
+
+class LocalMediaBackend {
+  constructor({ dir } = {}) {
+    this.name = 'local';
+    this.dir = dir || process.env.MEDIA_DIR ||
+      path.join(process.env.WWEBJS_DATA_DIR || path.join(__dirname, '.wwebjs_data'), 'media');
+  }
+
+  _path(key) {
+    // Keys are generated by mediaKey(); refuse anything that could leave the directory
+    if (!/^[a-z0-9/._-]+$/i.test(key) || key.includes('..')) throw new Error(`Invalid media key "${key}"`);
+    return path.join(this.dir, key);
+  }
+
+  async put(key, buffer) {
+    const file = this._path(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this._path(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+}
+
+class SupabaseMediaBackend {
+  constructor({ url, serviceKey, bucket } = {}) {
+    if (!url || !serviceKey) {
+      throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in environment (required for MEDIA_STORAGE=supabase)');
+    }
+    const { createClient } = require('@supabase/supabase-js');
+    this.name = 'supabase';
+    this.bucket = bucket || process.env.MEDIA_BUCKET || 'media';
+    this.client = createClient(url, serviceKey);
+    this._bucketReady = null;
+  }
+
+  // Create the (private) bucket on first use; "already exists" is fine
+  _ensureBucket() {
+    if (!this._bucketReady) {
+      this._bucketReady = this.client.storage.createBucket(this.bucket, { public: false })
+        .then(() => true)
+        .catch(() => true);
+    }
+    return this._bucketReady;
+  }
+
+  async put(key, buffer, mimetype) {
+    await this._ensureBucket();
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType: mimetype || 'application/octet-stream', upsert: true });
+    if (error) throw error;
+  }
+
+  async get(key) {
+    const { data, error } = await this.client.storage.from(this.bucket).download(key);
+    if (error || !data) return null;
+    return Buffer.from(await data.arrayBuffer());
+  }
+}
+
+function createMediaBackend(options = {}) {
+  const backend = (options.backend || process.env.MEDIA_STORAGE || 'local').toLowerCase();
+
+  switch (backend) {
+    case 'local':
+      return new LocalMediaBackend({ dir: options.dir });
+
+    case 'supabase':
+      return new SupabaseMediaBackend({
+        url: options.url || process.env.SUPABASE_URL,
+        serviceKey: options.serviceKey || process.env.SUPABASE_SERVICE_KEY,
+        bucket: options.bucket
+      });
+
+    default:
+      throw new Error(`Unknown MEDIA_STORAGE "${backend}" — expected one of: ${MEDIA_BACKENDS.join(', ')}`);
+  }
+}
+
+/** The archive kind for a WhatsApp message type, or null if it isn't archived. */
+function mediaKind(type) {
+  return MEDIA_KINDS[type] || null;
+}
+
+function mediaMaxBytes() {
+  return (parseFloat(process.env.MEDIA_MAX_MB) || DEFAULT_MAX_MB) * 1024 * 1024;
+}
+
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// "ab/abcdef….pdf" — fanned out by the first byte of the hash
+function mediaKey(hash, mimetype, suffix = '') {
+  const ext = EXTENSIONS[(mimetype || '').split(';')[0].trim()] || 'bin';
+  return `${hash.slice(0, 2)}/${hash}${suffix}.${ext}`;
+}
+
+/** What the API returns for an archived file — served by GET /api/media/:id. */
+function publicMedia(file) {
+  if (!file) return null;
+  return {
+    id: file.id,
+    kind: file.kind,
+    mimetype: file.mimetype,
+    filename: file.filename,
+    size: file.size,
+    url: `/api/media/${file.id}`,
+    thumbnailUrl: file.thumbnail_key || file.kind === 'image' ? `/api/media/${file.id}/thumbnail` : null
+  };
+}
+
+module.exports = {
+  MEDIA_BACKENDS,
+  LocalMediaBackend,
+  SupabaseMediaBackend,
+  createMediaBackend,
+  mediaKind,
+  mediaMaxBytes,
+  contentHash,
+  mediaKey,
+  publicMedia
+};
@@ -0,0 +1,56 @@
+-- Migration 006: Offer-sheet approvals
+-- Partner replies to offer sheets (approve / reject / approve with conditions),
+-- detected by the AI classifier and reviewed by the team in approvals.html
+
+create table if not exists approvals (
+  id text primary key,
+
+  -- Source message
+  chat_id text not null,
+  chat_name text default '',
+  sender text not null,
+  body text default '',
+  timestamp bigint not null,
+  msg_id text,
+
+  -- What was approved
+  offer_sheet_ref text default '',        -- quoted offer text (first 200 chars)
+  offer_description text default '',
+  source_message_id text,                 -- WhatsApp ID of the offer message, when known
+
+  -- Decision
+  status text default 'pending_review' check (status in ('approved', 'rejected', 'conditional', 'pending_review')),
+  conditions text default '',
+  confidence numeric default 0,
+  ai_summary text default '',
+
+  -- Surrounding chat messages at detection time: [{sender, body, timestamp}, ...]
+  context_messages jsonb default '[]'::jsonb,
+
+  -- Team review
+  reviewed boolean default false,
+  reviewed_by text,
+  reviewed_at bigint,
+  notes text default '',
+
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_approvals_timestamp on approvals(timestamp desc);
+create index if not exists idx_approvals_status on approvals(status);
+create index if not exists idx_approvals_chat_id on approvals(chat_id);
+create index if not exists idx_approvals_sender on approvals(sender);
+create index if not exists idx_approvals_reviewed on approvals(reviewed) where reviewed = false;
+create unique index if not exists idx_approvals_msg_id on approvals(msg_id) where msg_id is not null;
+
+-- RLS
+alter table approvals enable row level security;
+
+create policy "Authenticated users can read approvals" on approvals
+  for select to authenticated using (true);
+create policy "Authenticated users can update approvals" on approvals
+  for update to authenticated using (true);
+
+-- Real-time
+alter publication supabase_realtime add table approvals;
@@ -0,0 +1,58 @@
+-- Migration 007: Offer-sheet registry
+-- Offers we post to partner groups become first-class records so every
+-- approval / rejection / conditional reply can be linked to a specific offer.
+
+create table if not exists offer_sheets (
+  id text primary key,
+  title text not null,
+  body text default '',                    -- message text or media caption
+
+  -- Line items: [{sku, description, quantity, unit, price}, ...]
+  line_items jsonb default '[]'::jsonb,
+
+  -- Groups the offer was posted to
+  target_chat_ids text[] default '{}',
+
+  -- Attached offer sheet (PDF / image), if posted as media
+  media_type text,
+  media_filename text,
+
+  status text default 'open' check (status in ('open', 'closed')),
+  created_by text default '',
+  timestamp bigint not null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_offer_sheets_timestamp on offer_sheets(timestamp desc);
+create index if not exists idx_offer_sheets_status on offer_sheets(status);
+create index if not exists idx_offer_sheets_targets on offer_sheets using gin(target_chat_ids);
+
+-- The WhatsApp messages each offer was posted as (one per target group),
+-- so a quoted reply can be traced back to its offer exactly
+create table if not exists offer_sheet_messages (
+  id serial primary key,
+  offer_sheet_id text not null references offer_sheets(id) on delete cascade,
+  chat_id text not null,
+  msg_id text not null unique,
+  timestamp bigint not null,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_offer_sheet_messages_offer on offer_sheet_messages(offer_sheet_id);
+
+-- Link approvals to the offer they respond to
+alter table approvals add column if not exists offer_sheet_id text references offer_sheets(id) on delete set null;
+create index if not exists idx_approvals_offer_sheet on approvals(offer_sheet_id);
+
+-- RLS
+alter table offer_sheets enable row level security;
+alter table offer_sheet_messages enable row level security;
+
+create policy "Authenticated users can read offer_sheets" on offer_sheets
+  for select to authenticated using (true);
+create policy "Authenticated users can read offer_sheet_messages" on offer_sheet_messages
+  for select to authenticated using (true);
+
+-- Real-time
+alter publication supabase_realtime add table offer_sheets;
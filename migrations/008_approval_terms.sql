@@ -0,0 +1,12 @@
+-- Migration 008: Structured approval terms
+-- AIClassifier.extractApproval() pulls the decision, line items, conditions
+-- and deadline out of a partner's reply; these columns hold the result so the
+-- tracker and CSV export show real quantities and prices.
+
+alter table approvals add column if not exists line_items jsonb default '[]'::jsonb;  -- [{sku, description, quantity, unit, price}, ...]
+alter table approvals add column if not exists currency text;
+alter table approvals add column if not exists deadline date;
+alter table approvals add column if not exists deadline_text text;              -- deadline as the partner wrote it ("by Friday")
+alter table approvals add column if not exists extracted_by text default 'none' check (extracted_by in ('ai', 'manual', 'none'));
+
+create index if not exists idx_approvals_deadline on approvals(deadline) where deadline is not null;
@@ -0,0 +1,11 @@
+-- Migration 009: User roles
+-- Replaces the is_admin flag with three roles enforced on every API route:
+--   viewer — read-only, agent — send & triage, admin — settings & user management
+-- is_admin stays and is kept in sync by the app (is_admin = role = 'admin').
+
+-- Existing accounts keep the access they had (everyone could send) ...
+alter table users add column if not exists role text default 'agent' check (role in ('admin', 'agent', 'viewer'));
+update users set role = 'admin' where is_admin = true;
+
+-- ... while new self-registrations start read-only until an admin promotes them
+alter table users alter column role set default 'viewer';
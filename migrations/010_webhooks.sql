@@ -0,0 +1,41 @@
+-- Migration 010: Outbound webhooks
+-- Admin-configured endpoints (ERP, ticketing) that receive a signed POST when
+-- a question, mention, DM, approval or task event happens. Every attempt is
+-- recorded in webhook_deliveries, which also drives retries with backoff.
+
+create table if not exists webhooks (
+  id text primary key,
+  url text not null,
+  secret text not null,                    -- HMAC-SHA256 key for X-Webhook-Signature
+  events text[] default '{}',              -- e.g. {question.created,approval.created}; empty = all events
+  enabled boolean default true,
+  description text default '',
+  created_by text default '',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create table if not exists webhook_deliveries (
+  id text primary key,
+  webhook_id text not null references webhooks(id) on delete cascade,
+  event text not null,
+  payload jsonb not null,                  -- exact body that is signed and sent
+
+  status text default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts int default 0,
+  next_attempt_at bigint,                  -- epoch ms; due retries are picked up by the server
+  response_status int,
+  response_body text,
+  error text,
+  delivered_at bigint,
+
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_webhook_deliveries_webhook on webhook_deliveries(webhook_id, created_at desc);
+create index if not exists idx_webhook_deliveries_due on webhook_deliveries(status, next_attempt_at);
+
+-- RLS: no policies — signing secrets are only readable with the service key
+alter table webhooks enable row level security;
+alter table webhook_deliveries enable row level security;
@@ -0,0 +1,49 @@
+-- Migration 011: Durable outbound message queue
+-- Every send / broadcast is written here first and delivered by the server's
+-- outbox worker (outbox.js) with per-chat and global rate limits, so a restart
+-- mid-broadcast no longer loses the rest and each message has a queryable status.
+
+-- Media attachments, stored once per send/broadcast rather than per recipient
+create table if not exists outbound_media (
+  id text primary key,
+  mimetype text not null,
+  filename text,
+  data text not null,                      -- base64
+  created_at timestamptz default now()
+);
+
+create table if not exists outbound_messages (
+  id text primary key,
+  batch_id text not null,                  -- one per send / broadcast request
+  chat_id text not null,
+  kind text default 'text' check (kind in ('text', 'media')),
+  body text default '',                    -- message text, or the media caption
+  mention_ids text[] default '{}',
+  media_id text references outbound_media(id) on delete set null,
+  offer_sheet_id text references offer_sheets(id) on delete set null,
+
+  status text default 'queued' check (status in ('queued', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts int default 0,
+  next_attempt_at bigint,                  -- epoch ms; while 'sending', when the attempt is presumed dead
+  msg_id text,                             -- WhatsApp message id once sent
+  error text,
+  sent_at bigint,
+
+  created_by text default '',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_outbound_messages_due on outbound_messages(status, next_attempt_at);
+create index if not exists idx_outbound_messages_batch on outbound_messages(batch_id);
+create index if not exists idx_outbound_messages_chat on outbound_messages(chat_id, created_at desc);
+
+-- RLS
+alter table outbound_messages enable row level security;
+alter table outbound_media enable row level security;
+
+create policy "Authenticated users can read outbound_messages" on outbound_messages
+  for select to authenticated using (true);
+
+-- Real-time
+alter publication supabase_realtime add table outbound_messages;
@@ -0,0 +1,43 @@
+-- Migration 012: Scheduled messages and broadcasts
+-- A send or media broadcast composed now and handed to the outbound queue
+-- (011) at send_at by the server's scheduler (scheduler.js). Anything that
+-- came due while the server was down is dispatched when it starts again.
+
+create table if not exists scheduled_sends (
+  id text primary key,
+  chat_ids text[] not null,
+  kind text default 'text' check (kind in ('text', 'media')),
+  body text default '',                    -- message text, or the media caption
+
+  -- Attachment, stored up front so the upload isn't needed again at send time
+  media_id text references outbound_media(id) on delete set null,
+  media_mimetype text,
+  media_filename text,
+
+  offer jsonb,                             -- {title, lineItems} — registered as an offer sheet on dispatch
+
+  send_at bigint not null,                 -- epoch ms
+  timezone text default 'America/Los_Angeles',
+  local_time text,                         -- wall-clock time as entered, e.g. 2025-03-14T09:00
+
+  status text default 'scheduled' check (status in ('scheduled', 'dispatched', 'cancelled', 'failed')),
+  batch_id text,                           -- outbound_messages batch once dispatched
+  offer_sheet_id text references offer_sheets(id) on delete set null,
+  dispatched_at bigint,
+  error text,
+
+  created_by text default '',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_scheduled_sends_due on scheduled_sends(status, send_at);
+
+-- RLS
+alter table scheduled_sends enable row level security;
+
+create policy "Authenticated users can read scheduled_sends" on scheduled_sends
+  for select to authenticated using (true);
+
+-- Real-time
+alter publication supabase_realtime add table scheduled_sends;
@@ -0,0 +1,19 @@
+-- Migration 013: Recipient directory for personalized broadcasts
+-- Per-chat details that message templates can fill in (templating.js):
+-- who the contact is in that group and any custom fields, e.g. their terms.
+-- {{contact_name}} and {{terms}} in a broadcast render from this table.
+
+create table if not exists recipient_directory (
+  chat_id text primary key,                -- group or direct chat id
+  contact_name text default '',
+  fields jsonb default '{}',               -- custom variables, e.g. {"terms": "Net 30", "region": "EU"}
+  updated_by text default '',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- RLS
+alter table recipient_directory enable row level security;
+
+create policy "Authenticated users can read recipient_directory" on recipient_directory
+  for select to authenticated using (true);
@@ -0,0 +1,77 @@
+-- Migration 014: Message templates as records
+-- Templates used to be one JSON array under app_settings.message_templates,
+-- replaced by name with no history. Each template is now a row with a
+-- category, author, optional attachment and usage counts, and every edit
+-- is kept in message_template_versions.
+
+create table if not exists message_templates (
+  id text primary key,
+  name text not null unique,
+  category text default 'general',
+  body text default '',                    -- may contain {{placeholders}} (templating.js)
+
+  -- Optional attachment, loaded into Compose with the text
+  media_mimetype text,
+  media_filename text,
+  media_data text,                         -- base64
+
+  version int default 1,
+  send_count int default 0,                -- messages delivered from this template
+  reply_count int default 0,               -- of those, how many got a reply in the chat
+  last_sent_at bigint,
+
+  created_by text default '',
+  updated_by text default '',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_message_templates_category on message_templates(category);
+
+create table if not exists message_template_versions (
+  id serial primary key,
+  template_id text not null references message_templates(id) on delete cascade,
+  version int not null,
+  name text not null,
+  category text,
+  body text default '',
+  media_filename text,
+  edited_by text default '',
+  created_at timestamptz default now(),
+  unique (template_id, version)
+);
+
+-- Which template a queued / scheduled message came from, and whether the
+-- chat replied to it (counted once per message)
+alter table outbound_messages add column if not exists template_id text references message_templates(id) on delete set null;
+alter table outbound_messages add column if not exists replied_at bigint;
+alter table scheduled_sends add column if not exists template_id text references message_templates(id) on delete set null;
+
+create index if not exists idx_outbound_messages_template on outbound_messages(chat_id, template_id, sent_at desc);
+
+-- Carry over the templates saved under app_settings
+insert into message_templates (id, name, body, created_at, updated_at)
+select
+  'tpl_' || substr(md5(t->>'name'), 1, 12),
+  t->>'name',
+  coalesce(t->>'body', ''),
+  coalesce(to_timestamp((t->>'updated')::bigint / 1000.0), now()),
+  coalesce(to_timestamp((t->>'updated')::bigint / 1000.0), now())
+from app_settings, jsonb_array_elements(app_settings.value) t
+where app_settings.key = 'message_templates'
+  and jsonb_typeof(app_settings.value) = 'array'
+  and t->>'name' is not null
+on conflict (name) do nothing;
+
+insert into message_template_versions (template_id, version, name, category, body)
+select id, 1, name, category, body from message_templates
+on conflict (template_id, version) do nothing;
+
+-- RLS
+alter table message_templates enable row level security;
+alter table message_template_versions enable row level security;
+
+create policy "Authenticated users can read message_templates" on message_templates
+  for select to authenticated using (true);
+create policy "Authenticated users can read message_template_versions" on message_template_versions
+  for select to authenticated using (true);
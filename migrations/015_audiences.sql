@@ -0,0 +1,30 @@
+-- Migration 015: Recipient lists and saved segments
+-- Broadcasts can target a named audience instead of a raw chatIds array:
+--   list     a fixed set of chats (chat_ids)
+--   segment  rules resolved against `groups` at send time (audiences.js),
+--            e.g. {"partnersOnly": true, "activeWithinDays": 7}
+-- A few built-in segments (all partner groups, active in the last 7 days,
+-- with open questions) are defined in code and not stored here.
+
+create table if not exists audiences (
+  id text primary key,
+  name text not null unique,
+  kind text not null check (kind in ('list', 'segment')),
+  description text default '',
+  chat_ids text[] default '{}',            -- lists only
+  rules jsonb default '{}',                -- segments only
+  created_by text default '',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Scheduled sends aimed at an audience are resolved when they go out, so a
+-- segment picks up groups that changed in the meantime (no FK: built-in
+-- segment ids aren't rows)
+alter table scheduled_sends add column if not exists audience_id text;
+
+-- RLS
+alter table audiences enable row level security;
+
+create policy "Authenticated users can read audiences" on audiences
+  for select to authenticated using (true);
@@ -0,0 +1,51 @@
+-- Migration 016: Contacts keyed by WhatsApp ID
+-- Senders used to be stored as their push name, so a partner renaming
+-- themselves on WhatsApp split their history (sender stats, questions,
+-- answers, tasks) in two. Every WhatsApp account now gets a contacts row,
+-- stored rows reference it through sender_id, and the name shown in the
+-- dashboard is looked up from the contact when read.
+--
+-- contacts.id is the phone-number id ("15551234567@c.us") when the phone is
+-- known, otherwise the linked id ("1234567890@lid"). When a LID-only contact
+-- later resolves to a phone number it is merged into the phone-keyed row.
+-- The old `sender` columns stay as a snapshot of the name at the time.
+
+create table if not exists contacts (
+  id text primary key,
+  lid text unique,                         -- linked id (@lid), if known
+  phone text,                              -- digits only
+  push_name text default '',               -- name the contact set on WhatsApp
+  saved_name text default '',              -- name in our address book
+  is_me boolean default false,
+  first_seen bigint,
+  last_seen bigint,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_contacts_phone on contacts(phone);
+
+alter table messages add column if not exists sender_id text;
+alter table direct_messages add column if not exists sender_id text;
+alter table mentions add column if not exists sender_id text;
+alter table questions add column if not exists sender_id text;
+alter table questions add column if not exists answered_by_id text;
+alter table answer_candidates add column if not exists sender_id text;
+alter table question_context add column if not exists sender_id text;
+alter table tasks add column if not exists sender_id text;
+alter table approvals add column if not exists sender_id text;
+alter table activity_feed add column if not exists sender_id text;
+
+create index if not exists idx_messages_sender_id on messages(sender_id);
+create index if not exists idx_questions_sender_id on questions(sender_id);
+create index if not exists idx_approvals_sender_id on approvals(sender_id);
+create index if not exists idx_activity_feed_sender_id on activity_feed(sender_id);
+
+-- sender_stats keeps its `sender` key; new rows are keyed by contact id
+-- and older rows (keyed by name) are shown as-is
+
+-- RLS
+alter table contacts enable row level security;
+
+create policy "Authenticated users can read contacts" on contacts
+  for select to authenticated using (true);
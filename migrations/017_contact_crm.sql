@@ -0,0 +1,15 @@
+-- Migration 017: Company, role and account manager on contacts
+-- Contacts (016) fill in by themselves from incoming messages and group
+-- participant lists; the team tags them with who they represent. The tags
+-- are shown next to the sender on questions, mentions, approvals and top
+-- senders.
+
+alter table contacts add column if not exists company text default '';
+alter table contacts add column if not exists role text default '';
+alter table contacts add column if not exists account_manager text default '';   -- team member, by name
+alter table contacts add column if not exists notes text default '';
+alter table contacts add column if not exists groups text[] default '{}';        -- group chat ids they were seen in
+alter table contacts add column if not exists updated_by text default '';
+
+create index if not exists idx_contacts_company on contacts(company);
+create index if not exists idx_contacts_account_manager on contacts(account_manager);
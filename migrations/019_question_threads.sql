@@ -0,0 +1,13 @@
+-- Migration 019: Reply links for question threads
+-- The message each stored message quoted (WhatsApp serialized id), so
+-- /api/questions/:id/thread can follow reply chains. question_context now
+-- also holds later replies that quote into a question's thread, not only the
+-- history fetched when the question arrived.
+
+alter table questions add column if not exists quoted_msg_id text;
+alter table question_context add column if not exists quoted_msg_id text;
+alter table answer_candidates add column if not exists quoted_msg_id text;
+
+create index if not exists idx_questions_msg_id on questions(chat_id, msg_id);
+create index if not exists idx_question_context_msg_id on question_context(chat_id, msg_id);
+create index if not exists idx_answer_candidates_msg_id on answer_candidates(chat_id, msg_id);
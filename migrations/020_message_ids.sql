@@ -0,0 +1,22 @@
+-- Migration 020: WhatsApp ids on stored messages
+-- Every recorded group message keeps its WhatsApp message id, the id of the
+-- message it quoted and the raw author id, and a message can only be stored
+-- once per chat. Backfill dedup, thread reply chains and quoted-reply answer
+-- detection match on these ids instead of comparing sender, time and text.
+-- (The WhatsApp message type is already stored, in media_type.)
+--
+-- Rows from before this migration have no msg_id; backfill fills it in when
+-- it finds the same message again.
+
+alter table messages add column if not exists msg_id text;            -- serialized WhatsApp id
+alter table messages add column if not exists quoted_msg_id text;
+alter table messages add column if not exists author_id text;         -- raw WhatsApp author (c.us or lid), before contact resolution
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'messages_chat_id_msg_id_key') then
+    alter table messages add constraint messages_chat_id_msg_id_key unique (chat_id, msg_id);
+  end if;
+end $$;
+
+create index if not exists idx_messages_quoted_msg_id on messages(chat_id, quoted_msg_id);
@@ -0,0 +1,49 @@
+-- Migration 021: Message edits, deletions and reactions
+-- WhatsApp lets senders edit or delete ("delete for everyone") a message and
+-- react to one. These are applied to the stored message (matched by msg_id,
+-- see 020) and to any question or approval raised from it: an edit updates
+-- the text and keeps the original, a deletion dismisses an open question, and
+-- reactions are kept per person — a 👍 / 👎 on an offer sheet message counts
+-- as that group approving / rejecting it.
+
+alter table messages add column if not exists original_body text;     -- text before the first edit
+alter table messages add column if not exists edited_at bigint;
+alter table messages add column if not exists deleted_at bigint;
+
+alter table questions add column if not exists original_body text;
+alter table questions add column if not exists edited_at bigint;
+alter table questions add column if not exists deleted_at bigint;
+
+alter table approvals add column if not exists original_body text;
+alter table approvals add column if not exists edited_at bigint;
+alter table approvals add column if not exists deleted_at bigint;
+
+-- One reaction per person per message, as in WhatsApp; removing it deletes the row
+create table if not exists message_reactions (
+  id text primary key,                     -- "<msg_id>|<sender_id>"
+  chat_id text not null,
+  msg_id text not null,                    -- the message reacted to
+  sender text not null,
+  sender_id text,
+  emoji text not null,
+  timestamp bigint not null,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_message_reactions_msg on message_reactions(chat_id, msg_id);
+
+alter table message_reactions enable row level security;
+
+create policy "Authenticated users can read message reactions" on message_reactions
+  for select to authenticated using (true);
+
+-- Feed entries for edits, deletions and reactions (and tasks, which were
+-- already being written)
+alter table activity_feed drop constraint if exists activity_feed_type_check;
+alter table activity_feed add constraint activity_feed_type_check
+  check (type in ('message', 'mention', 'question', 'dm', 'task', 'edit', 'delete', 'reaction'));
+
+-- Approvals recorded from a reaction rather than extracted from text
+alter table approvals drop constraint if exists approvals_extracted_by_check;
+alter table approvals add constraint approvals_extracted_by_check
+  check (extracted_by in ('ai', 'manual', 'none', 'reaction'));
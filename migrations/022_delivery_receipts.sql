@@ -0,0 +1,32 @@
+-- Migration 022: Delivery and read receipts for outbound messages
+-- WhatsApp acknowledges each message we send (ack: -1 error, 0 pending,
+-- 1 sent to the server, 2 delivered, 3 read, 4 played). The highest ack is
+-- kept on the outbound row, matched by msg_id. In a group the message-level
+-- ack only reaches "delivered" / "read" once every member has, so who has
+-- received and read it so far is kept per recipient in outbound_receipts
+-- (from WhatsApp's message info); a 1:1 chat has a single recipient.
+
+alter table outbound_messages add column if not exists ack int;              -- highest ack seen
+alter table outbound_messages add column if not exists delivered_at bigint;  -- delivered to every recipient
+alter table outbound_messages add column if not exists read_at bigint;       -- read by every recipient
+alter table outbound_messages add column if not exists recipient_count int;  -- people it went to (group members other than us)
+
+create index if not exists idx_outbound_messages_msg_id on outbound_messages(msg_id);
+
+create table if not exists outbound_receipts (
+  id text primary key,                     -- "<outbound_id>|<recipient WhatsApp id>"
+  outbound_id text not null references outbound_messages(id) on delete cascade,
+  chat_id text not null,
+  recipient text not null,                 -- display name
+  recipient_id text,                       -- contact id (see 016)
+  delivered_at bigint,
+  read_at bigint,
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_outbound_receipts_outbound on outbound_receipts(outbound_id);
+
+alter table outbound_receipts enable row level security;
+
+create policy "Authenticated users can read outbound receipts" on outbound_receipts
+  for select to authenticated using (true);
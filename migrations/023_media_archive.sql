@@ -0,0 +1,29 @@
+-- Migration 023: Media archive
+-- Incoming images, documents, voice notes and videos are saved once to the
+-- media backend (media-archive.js — local disk or Supabase Storage) instead
+-- of being downloaded from WhatsApp on every request, and stay retrievable
+-- after WhatsApp expires them. A file is stored once per content (the id is
+-- its SHA-256) and each group message carrying it points at it.
+
+create table if not exists media_files (
+  id text primary key,                     -- sha256 of the content
+  mimetype text not null,
+  filename text,
+  size bigint,
+  kind text check (kind in ('image', 'video', 'audio', 'document')),
+  backend text not null,                   -- local | supabase
+  storage_key text not null,
+  thumbnail_key text,                      -- WhatsApp's JPEG preview, when it sent one
+  chat_id text,                            -- where it was first seen
+  msg_id text,
+  created_at timestamptz default now()
+);
+
+alter table messages add column if not exists media_id text references media_files(id) on delete set null;
+
+create index if not exists idx_messages_media on messages(chat_id, timestamp desc) where media_id is not null;
+
+alter table media_files enable row level security;
+
+create policy "Authenticated users can read media files" on media_files
+  for select to authenticated using (true);
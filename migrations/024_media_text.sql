@@ -0,0 +1,93 @@
+-- Migration 024: Text extracted from received media
+-- PDFs and photos partners send (archived per 023) have their text read
+-- locally — the PDF text layer, or OCR for images and scans (see
+-- text-extraction.js). It is kept on the file and copied onto each message
+-- carrying it, where question / approval detection and search see it.
+
+alter table media_files add column if not exists extracted_text text;
+alter table media_files add column if not exists text_method text check (text_method in ('pdf', 'ocr'));
+alter table media_files add column if not exists text_extracted_at bigint;  -- set even when nothing was found, so it isn't retried
+alter table media_files add column if not exists text_error text;
+
+alter table messages add column if not exists media_text text;
+
+-- Message search covers the attachment text too. A generated column's
+-- expression can't be altered, so it is rebuilt (with its index).
+alter table messages drop column if exists search_vector;
+alter table messages add column search_vector tsvector
+  generated always as (to_tsvector('english', coalesce(body, '') || ' ' || coalesce(media_text, ''))) stored;
+create index if not exists idx_messages_search on messages using gin(search_vector);
+
+-- As in 018, with message hits returning the attachment text after the
+-- caption so the snippet can highlight it
+create or replace function search_content(
+  search_query text,
+  search_types text[] default null,
+  chat_ids text[] default null,
+  sender_ids text[] default null,
+  sender_name text default null,
+  from_ts bigint default null,
+  to_ts bigint default null,
+  intent text default null,
+  max_results int default 50
+)
+returns table (
+  type text,
+  id text,
+  question_id text,                        -- answers: the question they answer
+  chat_id text,
+  chat_name text,
+  sender text,
+  sender_id text,
+  body text,
+  "timestamp" bigint,
+  ai_intent text,
+  rank real,
+  snippet text
+)
+language sql stable as $$
+  with q as (select websearch_to_tsquery('english', search_query) as query),
+  hits as (
+    select 'message' as type, m.id::text as id, null::text as question_id, m.chat_id, m.chat_name, m.sender, m.sender_id,
+           coalesce(m.body, '') || coalesce(E'\n' || nullif(m.media_text, ''), '') as body, m.timestamp, m.ai_intent, ts_rank(m.search_vector, q.query) as rank
+    from messages m, q
+    where m.search_vector @@ q.query
+    union all
+    select 'question', qs.id, null, qs.chat_id, qs.chat_name, qs.sender, qs.sender_id,
+           qs.body, qs.timestamp, qs.ai_intent, ts_rank(qs.search_vector, q.query)
+    from questions qs, q
+    where qs.search_vector @@ q.query
+    union all
+    select 'answer', a.id, a.question_id, a.chat_id, coalesce(qs.chat_name, ''), a.sender, a.sender_id,
+           a.body, a.timestamp, null, ts_rank(a.search_vector, q.query)
+    from answer_candidates a
+    left join questions qs on qs.id = a.question_id, q
+    where a.search_vector @@ q.query
+    union all
+    select 'task', t.id, null, t.chat_id, t.chat_name, t.sender, t.sender_id,
+           t.title || coalesce(E'\n' || nullif(t.body, ''), ''), t.timestamp, null, ts_rank(t.search_vector, q.query)
+    from tasks t, q
+    where t.search_vector @@ q.query
+    union all
+    select 'approval', ap.id, null, ap.chat_id, ap.chat_name, ap.sender, ap.sender_id,
+           ap.body, ap.timestamp, null, ts_rank(ap.search_vector, q.query)
+    from approvals ap, q
+    where ap.search_vector @@ q.query
+  )
+  select h.type, h.id, h.question_id, h.chat_id, h.chat_name, h.sender, h.sender_id, h.body, h.timestamp, h.ai_intent, h.rank,
+         ts_headline('english',
+           replace(replace(replace(coalesce(h.body, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+           q.query,
+           'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "')
+  from hits h, q
+  where (search_types is null or h.type = any(search_types))
+    and (chat_ids is null or h.chat_id = any(chat_ids) or (h.type = 'task' and h.chat_id is null))
+    and ((sender_ids is null and sender_name is null)
+         or h.sender_id = any(sender_ids)
+         or (sender_name is not null and h.sender ilike '%' || sender_name || '%'))
+    and (from_ts is null or h.timestamp >= from_ts)
+    and (to_ts is null or h.timestamp <= to_ts)
+    and (intent is null or h.ai_intent = intent)
+  order by h.rank desc, h.timestamp desc
+  limit max_results
+$$;
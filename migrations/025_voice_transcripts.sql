@@ -0,0 +1,11 @@
+-- Migration 025: Voice note transcripts
+-- Voice notes (archived per 023) are transcribed offline (transcription.js,
+-- whisper.cpp by default). The transcript is kept like extracted text (024):
+-- on the file, and copied into messages.media_text where question / approval
+-- detection and search see it.
+
+alter table media_files drop constraint if exists media_files_text_method_check;
+alter table media_files add constraint media_files_text_method_check
+  check (text_method in ('pdf', 'ocr', 'transcription'));
+
+alter table media_files add column if not exists text_language text;  -- as detected by the speech model, e.g. 'en'
@@ -0,0 +1,6 @@
+-- Migration 026: Question language
+-- The Analyzer classifies each message with the language pack it is written
+-- in (language-packs.js: English, Spanish, Portuguese); the detected language
+-- is kept on the question.
+
+alter table questions add column if not exists language text;  -- 'en' | 'es' | 'pt'
@@ -0,0 +1,24 @@
+-- Migration 027: Analyzer rules
+-- Admin-managed priority keywords and non-question filters, on top of the
+-- Analyzer's built-in language packs (see analyzer-rules.js). The priority
+-- weights and thresholds live in app_settings under 'analyzer_config'.
+
+create table if not exists analyzer_rules (
+  id text primary key,
+  kind text not null check (kind in ('priority', 'non_question')),
+  match_type text not null check (match_type in ('keywords', 'regex')),
+  pattern text not null,                   -- comma-separated keywords, or a regex
+  weight numeric default 0,                -- added to the priority score (priority rules)
+  language text,                           -- 'en' | 'es' | 'pt'; null = any language
+  chat_id text,                            -- only in this group; null = every chat
+  enabled boolean default true,
+  description text default '',
+  created_by text default '',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table analyzer_rules enable row level security;
+
+create policy "Authenticated users can read analyzer_rules" on analyzer_rules
+  for select to authenticated using (true);
@@ -0,0 +1,172 @@
+/**
+ * Outbox — durable, rate-limited delivery of outgoing WhatsApp messages
+ *
+ * WhatsAppClient.sendMessage / sendBroadcast / sendMediaMessage only enqueue
+ * (Store.enqueueOutbound); this worker drains the outbound_messages table one
+ * message at a time while the client is connected:
+ *
+ *   - global pacing: at most one send every OUTBOX_GLOBAL_INTERVAL_MS (default 1.5s)
+ *   - per-chat pacing: the same chat at most every OUTBOX_CHAT_INTERVAL_MS (default 5s)
+ *   - a little random jitter on both, so broadcasts don't look machine-timed
+ *   - transient failures retry with backoff up to OUTBOX_MAX_ATTEMPTS (default 5);
+ *     errors that will never succeed (bad chat id) fail immediately
+ *
+ * Because the queue lives in the database, a restart mid-broadcast just
+ * resumes. A message that was mid-send when the process died is marked
+ * failed instead of re-sent — see Store.failInterruptedOutbound().
+ *
+ * Events: `status` { id, batchId, chatId, status, error } after every change.
+ */
+
+const { EventEmitter } = require('events');
+
+const RETRY_DELAYS_MS = [10000, 30000, 2 * 60000, 10 * 60000];
+
+// How long a 'sending' row is held before a restarted worker treats it as interrupted
+const SEND_LEASE_MS = 2 * 60000;
+
+// Errors that retrying won't fix
+const PERMANENT_ERRORS = /invalid wid|wid error|chat not found|no lid for user|not a participant|media file required/i;
+
+class Outbox extends EventEmitter {
+  /**
+   * @param {Store} store
+   * @param {object} options
+   * @param {(message, media) => Promise<string|null>} options.send — delivers one row, resolves to the WhatsApp msg id
+   * @param {() => boolean} options.isReady — whether the client can send right now
+   */
+  constructor(store, { send, isReady, globalIntervalMs, chatIntervalMs, maxAttempts } = {}) {
+    super();
+    this.store = store;
+    this.send = send;
+    this.isReady = isReady || (() => true);
+    this.globalIntervalMs = globalIntervalMs || parseInt(process.env.OUTBOX_GLOBAL_INTERVAL_MS) || 1500;
+    this.chatIntervalMs = chatIntervalMs || parseInt(process.env.OUTBOX_CHAT_INTERVAL_MS) || 5000;
+    this.maxAttempts = maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+
+    this.running = false;
+    this._timer = null;
+    this._busy = false;
+    this._lastSendAt = 0;
+    this._lastChatSendAt = new Map(); // chatId -> ms
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`[Outbox] Started (1 msg / ${this.globalIntervalMs}ms, same chat every ${this.chatIntervalMs}ms)`);
+    this.wake();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /** Check the queue now (called after enqueueing) instead of on the next tick. */
+  wake(delayMs = 0) {
+    if (!this.running) return;
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this._tick(), delayMs);
+  }
+
+  async _tick() {
+    if (!this.running || this._busy) return;
+    this._busy = true;
+    let nextDelay = 5000;
+
+    try {
+      // Every pass: after a quick restart the dead process's leases are
+      // still running, so its rows only become recoverable later
+      const interrupted = await this.store.failInterruptedOutbound();
+      if (interrupted) console.warn(`[Outbox] ${interrupted} message(s) were interrupted mid-send and marked failed`);
+
+      if (this.isReady()) {
+        const now = Date.now();
+        const globalWait = this._lastSendAt + this._jitter(this.globalIntervalMs) - now;
+        if (globalWait > 0) {
+          nextDelay = globalWait;
+        } else {
+          const due = await this.store.getDueOutbound();
+          const message = due.find(m => now - (this._lastChatSendAt.get(m.chat_id) || 0) >= this.chatIntervalMs);
+          if (message) {
+            await this._deliver(message);
+            nextDelay = 0;
+          } else if (due.length) {
+            // Everything due is waiting on its chat's interval
+            const soonest = Math.min(...due.map(m => (this._lastChatSendAt.get(m.chat_id) || 0) + this.chatIntervalMs));
+            nextDelay = Math.max(250, soonest - now);
+          }
+        }
+      }
+    } catch (err) {
+      console.error('[Outbox] tick error:', err.message);
+    } finally {
+      this._busy = false;
+      if (this.running) this.wake(nextDelay);
+    }
+  }
+
+  async _deliver(message) {
+    const claimed = await this.store.transitionOutboundMessage(message.id, 'queued', {
+      status: 'sending',
+      next_attempt_at: Date.now() + SEND_LEASE_MS
+    });
+    if (!claimed) return; // cancelled in the meantime
+
+    const attempts = (message.attempts || 0) + 1;
+    this._lastSendAt = Date.now();
+    this._lastChatSendAt.set(message.chat_id, this._lastSendAt);
+
+    try {
+      let media = null;
+      if (message.kind === 'media') {
+        media = message.media_id ? await this.store.getOutboundMedia(message.media_id) : null;
+        if (!media) throw new Error('Media file required but no longer stored');
+      }
+
+      const msgId = await this.send(message, media);
+      await this.store.updateOutboundMessage(message.id, {
+        status: 'sent',
+        attempts,
+        msg_id: msgId,
+        sent_at: Date.now(),
+        next_attempt_at: null,
+        error: null
+      });
+      if (message.offer_sheet_id) {
+        await this.store.linkOfferSheetMessage(message.offer_sheet_id, message.chat_id, msgId);
+      }
+      if (message.template_id) {
+        await this.store.recordTemplateSend(message.template_id);
+      }
+      this._emitStatus(message, 'sent');
+    } catch (err) {
+      const retry = attempts < this.maxAttempts && !PERMANENT_ERRORS.test(err.message || '');
+      await this.store.updateOutboundMessage(message.id, {
+        status: retry ? 'queued' : 'failed',
+        attempts,
+        error: err.message,
+        next_attempt_at: retry ? Date.now() + RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length) - 1] : null
+      });
+      console.error(`[Outbox] ${message.chat_id} attempt ${attempts} failed${retry ? ' — will retry' : ''}:`, err.message);
+      this._emitStatus(message, retry ? 'queued' : 'failed', err.message);
+    }
+
+    if (message.media_id && message.kind === 'media') {
+      await this.store.releaseOutboundMedia(message.media_id);
+    }
+  }
+
+  _emitStatus(message, status, error = null) {
+    this.emit('status', { id: message.id, batchId: message.batch_id, chatId: message.chat_id, status, error });
+  }
+
+  // ±20% so consecutive sends aren't evenly spaced
+  _jitter(ms) {
+    return Math.round(ms * (0.8 + Math.random() * 0.4));
+  }
+}
+
+module.exports = { Outbox };
@@ -0,0 +1,1878 @@
+/**
+ * Data API Routes — everything backed by the Store alone
+ *
+ * Mounted by both entry points:
+ *   - server.js (Railway), which layers the WhatsApp routes on top
+ *   - api/index.js (Vercel), which adds offline fallbacks for those instead
+ *
+ * Add new data endpoints here, never to an entry point, so the two
+ * deployments can't drift apart again. Authentication is applied by the
+ * entry point (auth.guard) before this router; write routes declare their
+ * minimum role with requireRole().
+ */
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { WEBHOOK_EVENTS, generateSecret } = require('../webhooks');
+const { resolveSendAt } = require('../scheduler');
+const { upload, convertMediaIfNeeded } = require('./media');
+const { parseOfferPayload } = require('./whatsapp');
+const { BUILTIN_VARIABLES, extractVariables, personalize } = require('../templating');
+const { BUILTIN_SEGMENTS, normalizeRules, findAudience, resolveAudience, resolveRecipients } = require('../audiences');
+const { SEARCH_TYPES, parseSearchDate } = require('../search');
+const { publicMedia } = require('../media-archive');
+const Analyzer = require('../analyzer');
+const {
+  RULE_KINDS, RULE_MATCH_TYPES, DEFAULT_WEIGHTS, DEFAULT_THRESHOLDS,
+  validateRule, validateConfig, validateBuiltinOverride, describeBuiltins
+} = require('../analyzer-rules');
+const { LANGUAGE_PACKS } = require('../language-packs');
+
+const MEDIA_ARCHIVE_KINDS = ['image', 'video', 'audio', 'document'];
+
+// Shown in the browser; anything else (HTML, SVG, Office files…) is downloaded,
+// so a file a partner sent or an agent uploaded can't run script on the
+// dashboard's origin
+const INLINE_MEDIA = /^(image\/(jpeg|png|gif|webp)|video\/|audio\/|application\/pdf$)/;
+
+// Headers for serving a stored file: inline only for INLINE_MEDIA types, never sniffed
+function fileHeaders(mimetype, filename, { download = false } = {}) {
+  const asciiName = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  const inline = !download && INLINE_MEDIA.test(mimetype);
+  return {
+    'Content-Type': mimetype,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+  };
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, track_name: user.track_name, is_admin: user.is_admin, role: user.role };
+}
+
+// Secrets are shown in full once, when created or rotated — afterwards only a hint
+function publicWebhook(hook, { revealSecret = false } = {}) {
+  const secret = revealSecret ? hook.secret : `${hook.secret.slice(0, 6)}…${hook.secret.slice(-4)}`;
+  return { ...hook, secret };
+}
+
+// chatIds arrive as an array (JSON) or a JSON / comma-separated string (multipart)
+function parseChatIds(chatIds) {
+  if (typeof chatIds === 'string') {
+    try { chatIds = JSON.parse(chatIds); } catch { chatIds = chatIds.split(','); }
+  }
+  return Array.isArray(chatIds) ? chatIds.map(String).filter(Boolean) : [];
+}
+
+// An audience with the chats it currently covers, named where the group is known
+async function withMembers(store, audience) {
+  const chatIds = await resolveAudience(store, audience);
+  const groups = await store.getGroupsByIds(chatIds);
+  const names = new Map(groups.map(g => [g.chat_id, g.name]));
+  return { ...audience, members: chatIds.map(chatId => ({ chatId, name: names.get(chatId) || chatId.split('@')[0] })) };
+}
+
+// Uploaded template attachment → the { mimetype, filename, data } Store.addTemplate takes
+async function templateMedia(file) {
+  if (!file) return undefined;
+  const media = await convertMediaIfNeeded(file);
+  return { mimetype: media.mimetype, filename: media.filename, data: media.buffer.toString('base64') };
+}
+
+/**
+ * Check a webhook create/update body. Returns an error message, or null.
+ */
+function validateWebhook({ url, secret, events }, { partial = false } = {}) {
+  if (url !== undefined || !partial) {
+    let parsed;
+    try { parsed = new URL(url); } catch { return 'A valid url is required'; }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be http(s)';
+  }
+  if (secret !== undefined && secret !== null && String(secret).length < 16) {
+    return 'secret must be at least 16 characters (omit it to have one generated)';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events)) return 'events must be an array';
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return `Unknown event(s): ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * @param {object} deps
+ * @param {() => Promise<Store>} deps.getStore — resolves the initialized Store
+ * @param {() => AIClassifier} deps.getAI — returns the shared AIClassifier
+ * @param {object} deps.auth — from createAuth() (signToken, requireRole)
+ * @param {WebhookDispatcher} deps.webhooks — sends test pings and redeliveries
+ */
+function createDataRouter({ getStore, getAI, auth, webhooks }) {
+  const router = express.Router();
+  const { requireRole } = auth;
+
+  // ── Auth & Users ──
+
+  router.post('/api/auth/register', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { email, password, name, trackName } = req.body;
+      if (!email || !password || !name) {
+        return res.status(400).json({ ok: false, error: 'Email, password, and name are required' });
+      }
+      if (password.length < 6) {
+        return res.status(400).json({ ok: false, error: 'Password must be at least 6 characters' });
+      }
+      const existing = await store.getUserByEmail(email);
+      if (existing) {
+        return res.status(409).json({ ok: false, error: 'An account with this email already exists' });
+      }
+      const passwordHash = await bcrypt.hash(password, 10);
+      // The first account bootstraps the install as admin; later sign-ups start as viewers
+      const role = (await store.getUserCount()) === 0 ? 'admin' : 'viewer';
+      const user = await store.createUser({ email, passwordHash, name, trackName: trackName || name, role });
+      const token = auth.signToken(user);
+      res.json({ ok: true, token, user: publicUser(user) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/auth/login', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { email, password } = req.body;
+      if (!email || !password) {
+        return res.status(400).json({ ok: false, error: 'Email and password are required' });
+      }
+      const user = await store.getUserByEmail(email);
+      if (!user) {
+        return res.status(401).json({ ok: false, error: 'Invalid email or password' });
+      }
+      const valid = await bcrypt.compare(password, user.password_hash);
+      if (!valid) {
+        return res.status(401).json({ ok: false, error: 'Invalid email or password' });
+      }
+      const token = auth.signToken(user);
+      res.json({ ok: true, token, user: publicUser(user) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/auth/me', async (req, res) => {
+    try {
+      const store = await getStore();
+      const user = await store.getUserById(req.user.id);
+      if (!user) return res.status(404).json({ ok: false, error: 'User not found' });
+      res.json({ ok: true, user });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/auth/profile', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { name, trackName, email, password } = req.body;
+      const updates = {};
+      if (name !== undefined) updates.name = name;
+      if (trackName !== undefined) updates.trackName = trackName;
+      if (email !== undefined) updates.email = email;
+      if (password) {
+        if (password.length < 6) return res.status(400).json({ ok: false, error: 'Password must be at least 6 characters' });
+        updates.passwordHash = await bcrypt.hash(password, 10);
+      }
+      const user = await store.updateUser(req.user.id, updates);
+      res.json({ ok: true, user });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/users', async (req, res) => {
+    try {
+      const store = await getStore();
+      const users = await store.getUsers();
+      res.json({ ok: true, users });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/users/:id/role', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { role } = req.body;
+      if (req.params.id === req.user.id && role !== 'admin') {
+        return res.status(400).json({ ok: false, error: "You can't remove your own admin role" });
+      }
+      const user = await store.setUserRole(req.params.id, role);
+      res.json({ ok: true, user });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Dashboard & Groups ──
+
+  router.get('/api/dashboard', async (req, res) => {
+    try {
+      const store = await getStore();
+      const stats = await store.getDashboardStats();
+      const taskStats = await store.getTaskStats();
+      stats.openTasks = taskStats.open + taskStats.inProgress;
+      stats.overdueTasks = taskStats.overdue;
+      res.json({ ok: true, stats });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/groups', async (req, res) => {
+    try {
+      const store = await getStore();
+      const groups = await store.getGroups();
+      res.json({ ok: true, groups });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Questions ──
+
+  router.get('/api/questions', async (req, res) => {
+    try {
+      const store = await getStore();
+      const unansweredOnly = req.query.status === 'open';
+      const questions = await store.getQuestions(unansweredOnly);
+      res.json({ ok: true, questions });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/questions/:id/thread', async (req, res) => {
+    try {
+      const store = await getStore();
+      const data = await store.getQuestionThread(req.params.id);
+      res.json({ ok: true, ...data });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/questions/:id/resolve', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      await store.markQuestionAnswered(req.params.id, req.body.answeredBy);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/questions/:id/dismiss', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      await store.dismissQuestion(req.params.id, req.body.dismissedBy);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/questions/:id/reopen', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      await store.reopenQuestion(req.params.id);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/answers/:id/accept', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      await store.acceptAnswerCandidate(req.params.id);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Mentions & DMs ──
+
+  router.get('/api/mentions', async (req, res) => {
+    try {
+      const store = await getStore();
+      const mentions = await store.getMentions();
+      res.json({ ok: true, mentions });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/dms', async (req, res) => {
+    try {
+      const store = await getStore();
+      const dms = await store.getDirectMessages();
+      res.json({ ok: true, dms });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Resolve / unresolve mentions
+  router.post('/api/mentions/:id/resolve', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.resolveMention(req.params.id, req.body.resolved_by || 'team');
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/mentions/:id/unresolve', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.unresolvedMention(req.params.id);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Resolve / unresolve DMs
+  router.post('/api/dms/:id/resolve', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.resolveDM(req.params.id, req.body.resolved_by || 'team');
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/dms/:id/unresolve', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.unresolvedDM(req.params.id);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── AI Classification ──
+
+  router.get('/api/ai/stats', async (req, res) => {
+    const aiClassifier = getAI();
+    try {
+      const store = await getStore();
+      const dbStats = await store.getAIClassificationStats();
+      const classifierStats = aiClassifier.getStats();
+      res.json({ ok: true, stats: { ...dbStats, classifier: classifierStats } });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/ai/reclassify', requireRole('admin'), async (req, res) => {
+    const aiClassifier = getAI();
+    if (!aiClassifier.enabled) {
+      return res.status(400).json({ ok: false, error: 'AI classifier not enabled — set ANTHROPIC_API_KEY in .env' });
+    }
+    try {
+      const store = await getStore();
+      const limit = parseInt(req.query.limit) || 50;
+
+      // Get unclassified messages
+      const messages = await store.getUnclassifiedMessages(limit);
+      if (messages.length === 0) {
+        return res.json({ ok: true, classified: 0, message: 'No unclassified messages' });
+      }
+
+      // Classify in batch
+      const results = await aiClassifier.classifyBatch(
+        messages.map(m => ({
+          body: m.body,
+          sender: m.sender,
+          chatName: m.chat_name,
+          isGroupChat: true
+        }))
+      );
+
+      let classified = 0;
+      let promoted = 0;
+      for (let i = 0; i < messages.length; i++) {
+        const result = results[i];
+        if (!result) continue;
+
+        // Update message classification
+        await store.updateMessageAIClassification(messages[i].id, result);
+        classified++;
+
+        // If AI detected a question that regex missed, promote it
+        if (result.intent === 'question' && result.confidence >= 0.7) {
+          await store.promoteMessageToQuestion(messages[i], result);
+          promoted++;
+        }
+      }
+
+      res.json({ ok: true, classified, promoted, total: messages.length });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/ai/classify-one', requireRole('agent'), async (req, res) => {
+    const aiClassifier = getAI();
+    if (!aiClassifier.enabled) {
+      return res.status(400).json({ ok: false, error: 'AI classifier not enabled' });
+    }
+    try {
+      const { body, sender, chatName } = req.body;
+      if (!body) return res.status(400).json({ ok: false, error: 'body required' });
+
+      const result = await aiClassifier.classifyOne(body, { sender, chatName });
+      res.json({ ok: true, result });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Activity Feed & Analytics ──
+
+  router.get('/api/feed', async (req, res) => {
+    try {
+      const store = await getStore();
+      const limit = parseInt(req.query.limit) || 50;
+      const feed = await store.getActivityFeed(limit);
+      res.json({ ok: true, feed });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/volume/hourly', async (req, res) => {
+    try {
+      const store = await getStore();
+      const hours = parseInt(req.query.hours) || 24;
+      const data = await store.getHourlyVolume(hours);
+      res.json({ ok: true, data });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/volume/daily', async (req, res) => {
+    try {
+      const store = await getStore();
+      const days = parseInt(req.query.days) || 7;
+      const data = await store.getDailyVolume(days);
+      res.json({ ok: true, data });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/senders/top', async (req, res) => {
+    try {
+      const store = await getStore();
+      const limit = parseInt(req.query.limit) || 10;
+      const senders = await store.getTopSenders(limit);
+      res.json({ ok: true, senders });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Search ──
+
+  // ?q=pallet pricing&type=question,answer&chat_id=&sender=&from=2025-03-01&to=2025-03-31&intent=&limit=
+  router.get('/api/search', async (req, res) => {
+    try {
+      const query = String(req.query.q || '').trim();
+      if (!query) return res.status(400).json({ ok: false, error: 'q is required' });
+
+      const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean) : [];
+      const unknown = types.filter(t => !SEARCH_TYPES.includes(t));
+      if (unknown.length) {
+        return res.status(400).json({ ok: false, error: `Unknown type(s): ${unknown.join(', ')} (use ${SEARCH_TYPES.join(', ')})` });
+      }
+
+      let from;
+      let to;
+      try {
+        from = parseSearchDate(req.query.from);
+        to = parseSearchDate(req.query.to, { endOfDay: true });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+
+      const store = await getStore();
+      const results = await store.search({
+        query,
+        types,
+        chatId: req.query.chat_id || undefined,
+        sender: req.query.sender || undefined,
+        from,
+        to,
+        intent: req.query.intent || undefined,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      });
+
+      const counts = {};
+      for (const r of results) counts[r.type] = (counts[r.type] || 0) + 1;
+      res.json({ ok: true, query, results, counts });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Media Archive (attachments partners sent — see media-archive.js) ──
+  // Files are served with the caller's token, so <img src> / links use ?token=.
+
+  router.get('/api/media', async (req, res) => {
+    try {
+      const { chat_id, kind, sender_id, limit } = req.query;
+      if (kind && !MEDIA_ARCHIVE_KINDS.includes(kind)) {
+        return res.status(400).json({ ok: false, error: `kind must be one of: ${MEDIA_ARCHIVE_KINDS.join(', ')}` });
+      }
+      const store = await getStore();
+      const messages = await store.getMediaMessages({
+        chatId: chat_id || undefined,
+        kind: kind || undefined,
+        senderId: sender_id || undefined,
+        limit: Math.min(parseInt(limit) || 100, 500)
+      });
+      res.json({ ok: true, media: messages.map(m => ({ ...m, media: publicMedia(m.media) })) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  async function sendMedia(req, res, { thumbnail }) {
+    try {
+      const store = await getStore();
+      const media = await store.readMedia(req.params.id, { thumbnail });
+      if (!media) return res.status(404).json({ ok: false, error: thumbnail ? 'No thumbnail' : 'Media not found' });
+      const filename = thumbnail ? 'thumbnail.jpg' : (media.file.filename || media.file.id.slice(0, 12));
+      res.set({
+        ...fileHeaders(media.mimetype, filename, { download: !!req.query.download }),
+        'Content-Length': media.buffer.length,
+        // Content-addressed, so it never changes
+        'Cache-Control': 'private, max-age=31536000, immutable'
+      });
+      res.send(media.buffer);
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+
+  router.get('/api/media/:id', (req, res) => sendMedia(req, res, { thumbnail: false }));
+  router.get('/api/media/:id/thumbnail', (req, res) => sendMedia(req, res, { thumbnail: true }));
+
+  // ── Contacts (senders and group members, keyed by WhatsApp ID) ──
+
+  router.get('/api/contacts', async (req, res) => {
+    try {
+      const store = await getStore();
+      const [contacts, companies] = await Promise.all([
+        store.getContacts({
+          search: req.query.search || undefined,
+          company: req.query.company || undefined,
+          accountManager: req.query.account_manager || undefined,
+          limit: parseInt(req.query.limit) || undefined
+        }),
+        store.getContactCompanies()
+      ]);
+      res.json({ ok: true, contacts, companies });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/contacts/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const contact = await store.getContact(req.params.id);
+      if (!contact) return res.status(404).json({ ok: false, error: 'Contact not found' });
+      const names = await store.getContactNames([contact.id]);
+      res.json({ ok: true, contact: { ...contact, name: names.get(contact.id) } });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Company, role, account manager and notes
+  router.put('/api/contacts/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      if (!(await store.getContact(req.params.id))) {
+        return res.status(404).json({ ok: false, error: 'Contact not found' });
+      }
+      const { company, role, accountManager, notes } = req.body;
+      const contact = await store.updateContact(req.params.id, { company, role, accountManager, notes }, req.user.name);
+      const names = await store.getContactNames([contact.id]);
+      res.json({ ok: true, contact: { ...contact, name: names.get(contact.id) } });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Tasks ──
+
+  router.get('/api/tasks', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { status, assignee, priority, my_day, limit } = req.query;
+      const tasks = await store.getTasks({
+        status: status || undefined,
+        assignee: assignee || undefined,
+        priority: priority || undefined,
+        myDay: my_day === 'true',
+        limit: limit ? parseInt(limit) : undefined
+      });
+      res.json({ ok: true, tasks });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/tasks/stats', async (req, res) => {
+    try {
+      const store = await getStore();
+      const stats = await store.getTaskStats();
+      res.json({ ok: true, stats });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/tasks/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const task = await store.getTask(req.params.id);
+      if (!task) return res.status(404).json({ ok: false, error: 'Task not found' });
+      res.json({ ok: true, task });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/tasks', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { title, body, chatId, chatName, sender, senderId, sourceType, sourceId, priority, assignedTo, dueDate, steps, category } = req.body;
+      if (!title) return res.status(400).json({ ok: false, error: 'title required' });
+
+      const id = await store.addTask({
+        title, body, chatId, chatName, sender, senderId, sourceType, sourceId,
+        priority, assignedTo, dueDate, steps, category
+      });
+      res.json({ ok: true, id });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/tasks/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.updateTask(req.params.id, req.body);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/tasks/:id/complete', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.completeTask(req.params.id, req.body.completedBy);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/tasks/:id/reopen', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.reopenTask(req.params.id);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/tasks/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.deleteTask(req.params.id);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Approvals ──
+
+  router.get('/api/approvals', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { status, sender, chat_id, offer_id, reviewed, limit } = req.query;
+      const approvals = await store.getApprovals({
+        status: status || undefined,
+        sender: sender || undefined,
+        chatId: chat_id || undefined,
+        offerSheetId: offer_id || undefined,
+        reviewed: reviewed !== undefined ? reviewed === 'true' : undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      res.json({ ok: true, approvals });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/approvals/stats', async (req, res) => {
+    try {
+      const store = await getStore();
+      const stats = await store.getApprovalStats();
+      res.json({ ok: true, stats });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/approvals/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const approval = await store.getApproval(req.params.id);
+      if (!approval) return res.status(404).json({ ok: false, error: 'Approval not found' });
+      res.json({ ok: true, approval });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/approvals/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.updateApproval(req.params.id, req.body);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Re-run structured term extraction (e.g. for approvals detected before it existed)
+  router.post('/api/approvals/:id/extract', requireRole('agent'), async (req, res) => {
+    const aiClassifier = getAI();
+    if (!aiClassifier.enabled) {
+      return res.status(400).json({ ok: false, error: 'AI classifier not enabled' });
+    }
+    try {
+      const store = await getStore();
+      const approval = await store.getApproval(req.params.id);
+      if (!approval) return res.status(404).json({ ok: false, error: 'Approval not found' });
+
+      const offer = approval.offer_sheet_id ? await store.getOfferSheet(approval.offer_sheet_id) : null;
+      const terms = await aiClassifier.extractApproval(approval.body, {
+        sender: approval.sender,
+        chatName: approval.chat_name,
+        timestamp: approval.timestamp,
+        offer,
+        quotedBody: approval.offer_sheet_ref || null,
+        contextMessages: approval.context_messages || []
+      });
+      if (!terms) return res.status(502).json({ ok: false, error: 'Extraction failed' });
+
+      const ok = await store.setApprovalTerms(approval.id, terms);
+      res.json({ ok, terms });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/approvals/:id/review', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.reviewApproval(req.params.id, req.body.reviewedBy || req.user.name);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/approvals/export/csv', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { status, sender, chat_id } = req.query;
+      const approvals = await store.getApprovals({
+        status: status || undefined,
+        sender: sender || undefined,
+        chatId: chat_id || undefined,
+        limit: 10000
+      });
+
+      // Build CSV
+      const headers = ['ID', 'Date', 'Time', 'Group', 'Sender', 'Company', 'Role', 'Status', 'Summary', 'Message', 'Offer Reference', 'SKUs', 'Line Items', 'Total Quantity', 'Total Value', 'Currency', 'Deadline', 'Conditions', 'Extracted By', 'Confidence', 'Reviewed', 'Reviewed By', 'Notes'];
+      const rows = approvals.map(a => {
+        const d = new Date(a.timestamp);
+        const items = a.line_items || [];
+        const itemText = items.map(i => [
+          i.sku || i.description,
+          i.quantity !== null ? `x${i.quantity}${i.unit ? ' ' + i.unit : ''}` : '',
+          i.price !== null ? `@ ${i.price}` : ''
+        ].filter(Boolean).join(' ')).join('; ');
+        const totalQty = items.reduce((sum, i) => sum + (i.quantity || 0), 0);
+        const totalValue = items.reduce((sum, i) => sum + (i.quantity || 0) * (i.price || 0), 0);
+        return [
+          a.id,
+          d.toLocaleDateString('en-US'),
+          d.toLocaleTimeString('en-US'),
+          `"${(a.chat_name || '').replace(/"/g, '""')}"`,
+          `"${(a.sender || '').replace(/"/g, '""')}"`,
+          `"${(a.sender_company || '').replace(/"/g, '""')}"`,
+          `"${(a.sender_role || '').replace(/"/g, '""')}"`,
+          a.status,
+          `"${(a.ai_summary || '').replace(/"/g, '""')}"`,
+          `"${(a.body || '').replace(/"/g, '""')}"`,
+          `"${(a.offer_sheet_ref || '').replace(/"/g, '""')}"`,
+          `"${items.map(i => i.sku).filter(Boolean).join('; ').replace(/"/g, '""')}"`,
+          `"${itemText.replace(/"/g, '""')}"`,
+          items.length ? totalQty : '',
+          totalValue ? totalValue.toFixed(2) : '',
+          a.currency || '',
+          a.deadline || `"${(a.deadline_text || '').replace(/"/g, '""')}"`,
+          `"${(a.conditions || '').replace(/"/g, '""')}"`,
+          a.extracted_by || 'none',
+          a.confidence ? a.confidence.toFixed(2) : '0.00',
+          a.reviewed ? 'Yes' : 'No',
+          a.reviewed_by || '',
+          `"${(a.notes || '').replace(/"/g, '""')}"`
+        ].join(',');
+      });
+
+      const csv = [headers.join(','), ...rows].join('\n');
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=approvals-${new Date().toISOString().split('T')[0]}.csv`);
+      res.send(csv);
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Offer Sheets ──
+
+  router.get('/api/offers', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { status, chat_id, limit } = req.query;
+      const offers = await store.getOfferSheets({
+        status: status || undefined,
+        chatId: chat_id || undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      res.json({ ok: true, offers });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Register an offer that was posted outside the app (e.g. from a phone)
+  router.post('/api/offers', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { title, body, lineItems, targetChatIds } = req.body;
+      if (!title || !Array.isArray(targetChatIds) || !targetChatIds.length) {
+        return res.status(400).json({ ok: false, error: 'title and targetChatIds array required' });
+      }
+      const id = await store.addOfferSheet({ title, body, lineItems, targetChatIds, createdBy: req.user.name });
+      res.json({ ok: !!id, id });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/offers/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const offer = await store.getOfferSheet(req.params.id);
+      if (!offer) return res.status(404).json({ ok: false, error: 'Offer not found' });
+      res.json({ ok: true, offer });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/offers/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.updateOfferSheet(req.params.id, req.body);
+      res.json({ ok });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Which partner groups approved / rejected / haven't responded
+  router.get('/api/offers/:id/responses', async (req, res) => {
+    try {
+      const store = await getStore();
+      const data = await store.getOfferSheetResponses(req.params.id);
+      if (!data) return res.status(404).json({ ok: false, error: 'Offer not found' });
+      res.json({ ok: true, ...data });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Settings ──
+
+  router.get('/api/settings/partner-groups', async (req, res) => {
+    try {
+      const store = await getStore();
+      const groups = await store.getPartnerGroupNames();
+      res.json({ ok: true, groups });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/settings/partner-groups', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { name } = req.body;
+      if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+      await store.addPartnerGroup(name);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/settings/partner-groups', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { name } = req.body;
+      if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+      await store.removePartnerGroup(name);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/settings/staff', async (req, res) => {
+    try {
+      const store = await getStore();
+      const staff = await store.getInternalStaff();
+      res.json({ ok: true, staff });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/settings/staff', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { name } = req.body;
+      if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+      await store.addInternalStaff(name);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/settings/staff', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { name } = req.body;
+      if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+      await store.removeInternalStaff(name);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/settings/group-tracking', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { chatId, category, enabled } = req.body;
+      if (!chatId) return res.status(400).json({ ok: false, error: 'chatId required' });
+
+      if (category) {
+        await store.setGroupCategorySetting(chatId, category, enabled);
+      } else {
+        // Bulk set all categories
+        const settings = req.body.settings || { analytics: true, mentions: true, questions: true };
+        await store.setGroupAllSettings(chatId, settings);
+      }
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Analyzer Rules ──
+  // Extra priority keywords / non-question filters, changes to the built-in
+  // ones and the priority weights (see analyzer-rules.js). Admin-only, reads
+  // included. The running analyzer picks changes up within
+  // ANALYZER_RULES_REFRESH_MS — immediately when edited through the same server.
+
+  router.get('/api/settings/analyzer', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const [rules, config, builtins] = await Promise.all([
+        store.getAnalyzerRules(), store.getAnalyzerConfig(), store.getAnalyzerBuiltins()
+      ]);
+      res.json({
+        ok: true,
+        rules,
+        builtins: describeBuiltins(builtins),
+        config,
+        defaults: { weights: DEFAULT_WEIGHTS, thresholds: DEFAULT_THRESHOLDS },
+        kinds: RULE_KINDS,
+        matchTypes: RULE_MATCH_TYPES,
+        languages: Object.keys(LANGUAGE_PACKS)
+      });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/settings/analyzer/rules', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { kind, matchType, pattern, weight, language, chatId, enabled, description } = req.body;
+      const invalid = validateRule({ kind, matchType, pattern, weight, language, chatId });
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      const rule = await store.addAnalyzerRule({
+        kind, matchType, pattern, weight, language, chatId, enabled, description,
+        createdBy: req.user.name
+      });
+      res.json({ ok: true, rule });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/settings/analyzer/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const existing = await store.getAnalyzerRule(req.params.id);
+      if (!existing) return res.status(404).json({ ok: false, error: 'Rule not found' });
+
+      // Validate the rule as it will be after the update
+      const merged = {
+        kind: existing.kind,
+        matchType: existing.match_type,
+        pattern: existing.pattern,
+        weight: Number(existing.weight),
+        language: existing.language,
+        chatId: existing.chat_id
+      };
+      for (const key of Object.keys(merged)) {
+        if (req.body[key] !== undefined) merged[key] = req.body[key];
+      }
+      const invalid = validateRule(merged);
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+      const rule = await store.updateAnalyzerRule(req.params.id, req.body);
+      res.json({ ok: true, rule });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/settings/analyzer/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      await store.deleteAnalyzerRule(req.params.id);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // { enabled } switches a built-in rule off or on; { pattern } replaces its regex (null restores it)
+  router.put('/api/settings/analyzer/builtins/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { enabled, pattern } = req.body;
+      const invalid = validateBuiltinOverride(req.params.id, { enabled, pattern });
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      const builtins = await store.setAnalyzerBuiltin(req.params.id, { enabled, pattern });
+      const rule = describeBuiltins(builtins).find(r => r.id === req.params.id);
+      res.json({ ok: true, rule });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Replaces the whole config: { weights, thresholds, groups: { chatId: { weights, thresholds } } }
+  router.put('/api/settings/analyzer/config', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const config = req.body.config;
+      const invalid = validateConfig(config);
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      await store.setAnalyzerConfig(config);
+      res.json({ ok: true, config });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // How a sample message would be classified with the saved rules — nothing is stored
+  router.post('/api/settings/analyzer/dry-run', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { body, chatId, isGroupChat, mentionsMe } = req.body;
+      if (!body || typeof body !== 'string') return res.status(400).json({ ok: false, error: 'body required' });
+
+      const [trackName, myId, myLid, ruleset] = await Promise.all([
+        store.getTrackName(), store.getMyId(), store.getMyLid(), store.getAnalyzerRuleset()
+      ]);
+      const analyzer = new Analyzer(trackName);
+      analyzer.setRules(ruleset);
+
+      const message = {
+        body,
+        fromMe: false,
+        hasQuotedMsg: false,
+        mentionedIds: mentionsMe ? [myLid || myId].filter(Boolean) : []
+      };
+      const result = analyzer.explain(message, myId, myLid, isGroupChat !== false, { chatId: chatId || null });
+      res.json({ ok: true, result });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/setup/complete', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { trackName, partnerGroups, internalStaff } = req.body;
+
+      if (trackName) await store.setTrackName(trackName);
+      if (partnerGroups && Array.isArray(partnerGroups)) {
+        for (const name of partnerGroups) {
+          await store.addPartnerGroup(name);
+        }
+      }
+      if (internalStaff && Array.isArray(internalStaff)) {
+        for (const name of internalStaff) {
+          await store.addInternalStaff(name);
+        }
+      }
+
+      await store.completeSetup();
+      res.json({ ok: true, message: 'Setup complete' });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Outbound Queue ──
+  // Status of queued sends / broadcasts. The worker itself runs in server.js;
+  // retried messages are picked up on its next pass. Sent rows carry their
+  // WhatsApp ack and receipt_counts ({ recipients, delivered, read }), so
+  // ?status=sent doubles as the sent-messages log.
+
+  router.get('/api/outbox', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { status, batch_id, chat_id, limit } = req.query;
+      const messages = await store.getOutboundMessages({
+        status: status || undefined,
+        batchId: batch_id || undefined,
+        chatId: chat_id || undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      const summary = { queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0, delivered: 0, read: 0 };
+      for (const m of messages) {
+        summary[m.status] = (summary[m.status] || 0) + 1;
+        if (m.delivered_at || m.receipt_counts.delivered) summary.delivered++;
+        if (m.read_at || m.receipt_counts.read) summary.read++;
+      }
+      res.json({ ok: true, messages, summary });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/outbox/stats', async (req, res) => {
+    try {
+      const store = await getStore();
+      const stats = await store.getOutboundStats();
+      res.json({ ok: true, stats });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/outbox/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const message = await store.getOutboundMessage(req.params.id);
+      if (!message) return res.status(404).json({ ok: false, error: 'Message not found' });
+      const receipts = await store.getOutboundReceipts(message.id);
+      res.json({ ok: true, message, receipts });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Give a failed message a fresh set of attempts
+  router.post('/api/outbox/:id/retry', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      // A failed send has released its attachment once nothing else queued
+      // shares it; without it the retry can't succeed
+      const message = await store.getOutboundMessage(req.params.id);
+      if (message && message.status === 'failed' && message.kind === 'media' &&
+          !(message.media_id && await store.hasOutboundMedia(message.media_id))) {
+        return res.status(409).json({ ok: false, error: 'The attachment is no longer stored — send the message again' });
+      }
+
+      const ok = await store.transitionOutboundMessage(req.params.id, 'failed', {
+        status: 'queued', attempts: 0, error: null, next_attempt_at: Date.now()
+      });
+      if (!ok) return res.status(409).json({ ok: false, error: 'Only failed messages can be retried' });
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/outbox/:id/cancel', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const ok = await store.transitionOutboundMessage(req.params.id, 'queued', { status: 'cancelled', next_attempt_at: null });
+      if (!ok) return res.status(409).json({ ok: false, error: 'Only queued messages can be cancelled' });
+      const message = await store.getOutboundMessage(req.params.id);
+      if (message && message.media_id) await store.releaseOutboundMedia(message.media_id);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Stop the rest of a broadcast
+  router.post('/api/outbox/batches/:batchId/cancel', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const pending = await store.getOutboundMessages({ batchId: req.params.batchId, status: 'queued', limit: 1000 });
+      let cancelled = 0;
+      for (const m of pending) {
+        if (await store.transitionOutboundMessage(m.id, 'queued', { status: 'cancelled', next_attempt_at: null })) cancelled++;
+      }
+      if (pending[0] && pending[0].media_id) await store.releaseOutboundMedia(pending[0].media_id);
+      res.json({ ok: true, cancelled });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Scheduled Sends ──
+  // Stored here; the scheduler in server.js dispatches them into the outbox
+  // when due. Times come as sendAt (ISO/epoch) or localTime + timezone.
+
+  router.get('/api/scheduled', async (req, res) => {
+    try {
+      const store = await getStore();
+      const { status, limit } = req.query;
+      const scheduled = await store.getScheduledSends({
+        status: status || 'scheduled',
+        limit: limit ? parseInt(limit) : undefined
+      });
+      res.json({ ok: true, scheduled });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/scheduled/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const scheduled = await store.getScheduledSend(req.params.id);
+      if (!scheduled) return res.status(404).json({ ok: false, error: 'Scheduled send not found' });
+      res.json({ ok: true, scheduled });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // JSON for text, multipart (with a `media` file) for media broadcasts
+  router.post('/api/scheduled', requireRole('agent'), upload.single('media'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const body = req.body.message || req.body.caption || '';
+      let recipients;
+      try {
+        recipients = await resolveRecipients(store, {
+          chatIds: parseChatIds(req.body.chatIds || (req.body.chatId ? [req.body.chatId] : [])),
+          audience: req.body.audience
+        });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      const { chatIds, audience } = recipients;
+      if ((!chatIds.length && !audience) || (!body && !req.file)) {
+        return res.status(400).json({ ok: false, error: 'chatIds (or an audience) and a message or media file required' });
+      }
+
+      let when;
+      try {
+        when = resolveSendAt(req.body);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+
+      let media = null;
+      let mediaId = null;
+      if (req.file) {
+        media = await convertMediaIfNeeded(req.file);
+        mediaId = await store.addOutboundMedia({
+          mimetype: media.mimetype,
+          filename: media.filename,
+          data: media.buffer.toString('base64')
+        });
+      }
+
+      const offer = parseOfferPayload(req.body.offer);
+      // Segments are resolved again at send time; chat_ids is the current snapshot
+      const scheduled = await store.addScheduledSend({
+        chatIds,
+        audienceId: audience && audience.kind === 'segment' ? audience.id : null,
+        kind: media ? 'media' : 'text',
+        body,
+        mediaId,
+        mediaMimetype: media ? media.mimetype : null,
+        mediaFilename: media ? media.filename : null,
+        offer: offer ? { title: offer.title, lineItems: offer.lineItems || [] } : null,
+        templateId: req.body.templateId || null,
+        ...when,
+        createdBy: req.user.name
+      });
+      res.json({ ok: true, scheduled });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Change the text, recipients or time of a send that hasn't gone out yet
+  router.put('/api/scheduled/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const updates = {};
+      const { message, chatIds, audience, sendAt, localTime, timezone } = req.body;
+      if (message !== undefined) updates.body = message;
+      if (chatIds !== undefined) {
+        updates.chat_ids = parseChatIds(chatIds);
+        updates.audience_id = null;
+        if (!updates.chat_ids.length) return res.status(400).json({ ok: false, error: 'chatIds cannot be empty' });
+      }
+      if (audience) {
+        const found = await findAudience(store, audience);
+        if (!found) return res.status(400).json({ ok: false, error: `Unknown audience: ${audience}` });
+        updates.chat_ids = await resolveAudience(store, found);
+        updates.audience_id = found.kind === 'segment' ? found.id : null;
+      }
+      if (sendAt !== undefined || localTime !== undefined || timezone !== undefined) {
+        try {
+          const when = resolveSendAt({ sendAt, localTime, timezone });
+          Object.assign(updates, { send_at: when.sendAt, timezone: when.timezone, local_time: when.localTime });
+        } catch (err) {
+          return res.status(400).json({ ok: false, error: err.message });
+        }
+      }
+
+      const scheduled = await store.transitionScheduledSend(req.params.id, 'scheduled', updates);
+      if (!scheduled) return res.status(409).json({ ok: false, error: 'Only sends that are still scheduled can be edited' });
+      res.json({ ok: true, scheduled });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/scheduled/:id/cancel', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const scheduled = await store.transitionScheduledSend(req.params.id, 'scheduled', { status: 'cancelled' });
+      if (!scheduled) return res.status(409).json({ ok: false, error: 'Only sends that are still scheduled can be cancelled' });
+      if (scheduled.media_id) await store.releaseOutboundMedia(scheduled.media_id);
+      res.json({ ok: true, scheduled });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Webhooks (admin) ──
+
+  router.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const hooks = await store.getWebhooks();
+      res.json({ ok: true, webhooks: hooks.map(h => publicWebhook(h)), events: WEBHOOK_EVENTS });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { url, secret, events, description, enabled } = req.body;
+      const invalid = validateWebhook({ url, secret, events });
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      const hook = await store.addWebhook({
+        url,
+        secret: secret || generateSecret(),
+        events,
+        description,
+        enabled,
+        createdBy: req.user.name
+      });
+      res.json({ ok: true, webhook: publicWebhook(hook, { revealSecret: true }) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const invalid = validateWebhook(req.body, { partial: true });
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      if (!await store.getWebhook(req.params.id)) return res.status(404).json({ ok: false, error: 'Webhook not found' });
+
+      const updates = { ...req.body };
+      const rotated = updates.rotateSecret === true;
+      if (rotated) updates.secret = generateSecret();
+      const hook = await store.updateWebhook(req.params.id, updates);
+      res.json({ ok: true, webhook: publicWebhook(hook, { revealSecret: rotated || updates.secret !== undefined }) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      await store.deleteWebhook(req.params.id);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Send a signed `ping` now and return the delivery record
+  router.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+      const delivery = await webhooks.ping(req.params.id);
+      if (!delivery) return res.status(404).json({ ok: false, error: 'Webhook not found' });
+      res.json({ ok: delivery.status === 'delivered', delivery });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Delivery log
+  router.get('/api/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { webhook_id, status, event, limit } = req.query;
+      const deliveries = await store.getWebhookDeliveries({
+        webhookId: webhook_id || undefined,
+        status: status || undefined,
+        event: event || undefined,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      res.json({ ok: true, deliveries });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/webhooks/deliveries/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const delivery = await store.getWebhookDelivery(req.params.id);
+      if (!delivery) return res.status(404).json({ ok: false, error: 'Delivery not found' });
+      res.json({ ok: true, delivery });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), async (req, res) => {
+    try {
+      const delivery = await webhooks.redeliver(req.params.id);
+      if (!delivery) return res.status(404).json({ ok: false, error: 'Delivery or webhook not found' });
+      res.json({ ok: delivery.status === 'delivered', delivery });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Message Templates ──
+  // Bodies may contain {{placeholders}} — see templating.js. Every edit is a
+  // new version; send_count / reply_count are kept up by the outbox and the
+  // incoming-message handler when sends carry a templateId.
+
+  router.get('/api/templates', async (req, res) => {
+    try {
+      const store = await getStore();
+      const [templates, categories] = await Promise.all([
+        store.getTemplates({ category: req.query.category, search: req.query.search }),
+        store.getTemplateCategories()
+      ]);
+      res.json({
+        ok: true,
+        templates: templates.map(t => ({ ...t, variables: extractVariables(t.body) })),
+        categories,
+        builtinVariables: BUILTIN_VARIABLES
+      });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // What each recipient would receive — nothing is sent
+  router.post('/api/templates/preview', async (req, res) => {
+    try {
+      const store = await getStore();
+      const body = req.body.body || req.body.message || '';
+      let chatIds;
+      try {
+        ({ chatIds } = await resolveRecipients(store, { chatIds: parseChatIds(req.body.chatIds), audience: req.body.audience }));
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      if (!body || !chatIds.length) {
+        return res.status(400).json({ ok: false, error: 'body and chatIds (or a non-empty audience) required' });
+      }
+      const rendered = await personalize(store, chatIds, body, {
+        at: req.body.sendAt ? Number(req.body.sendAt) : undefined,
+        timezone: req.body.timezone,
+        senderName: req.user.name
+      });
+      const groups = await store.getGroupsByIds(chatIds);
+      const names = new Map(groups.map(g => [g.chat_id, g.name]));
+      const recipients = chatIds.map(chatId => ({
+        chatId,
+        name: names.get(chatId) || chatId.split('@')[0],
+        text: rendered ? rendered[chatId].text : body,
+        missing: rendered ? rendered[chatId].missing : []
+      }));
+      res.json({ ok: true, variables: extractVariables(body), recipients });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/templates/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const template = await store.getTemplate(req.params.id);
+      if (!template) return res.status(404).json({ ok: false, error: 'Template not found' });
+      const versions = await store.getTemplateVersions(req.params.id);
+      res.json({ ok: true, template: { ...template, variables: extractVariables(template.body) }, versions });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/templates/:id/media', async (req, res) => {
+    try {
+      const store = await getStore();
+      const template = await store.getTemplate(req.params.id, { withMedia: true });
+      if (!template || !template.media_data) return res.status(404).json({ ok: false, error: 'No attachment' });
+      // Uploaded by an agent with whatever type they sent — served like partner media
+      const mimetype = template.media_mimetype || 'application/octet-stream';
+      res.set(fileHeaders(mimetype, template.media_filename || 'attachment', { download: !!req.query.download }));
+      res.send(Buffer.from(template.media_data, 'base64'));
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // JSON, or multipart with an optional `media` attachment
+  router.post('/api/templates', requireRole('agent'), upload.single('media'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const name = (req.body.name || '').trim();
+      const { body, category } = req.body;
+      if (!name || (!body && !req.file)) {
+        return res.status(400).json({ ok: false, error: 'name and a body or media file required' });
+      }
+      if (await store.getTemplateByName(name)) {
+        return res.status(409).json({ ok: false, error: `A template named "${name}" already exists` });
+      }
+      const template = await store.addTemplate({
+        name,
+        category: (category || '').trim(),
+        body,
+        media: await templateMedia(req.file),
+        createdBy: req.user.name
+      });
+      res.json({ ok: true, template });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Saves a new version. `removeMedia: true` drops the attachment.
+  router.put('/api/templates/:id', requireRole('agent'), upload.single('media'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { body, category } = req.body;
+      const name = req.body.name !== undefined ? String(req.body.name).trim() : undefined;
+      if (name === '') return res.status(400).json({ ok: false, error: 'name cannot be empty' });
+      if (name) {
+        const existing = await store.getTemplateByName(name);
+        if (existing && existing.id !== req.params.id) {
+          return res.status(409).json({ ok: false, error: `A template named "${name}" already exists` });
+        }
+      }
+
+      let media;
+      if (req.file) media = await templateMedia(req.file);
+      else if (req.body.removeMedia === true || req.body.removeMedia === 'true') media = null;
+
+      const template = await store.updateTemplate(req.params.id, {
+        name,
+        category: category !== undefined ? String(category).trim() : undefined,
+        body,
+        media
+      }, req.user.name);
+      if (!template) return res.status(404).json({ ok: false, error: 'Template not found' });
+      res.json({ ok: true, template });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Bring back an earlier version's text as the newest version
+  router.post('/api/templates/:id/restore', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const versions = await store.getTemplateVersions(req.params.id);
+      const target = versions.find(v => v.version === parseInt(req.body.version));
+      if (!target) return res.status(404).json({ ok: false, error: 'Version not found' });
+      const template = await store.updateTemplate(req.params.id, {
+        name: target.name,
+        category: target.category,
+        body: target.body
+      }, req.user.name);
+      res.json({ ok: true, template });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/templates/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const template = await store.getTemplate(req.params.id);
+      if (!template) return res.status(404).json({ ok: false, error: 'Template not found' });
+      await store.deleteTemplate(req.params.id);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Recipient Directory (per-chat template variables) ──
+
+  router.get('/api/directory', async (req, res) => {
+    try {
+      const store = await getStore();
+      const entries = await store.getRecipientDirectory();
+      res.json({ ok: true, entries });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/directory/:chatId', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const { contactName, fields } = req.body;
+      if (fields !== undefined && (typeof fields !== 'object' || fields === null || Array.isArray(fields))) {
+        return res.status(400).json({ ok: false, error: 'fields must be an object of name → value' });
+      }
+      const clean = {};
+      for (const [key, value] of Object.entries(fields || {})) {
+        if (!/^[a-zA-Z_][\w.]*$/.test(key)) {
+          return res.status(400).json({ ok: false, error: `Invalid field name: ${key}` });
+        }
+        if (BUILTIN_VARIABLES[key]) {
+          return res.status(400).json({ ok: false, error: `${key} is a built-in variable` });
+        }
+        clean[key] = String(value ?? '');
+      }
+      const entry = await store.setRecipientEntry(req.params.chatId, {
+        contactName: (contactName || '').trim(),
+        fields: clean,
+        updatedBy: req.user.name
+      });
+      res.json({ ok: true, entry });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/directory/:chatId', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      await store.deleteRecipientEntry(req.params.chatId);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // ── Audiences (recipient lists and segments — see audiences.js) ──
+  // Broadcast, scheduled and preview endpoints take `audience` (id or name)
+  // in place of chatIds.
+
+  router.get('/api/audiences', async (req, res) => {
+    try {
+      const store = await getStore();
+      const stored = await store.getAudiences();
+      const audiences = [];
+      for (const audience of [...BUILTIN_SEGMENTS, ...stored]) {
+        const chatIds = await resolveAudience(store, audience);
+        audiences.push({ ...audience, memberCount: chatIds.length });
+      }
+      res.json({ ok: true, audiences });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Who a segment's rules would match right now — for building one in the UI
+  router.post('/api/audiences/preview', async (req, res) => {
+    try {
+      const store = await getStore();
+      let rules;
+      try {
+        rules = normalizeRules(req.body.rules || {});
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      const { members } = await withMembers(store, { kind: 'segment', rules });
+      res.json({ ok: true, rules, members });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.get('/api/audiences/:id', async (req, res) => {
+    try {
+      const store = await getStore();
+      const audience = await findAudience(store, req.params.id);
+      if (!audience) return res.status(404).json({ ok: false, error: 'Audience not found' });
+      res.json({ ok: true, audience: await withMembers(store, audience) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.post('/api/audiences', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const name = (req.body.name || '').trim();
+      const { kind, description } = req.body;
+      if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+      if (!['list', 'segment'].includes(kind)) return res.status(400).json({ ok: false, error: 'kind must be list or segment' });
+      if (BUILTIN_SEGMENTS.some(s => s.name.toLowerCase() === name.toLowerCase()) || await store.getAudienceByName(name)) {
+        return res.status(409).json({ ok: false, error: `An audience named "${name}" already exists` });
+      }
+
+      let chatIds = [];
+      let rules = {};
+      if (kind === 'list') {
+        chatIds = [...new Set(parseChatIds(req.body.chatIds))];
+        if (!chatIds.length) return res.status(400).json({ ok: false, error: 'A list needs at least one chat' });
+      } else {
+        try {
+          rules = normalizeRules(req.body.rules || {});
+        } catch (err) {
+          return res.status(400).json({ ok: false, error: err.message });
+        }
+      }
+
+      const audience = await store.addAudience({ name, kind, description, chatIds, rules, createdBy: req.user.name });
+      res.json({ ok: true, audience: await withMembers(store, audience) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.put('/api/audiences/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const audience = await store.getAudience(req.params.id);
+      if (!audience) {
+        const builtin = BUILTIN_SEGMENTS.some(s => s.id === req.params.id);
+        return res.status(builtin ? 400 : 404).json({ ok: false, error: builtin ? 'Built-in segments cannot be changed' : 'Audience not found' });
+      }
+
+      const updates = {};
+      if (req.body.name !== undefined) {
+        const name = String(req.body.name).trim();
+        if (!name) return res.status(400).json({ ok: false, error: 'name cannot be empty' });
+        const existing = await store.getAudienceByName(name);
+        if (existing && existing.id !== audience.id) {
+          return res.status(409).json({ ok: false, error: `An audience named "${name}" already exists` });
+        }
+        updates.name = name;
+      }
+      if (req.body.description !== undefined) updates.description = req.body.description;
+      if (audience.kind === 'list' && req.body.chatIds !== undefined) {
+        updates.chat_ids = [...new Set(parseChatIds(req.body.chatIds))];
+        if (!updates.chat_ids.length) return res.status(400).json({ ok: false, error: 'A list needs at least one chat' });
+      }
+      if (audience.kind === 'segment' && req.body.rules !== undefined) {
+        try {
+          updates.rules = normalizeRules(req.body.rules);
+        } catch (err) {
+          return res.status(400).json({ ok: false, error: err.message });
+        }
+      }
+
+      const updated = await store.updateAudience(audience.id, updates);
+      res.json({ ok: true, audience: await withMembers(store, updated) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  router.delete('/api/audiences/:id', requireRole('agent'), async (req, res) => {
+    try {
+      const store = await getStore();
+      const audience = await store.getAudience(req.params.id);
+      if (!audience) return res.status(404).json({ ok: false, error: 'Audience not found' });
+      await store.deleteAudience(audience.id);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDataRouter };
@@ -0,0 +1,43 @@
+/**
+ * Media upload helpers shared by routes that accept a multipart `media` file
+ * (immediate sends in routes/whatsapp.js, scheduled sends and template
+ * attachments in routes/data.js).
+ */
+
+const multer = require('multer');
+const heicConvert = require('heic-convert');
+
+// ── File upload (memory storage for base64 conversion) ──
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 16 * 1024 * 1024 } });
+
+// ── HEIC/HEIF → JPEG conversion helper ──
+const HEIC_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+
+async function convertMediaIfNeeded(file) {
+  const mimeLC = (file.mimetype || '').toLowerCase();
+  const extLC = (file.originalname || '').toLowerCase();
+  const isHeic = HEIC_TYPES.includes(mimeLC) || extLC.endsWith('.heic') || extLC.endsWith('.heif');
+
+  if (isHeic) {
+    console.log(`[Media] Converting HEIC → JPEG: ${file.originalname}`);
+    const jpegBuffer = await heicConvert({
+      buffer: file.buffer,
+      format: 'JPEG',
+      quality: 0.85
+    });
+    const newFilename = file.originalname.replace(/\.heic$/i, '.jpg').replace(/\.heif$/i, '.jpg');
+    return {
+      buffer: Buffer.from(jpegBuffer),
+      mimetype: 'image/jpeg',
+      filename: newFilename
+    };
+  }
+
+  return {
+    buffer: file.buffer,
+    mimetype: file.mimetype,
+    filename: file.originalname
+  };
+}
+
+module.exports = { upload, convertMediaIfNeeded };
@@ -0,0 +1,347 @@
+/**
+ * WhatsApp Routes — endpoints that need the live WhatsApp client
+ *
+ * Declared once as a table so the same list produces both:
+ *   - createWhatsAppRouter(ctx, auth) — the real handlers (server.js)
+ *   - createOfflineRouter(auth) — 503 fallbacks with the same paths and role
+ *     checks, for deployments without a client (api/index.js on Vercel)
+ *
+ * Route fields:
+ *   role          minimum role (omit for any signed-in user)
+ *   requiresReady answer 503 until the client is connected
+ *   upload        parse a multipart `media` file first
+ *   offline       custom handler for the offline router instead of the 503
+ */
+
+const express = require('express');
+const { upload, convertMediaIfNeeded } = require('./media');
+const { personalizedBodies } = require('../templating');
+const { resolveRecipients } = require('../audiences');
+
+// ── Offer-sheet registration for outgoing posts ──
+// Send/broadcast endpoints accept an optional `offer` ({ title, lineItems })
+// — as an object in JSON bodies or a JSON string in multipart forms.
+
+function parseOfferPayload(offer) {
+  if (!offer) return null;
+  if (typeof offer === 'string') {
+    try { offer = JSON.parse(offer); } catch { return null; }
+  }
+  return offer && typeof offer === 'object' ? offer : null;
+}
+
+async function registerOffer(store, offerPayload, chatIds, { body, media, createdBy } = {}) {
+  const offer = parseOfferPayload(offerPayload);
+  if (!offer) return null;
+  return store.addOfferSheet({
+    title: offer.title,
+    body: body || '',
+    lineItems: offer.lineItems,
+    targetChatIds: chatIds,
+    mediaType: media ? media.mimetype : null,
+    mediaFilename: media ? media.filename : null,
+    createdBy: createdBy || offer.createdBy
+  });
+}
+
+// Sent messages whose receipts are refreshed per call. Each is a round trip
+// to WhatsApp Web, so a large broadcast is walked a page at a time.
+const RECEIPT_REFRESH_PAGE = 25;
+
+// ═══════════════════════════════════════════════
+// Route Table
+// ═══════════════════════════════════════════════
+
+const WHATSAPP_ROUTES = [
+  // ── Connection Status (public — listed in auth.js PUBLIC_PATHS) ──
+  {
+    method: 'get', path: '/api/status',
+    handler: (ctx, req, res) => {
+      res.json({
+        whatsapp: ctx.getStatus(),
+        hasQR: !!ctx.getQR(),
+        uptime: process.uptime()
+      });
+    },
+    offline: (req, res) => {
+      res.json({
+        whatsapp: 'cloud',
+        hasQR: false,
+        uptime: 0,
+        mode: 'dashboard-only',
+        message: 'Dashboard hosted on Vercel. WhatsApp client runs separately.'
+      });
+    }
+  },
+  {
+    method: 'get', path: '/api/qr', role: 'admin',
+    handler: (ctx, req, res) => {
+      // whatsapp.js already converts QR to a data URL image, so pass it through directly
+      res.json({ qr: ctx.getQR() || null, status: ctx.getStatus() });
+    }
+  },
+  {
+    method: 'post', path: '/api/reconnect', role: 'admin',
+    handler: async (ctx, req, res) => {
+      await ctx.reconnect();
+      res.json({ ok: true, message: 'Reconnecting...' });
+    }
+  },
+
+  // ── Live Events (SSE) ──
+  // Offline this answers 503, which EventSource treats as fatal — the pages
+  // then stay on polling. The token comes from ?token= (see auth.js).
+  {
+    method: 'get', path: '/api/events',
+    handler: (ctx, req, res) => {
+      ctx.events.subscribe(req, res);
+    }
+  },
+
+  // ── Messaging ──
+  // Messages are queued (outbox.js) and sent at a safe pace; responses carry
+  // the queue ids — follow them with GET /api/outbox?batch_id=…
+  // Text and captions may use template placeholders ({{group_name}} etc. —
+  // see templating.js); each chat gets its own rendering. An optional
+  // `timezone` sets the zone for {{date}} / {{time}}, and `templateId`
+  // credits the message to a saved template's usage stats. Broadcasts take
+  // `audience` (a list or segment id / name — audiences.js) instead of chatIds.
+  {
+    method: 'post', path: '/api/send', role: 'agent', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const { chatId, message, offer } = req.body;
+      if (!chatId || !message) {
+        return res.status(400).json({ ok: false, error: 'chatId and message required' });
+      }
+      const bodies = await personalizedBodies(ctx.store, [chatId], message, { timezone: req.body.timezone, senderName: req.user.name });
+      const offerId = await registerOffer(ctx.store, offer, [chatId], { body: message, createdBy: req.user.name });
+      const result = await ctx.getClient().sendMessage(chatId, bodies ? bodies[chatId] : message, [], { offerSheetId: offerId, templateId: req.body.templateId, createdBy: req.user.name });
+      res.json({ ok: true, result, batchId: result.batchId, offerId });
+    }
+  },
+  {
+    method: 'post', path: '/api/broadcast', role: 'agent', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const { message, offer } = req.body;
+      let chatIds;
+      try {
+        ({ chatIds } = await resolveRecipients(ctx.store, { chatIds: req.body.chatIds, audience: req.body.audience }));
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      if (!chatIds || !chatIds.length || !message) {
+        return res.status(400).json({ ok: false, error: 'chatIds array (or a non-empty audience) and message required' });
+      }
+      const bodies = await personalizedBodies(ctx.store, chatIds, message, { timezone: req.body.timezone, senderName: req.user.name });
+      const offerId = await registerOffer(ctx.store, offer, chatIds, { body: message, createdBy: req.user.name });
+      const results = await ctx.getClient().sendBroadcast(chatIds, message, { bodies, offerSheetId: offerId, templateId: req.body.templateId, createdBy: req.user.name });
+      res.json({ ok: true, results, batchId: results[0] && results[0].batchId, offerId });
+    }
+  },
+  {
+    method: 'post', path: '/api/send-media', role: 'agent', requiresReady: true, upload: true,
+    handler: async (ctx, req, res) => {
+      const { chatId, caption } = req.body;
+      if (!chatId || !req.file) {
+        return res.status(400).json({ ok: false, error: 'chatId and media file required' });
+      }
+      const media = await convertMediaIfNeeded(req.file);
+      const base64 = media.buffer.toString('base64');
+      const bodies = await personalizedBodies(ctx.store, [chatId], caption, { timezone: req.body.timezone, senderName: req.user.name });
+      const offerId = await registerOffer(ctx.store, req.body.offer, [chatId], { body: caption, media, createdBy: req.user.name });
+      const result = await ctx.getClient().sendMediaMessage(chatId, base64, media.mimetype, media.filename, caption, { bodies, offerSheetId: offerId, templateId: req.body.templateId, createdBy: req.user.name });
+      res.json({ ok: true, result, batchId: result.batchId, offerId });
+    }
+  },
+  {
+    method: 'post', path: '/api/broadcast-media', role: 'agent', requiresReady: true, upload: true,
+    handler: async (ctx, req, res) => {
+      let chatIds = req.body.chatIds;
+      const caption = req.body.caption;
+      // chatIds comes as JSON string from FormData
+      if (typeof chatIds === 'string') chatIds = JSON.parse(chatIds);
+      try {
+        ({ chatIds } = await resolveRecipients(ctx.store, { chatIds, audience: req.body.audience }));
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      if (!chatIds || !chatIds.length || !req.file) {
+        return res.status(400).json({ ok: false, error: 'chatIds (or a non-empty audience) and media file required' });
+      }
+      const media = await convertMediaIfNeeded(req.file);
+      const base64 = media.buffer.toString('base64');
+      const bodies = await personalizedBodies(ctx.store, chatIds, caption, { timezone: req.body.timezone, senderName: req.user.name });
+      const offerId = await registerOffer(ctx.store, req.body.offer, chatIds, { body: caption, media, createdBy: req.user.name });
+      const results = await ctx.getClient().sendMediaBroadcast(chatIds, base64, media.mimetype, media.filename, caption, { bodies, offerSheetId: offerId, templateId: req.body.templateId, createdBy: req.user.name });
+      res.json({ ok: true, results, batchId: results[0] && results[0].batchId, offerId });
+    }
+  },
+
+  // ── Delivery Receipts ──
+  // Group acks only change once every member has the message, so partial
+  // delivery / reads are fetched on demand, RECEIPT_REFRESH_PAGE sent
+  // messages per call from `offset`. Returns the batch's rows and the
+  // offset of the next page (null after the last).
+  {
+    method: 'post', path: '/api/outbox/batches/:batchId/receipts/refresh', role: 'agent', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const offset = Math.max(0, parseInt(req.body && req.body.offset) || 0);
+      const sent = await ctx.store.getOutboundMessages({ batchId: req.params.batchId, status: 'sent', limit: 1000 });
+      if (!sent.length) return res.status(404).json({ ok: false, error: 'No sent messages in this batch' });
+      const page = sent.slice(offset, offset + RECEIPT_REFRESH_PAGE);
+      for (const message of page) {
+        await ctx.getClient().refreshOutboundReceipts(message);
+      }
+      const next = offset + page.length;
+      const messages = await ctx.store.getOutboundMessages({ batchId: req.params.batchId, limit: 1000 });
+      res.json({ ok: true, messages, refreshed: page.length, remaining: Math.max(0, sent.length - next), nextOffset: next < sent.length ? next : null });
+    }
+  },
+
+  // ── WhatsApp Data (fetched live from WhatsApp, not from DB) ──
+  {
+    method: 'get', path: '/api/whatsapp/chats', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const chats = await ctx.getClient().getChats();
+      res.json({ ok: true, chats });
+    }
+  },
+  {
+    method: 'get', path: '/api/whatsapp/contacts', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const contacts = await ctx.getClient().getContacts();
+      res.json({ ok: true, contacts });
+    }
+  },
+  {
+    method: 'get', path: '/api/whatsapp/conversation/:chatId', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const limit = parseInt(req.query.limit) || 50;
+      const messages = await ctx.getClient().getConversation(req.params.chatId, limit);
+      res.json({ ok: true, messages });
+    }
+  },
+  {
+    method: 'get', path: '/api/whatsapp/group/:chatId/participants', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const participants = await ctx.getClient().getGroupParticipants(req.params.chatId);
+      res.json({ ok: true, participants });
+    }
+  },
+  {
+    // Pull group members into the contact directory (all groups, or `chatIds`)
+    method: 'post', path: '/api/whatsapp/contacts/sync', role: 'agent', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const chatIds = Array.isArray(req.body.chatIds) && req.body.chatIds.length ? req.body.chatIds : undefined;
+      const result = await ctx.getClient().syncGroupContacts(chatIds);
+      res.json({ ok: true, ...result });
+    }
+  },
+
+  // ── Backfill ──
+  {
+    method: 'post', path: '/api/backfill', role: 'admin', requiresReady: true,
+    handler: async (ctx, req, res) => {
+      const state = ctx.backfill;
+      if (state.running) {
+        return res.status(409).json({ ok: false, error: 'Backfill already running', progress: state.progress });
+      }
+
+      const messagesPerChat = parseInt(req.query.limit) || 100;
+
+      // Start backfill async — respond immediately
+      state.running = true;
+      state.progress = { status: 'running', startedAt: Date.now() };
+
+      res.json({ ok: true, message: `Backfill started (${messagesPerChat} msgs/chat). Check /api/backfill/status for progress.` });
+
+      try {
+        const stats = await ctx.getClient().backfill({
+          messagesPerChat,
+          onProgress: (update) => {
+            state.progress = { status: 'running', ...update };
+          }
+        });
+        state.progress = { status: 'complete', ...stats, completedAt: Date.now() };
+      } catch (err) {
+        console.error('[Backfill] Fatal error:', err.message);
+        state.progress = { status: 'error', error: err.message };
+      } finally {
+        state.running = false;
+      }
+    }
+  },
+  {
+    method: 'get', path: '/api/backfill/status',
+    handler: (ctx, req, res) => {
+      res.json({
+        ok: true,
+        running: ctx.backfill.running,
+        progress: ctx.backfill.progress
+      });
+    }
+  }
+];
+
+// ═══════════════════════════════════════════════
+// Router Builders
+// ═══════════════════════════════════════════════
+
+function middlewareFor(route, auth) {
+  return route.role ? [auth.requireRole(route.role)] : [];
+}
+
+/**
+ * @param {object} ctx
+ * @param {Store} ctx.store
+ * @param {() => WhatsAppClient|null} ctx.getClient
+ * @param {() => string} ctx.getStatus — disconnected | qr | loading | ready | failed
+ * @param {() => string|null} ctx.getQR — QR data URL while awaiting a scan
+ * @param {() => Promise<void>} ctx.reconnect — tear down and restart the client
+ * @param {LiveEvents} ctx.events — SSE hub for /api/events (live-events.js)
+ * @param {object} auth — from createAuth()
+ */
+function createWhatsAppRouter(ctx, auth) {
+  const router = express.Router();
+  const context = { ...ctx, backfill: { running: false, progress: null } };
+
+  for (const route of WHATSAPP_ROUTES) {
+    const middleware = middlewareFor(route, auth);
+    if (route.upload) middleware.push(upload.single('media'));
+
+    router[route.method](route.path, ...middleware, async (req, res) => {
+      if (route.requiresReady && context.getStatus() !== 'ready') {
+        return res.status(503).json({ ok: false, error: 'WhatsApp not connected' });
+      }
+      try {
+        await route.handler(context, req, res);
+      } catch (err) {
+        if (res.headersSent) return console.error(`[Server] ${route.path} error:`, err.message);
+        res.status(500).json({ ok: false, error: err.message });
+      }
+    });
+  }
+
+  return router;
+}
+
+const WA_OFFLINE = (req, res) => {
+  res.status(503).json({
+    ok: false,
+    error: 'WhatsApp client is not available on Vercel. Run the local server for WhatsApp features (send, backfill, QR).'
+  });
+};
+
+/**
+ * Same paths and role checks as createWhatsAppRouter, answering 503 (or the
+ * route's `offline` handler) — so new WhatsApp routes never 404 on Vercel.
+ */
+function createOfflineRouter(auth) {
+  const router = express.Router();
+  for (const route of WHATSAPP_ROUTES) {
+    router[route.method](route.path, ...middlewareFor(route, auth), route.offline || WA_OFFLINE);
+  }
+  return router;
+}
+
+module.exports = { createWhatsAppRouter, createOfflineRouter, parseOfferPayload, WHATSAPP_ROUTES };
@@ -0,0 +1,202 @@
+/**
+ * Scheduler — dispatches scheduled sends and broadcasts when they come due
+ *
+ * Scheduled sends live in the scheduled_sends table (Store.addScheduledSend).
+ * Every pass, anything whose send_at has passed is handed to the WhatsApp
+ * client's outbound queue (outbox.js), which takes care of pacing, retries
+ * and waiting for the connection. Because both tables are persistent, sends
+ * that came due while the server was down go out on the first pass after it
+ * starts again.
+ *
+ * Times are entered as a wall-clock time plus an IANA timezone
+ * ("2025-03-14T09:00" in "Europe/London") and stored as epoch ms;
+ * resolveSendAt() does the conversion, DST included.
+ */
+
+const { personalizedBodies } = require('./templating');
+const { findAudience, resolveAudience } = require('./audiences');
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+// Sends this far past due are still dispatched, but logged as catch-up
+const LATE_WARNING_MS = 5 * 60000;
+
+// ═══════════════════════════════════════════
+// Timezone helpers
+// ═══════════════════════════════════════════
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds the zone's wall clock is ahead of UTC at instant `ts`
+function zoneOffset(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false
+  }).formatToParts(new Date(ts));
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour') % 24, get('minute'), get('second'));
+  return wallClock - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * "2025-03-14T09:00" in `timeZone` → epoch ms, or null if unparseable.
+ */
+function zonedTimeToEpoch(localTime, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(localTime || '').trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h, mi, s || 0);
+  // Correct twice: the offset at the guess can differ from the final instant's across a DST change
+  const first = guess - zoneOffset(guess, timeZone);
+  return guess - zoneOffset(first, timeZone);
+}
+
+/**
+ * Work out when to send from a request body. Accepts either `sendAt` (an ISO
+ * timestamp with offset, or epoch ms) or `localTime` + `timezone`.
+ * Throws with a user-facing message on bad input.
+ */
+function resolveSendAt({ sendAt, localTime, timezone }) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(zone)) throw new Error(`Unknown timezone: ${zone}`);
+
+  let ts = null;
+  if (localTime) {
+    ts = zonedTimeToEpoch(localTime, zone);
+    if (ts === null) throw new Error('localTime must look like YYYY-MM-DDTHH:mm');
+  } else if (sendAt !== undefined && sendAt !== null && sendAt !== '') {
+    ts = typeof sendAt === 'number' || /^\d+$/.test(sendAt) ? Number(sendAt) : Date.parse(sendAt);
+    if (Number.isNaN(ts)) throw new Error('sendAt must be an ISO timestamp or epoch milliseconds');
+  } else {
+    throw new Error('sendAt or localTime is required');
+  }
+
+  if (ts < Date.now() - 60000) throw new Error('The scheduled time is in the past');
+  return { sendAt: ts, timezone: zone, localTime: localTime || null };
+}
+
+// ═══════════════════════════════════════════
+// Scheduler
+// ═══════════════════════════════════════════
+
+class Scheduler {
+  /**
+   * @param {Store} store
+   * @param {object} options
+   * @param {() => WhatsAppClient|null} options.getClient — the current client (dispatch waits until one exists)
+   * @param {number} [options.intervalMs] — how often to check for due sends (default 30s)
+   */
+  constructor(store, { getClient, intervalMs } = {}) {
+    this.store = store;
+    this.getClient = getClient;
+    this.intervalMs = intervalMs || 30000;
+    this._timer = null;
+    this._busy = false;
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.tick(), this.intervalMs);
+    this._timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async tick() {
+    const client = this.getClient();
+    if (this._busy || !client) return;
+    this._busy = true;
+    try {
+      const due = await this.store.getDueScheduledSends();
+      for (const scheduled of due) {
+        await this._dispatch(client, scheduled);
+      }
+    } catch (err) {
+      console.error('[Scheduler] tick error:', err.message);
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  async _dispatch(client, scheduled) {
+    // Claim first so an edit / cancel / second pass can't dispatch it again
+    const claimed = await this.store.transitionScheduledSend(scheduled.id, 'scheduled', {
+      status: 'dispatched',
+      dispatched_at: Date.now()
+    });
+    if (!claimed) return;
+
+    const late = Date.now() - scheduled.send_at;
+    if (late > LATE_WARNING_MS) {
+      console.log(`[Scheduler] Catching up on ${scheduled.id} (${Math.round(late / 60000)} min late)`);
+    }
+
+    try {
+      // Segments are re-resolved so groups that changed since scheduling are picked up
+      let chatIds = scheduled.chat_ids;
+      if (scheduled.audience_id) {
+        const audience = await findAudience(this.store, scheduled.audience_id);
+        if (!audience) throw new Error('The audience this send targeted no longer exists');
+        chatIds = await resolveAudience(this.store, audience);
+        if (!chatIds.length) throw new Error(`Audience "${audience.name}" has no groups right now`);
+      }
+
+      let offerSheetId = null;
+      if (scheduled.offer) {
+        offerSheetId = await this.store.addOfferSheet({
+          title: scheduled.offer.title,
+          body: scheduled.body,
+          lineItems: scheduled.offer.lineItems,
+          targetChatIds: chatIds,
+          mediaType: scheduled.media_mimetype,
+          mediaFilename: scheduled.media_filename,
+          createdBy: scheduled.created_by
+        });
+      }
+
+      // Rendered now rather than when scheduled, so group names and directory
+      // fields are current; {{date}} is the scheduled day in its timezone
+      const bodies = await personalizedBodies(this.store, chatIds, scheduled.body, {
+        at: scheduled.send_at,
+        timezone: scheduled.timezone,
+        senderName: scheduled.created_by
+      });
+
+      const queued = await client.queueOutbound({
+        chatIds,
+        kind: scheduled.kind,
+        body: scheduled.body,
+        bodies,
+        mediaId: scheduled.media_id,
+        offerSheetId,
+        templateId: scheduled.template_id,
+        createdBy: scheduled.created_by
+      });
+
+      await this.store.transitionScheduledSend(scheduled.id, 'dispatched', {
+        chat_ids: chatIds,
+        batch_id: queued.length ? queued[0].batch_id : null,
+        offer_sheet_id: offerSheetId
+      });
+      console.log(`[Scheduler] Dispatched ${scheduled.id} → ${queued.length} message(s) queued`);
+    } catch (err) {
+      console.error(`[Scheduler] Failed to dispatch ${scheduled.id}:`, err.message);
+      await this.store.transitionScheduledSend(scheduled.id, 'dispatched', { status: 'failed', error: err.message });
+      if (scheduled.media_id) await this.store.releaseOutboundMedia(scheduled.media_id);
+    }
+  }
+}
+
+module.exports = { Scheduler, resolveSendAt, zonedTimeToEpoch, DEFAULT_TIMEZONE };
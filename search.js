@@ -0,0 +1,107 @@
+/**
+ * Search — helpers for /api/search (Store.search)
+ *
+ * Postgres does the real work: search_content() from migration 018 matches
+ * stemmed full-text vectors over messages (including text read from their
+ * attachments — 024), questions, answer candidates, tasks and approvals,
+ * ranks them and builds <mark>-highlighted snippets.
+ * Without that function (the memory backend, or before the migration has
+ * run) Store.search falls back to matching each search term as a substring,
+ * with the ranking and snippets below.
+ *
+ * Query syntax follows Postgres websearch: words are ANDed, "quoted phrases"
+ * stay together and -word excludes.
+ */
+
+const SEARCH_TYPES = ['message', 'question', 'answer', 'task', 'approval'];
+
+// Which table and text columns each type searches in the fallback
+const SEARCH_SOURCES = {
+  message: { table: 'messages', columns: ['body', 'media_text'] },
+  question: { table: 'questions', columns: ['body', 'ai_summary'] },
+  answer: { table: 'answer_candidates', columns: ['body'] },
+  task: { table: 'tasks', columns: ['title', 'body'] },
+  approval: { table: 'approvals', columns: ['body', 'ai_summary', 'conditions'] }
+};
+
+/** Split a query into { terms, excluded } (lower-cased; phrases kept whole). */
+function parseQuery(query) {
+  const terms = [];
+  const excluded = [];
+  for (const m of String(query || '').matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+    const negated = m[1] === '-' || m[3] === '-';
+    const text = (m[2] || m[4] || '').toLowerCase().trim();
+    if (!text || text === 'or') continue;
+    (negated ? excluded : terms).push(text);
+  }
+  return { terms, excluded };
+}
+
+function matchesQuery(text, { terms, excluded }) {
+  const lower = String(text || '').toLowerCase();
+  return terms.length > 0 && terms.every(t => lower.includes(t)) && !excluded.some(t => lower.includes(t));
+}
+
+/** Rough relevance for the fallback: occurrences of the search terms. */
+function rankText(text, terms) {
+  const lower = String(text || '').toLowerCase();
+  let hits = 0;
+  for (const term of terms) hits += lower.split(term).length - 1;
+  return hits / Math.max(1, lower.length / 100);
+}
+
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * A short excerpt around the first match, HTML-escaped, with every term
+ * wrapped in <mark> — the same shape search_content() returns.
+ */
+function buildSnippet(text, terms, maxLength = 200) {
+  const source = String(text || '');
+  const lower = source.toLowerCase();
+  const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0), source.length);
+  const start = first > maxLength / 3 ? source.lastIndexOf(' ', first - maxLength / 3) + 1 : 0;
+  const end = Math.min(source.length, start + maxLength);
+  const raw = source.slice(start, end);
+
+  // One pass over the raw text, longest terms first, escaping between
+  // matches — so a term like "mark" or "amp" can't match markup added earlier
+  const alternatives = [...new Set(terms)].filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  let excerpt = '';
+  let last = 0;
+  if (alternatives.length) {
+    for (const match of raw.matchAll(new RegExp(alternatives.join('|'), 'gi'))) {
+      excerpt += escapeHtml(raw.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+  }
+  excerpt = (excerpt + escapeHtml(raw.slice(last))).replace(/<\/mark><mark>/g, '');
+  return (start > 0 ? '… ' : '') + excerpt + (end < source.length ? ' …' : '');
+}
+
+/**
+ * Epoch ms from a query-string date: epoch ms, or anything Date.parse reads.
+ * A bare date (YYYY-MM-DD) as the end of a range includes that whole day.
+ * Throws with a user-facing message.
+ */
+function parseSearchDate(value, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const ts = Date.parse(value);
+  if (Number.isNaN(ts)) throw new Error(`Not a date: ${value}`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ts + 86400000 - 1 : ts;
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  SEARCH_SOURCES,
+  parseQuery,
+  matchesQuery,
+  rankText,
+  buildSnippet,
+  parseSearchDate
+};
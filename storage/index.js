@@ -0,0 +1,47 @@
+/**
+ * Storage Adapters
+ *
+ * Store talks to its database through an adapter exposing the supabase-js
+ * query surface: `from(table)` returning a chainable query and
+ * `rpc(fn, args)`, both resolving to { data, error, count }.
+ *
+ * Selected with STORAGE_BACKEND:
+ *   supabase  (default) — hosted Supabase; needs SUPABASE_URL + SUPABASE_SERVICE_KEY
+ *   postgres            — any Postgres; needs DATABASE_URL
+ *   memory              — in-process, nothing persisted (tests, offline demos)
+ */
+
+const SupabaseAdapter = require('./supabase');
+const MemoryAdapter = require('./memory');
+
+const BACKENDS = ['supabase', 'postgres', 'memory'];
+
+function createStorageAdapter(options = {}) {
+  const backend = (options.backend || process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+  switch (backend) {
+    case 'supabase':
+      return new SupabaseAdapter({
+        url: options.url || process.env.SUPABASE_URL,
+        serviceKey: options.serviceKey || process.env.SUPABASE_SERVICE_KEY
+      });
+
+    case 'postgres': {
+      const connectionString = options.connectionString || process.env.DATABASE_URL;
+      if (!connectionString) {
+        throw new Error('Missing DATABASE_URL in environment (required for STORAGE_BACKEND=postgres)');
+      }
+      // Loaded lazily so Supabase/memory deployments don't need the pg driver
+      const PostgresAdapter = require('./postgres');
+      return new PostgresAdapter({ connectionString });
+    }
+
+    case 'memory':
+      return new MemoryAdapter();
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" — expected one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = { createStorageAdapter, BACKENDS };
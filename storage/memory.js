@@ -0,0 +1,256 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Keeps every table as a plain array of rows in the process. Nothing is
+ * persisted — intended for offline tests, demos and throwaway staging runs.
+ *
+ * Mirrors the Postgres behaviour Store relies on: primary-key and unique
+ * constraints, serial/uuid ids, column defaults and SQL null semantics in filters.
+ */
+
+const crypto = require('crypto');
+const { QueryBuilder } = require('./query');
+
+// Primary key per table (anything not listed uses `id`)
+const PRIMARY_KEYS = {
+  groups: 'chat_id',
+  app_settings: 'key',
+  recipient_directory: 'chat_id',
+  message_volume: 'key',
+  sender_stats: 'sender'
+};
+
+// Unique constraints besides the primary key (rows with a null in any
+// column never conflict, as in Postgres)
+const UNIQUE_KEYS = {
+  messages: [['chat_id', 'msg_id']]
+};
+
+// Column defaults the Store depends on when reading rows back
+const TABLE_DEFAULTS = {
+  groups: () => ({ is_ignored: false, is_partner: false, members: [], settings: {} }),
+  messages: () => ({ classified_by: 'none', has_media: false, media_type: 'chat' }),
+  questions: () => ({ status: 'open', classified_by: 'regex', dismissed: false, manually_resolved: false, keywords: [] }),
+  mentions: () => ({ resolved: false }),
+  direct_messages: () => ({ resolved: false, from_me: false }),
+  tasks: () => ({ status: 'open', priority: 'normal', my_day: false, steps: [], tags: [] }),
+  users: () => ({ id: crypto.randomUUID(), is_admin: false, role: 'viewer', track_name: '' }),
+  approvals: () => ({ status: 'pending_review', reviewed: false, notes: '', context_messages: [], line_items: [], extracted_by: 'none' }),
+  offer_sheets: () => ({ status: 'open', line_items: [], target_chat_ids: [] }),
+  webhooks: () => ({ events: [], enabled: true, description: '', created_by: '' }),
+  webhook_deliveries: () => ({ status: 'pending', attempts: 0 }),
+  outbound_messages: () => ({ kind: 'text', body: '', mention_ids: [], status: 'queued', attempts: 0, created_by: '' }),
+  scheduled_sends: () => ({ kind: 'text', body: '', status: 'scheduled', timezone: 'America/Los_Angeles', created_by: '' }),
+  recipient_directory: () => ({ contact_name: '', fields: {}, updated_by: '' }),
+  message_templates: () => ({ category: 'general', body: '', version: 1, send_count: 0, reply_count: 0, created_by: '', updated_by: '' }),
+  audiences: () => ({ description: '', chat_ids: [], rules: {}, created_by: '' }),
+  contacts: () => ({ push_name: '', saved_name: '', is_me: false, company: '', role: '', account_manager: '', notes: '', groups: [], updated_by: '' })
+};
+
+// Tables whose id is a bigserial/serial in the SQL schema
+const SERIAL_TABLES = new Set(['messages', 'activity_feed', 'question_context', 'offer_sheet_messages', 'message_template_versions']);
+
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.tables = new Map();
+    this.functions = {};
+    this._serials = {};
+  }
+
+  from(table) {
+    return new QueryBuilder(table, (query) => this._execute(query));
+  }
+
+  /**
+   * Stored procedures are not emulated unless registered with defineFunction();
+   * callers are expected to fall back just as they do when an RPC is missing.
+   */
+  async rpc(fn, args = {}) {
+    const impl = this.functions[fn];
+    if (!impl) {
+      return { data: null, error: { message: `function ${fn} does not exist`, code: '42883' } };
+    }
+    try {
+      return { data: await impl(args, this), error: null };
+    } catch (err) {
+      return { data: null, error: { message: err.message, code: null } };
+    }
+  }
+
+  defineFunction(name, impl) {
+    this.functions[name] = impl;
+  }
+
+  async close() {
+    this.tables.clear();
+  }
+
+  // ── Execution ──
+
+  _rows(table) {
+    if (!this.tables.has(table)) this.tables.set(table, []);
+    return this.tables.get(table);
+  }
+
+  async _execute(query) {
+    const rows = this._rows(query.table);
+
+    switch (query.action) {
+      case 'insert':
+        return { rows: clone(query.values.map(v => this._insertRow(query.table, v))) };
+
+      case 'upsert': {
+        const key = query.onConflict || PRIMARY_KEYS[query.table] || 'id';
+        const written = query.values.map(v => {
+          const existing = rows.find(r => looseEqual(r[key], v[key]));
+          if (existing) return Object.assign(existing, clone(v));
+          return this._insertRow(query.table, v);
+        });
+        return { rows: clone(written) };
+      }
+
+      case 'update': {
+        const matched = rows.filter(r => matchesAll(r, query.filters));
+        for (const row of matched) Object.assign(row, clone(query.values));
+        return { rows: clone(matched) };
+      }
+
+      case 'delete': {
+        const kept = [];
+        const removed = [];
+        for (const row of rows) (matchesAll(row, query.filters) ? removed : kept).push(row);
+        this.tables.set(query.table, kept);
+        return { rows: removed };
+      }
+
+      default: {
+        let matched = rows.filter(r => matchesAll(r, query.filters));
+        const count = query.countMode ? matched.length : undefined;
+        matched = sortRows(matched, query.orders);
+        if (query.limitCount !== null) matched = matched.slice(0, query.limitCount);
+        return { rows: clone(matched), count };
+      }
+    }
+  }
+
+  _insertRow(table, values) {
+    const rows = this._rows(table);
+    const key = PRIMARY_KEYS[table] || 'id';
+    const row = {
+      ...(TABLE_DEFAULTS[table] ? TABLE_DEFAULTS[table]() : {}),
+      created_at: new Date().toISOString(),
+      ...clone(values)
+    };
+
+    if ((row[key] === undefined || row[key] === null) && SERIAL_TABLES.has(table)) {
+      this._serials[table] = (this._serials[table] || 0) + 1;
+      row[key] = this._serials[table];
+    }
+
+    if (row[key] !== undefined && rows.some(r => looseEqual(r[key], row[key]))) {
+      const err = new Error(`duplicate key value violates unique constraint "${table}_pkey"`);
+      err.code = '23505';
+      throw err;
+    }
+
+    for (const columns of UNIQUE_KEYS[table] || []) {
+      if (columns.some(c => row[c] === undefined || row[c] === null)) continue;
+      if (rows.some(r => columns.every(c => looseEqual(r[c], row[c])))) {
+        const err = new Error(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+        err.code = '23505';
+        throw err;
+      }
+    }
+
+    rows.push(row);
+    return row;
+  }
+}
+
+// ═══════════════════════════════════════════
+// Filter evaluation (SQL semantics: null never compares)
+// ═══════════════════════════════════════════
+
+function matchesAll(row, filters) {
+  return filters.every(f => matches(row, f));
+}
+
+function matches(row, filter) {
+  if (filter.op === 'or') return filter.filters.some(f => matches(row, f));
+  if (filter.op === 'not') return !matches(row, filter.filter);
+
+  const actual = row[filter.column];
+  const expected = filter.value;
+
+  if (filter.op === 'is') return expected === null ? actual === null || actual === undefined : actual === expected;
+  if (actual === null || actual === undefined) return false;
+
+  switch (filter.op) {
+    case 'eq': return looseEqual(actual, expected);
+    case 'neq': return !looseEqual(actual, expected);
+    case 'gt': return compare(actual, expected) > 0;
+    case 'gte': return compare(actual, expected) >= 0;
+    case 'lt': return compare(actual, expected) < 0;
+    case 'lte': return compare(actual, expected) <= 0;
+    case 'in': return expected.some(v => looseEqual(actual, v));
+    case 'cs': return contains(actual, expected);
+    case 'like': return likeToRegex(expected, false).test(String(actual));
+    case 'ilike': return likeToRegex(expected, true).test(String(actual));
+    default: throw new Error(`Unsupported filter operator: ${filter.op}`);
+  }
+}
+
+function looseEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return a === b;
+  return a === b || String(a) === String(b);
+}
+
+// Postgres @>: an array contains every listed element, a jsonb object every
+// listed key with a contained value
+function contains(actual, expected) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every(v => actual.some(a => contains(a, v)));
+  }
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) return false;
+    return Object.entries(expected).every(([key, v]) => key in actual && contains(actual[key], v));
+  }
+  return looseEqual(actual, expected);
+}
+
+function compare(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return String(a).localeCompare(String(b));
+}
+
+function likeToRegex(pattern, caseInsensitive) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, caseInsensitive ? 'is' : 's');
+}
+
+function sortRows(rows, orders) {
+  if (!orders.length) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of orders) {
+      const av = a[column];
+      const bv = b[column];
+      const aNull = av === null || av === undefined;
+      const bNull = bv === null || bv === undefined;
+      if (aNull && bNull) continue;
+      if (aNull) return nullsFirst ? -1 : 1;
+      if (bNull) return nullsFirst ? 1 : -1;
+      const diff = compare(av, bv);
+      if (diff !== 0) return ascending ? diff : -diff;
+    }
+    return 0;
+  });
+}
+
+function clone(value) {
+  return value === undefined ? value : structuredClone(value);
+}
+
+module.exports = MemoryAdapter;
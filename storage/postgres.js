@@ -0,0 +1,183 @@
+/**
+ * Plain Postgres Storage Adapter
+ *
+ * Talks to any Postgres database over a normal connection string
+ * (DATABASE_URL) — no Supabase project or PostgREST needed. Queries are
+ * compiled from the shared QueryBuilder into parameterised SQL.
+ *
+ * The schema comes from the same files in migrations/. Statements that only
+ * make sense on Supabase (auth.users references, supabase_realtime
+ * publication, RLS policies) can be skipped when applying them on-prem.
+ */
+
+const { Pool, types } = require('pg');
+const { QueryBuilder, parseColumns } = require('./query');
+
+// PostgREST returns bigint/numeric as JSON numbers; match that so epoch-ms
+// timestamps and confidences keep working as numbers in Store.
+types.setTypeParser(20, (v) => parseInt(v, 10));     // int8
+types.setTypeParser(1700, (v) => parseFloat(v));     // numeric
+types.setTypeParser(1082, (v) => v);                 // date — keep 'YYYY-MM-DD' like PostgREST
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+
+class PostgresAdapter {
+  constructor({ connectionString, pool } = {}) {
+    this.name = 'postgres';
+    this.pool = pool || new Pool({ connectionString });
+    this._columnTypes = {}; // table -> { column: data_type }
+  }
+
+  from(table) {
+    return new QueryBuilder(table, (query) => this._execute(query));
+  }
+
+  /**
+   * Call a SQL function with named arguments. Scalar functions resolve to
+   * their value, set-returning functions to an array of rows — the same
+   * shapes PostgREST produces.
+   */
+  async rpc(fn, args = {}) {
+    try {
+      const names = Object.keys(args);
+      const params = names.map(n => args[n]);
+      const argSql = names.map((n, i) => `${ident(n)} => $${i + 1}`).join(', ');
+      const { rows, fields } = await this.pool.query(`select * from ${ident(fn)}(${argSql})`, params);
+      const isScalar = fields.length === 1 && fields[0].name === fn;
+      return { data: isScalar ? (rows[0] ? rows[0][fn] : null) : rows, error: null };
+    } catch (err) {
+      return { data: null, error: { message: err.message, code: err.code || null } };
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  // ── Execution ──
+
+  async _execute(query) {
+    const table = ident(query.table);
+    const columnTypes = await this._getColumnTypes(query.table);
+    const params = [];
+    const where = this._compileWhere(query.filters, params, columnTypes);
+
+    switch (query.action) {
+      case 'insert':
+      case 'upsert': {
+        const columns = [...new Set(query.values.flatMap(v => Object.keys(v)))];
+        const tuples = query.values.map(v =>
+          `(${columns.map(c => this._param(params, v[c] === undefined ? null : v[c], columnTypes[c])).join(', ')})`
+        );
+        let sql = `insert into ${table} (${columns.map(ident).join(', ')}) values ${tuples.join(', ')}`;
+        if (query.action === 'upsert') {
+          const conflict = query.onConflict || 'id';
+          const updates = columns.filter(c => c !== conflict).map(c => `${ident(c)} = excluded.${ident(c)}`);
+          sql += updates.length
+            ? ` on conflict (${ident(conflict)}) do update set ${updates.join(', ')}`
+            : ` on conflict (${ident(conflict)}) do nothing`;
+        }
+        const { rows } = await this.pool.query(`${sql} returning *`, params);
+        return { rows };
+      }
+
+      case 'update': {
+        const sets = Object.keys(query.values).map(c =>
+          `${ident(c)} = ${this._param(params, query.values[c], columnTypes[c])}`
+        );
+        const { rows } = await this.pool.query(`update ${table} set ${sets.join(', ')}${where} returning *`, params);
+        return { rows };
+      }
+
+      case 'delete': {
+        const { rows } = await this.pool.query(`delete from ${table}${where} returning *`, params);
+        return { rows };
+      }
+
+      default: {
+        let count;
+        if (query.countMode) {
+          const res = await this.pool.query(`select count(*)::int as count from ${table}${where}`, params);
+          count = res.rows[0].count;
+          if (query.head) return { rows: [], count };
+        }
+        const cols = parseColumns(query.columns);
+        let sql = `select ${cols ? cols.map(ident).join(', ') : '*'} from ${table}${where}`;
+        if (query.orders.length) {
+          sql += ' order by ' + query.orders.map(o =>
+            `${ident(o.column)} ${o.ascending ? 'asc' : 'desc'} nulls ${o.nullsFirst ? 'first' : 'last'}`
+          ).join(', ');
+        }
+        if (query.limitCount !== null) sql += ` limit ${parseInt(query.limitCount, 10)}`;
+        const { rows } = await this.pool.query(sql, params);
+        return { rows, count };
+      }
+    }
+  }
+
+  _compileWhere(filters, params, columnTypes = {}) {
+    if (!filters.length) return '';
+    return ' where ' + filters.map(f => this._compileFilter(f, params, columnTypes)).join(' and ');
+  }
+
+  _compileFilter(filter, params, columnTypes = {}) {
+    if (filter.op === 'or') {
+      return `(${filter.filters.map(f => this._compileFilter(f, params, columnTypes)).join(' or ')})`;
+    }
+    if (filter.op === 'not') {
+      return `not (${this._compileFilter(filter.filter, params, columnTypes)})`;
+    }
+
+    const col = ident(filter.column);
+    const value = filter.value;
+    switch (filter.op) {
+      case 'eq': return `${col} = ${this._param(params, value)}`;
+      case 'neq': return `${col} <> ${this._param(params, value)}`;
+      case 'gt': return `${col} > ${this._param(params, value)}`;
+      case 'gte': return `${col} >= ${this._param(params, value)}`;
+      case 'lt': return `${col} < ${this._param(params, value)}`;
+      case 'lte': return `${col} <= ${this._param(params, value)}`;
+      case 'like': return `${col} like ${this._param(params, value)}`;
+      case 'ilike': return `${col} ilike ${this._param(params, value)}`;
+      // Postgres arrays take the JS array as is; jsonb needs it (or an object) as JSON
+      case 'cs': return `${col} @> ${this._param(params, value, columnTypes[filter.column])}`;
+      case 'in':
+        if (!value.length) return 'false';
+        return `${col} in (${value.map(v => this._param(params, v)).join(', ')})`;
+      case 'is':
+        if (value === null) return `${col} is null`;
+        return `${col} is ${value ? 'true' : 'false'}`;
+      default:
+        throw new Error(`Unsupported filter operator: ${filter.op}`);
+    }
+  }
+
+  _param(params, value, dataType) {
+    // node-postgres would send JS arrays/objects as Postgres arrays, which
+    // jsonb columns reject — serialise those explicitly.
+    if ((dataType === 'json' || dataType === 'jsonb') && value !== null && value !== undefined) {
+      value = JSON.stringify(value);
+    }
+    params.push(value);
+    return `$${params.length}`;
+  }
+
+  async _getColumnTypes(table) {
+    if (this._columnTypes[table]) return this._columnTypes[table];
+    const { rows } = await this.pool.query(
+      'select column_name, data_type from information_schema.columns where table_name = $1',
+      [table]
+    );
+    const map = {};
+    for (const r of rows) map[r.column_name] = r.data_type;
+    this._columnTypes[table] = map;
+    return map;
+  }
+}
+
+function ident(name) {
+  if (!IDENTIFIER.test(name)) throw new Error(`Invalid identifier: ${name}`);
+  return `"${name}"`;
+}
+
+module.exports = PostgresAdapter;
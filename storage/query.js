@@ -0,0 +1,230 @@
+/**
+ * Query Builder — the subset of the supabase-js query API that Store uses.
+ *
+ * Adapters that are not Supabase (memory, postgres) build on this class so the
+ * Store can keep its `db.from('table').select().eq()...` call style regardless
+ * of backend. The builder only records what was asked for; the adapter's
+ * executor turns the recorded query into rows.
+ *
+ * Like supabase-js, awaiting a query never throws for database errors —
+ * it resolves to { data, error, count }.
+ */
+
+class QueryBuilder {
+  constructor(table, executor) {
+    this.table = table;
+    this._executor = executor;
+    this.action = 'select';
+    this.columns = '*';
+    this.countMode = null;
+    this.head = false;
+    this.values = null;
+    this.onConflict = null;
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.singleMode = null; // null | 'single' | 'maybeSingle'
+  }
+
+  // ── Actions ──
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    // .insert(...).select() means "return the written rows"
+    if (this.action !== 'select') {
+      this.returning = true;
+    }
+    this.columns = columns || '*';
+    this.countMode = count;
+    this.head = head;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict = null } = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.onConflict = onConflict;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // ── Filters ──
+
+  eq(column, value) { return this._filter('eq', column, value); }
+  neq(column, value) { return this._filter('neq', column, value); }
+  gt(column, value) { return this._filter('gt', column, value); }
+  gte(column, value) { return this._filter('gte', column, value); }
+  lt(column, value) { return this._filter('lt', column, value); }
+  lte(column, value) { return this._filter('lte', column, value); }
+  in(column, values) { return this._filter('in', column, values || []); }
+  is(column, value) { return this._filter('is', column, value); }
+  like(column, pattern) { return this._filter('like', column, pattern); }
+  ilike(column, pattern) { return this._filter('ilike', column, pattern); }
+  contains(column, values) { return this._filter('cs', column, values || []); }
+
+  not(column, operator, value) {
+    this.filters.push({ op: 'not', filter: { op: operator, column, value } });
+    return this;
+  }
+
+  /**
+   * PostgREST-style OR string, e.g. 'resolved.is.null,resolved.eq.false'
+   * or 'chat_id.in.(a,b),chat_id.is.null'.
+   */
+  or(expression) {
+    this.filters.push({ op: 'or', filters: parseFilterList(expression) });
+    return this;
+  }
+
+  _filter(op, column, value) {
+    this.filters.push({ op, column, value });
+    return this;
+  }
+
+  // ── Modifiers ──
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  // ── Execution ──
+
+  then(resolve, reject) {
+    return this._run().then(resolve, reject);
+  }
+
+  async _run() {
+    try {
+      const { rows, count } = await this._executor(this);
+      return this._shape(rows, count);
+    } catch (err) {
+      return { data: null, error: { message: err.message, code: err.code || null }, count: null };
+    }
+  }
+
+  /**
+   * Turn executor rows into the { data, error, count } shape supabase-js returns.
+   */
+  _shape(rows, count) {
+    const wantsRows = this.action === 'select' || this.returning;
+    let data = wantsRows && !this.head ? rows.map(r => projectColumns(r, this.columns)) : null;
+
+    if (this.singleMode && wantsRows) {
+      if (data.length === 1) {
+        data = data[0];
+      } else if (data.length === 0 && this.singleMode === 'maybeSingle') {
+        data = null;
+      } else {
+        return {
+          data: null,
+          error: { message: `JSON object requested, ${data.length} rows returned`, code: 'PGRST116' },
+          count: null
+        };
+      }
+    }
+
+    return { data, error: null, count: count === undefined ? null : count };
+  }
+}
+
+// ═══════════════════════════════════════════
+// Helpers shared by adapters
+// ═══════════════════════════════════════════
+
+function parseColumns(columns) {
+  if (!columns || columns.trim() === '*') return null;
+  return columns.split(',').map(c => c.trim()).filter(Boolean);
+}
+
+function projectColumns(row, columns) {
+  const list = parseColumns(columns);
+  if (!list) return row;
+  const out = {};
+  for (const col of list) out[col] = row[col] === undefined ? null : row[col];
+  return out;
+}
+
+/**
+ * Split a PostgREST filter list on top-level commas and parse each entry.
+ */
+function parseFilterList(expression) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of expression) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) parts.push(current);
+  return parts.map(p => parseFilter(p.trim()));
+}
+
+function parseFilter(part) {
+  const firstDot = part.indexOf('.');
+  const column = part.slice(0, firstDot);
+  let rest = part.slice(firstDot + 1);
+
+  if (rest.startsWith('not.')) {
+    return { op: 'not', filter: parseFilter(`${column}.${rest.slice(4)}`) };
+  }
+
+  const secondDot = rest.indexOf('.');
+  const op = rest.slice(0, secondDot);
+  const raw = rest.slice(secondDot + 1);
+
+  if (op === 'in') {
+    const inner = raw.replace(/^\(/, '').replace(/\)$/, '');
+    return { op, column, value: inner ? inner.split(',').map(v => parseLiteral(v.trim())) : [] };
+  }
+  return { op, column, value: parseLiteral(raw) };
+}
+
+function parseLiteral(raw) {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  const unquoted = raw.replace(/^"(.*)"$/, '$1');
+  if (unquoted !== raw) return unquoted;
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+  return raw;
+}
+
+module.exports = { QueryBuilder, parseColumns, projectColumns, parseFilterList };
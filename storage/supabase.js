@@ -0,0 +1,34 @@
+/**
+ * Supabase Storage Adapter
+ *
+ * The hosted default. supabase-js already speaks the query API Store is
+ * written against, so this adapter hands queries straight to the client.
+ *
+ * Server-side: uses SUPABASE_SERVICE_KEY (bypasses RLS for inserts).
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+class SupabaseAdapter {
+  constructor({ url, serviceKey } = {}) {
+    if (!url || !serviceKey) {
+      throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in environment');
+    }
+    this.name = 'supabase';
+    this.client = createClient(url, serviceKey);
+  }
+
+  from(table) {
+    return this.client.from(table);
+  }
+
+  rpc(fn, args = {}) {
+    return this.client.rpc(fn, args);
+  }
+
+  async close() {
+    // HTTP client — nothing to release
+  }
+}
+
+module.exports = SupabaseAdapter;
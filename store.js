@@ -1,27 +1,83 @@
 /**
- * Supabase-backed Store
- * Replaces the old JSON file store with Supabase Postgres + real-time.
- * All methods are async since they hit the network.
+ * Store
+ * Replaces the old JSON file store with a pluggable database backend.
+ * All methods are async since they may hit the network.
+ *
+ * The backend is a storage adapter (see storage/) — Supabase by default,
+ * or plain Postgres / in-memory via STORAGE_BACKEND.
  *
  * Server-side: uses SUPABASE_SERVICE_KEY (bypasses RLS for inserts).
  * Client-side: uses SUPABASE_ANON_KEY (RLS enforced, read-only for shared data).
+ *
+ * Events (for live push to the browser — see live-events.js):
+ *   question_answered  { id, answeredBy, auto }
+ *   task_changed       { id, action: created | updated | completed | reopened | deleted }
+ *   approval_changed   { id, action: created | updated | reviewed }
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { EventEmitter } = require('events');
+const { createStorageAdapter } = require('./storage');
+const { SEARCH_TYPES, SEARCH_SOURCES, parseQuery, matchesQuery, rankText, buildSnippet } = require('./search');
+const { buildThread, normalizeSender } = require('./threads');
+const { createMediaBackend, contentHash, mediaKey, publicMedia } = require('./media-archive');
+const { detectLanguage } = require('./language-packs');
 let sentimentAI = null;
 try { sentimentAI = require('./sentiment-ai'); } catch (e) { /* optional */ }
 
-class Store {
-  constructor() {
-    const url = process.env.SUPABASE_URL;
-    const serviceKey = process.env.SUPABASE_SERVICE_KEY;
+const APPROVAL_STATUSES = ['approved', 'rejected', 'conditional', 'pending_review'];
+const USER_ROLES = ['viewer', 'agent', 'admin'];
 
-    if (!url || !serviceKey) {
-      throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in environment');
-    }
+// message_templates without the attachment data, for listings
+const TEMPLATE_COLUMNS = 'id, name, category, body, media_mimetype, media_filename, version, send_count, reply_count, last_sent_at, created_by, updated_by, created_at, updated_at';
+
+// Tables whose rows point at a contact through sender_id
+const SENDER_TABLES = ['messages', 'direct_messages', 'mentions', 'questions', 'answer_candidates', 'question_context', 'tasks', 'approvals', 'activity_feed'];
+
+// Contacts seen again within this window don't rewrite last_seen
+const CONTACT_TOUCH_MS = 60000;
+
+// Replies quoting into a question's thread are linked for this long, the
+// same window answer detection uses
+const THREAD_REPLY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Rows raised from a WhatsApp message that follow its edits and deletions
+const MESSAGE_EVENT_TABLES = ['messages', 'questions', 'approvals'];
+
+// Reactions on an offer sheet message that count as the group's answer
+// (skin-tone variants included, see reactionDecision)
+const REACTION_DECISIONS = { '👍': 'approved', '👎': 'rejected' };
+
+// Stored messages shown around a question with nothing else to bound it
+const THREAD_WINDOW_MS = 60 * 60 * 1000;
+const THREAD_MAX_MESSAGES = 200;
 
-    // Server uses the service role key so it can INSERT into all tables (bypasses RLS)
-    this.supabase = createClient(url, serviceKey);
+// search_content() isn't installed: PostgREST's "no such function", and Postgres's
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+
+// How often getAnalyzerRuleset re-reads the rules, so edits made by another
+// process (the Vercel API) reach the running analyzer
+const ANALYZER_RULES_REFRESH_MS = 30000;
+
+// Name shown for a contact: address-book name, then WhatsApp name, then number
+function reactionDecision(emoji) {
+  return REACTION_DECISIONS[String(emoji || '').replace(/[\u{1F3FB}-\u{1F3FF}\uFE0F]/gu, '')] || null;
+}
+
+function contactDisplayName(contact, trackName) {
+  if (contact.is_me) return trackName || 'Me';
+  return contact.saved_name || contact.push_name || (contact.phone ? `+${contact.phone}` : contact.id.split('@')[0]);
+}
+
+class Store extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.adapter] - a ready storage adapter (e.g. a shared MemoryAdapter in tests)
+   * @param {string} [options.backend] - 'supabase' | 'postgres' | 'memory' (defaults to STORAGE_BACKEND)
+   * @param {object} [options.mediaBackend] - where archived media is kept (defaults to MEDIA_STORAGE — see media-archive.js)
+   */
+  constructor(options = {}) {
+    super();
+    this.db = options.adapter || createStorageAdapter(options);
+    this.media = options.mediaBackend || createMediaBackend();
 
     // In-memory caches for frequently-accessed values (avoid DB round-trips)
     this._cache = {
@@ -31,7 +87,9 @@ class Store {
       groupSettings: {},      // chatId -> { analytics, mentions, questions }
       partnerGroups: null,     // string[]
       internalStaff: null,     // string[]
-      ignoredGroups: new Set() // chatIds that are fully ignored
+      ignoredGroups: new Set(), // chatIds that are fully ignored
+      contacts: new Map(),      // contact id -> contacts row
+      analyzerRules: null       // { ruleset, loadedAt } — see getAnalyzerRuleset
     };
 
     this._cacheLoaded = false;
@@ -43,7 +101,7 @@ class Store {
   async init() {
     try {
       // Load app settings
-      const { data: settings } = await this.supabase
+      const { data: settings } = await this.db
         .from('app_settings')
         .select('key, value');
 
@@ -62,7 +120,7 @@ class Store {
       this._rebuildIgnoredSet();
 
       this._cacheLoaded = true;
-      console.log('[Store] Initialized with Supabase');
+      console.log(`[Store] Initialized with ${this.db.name} backend`);
     } catch (err) {
       console.error('[Store] Init error:', err.message);
     }
@@ -106,52 +164,306 @@ class Store {
   }
 
   // ═══════════════════════════════════════════
-  // Group Tracking
+  // Contacts (senders keyed by WhatsApp ID — see migration 016)
   // ═══════════════════════════════════════════
 
-  async recordGroupMessage({ chatId, chatName, sender, body, timestamp, hasMedia, mediaType }) {
+  /**
+   * Record a WhatsApp account seen as a sender and return its contacts row.
+   * The id is "<phone>@c.us" when the phone is known, else the LID; a row
+   * first stored under its LID is merged once the phone number turns up.
+   * `seenAt: null` records someone listed in a group without a message from
+   * them, so last_seen stays as it was.
+   */
+  async upsertContact({ phone, lid, pushName, savedName, isMe, chatId, seenAt }) {
     try {
-      // Upsert group record
-      await this._upsertGroup(chatId, chatName, sender, body, timestamp);
+      const digits = phone ? String(phone).replace(/\D/g, '') : '';
+      let id = digits ? `${digits}@c.us` : null;
+
+      if (!id && lid) {
+        // A LID we've already tied to a phone number
+        const { data: known } = await this.db.from('contacts').select('*').eq('lid', lid).limit(1);
+        id = known && known.length ? known[0].id : lid;
+      } else if (id && lid && lid !== id) {
+        await this._mergeContact(lid, id);
+      }
+      if (!id) return null;
+
+      const now = seenAt === null ? null : (seenAt || Date.now());
+      const group = chatId && chatId.endsWith('@g.us') ? chatId : null;
+      const existing = await this.getContact(id);
+      if (!existing) {
+        const { data, error } = await this.db
+          .from('contacts')
+          .insert({
+            id,
+            lid: lid || null,
+            phone: digits || null,
+            push_name: pushName || '',
+            saved_name: savedName || '',
+            is_me: !!isMe,
+            groups: group ? [group] : [],
+            first_seen: now || Date.now(),
+            last_seen: now
+          })
+          .select('*')
+          .single();
+        if (error) throw error;
+        this._cache.contacts.set(id, data);
+        return data;
+      }
+
+      const update = {};
+      if (lid && existing.lid !== lid) update.lid = lid;
+      if (digits && existing.phone !== digits) update.phone = digits;
+      if (pushName && existing.push_name !== pushName) update.push_name = pushName;
+      if (savedName && existing.saved_name !== savedName) update.saved_name = savedName;
+      if (isMe && !existing.is_me) update.is_me = true;
+      if (group && !(existing.groups || []).includes(group)) update.groups = [...(existing.groups || []), group];
+      if (Object.keys(update).length === 0 && (!now || now - (existing.last_seen || 0) < CONTACT_TOUCH_MS)) {
+        return existing;
+      }
+
+      if (now) update.last_seen = Math.max(existing.last_seen || 0, now);
+      update.updated_at = new Date().toISOString();
+      const { data, error } = await this.db
+        .from('contacts')
+        .update(update)
+        .eq('id', id)
+        .select('*')
+        .single();
+      if (error) throw error;
+      this._cache.contacts.set(id, data);
+      return data;
+    } catch (err) {
+      console.error('[Store] upsertContact error:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fold a LID-keyed contact into its phone-keyed row: re-point every
+   * sender_id, carry over its sender stats and names, then drop it.
+   */
+  async _mergeContact(fromId, toId) {
+    const from = await this.getContact(fromId);
+    if (!from) return;
+
+    await this.db.from('contacts').delete().eq('id', fromId);
+    this._cache.contacts.delete(fromId);
+
+    for (const table of SENDER_TABLES) {
+      await this.db.from(table).update({ sender_id: toId }).eq('sender_id', fromId);
+    }
+    await this.db.from('questions').update({ answered_by_id: toId }).eq('answered_by_id', fromId);
+
+    const { data: fromStats } = await this.db.from('sender_stats').select('*').eq('sender', fromId).single();
+    if (fromStats) {
+      const { data: toStats } = await this.db.from('sender_stats').select('*').eq('sender', toId).single();
+      if (toStats) {
+        await this.db
+          .from('sender_stats')
+          .update({
+            message_count: (toStats.message_count || 0) + (fromStats.message_count || 0),
+            last_seen: Math.max(toStats.last_seen || 0, fromStats.last_seen || 0),
+            groups: [...new Set([...(toStats.groups || []), ...(fromStats.groups || [])])],
+            updated_at: new Date().toISOString()
+          })
+          .eq('sender', toId);
+      } else {
+        await this.db.from('sender_stats').insert({ ...fromStats, sender: toId });
+      }
+      await this.db.from('sender_stats').delete().eq('sender', fromId);
+    }
+
+    const existing = await this.getContact(toId);
+    if (!existing) {
+      await this.db.from('contacts').insert({ ...from, id: toId, updated_at: new Date().toISOString() });
+    } else {
+      // Keep whatever the phone-keyed row already has; fill gaps from the LID row
+      const update = { groups: [...new Set([...(existing.groups || []), ...(from.groups || [])])] };
+      for (const key of ['push_name', 'saved_name', 'company', 'role', 'account_manager', 'notes']) {
+        if (!existing[key] && from[key]) update[key] = from[key];
+      }
+      if (from.first_seen && (!existing.first_seen || from.first_seen < existing.first_seen)) {
+        update.first_seen = from.first_seen;
+      }
+      await this.db.from('contacts').update(update).eq('id', toId);
+    }
+    this._cache.contacts.delete(toId);
+    console.log(`[Contacts] Merged ${fromId} into ${toId}`);
+  }
+
+  async getContact(contactId) {
+    if (this._cache.contacts.has(contactId)) return this._cache.contacts.get(contactId);
+    const { data } = await this.db
+      .from('contacts')
+      .select('*')
+      .eq('id', contactId)
+      .single();
+    if (data) this._cache.contacts.set(contactId, data);
+    return data || null;
+  }
+
+  /**
+   * Contacts with their display name, most recently seen first. `search`
+   * matches names, number and company.
+   */
+  async getContacts({ search, company, accountManager, limit } = {}) {
+    let query = this.db
+      .from('contacts')
+      .select('*')
+      .order('last_seen', { ascending: false, nullsFirst: false })
+      .limit(limit || 500);
+    if (search) {
+      const term = `%${String(search).replace(/[,()%]/g, ' ').trim()}%`;
+      query = query.or(`push_name.ilike.${term},saved_name.ilike.${term},phone.ilike.${term},company.ilike.${term}`);
+    }
+    if (company) query = query.eq('company', company);
+    if (accountManager) query = query.eq('account_manager', accountManager);
+    const { data } = await query;
+    const trackName = await this.getTrackName();
+    return (data || []).map(c => ({ ...c, name: contactDisplayName(c, trackName) }));
+  }
+
+  /** The team-maintained fields: company, role, account manager, notes. */
+  async updateContact(contactId, { company, role, accountManager, notes }, updatedBy) {
+    const clean = { updated_by: updatedBy || '', updated_at: new Date().toISOString() };
+    if (company !== undefined) clean.company = String(company || '').trim();
+    if (role !== undefined) clean.role = String(role || '').trim();
+    if (accountManager !== undefined) clean.account_manager = String(accountManager || '').trim();
+    if (notes !== undefined) clean.notes = String(notes || '');
+    const { data, error } = await this.db
+      .from('contacts')
+      .update(clean)
+      .eq('id', contactId)
+      .select('*')
+      .single();
+    if (error) throw error;
+    if (data) this._cache.contacts.set(contactId, data);
+    return data;
+  }
+
+  async getContactCompanies() {
+    const { data } = await this.db
+      .from('contacts')
+      .select('company');
+    return [...new Set((data || []).map(c => c.company).filter(Boolean))].sort();
+  }
+
+  /** contact id -> contacts row, for the given ids (cached). */
+  async _getContactMap(contactIds) {
+    const ids = [...new Set(contactIds.filter(Boolean))];
+    const missing = ids.filter(id => !this._cache.contacts.has(id));
+    if (missing.length) {
+      const { data } = await this.db.from('contacts').select('*').in('id', missing);
+      for (const c of data || []) this._cache.contacts.set(c.id, c);
+    }
+    const contacts = new Map();
+    for (const id of ids) {
+      if (this._cache.contacts.has(id)) contacts.set(id, this._cache.contacts.get(id));
+    }
+    return contacts;
+  }
+
+  /** contact id -> display name, for the given ids. */
+  async getContactNames(contactIds) {
+    const contacts = await this._getContactMap(contactIds);
+    const trackName = contacts.size ? await this.getTrackName() : '';
+    const names = new Map();
+    for (const [id, contact] of contacts) names.set(id, contactDisplayName(contact, trackName));
+    return names;
+  }
+
+  /**
+   * Fill in who a row is from, for rows that reference a contact: the
+   * contact's current name replaces the stored snapshot (sender_id → sender,
+   * answered_by_id → answered_by), plus sender_company / sender_role /
+   * sender_account_manager from the contact directory.
+   */
+  async _withSenders(rows, idKey = 'sender_id') {
+    if (!rows || rows.length === 0) return rows || [];
+    const contacts = await this._getContactMap(rows.flatMap(r => [r[idKey], r.answered_by_id]));
+    if (contacts.size === 0) return rows;
+    const trackName = await this.getTrackName();
+    return rows.map(r => {
+      const row = { ...r };
+      const sender = contacts.get(r[idKey]);
+      if (sender) {
+        row.sender_id = sender.id;
+        row.sender = contactDisplayName(sender, trackName);
+        row.sender_company = sender.company || '';
+        row.sender_role = sender.role || '';
+        row.sender_account_manager = sender.account_manager || '';
+      }
+      const answeredBy = contacts.get(r.answered_by_id);
+      if (answeredBy) row.answered_by = contactDisplayName(answeredBy, trackName);
+      return row;
+    });
+  }
 
+  // ═══════════════════════════════════════════
+  // Group Tracking
+  // ═══════════════════════════════════════════
+
+  /**
+   * Returns false if the message (by WhatsApp msgId) was already recorded,
+   * in which case nothing is counted again, true otherwise. The message row
+   * is stored for every group, so the msg_id dedup applies everywhere; a
+   * group with analytics off only skips the stats.
+   */
+  async recordGroupMessage({ chatId, chatName, sender, senderId, body, timestamp, hasMedia, mediaType, msgId, quotedMsgId, authorId }) {
+    try {
       // Check per-group analytics setting
       const groupSettings = await this.getGroupSettings(chatId);
-      if (!groupSettings.analytics) return; // Skip stats if analytics disabled
 
       // Insert raw message
-      await this.supabase.from('messages').insert({
+      const { error } = await this.db.from('messages').insert({
         chat_id: chatId,
         chat_name: chatName,
         sender: sender || 'Unknown',
+        sender_id: senderId || null,
+        msg_id: msgId || null,
+        quoted_msg_id: quotedMsgId || null,
+        author_id: authorId || null,
         body: (body || '').substring(0, 500),
         timestamp,
         has_media: hasMedia || false,
         media_type: mediaType || 'chat'
       });
+      if (error && error.code === '23505') return false;
+      if (error) console.error('[Store] recordGroupMessage insert error:', error.message);
+
+      // Upsert group record
+      await this._upsertGroup(chatId, chatName, senderId || sender, body, timestamp);
+      if (!groupSettings.analytics) return true; // Skip stats if analytics disabled
 
       // Update message volume (hourly + daily)
       await this._incrementVolume(timestamp);
 
-      // Update sender stats
-      if (sender) {
-        await this._upsertSenderStats(sender, timestamp, chatId);
+      // Update sender stats (keyed by contact id, so renames don't split them)
+      if (senderId || sender) {
+        await this._upsertSenderStats(senderId || sender, timestamp, chatId);
       }
 
       // Add to activity feed
       await this._addToFeed({
-        type: 'message', chatId, chatName, sender,
+        type: 'message', chatId, chatName, sender, senderId,
         body: (body || '').substring(0, 300),
         timestamp, hasMedia: hasMedia || false,
         mediaType: mediaType || 'chat'
       });
+      return true;
     } catch (err) {
       console.error('[Store] recordGroupMessage error:', err.message);
+      // Not known to be a duplicate — let the message be processed
+      return true;
     }
   }
 
-  async _upsertGroup(chatId, chatName, sender, body, timestamp) {
+  // `member` is the sender's contact id (their name for senders with no id)
+  async _upsertGroup(chatId, chatName, member, body, timestamp) {
     // Try to get existing group
-    const { data: existing } = await this.supabase
+    const { data: existing } = await this.db
       .from('groups')
       .select('*')
       .eq('chat_id', chatId)
@@ -161,7 +473,7 @@ class Store {
 
     if (!existing) {
       // Insert new group
-      await this.supabase.from('groups').insert({
+      await this.db.from('groups').insert({
         chat_id: chatId,
         name: chatName,
         last_message: (body || '').substring(0, 200),
@@ -169,7 +481,7 @@ class Store {
         message_count: 1,
         today_count: 1,
         today_date: todayKey,
-        members: sender ? [sender] : []
+        members: member ? [member] : []
       });
     } else {
       // Build update object
@@ -197,11 +509,11 @@ class Store {
 
       // Add member if new
       const members = existing.members || [];
-      if (sender && !members.includes(sender)) {
-        update.members = [...members, sender];
+      if (member && !members.includes(member)) {
+        update.members = [...members, member];
       }
 
-      await this.supabase
+      await this.db
         .from('groups')
         .update(update)
         .eq('chat_id', chatId);
@@ -212,15 +524,16 @@ class Store {
   // Direct Messages
   // ═══════════════════════════════════════════
 
-  async addDirectMessage({ chatId, chatName, sender, body, timestamp, hasMedia, mediaType, fromMe }) {
+  async addDirectMessage({ chatId, chatName, sender, senderId, body, timestamp, hasMedia, mediaType, fromMe }) {
     try {
       const id = `dm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
-      await this.supabase.from('direct_messages').insert({
+      await this.db.from('direct_messages').insert({
         id,
         chat_id: chatId,
         chat_name: chatName || '',
         sender: sender || 'Unknown',
+        sender_id: senderId || null,
         body: (body || '').substring(0, 500),
         timestamp,
         from_me: !!fromMe,
@@ -230,7 +543,7 @@ class Store {
 
       // Add to activity feed
       await this._addToFeed({
-        type: 'dm', chatId, chatName, sender,
+        type: 'dm', chatId, chatName, sender, senderId,
         body: (body || '').substring(0, 300),
         timestamp, hasMedia: hasMedia || false,
         mediaType: mediaType || 'chat'
@@ -247,7 +560,7 @@ class Store {
   // Mentions
   // ═══════════════════════════════════════════
 
-  async addMention({ chatId, chatName, sender, body, timestamp, hasMedia, mediaType }) {
+  async addMention({ chatId, chatName, sender, senderId, body, timestamp, hasMedia, mediaType }) {
     try {
       // Skip if mentions disabled for this group
       if (chatId && chatId.endsWith('@g.us')) {
@@ -257,11 +570,12 @@ class Store {
 
       const id = `mention_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
-      await this.supabase.from('mentions').insert({
+      await this.db.from('mentions').insert({
         id,
         chat_id: chatId,
         chat_name: chatName,
         sender: sender || 'Unknown',
+        sender_id: senderId || null,
         body: (body || '').substring(0, 500),
         timestamp,
         has_media: hasMedia || false,
@@ -270,7 +584,7 @@ class Store {
 
       // Add to activity feed
       await this._addToFeed({
-        type: 'mention', chatId, chatName, sender,
+        type: 'mention', chatId, chatName, sender, senderId,
         body: (body || '').substring(0, 300),
         timestamp, hasMedia: hasMedia || false,
         mediaType: mediaType || 'chat'
@@ -287,7 +601,7 @@ class Store {
   // Questions (Enhanced v2)
   // ═══════════════════════════════════════════
 
-  async addQuestion({ chatId, chatName, sender, body, timestamp, hasMedia, mediaType, msgId, questionAnalysis }) {
+  async addQuestion({ chatId, chatName, sender, senderId, body, timestamp, hasMedia, mediaType, msgId, quotedMsgId, questionAnalysis }) {
     try {
       // Skip if questions disabled for this group
       if (chatId && chatId.endsWith('@g.us')) {
@@ -298,19 +612,22 @@ class Store {
       const id = `q_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
       const qa = questionAnalysis || {};
 
-      await this.supabase.from('questions').insert({
+      await this.db.from('questions').insert({
         id,
         chat_id: chatId,
         chat_name: chatName,
         sender: sender || 'Unknown',
+        sender_id: senderId || null,
         body: (body || '').substring(0, 500),
         timestamp,
         msg_id: msgId || null,
+        quoted_msg_id: quotedMsgId || null,
         directed_at_me: qa.directedAtMe || false,
         status: 'open',
         priority: qa.priority || 'normal',
         question_type: qa.questionType || 'general',
         keywords: qa.keywords || [],
+        language: qa.language || null,
         category: this._categorizeQuestion(chatName),
         has_media: hasMedia || false,
         media_type: mediaType || 'chat'
@@ -318,7 +635,7 @@ class Store {
 
       // Add to activity feed
       await this._addToFeed({
-        type: 'question', chatId, chatName, sender,
+        type: 'question', chatId, chatName, sender, senderId,
         body: (body || '').substring(0, 300),
         timestamp, hasMedia: hasMedia || false,
         mediaType: mediaType || 'chat'
@@ -344,14 +661,14 @@ class Store {
    * Enhanced answer detection using the Analyzer's scoring system.
    * Records ALL candidates above threshold, auto-accepts high-confidence ones.
    */
-  async checkForAnswers({ chatId, sender, body, timestamp, msgId, quotedMsgBody, quotedMsgSender, isQuotedReply, isMyMessage, recentMsgCount, analyzer }) {
+  async checkForAnswers({ chatId, sender, senderId, body, timestamp, msgId, quotedMsgId, quotedMsgBody, quotedMsgSender, quotedMsgSenderId, isQuotedReply, isMyMessage, recentMsgCount, analyzer }) {
     if (!body || body.length < 1) return;
 
     const now = timestamp || Date.now();
     const maxAge = 24 * 60 * 60 * 1000; // extended to 24 hours
 
     // Get open questions in this chat
-    const { data: pendingQs } = await this.supabase
+    const { data: pendingQs } = await this.db
       .from('questions')
       .select('*')
       .eq('chat_id', chatId)
@@ -359,7 +676,7 @@ class Store {
 
     if (!pendingQs || pendingQs.length === 0) return;
 
-    const candidateMsg = { body, sender };
+    const candidateMsg = { body, sender, senderId };
 
     for (const q of pendingQs) {
       const age = now - q.timestamp;
@@ -369,8 +686,10 @@ class Store {
       const { confidence, signals } = analyzer
         ? analyzer.scoreAnswer(q, candidateMsg, {
             isQuotedReply: isQuotedReply || false,
+            quotedMsgId,
             quotedMsgBody,
             quotedMsgSender,
+            quotedMsgSenderId,
             isFromMe: isMyMessage || false,
             timeDeltaMs: age,
             recentMsgCount: recentMsgCount || 0
@@ -382,12 +701,14 @@ class Store {
         const candidateId = `ac_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
         const isAccepted = confidence >= 0.5;
 
-        await this.supabase.from('answer_candidates').insert({
+        await this.db.from('answer_candidates').insert({
           id: candidateId,
           question_id: q.id,
           chat_id: chatId,
           msg_id: msgId || null,
+          quoted_msg_id: quotedMsgId || null,
           sender: sender || 'Unknown',
+          sender_id: senderId || null,
           body: (body || '').substring(0, 500),
           timestamp: now,
           confidence,
@@ -402,11 +723,12 @@ class Store {
             .filter(([, v]) => v.score > 0)
             .sort((a, b) => b[1].score - a[1].score)[0];
 
-          await this.supabase
+          await this.db
             .from('questions')
             .update({
               status: 'answered',
               answered_by: sender,
+              answered_by_id: senderId || null,
               answered_at: now,
               answer_confidence: confidence,
               answer_reason: topSignal ? topSignal[1].detail : 'multi-signal match',
@@ -414,6 +736,7 @@ class Store {
               answer_id: candidateId
             })
             .eq('id', q.id);
+          this.emit('question_answered', { id: q.id, answeredBy: sender, auto: true });
 
           console.log(`[Answer] Question "${q.body?.substring(0, 40)}..." answered by ${sender} (confidence: ${confidence}, reason: ${topSignal ? topSignal[1].detail : 'multi-signal'})`);
         }
@@ -422,32 +745,111 @@ class Store {
   }
 
   /**
-   * Store context messages around a question (messages before/after in the chat)
+   * Store context messages around a question (messages before/after in the chat).
+   * Messages already stored for the question (by msgId) are skipped.
    */
   async addQuestionContext(questionId, messages) {
     try {
-      const rows = messages.map((m, i) => ({
+      const { data: existing } = await this.db
+        .from('question_context')
+        .select('msg_id, position')
+        .eq('question_id', questionId);
+      const storedIds = new Set((existing || []).map(r => r.msg_id).filter(Boolean));
+      const offset = (existing || []).reduce((max, r) => Math.max(max, (r.position || 0) + 1), 0);
+
+      const rows = messages.filter(m => !m.msgId || !storedIds.has(m.msgId)).map((m, i) => ({
         question_id: questionId,
         msg_id: m.msgId || null,
+        quoted_msg_id: m.quotedMsgId || null,
         chat_id: m.chatId,
         sender: m.sender || 'Unknown',
+        sender_id: m.senderId || null,
         body: (m.body || '').substring(0, 300),
         timestamp: m.timestamp,
         is_before: m.isBefore !== false,
-        position: i
+        position: offset + i
       }));
       if (rows.length > 0) {
-        await this.supabase.from('question_context').insert(rows);
+        await this.db.from('question_context').insert(rows);
       }
     } catch (err) {
       console.error('[Store] addQuestionContext error:', err.message);
     }
   }
 
+  /**
+   * A message quoting `quotedMsgId`: if that is a recent question, or a
+   * message already in a question's thread, add this one to the thread too
+   * (so the back-and-forth after the question is kept, answer or not).
+   * Returns the ids of the questions it was linked to.
+   */
+  async linkThreadReply({ chatId, msgId, quotedMsgId, sender, senderId, body, timestamp }) {
+    if (!quotedMsgId) return [];
+    try {
+      const since = (timestamp || Date.now()) - THREAD_REPLY_MAX_AGE_MS;
+      const [{ data: questions }, { data: context }, { data: candidates }] = await Promise.all([
+        this.db.from('questions').select('id, timestamp').eq('chat_id', chatId).eq('msg_id', quotedMsgId),
+        this.db.from('question_context').select('question_id, timestamp').eq('chat_id', chatId).eq('msg_id', quotedMsgId),
+        this.db.from('answer_candidates').select('question_id, timestamp').eq('chat_id', chatId).eq('msg_id', quotedMsgId)
+      ]);
+
+      const questionIds = [...new Set([
+        ...(questions || []).filter(q => q.timestamp >= since).map(q => q.id),
+        ...(context || []).filter(c => c.timestamp >= since).map(c => c.question_id),
+        ...(candidates || []).filter(c => c.timestamp >= since).map(c => c.question_id)
+      ])];
+
+      for (const questionId of questionIds) {
+        await this.addQuestionContext(questionId, [{ msgId, quotedMsgId, chatId, sender, senderId, body, timestamp, isBefore: false }]);
+      }
+      return questionIds;
+    } catch (err) {
+      console.error('[Store] linkThreadReply error:', err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Everything said around a question, as one chronological list with reply
+   * links (see threads.js): stored context and replies, answer candidates,
+   * and the group's stored messages from the first of those to the answer.
+   */
+  async getQuestionThread(questionId) {
+    const data = await this.getQuestionWithCandidates(questionId);
+    const { question, candidates, context } = data;
+    if (!question) return { ...data, thread: [] };
+
+    const known = [question, ...candidates, ...context];
+    const timestamps = known.map(r => r.timestamp).filter(Boolean);
+    const from = Math.min(...timestamps, question.timestamp - THREAD_WINDOW_MS);
+    const to = Math.min(
+      Math.max(...timestamps, question.answered_at || 0, question.timestamp + THREAD_WINDOW_MS),
+      question.timestamp + THREAD_REPLY_MAX_AGE_MS
+    );
+
+    const { data: messages } = await this.db
+      .from('messages')
+      .select('chat_id, msg_id, quoted_msg_id, sender, sender_id, body, timestamp, edited_at, deleted_at')
+      .eq('chat_id', question.chat_id)
+      .gte('timestamp', from)
+      .lte('timestamp', to)
+      .order('timestamp', { ascending: true })
+      .limit(THREAD_MAX_MESSAGES);
+
+    const thread = buildThread({ question, context, candidates, messages: messages || [] });
+    const reactions = await this.getReactions(question.chat_id, thread.map(m => m.msg_id));
+    const media = await this.getMessageMedia(question.chat_id, thread.map(m => m.msg_id));
+    for (const entry of thread) {
+      entry.reactions = reactions[entry.msg_id] || [];
+      entry.media = publicMedia(media[entry.msg_id]);
+    }
+    return { ...data, thread: await this._withSenders(thread) };
+  }
+
   // ── Manual Question Management ──
 
   async markQuestionAnswered(questionId, answeredBy) {
-    await this.supabase
+    await this.db
       .from('questions')
       .update({
         status: 'answered',
@@ -458,10 +860,11 @@ class Store {
         manually_resolved: true
       })
       .eq('id', questionId);
+    this.emit('question_answered', { id: questionId, answeredBy: answeredBy || 'Manual', auto: false });
   }
 
   async dismissQuestion(questionId, dismissedBy) {
-    await this.supabase
+    await this.db
       .from('questions')
       .update({
         status: 'dismissed',
@@ -473,7 +876,7 @@ class Store {
   }
 
   async reopenQuestion(questionId) {
-    await this.supabase
+    await this.db
       .from('questions')
       .update({
         status: 'open',
@@ -492,19 +895,19 @@ class Store {
   }
 
   async getQuestionWithCandidates(questionId) {
-    const { data: question } = await this.supabase
+    const { data: question } = await this.db
       .from('questions')
       .select('*')
       .eq('id', questionId)
       .single();
 
-    const { data: candidates } = await this.supabase
+    const { data: candidates } = await this.db
       .from('answer_candidates')
       .select('*')
       .eq('question_id', questionId)
       .order('confidence', { ascending: false });
 
-    let { data: context } = await this.supabase
+    let { data: context } = await this.db
       .from('question_context')
       .select('*')
       .eq('question_id', questionId)
@@ -517,9 +920,9 @@ class Store {
       const afterTs = question.timestamp + windowMs;
 
       // Get messages before the question
-      const { data: beforeMsgs } = await this.supabase
+      const { data: beforeMsgs } = await this.db
         .from('messages')
-        .select('chat_id, sender, body, timestamp')
+        .select('chat_id, msg_id, quoted_msg_id, sender, sender_id, body, timestamp')
         .eq('chat_id', question.chat_id)
         .gte('timestamp', beforeTs)
         .lt('timestamp', question.timestamp)
@@ -527,9 +930,9 @@ class Store {
         .limit(5);
 
       // Get messages after the question
-      const { data: afterMsgs } = await this.supabase
+      const { data: afterMsgs } = await this.db
         .from('messages')
-        .select('chat_id, sender, body, timestamp')
+        .select('chat_id, msg_id, quoted_msg_id, sender, sender_id, body, timestamp')
         .eq('chat_id', question.chat_id)
         .gt('timestamp', question.timestamp)
         .lte('timestamp', afterTs)
@@ -540,8 +943,11 @@ class Store {
       if (beforeMsgs) {
         context.push(...beforeMsgs.reverse().map(m => ({
           question_id: questionId,
+          msg_id: m.msg_id,
+          quoted_msg_id: m.quoted_msg_id,
           chat_id: m.chat_id,
           sender: m.sender,
+          sender_id: m.sender_id,
           body: m.body,
           timestamp: m.timestamp,
           is_before: true
@@ -550,8 +956,11 @@ class Store {
       if (afterMsgs) {
         context.push(...afterMsgs.map(m => ({
           question_id: questionId,
+          msg_id: m.msg_id,
+          quoted_msg_id: m.quoted_msg_id,
           chat_id: m.chat_id,
           sender: m.sender,
+          sender_id: m.sender_id,
           body: m.body,
           timestamp: m.timestamp,
           is_before: false
@@ -559,11 +968,15 @@ class Store {
       }
     }
 
-    return { question, candidates: candidates || [], context: context || [] };
+    return {
+      question: question ? (await this._withSenders([question]))[0] : question,
+      candidates: await this._withSenders(candidates),
+      context: await this._withSenders(context.map(normalizeSender))
+    };
   }
 
   async acceptAnswerCandidate(candidateId) {
-    const { data: candidate } = await this.supabase
+    const { data: candidate } = await this.db
       .from('answer_candidates')
       .select('*')
       .eq('id', candidateId)
@@ -572,24 +985,25 @@ class Store {
     if (!candidate) return;
 
     // Mark this candidate as accepted
-    await this.supabase
+    await this.db
       .from('answer_candidates')
       .update({ is_accepted: true })
       .eq('id', candidateId);
 
     // Un-accept any other candidates for this question
-    await this.supabase
+    await this.db
       .from('answer_candidates')
       .update({ is_accepted: false })
       .neq('id', candidateId)
       .eq('question_id', candidate.question_id);
 
     // Update the question
-    await this.supabase
+    await this.db
       .from('questions')
       .update({
         status: 'answered',
         answered_by: candidate.sender,
+        answered_by_id: candidate.sender_id || null,
         answered_at: candidate.timestamp,
         answer_confidence: candidate.confidence,
         answer_reason: 'manually accepted',
@@ -598,6 +1012,7 @@ class Store {
         manually_resolved: true
       })
       .eq('id', candidate.question_id);
+    this.emit('question_answered', { id: candidate.question_id, answeredBy: candidate.sender, auto: false });
   }
 
   // ═══════════════════════════════════════════
@@ -634,19 +1049,39 @@ class Store {
       console.log(`[AI] Reclassified question ${questionId} as "${aiResult.intent}" — auto-dismissed`);
     }
 
-    await this.supabase
+    await this.db
       .from('questions')
       .update(update)
       .eq('id', questionId);
   }
 
+  /**
+   * Re-classify a question from a fresh Analyzer.analyzeQuestion() result,
+   * e.g. after its message was edited.
+   */
+  async updateQuestionAnalysis(questionId, questionAnalysis) {
+    const qa = questionAnalysis || {};
+    const { error } = await this.db
+      .from('questions')
+      .update({
+        question_type: qa.questionType || 'general',
+        priority: qa.priority || 'normal',
+        keywords: qa.keywords || [],
+        language: qa.language || null,
+        directed_at_me: qa.directedAtMe || false
+      })
+      .eq('id', questionId);
+    if (error) console.error('[Store] updateQuestionAnalysis error:', error.message);
+    return !error;
+  }
+
   /**
    * Update a raw message's AI classification.
    */
   async updateMessageAIClassification(messageId, aiResult) {
     if (!aiResult) return;
 
-    await this.supabase
+    await this.db
       .from('messages')
       .update({
         classified_by: 'ai',
@@ -664,18 +1099,21 @@ class Store {
   async promoteMessageToQuestion(messageRow, aiResult) {
     const id = `q_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
-    await this.supabase.from('questions').insert({
+    await this.db.from('questions').insert({
       id,
       chat_id: messageRow.chat_id,
       chat_name: messageRow.chat_name,
       sender: messageRow.sender || 'Unknown',
+      sender_id: messageRow.sender_id || null,
       body: (messageRow.body || '').substring(0, 500),
       timestamp: messageRow.timestamp,
       msg_id: messageRow.id ? String(messageRow.id) : null,
+      quoted_msg_id: messageRow.quoted_msg_id || null,
       status: 'open',
       priority: aiResult.priority || 'normal',
       question_type: aiResult.questionType || 'general',
       keywords: [],
+      language: detectLanguage(messageRow.body),
       category: this._categorizeQuestion(messageRow.chat_name),
       classified_by: 'ai',
       ai_confidence: aiResult.confidence || 0,
@@ -692,7 +1130,7 @@ class Store {
    * Get unclassified messages for bulk AI processing.
    */
   async getUnclassifiedMessages(limit = 50) {
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('messages')
       .select('*')
       .eq('classified_by', 'none')
@@ -705,26 +1143,26 @@ class Store {
    * Get AI classifier stats.
    */
   async getAIClassificationStats() {
-    const { count: totalMessages } = await this.supabase
+    const { count: totalMessages } = await this.db
       .from('messages')
       .select('*', { count: 'exact', head: true });
 
-    const { count: aiClassified } = await this.supabase
+    const { count: aiClassified } = await this.db
       .from('messages')
       .select('*', { count: 'exact', head: true })
       .eq('classified_by', 'ai');
 
-    const { count: regexClassified } = await this.supabase
+    const { count: regexClassified } = await this.db
       .from('questions')
       .select('*', { count: 'exact', head: true })
       .eq('classified_by', 'regex');
 
-    const { count: aiQuestions } = await this.supabase
+    const { count: aiQuestions } = await this.db
       .from('questions')
       .select('*', { count: 'exact', head: true })
       .eq('classified_by', 'ai');
 
-    const { count: aiDismissed } = await this.supabase
+    const { count: aiDismissed } = await this.db
       .from('questions')
       .select('*', { count: 'exact', head: true })
       .eq('dismissed_by', 'AI (not a question)');
@@ -777,7 +1215,7 @@ class Store {
       await this.setGroupAllSettings(chatId, { analytics: true, mentions: true, questions: true });
     }
     // Also update the is_ignored flag on the groups table
-    await this.supabase
+    await this.db
       .from('groups')
       .update({ is_ignored: ignored })
       .eq('chat_id', chatId);
@@ -798,7 +1236,7 @@ class Store {
 
   async getGroups() {
     const partnerIds = await this._getPartnerChatIds();
-    let query = this.supabase
+    let query = this.db
       .from('groups')
       .select('*')
       .order('last_message_time', { ascending: false });
@@ -807,9 +1245,18 @@ class Store {
     return data || [];
   }
 
+  async getGroupsByIds(chatIds) {
+    if (!chatIds || !chatIds.length) return [];
+    const { data } = await this.db
+      .from('groups')
+      .select('chat_id, name')
+      .in('chat_id', chatIds);
+    return data || [];
+  }
+
   async getGroupsSorted(includeIgnored = false) {
     const partnerIds = await this._getPartnerChatIds();
-    let query = this.supabase
+    let query = this.db
       .from('groups')
       .select('*')
       .order('last_message_time', { ascending: false });
@@ -825,31 +1272,31 @@ class Store {
 
   async getMentions(limit = 200) {
     const partnerIds = await this._getPartnerChatIds();
-    let query = this.supabase
+    let query = this.db
       .from('mentions')
       .select('*')
       .order('timestamp', { ascending: false })
       .limit(limit);
     if (partnerIds) query = query.in('chat_id', partnerIds);
     const { data } = await query;
-    return data || [];
+    return this._withSenders(data);
   }
 
   async getDirectMessages(limit = 200) {
     const partnerIds = await this._getPartnerChatIds();
-    let query = this.supabase
+    let query = this.db
       .from('direct_messages')
       .select('*')
       .order('timestamp', { ascending: false })
       .limit(limit);
     if (partnerIds) query = query.in('chat_id', partnerIds);
     const { data } = await query;
-    return data || [];
+    return this._withSenders(data);
   }
 
   async resolveMention(id, resolvedBy = 'team') {
     try {
-      const { error } = await this.supabase
+      const { error } = await this.db
         .from('mentions')
         .update({ resolved: true, resolved_by: resolvedBy, resolved_at: Date.now() })
         .eq('id', id);
@@ -863,7 +1310,7 @@ class Store {
 
   async unresolvedMention(id) {
     try {
-      const { error } = await this.supabase
+      const { error } = await this.db
         .from('mentions')
         .update({ resolved: false, resolved_by: null, resolved_at: null })
         .eq('id', id);
@@ -877,7 +1324,7 @@ class Store {
 
   async resolveDM(id, resolvedBy = 'team') {
     try {
-      const { error } = await this.supabase
+      const { error } = await this.db
         .from('direct_messages')
         .update({ resolved: true, resolved_by: resolvedBy, resolved_at: Date.now() })
         .eq('id', id);
@@ -891,7 +1338,7 @@ class Store {
 
   async unresolvedDM(id) {
     try {
-      const { error } = await this.supabase
+      const { error } = await this.db
         .from('direct_messages')
         .update({ resolved: false, resolved_by: null, resolved_at: null })
         .eq('id', id);
@@ -905,7 +1352,7 @@ class Store {
 
   async getQuestions(unansweredOnly = false, limit = 200) {
     const partnerIds = await this._getPartnerChatIds();
-    let query = this.supabase
+    let query = this.db
       .from('questions')
       .select('*')
       .order('timestamp', { ascending: false })
@@ -917,19 +1364,19 @@ class Store {
     if (partnerIds) query = query.in('chat_id', partnerIds);
 
     const { data } = await query;
-    return data || [];
+    return this._withSenders(data);
   }
 
   async getActivityFeed(limit = 50) {
     const partnerIds = await this._getPartnerChatIds();
-    let query = this.supabase
+    let query = this.db
       .from('activity_feed')
       .select('*')
       .order('timestamp', { ascending: false })
       .limit(limit);
     if (partnerIds) query = query.in('chat_id', partnerIds);
     const { data } = await query;
-    return data || [];
+    return this._withSenders(data);
   }
 
   async getDashboardStats() {
@@ -949,32 +1396,32 @@ class Store {
     const activeGroupsToday = groups.filter(g => g.last_message_time > oneDayAgo).length;
 
     // Pending questions
-    let qOpen = this.supabase.from('questions').select('*', { count: 'exact', head: true }).eq('status', 'open');
+    let qOpen = this.db.from('questions').select('*', { count: 'exact', head: true }).eq('status', 'open');
     if (partnerIds) qOpen = qOpen.in('chat_id', partnerIds);
     const { count: pendingQuestions } = await qOpen;
 
     // Unresolved mentions only
-    let qMentionsUnresolved = this.supabase.from('mentions').select('*', { count: 'exact', head: true }).or('resolved.is.null,resolved.eq.false');
+    let qMentionsUnresolved = this.db.from('mentions').select('*', { count: 'exact', head: true }).or('resolved.is.null,resolved.eq.false');
     if (partnerIds) qMentionsUnresolved = qMentionsUnresolved.in('chat_id', partnerIds);
     const { count: unresolvedMentions } = await qMentionsUnresolved;
 
     // Total mentions (for reference)
-    let qMentionsTotal = this.supabase.from('mentions').select('*', { count: 'exact', head: true });
+    let qMentionsTotal = this.db.from('mentions').select('*', { count: 'exact', head: true });
     if (partnerIds) qMentionsTotal = qMentionsTotal.in('chat_id', partnerIds);
     const { count: totalMentions } = await qMentionsTotal;
 
     // Unresolved DMs only
-    let qDMsUnresolved = this.supabase.from('direct_messages').select('*', { count: 'exact', head: true }).or('resolved.is.null,resolved.eq.false');
+    let qDMsUnresolved = this.db.from('direct_messages').select('*', { count: 'exact', head: true }).or('resolved.is.null,resolved.eq.false');
     if (partnerIds) qDMsUnresolved = qDMsUnresolved.in('chat_id', partnerIds);
     const { count: unresolvedDMs } = await qDMsUnresolved;
 
     // Total DMs (for reference)
-    let qDMsTotal = this.supabase.from('direct_messages').select('*', { count: 'exact', head: true });
+    let qDMsTotal = this.db.from('direct_messages').select('*', { count: 'exact', head: true });
     if (partnerIds) qDMsTotal = qDMsTotal.in('chat_id', partnerIds);
     const { count: totalDMs } = await qDMsTotal;
 
     // Answered questions count (for response rate)
-    let qAnswered = this.supabase.from('questions').select('*', { count: 'exact', head: true }).eq('status', 'answered');
+    let qAnswered = this.db.from('questions').select('*', { count: 'exact', head: true }).eq('status', 'answered');
     if (partnerIds) qAnswered = qAnswered.in('chat_id', partnerIds);
     const { count: answeredQuestions } = await qAnswered;
 
@@ -1032,7 +1479,7 @@ class Store {
       this._cache._partnerChatIds = null;
       return null;
     }
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('groups')
       .select('chat_id')
       .in('name', names);
@@ -1100,7 +1547,7 @@ class Store {
 
     // Upsert hourly
     try {
-      const { error } = await this.supabase.rpc('increment_volume', { volume_key: hourKey });
+      const { error } = await this.db.rpc('increment_volume', { volume_key: hourKey });
       if (error) await this._upsertVolume(hourKey);
     } catch {
       await this._upsertVolume(hourKey);
@@ -1108,7 +1555,7 @@ class Store {
 
     // Upsert daily
     try {
-      const { error } = await this.supabase.rpc('increment_volume', { volume_key: dayKey });
+      const { error } = await this.db.rpc('increment_volume', { volume_key: dayKey });
       if (error) await this._upsertVolume(dayKey);
     } catch {
       await this._upsertVolume(dayKey);
@@ -1116,19 +1563,19 @@ class Store {
   }
 
   async _upsertVolume(key) {
-    const { data: existing } = await this.supabase
+    const { data: existing } = await this.db
       .from('message_volume')
       .select('count')
       .eq('key', key)
       .single();
 
     if (existing) {
-      await this.supabase
+      await this.db
         .from('message_volume')
         .update({ count: existing.count + 1, updated_at: new Date().toISOString() })
         .eq('key', key);
     } else {
-      await this.supabase
+      await this.db
         .from('message_volume')
         .insert({ key, count: 1 });
     }
@@ -1145,7 +1592,7 @@ class Store {
 
     // Batch fetch all keys
     const keys = result.map(r => r.key);
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('message_volume')
       .select('key, count')
       .in('key', keys);
@@ -1174,7 +1621,7 @@ class Store {
     }
 
     const keys = result.map(r => r.key);
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('message_volume')
       .select('key, count')
       .in('key', keys);
@@ -1196,7 +1643,7 @@ class Store {
   // ═══════════════════════════════════════════
 
   async _upsertSenderStats(sender, timestamp, chatId) {
-    const { data: existing } = await this.supabase
+    const { data: existing } = await this.db
       .from('sender_stats')
       .select('*')
       .eq('sender', sender)
@@ -1206,7 +1653,7 @@ class Store {
       const groups = existing.groups || [];
       if (!groups.includes(chatId)) groups.push(chatId);
 
-      await this.supabase
+      await this.db
         .from('sender_stats')
         .update({
           message_count: existing.message_count + 1,
@@ -1216,7 +1663,7 @@ class Store {
         })
         .eq('sender', sender);
     } else {
-      await this.supabase
+      await this.db
         .from('sender_stats')
         .insert({
           sender,
@@ -1231,33 +1678,37 @@ class Store {
     const partnerIds = await this._getPartnerChatIds();
     // Fetch extra rows to allow for post-filtering
     const fetchLimit = partnerIds ? limit * 5 : limit;
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('sender_stats')
       .select('*')
       .order('message_count', { ascending: false })
       .limit(fetchLimit);
     if (!data) return [];
-    if (!partnerIds) return data.slice(0, limit);
-    // sender_stats.groups is an array of chat_ids — keep only senders active in partner groups
-    return data.filter(s => s.groups && s.groups.some(g => partnerIds.includes(g))).slice(0, limit);
+    const top = partnerIds
+      // sender_stats.groups is an array of chat_ids — keep only senders active in partner groups
+      ? data.filter(s => s.groups && s.groups.some(g => partnerIds.includes(g))).slice(0, limit)
+      : data.slice(0, limit);
+    // Newer rows are keyed by contact id; older ones by the name at the time
+    return this._withSenders(top, 'sender');
   }
 
   // ═══════════════════════════════════════════
   // Tasks (Microsoft To-Do style)
   // ═══════════════════════════════════════════
 
-  async addTask({ title, body, chatId, chatName, sender, sourceType, sourceId, priority, assignedTo, dueDate, steps, category }) {
+  async addTask({ title, body, chatId, chatName, sender, senderId, sourceType, sourceId, priority, assignedTo, dueDate, steps, category }) {
     try {
       const id = `task_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
       const now = Date.now();
 
-      await this.supabase.from('tasks').insert({
+      await this.db.from('tasks').insert({
         id,
         title: (title || '').substring(0, 500),
         body: body || '',
         chat_id: chatId || null,
         chat_name: chatName || '',
         sender: sender || '',
+        sender_id: senderId || null,
         source_type: sourceType || 'manual',
         source_id: sourceId || null,
         status: 'open',
@@ -1281,6 +1732,7 @@ class Store {
         mediaType: 'chat'
       });
 
+      this.emit('task_changed', { id, action: 'created' });
       console.log(`[Task] Created: "${(title || '').substring(0, 40)}..." (${priority || 'normal'}) assigned to ${assignedTo || 'unassigned'}`);
       return id;
     } catch (err) {
@@ -1291,7 +1743,7 @@ class Store {
 
   async getTasks({ status, assignee, priority, myDay, limit } = {}) {
     const partnerIds = await this._getPartnerChatIds();
-    let query = this.supabase
+    let query = this.db
       .from('tasks')
       .select('*')
       .order('created_at', { ascending: false });
@@ -1317,16 +1769,16 @@ class Store {
     }
 
     const { data } = await query;
-    return data || [];
+    return this._withSenders(data);
   }
 
   async getTask(taskId) {
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('tasks')
       .select('*')
       .eq('id', taskId)
       .single();
-    return data;
+    return data ? (await this._withSenders([data]))[0] : data;
   }
 
   async updateTask(taskId, updates) {
@@ -1338,11 +1790,12 @@ class Store {
       }
       clean.updated_at = new Date().toISOString();
 
-      await this.supabase
+      await this.db
         .from('tasks')
         .update(clean)
         .eq('id', taskId);
 
+      this.emit('task_changed', { id: taskId, action: 'updated' });
       return true;
     } catch (err) {
       console.error('[Store] updateTask error:', err.message);
@@ -1353,7 +1806,7 @@ class Store {
   async completeTask(taskId, completedBy) {
     try {
       const now = Date.now();
-      await this.supabase
+      await this.db
         .from('tasks')
         .update({
           status: 'completed',
@@ -1362,6 +1815,7 @@ class Store {
           updated_at: new Date().toISOString()
         })
         .eq('id', taskId);
+      this.emit('task_changed', { id: taskId, action: 'completed' });
       return true;
     } catch (err) {
       console.error('[Store] completeTask error:', err.message);
@@ -1371,7 +1825,7 @@ class Store {
 
   async reopenTask(taskId) {
     try {
-      await this.supabase
+      await this.db
         .from('tasks')
         .update({
           status: 'open',
@@ -1380,6 +1834,7 @@ class Store {
           updated_at: new Date().toISOString()
         })
         .eq('id', taskId);
+      this.emit('task_changed', { id: taskId, action: 'reopened' });
       return true;
     } catch (err) {
       console.error('[Store] reopenTask error:', err.message);
@@ -1389,10 +1844,11 @@ class Store {
 
   async deleteTask(taskId) {
     try {
-      await this.supabase
+      await this.db
         .from('tasks')
         .delete()
         .eq('id', taskId);
+      this.emit('task_changed', { id: taskId, action: 'deleted' });
       return true;
     } catch (err) {
       console.error('[Store] deleteTask error:', err.message);
@@ -1404,19 +1860,19 @@ class Store {
     const partnerIds = await this._getPartnerChatIds();
     const pFilter = partnerIds ? `chat_id.in.(${partnerIds.join(',')}),chat_id.is.null` : null;
 
-    let qOpen = this.supabase.from('tasks').select('*', { count: 'exact', head: true }).eq('status', 'open');
+    let qOpen = this.db.from('tasks').select('*', { count: 'exact', head: true }).eq('status', 'open');
     if (pFilter) qOpen = qOpen.or(pFilter);
     const { count: open } = await qOpen;
 
-    let qInProgress = this.supabase.from('tasks').select('*', { count: 'exact', head: true }).eq('status', 'in_progress');
+    let qInProgress = this.db.from('tasks').select('*', { count: 'exact', head: true }).eq('status', 'in_progress');
     if (pFilter) qInProgress = qInProgress.or(pFilter);
     const { count: inProgress } = await qInProgress;
 
-    let qCompleted = this.supabase.from('tasks').select('*', { count: 'exact', head: true }).eq('status', 'completed');
+    let qCompleted = this.db.from('tasks').select('*', { count: 'exact', head: true }).eq('status', 'completed');
     if (pFilter) qCompleted = qCompleted.or(pFilter);
     const { count: completed } = await qCompleted;
 
-    let qOverdue = this.supabase.from('tasks').select('*', { count: 'exact', head: true }).in('status', ['open', 'in_progress']).lt('due_date', Date.now()).not('due_date', 'is', null);
+    let qOverdue = this.db.from('tasks').select('*', { count: 'exact', head: true }).in('status', ['open', 'in_progress']).lt('due_date', Date.now()).not('due_date', 'is', null);
     if (pFilter) qOverdue = qOverdue.or(pFilter);
     const { count: overdue } = await qOverdue;
 
@@ -1430,119 +1886,2049 @@ class Store {
   }
 
   // ═══════════════════════════════════════════
-  // Activity Feed
+  // Offer Sheets (offers we post to partner groups)
   // ═══════════════════════════════════════════
 
-  async _addToFeed({ type, chatId, chatName, sender, body, timestamp, hasMedia, mediaType }) {
-    // Check for existing entry with same sender+body+timestamp+chat to prevent duplicates
-    const trimmedBody = (body || '').substring(0, 300);
-    const { data: existing } = await this.supabase
-      .from('activity_feed')
-      .select('id')
-      .eq('chat_id', chatId)
-      .eq('sender', sender || 'Unknown')
-      .eq('timestamp', timestamp)
-      .eq('body', trimmedBody)
-      .limit(1);
+  async addOfferSheet({ title, body, lineItems, targetChatIds, mediaType, mediaFilename, createdBy }) {
+    try {
+      const id = `offer_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
-    if (existing && existing.length > 0) return; // Already exists, skip
+      const { error } = await this.db.from('offer_sheets').insert({
+        id,
+        title: (title || (body || '').split('\n')[0] || mediaFilename || 'Untitled offer').substring(0, 200),
+        body: body || '',
+        line_items: this._normalizeLineItems(lineItems),
+        target_chat_ids: targetChatIds || [],
+        media_type: mediaType || null,
+        media_filename: mediaFilename || null,
+        status: 'open',
+        created_by: createdBy || '',
+        timestamp: Date.now()
+      });
+      if (error) throw error;
 
-    await this.supabase.from('activity_feed').insert({
-      type,
-      chat_id: chatId,
-      chat_name: chatName || '',
-      sender: sender || 'Unknown',
-      body: trimmedBody,
-      timestamp,
-      has_media: hasMedia || false,
-      media_type: mediaType || 'chat'
-    });
+      console.log(`[Offer] Registered "${(title || '').substring(0, 40)}" for ${(targetChatIds || []).length} group(s)`);
+      return id;
+    } catch (err) {
+      console.error('[Store] addOfferSheet error:', err.message);
+      return null;
+    }
   }
 
-  // ═══════════════════════════════════════════
-  // App Settings (generic key-value via app_settings table)
-  // ═══════════════════════════════════════════
-
-  async _getSetting(key) {
+  /**
+   * Remember which WhatsApp message an offer was posted as in a given chat.
+   */
+  async linkOfferSheetMessage(offerSheetId, chatId, msgId, timestamp) {
+    if (!offerSheetId || !msgId) return;
     try {
-      const { data } = await this.supabase
-        .from('app_settings')
-        .select('value')
-        .eq('key', key)
-        .single();
-      return data ? data.value : null;
-    } catch {
-      return null;
+      const { error } = await this.db.from('offer_sheet_messages').insert({
+        offer_sheet_id: offerSheetId,
+        chat_id: chatId,
+        msg_id: msgId,
+        timestamp: timestamp || Date.now()
+      });
+      if (error) throw error;
+    } catch (err) {
+      console.error('[Store] linkOfferSheetMessage error:', err.message);
     }
   }
 
-  async _setSetting(key, value) {
-    await this.supabase
-      .from('app_settings')
-      .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' });
-  }
+  async getOfferSheets({ status, chatId, limit } = {}) {
+    let query = this.db
+      .from('offer_sheets')
+      .select('*')
+      .order('timestamp', { ascending: false });
 
-  // ═══════════════════════════════════════════
-  // Date Helpers
-  // ═══════════════════════════════════════════
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+    if (chatId) {
+      query = query.contains('target_chat_ids', [chatId]);
+    }
+    query = query.limit(limit || 200);
 
-  _pacificDate(ts) {
-    const d = ts ? new Date(ts) : new Date();
-    // Always use America/Los_Angeles so Vercel (UTC) matches the local bot
-    const parts = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'America/Los_Angeles',
-      year: 'numeric', month: '2-digit', day: '2-digit',
-      hour: '2-digit', hour12: false
-    }).formatToParts(d);
-    const get = type => parts.find(p => p.type === type).value;
-    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour') };
+    const { data } = await query;
+    return data || [];
   }
 
-  _todayKey() {
-    const p = this._pacificDate();
-    return `${p.year}-${p.month}-${p.day}`;
+  async getOfferSheet(offerSheetId) {
+    const { data } = await this.db
+      .from('offer_sheets')
+      .select('*')
+      .eq('id', offerSheetId)
+      .single();
+    return data;
   }
 
-  _hourKey(ts) {
-    const p = this._pacificDate(ts);
-    return `${p.year}-${p.month}-${p.day}-${p.hour}`;
+  async updateOfferSheet(offerSheetId, updates) {
+    try {
+      const clean = {};
+      if (updates.title !== undefined) clean.title = String(updates.title).substring(0, 200);
+      if (updates.body !== undefined) clean.body = updates.body;
+      if (updates.status !== undefined) clean.status = updates.status;
+      if (updates.target_chat_ids !== undefined) clean.target_chat_ids = updates.target_chat_ids;
+      if (updates.line_items !== undefined) clean.line_items = this._normalizeLineItems(updates.line_items);
+      clean.updated_at = new Date().toISOString();
+
+      const { error } = await this.db
+        .from('offer_sheets')
+        .update(clean)
+        .eq('id', offerSheetId);
+      if (error) throw error;
+      return true;
+    } catch (err) {
+      console.error('[Store] updateOfferSheet error:', err.message);
+      return false;
+    }
   }
 
-  _dayKey(ts) {
-    const p = this._pacificDate(ts);
-    return `${p.year}-${p.month}-${p.day}`;
+  /**
+   * Find the offer a partner message is responding to.
+   * Exact when the reply quotes the posted offer message; otherwise falls back
+   * to the most recent open offer posted to that chat in the last 14 days.
+   */
+  async findOfferSheetForReply({ chatId, quotedMsgId, timestamp }) {
+    if (quotedMsgId) {
+      const { data: link } = await this.db
+        .from('offer_sheet_messages')
+        .select('offer_sheet_id')
+        .eq('msg_id', quotedMsgId)
+        .limit(1);
+      if (link && link.length > 0) return this.getOfferSheet(link[0].offer_sheet_id);
+    }
+
+    const ts = timestamp || Date.now();
+    const { data } = await this.db
+      .from('offer_sheets')
+      .select('*')
+      .eq('status', 'open')
+      .contains('target_chat_ids', [chatId])
+      .lte('timestamp', ts)
+      .gte('timestamp', ts - 14 * 86400000)
+      .order('timestamp', { ascending: false })
+      .limit(1);
+    return (data && data[0]) || null;
   }
 
-  // ═══════════════════════════════════════════
-  // Force Save (no-op for Supabase, kept for API compat)
-  // ═══════════════════════════════════════════
+  /**
+   * Per-group response status for an offer: who approved, rejected, approved
+   * with conditions, and who hasn't responded yet. The latest reply per group wins.
+   */
+  async getOfferSheetResponses(offerSheetId) {
+    const offer = await this.getOfferSheet(offerSheetId);
+    if (!offer) return null;
 
-  async forceSave() {
-    // No-op — Supabase writes are immediate
+    const { data: rows } = await this.db
+      .from('approvals')
+      .select('*')
+      .eq('offer_sheet_id', offerSheetId)
+      .order('timestamp', { ascending: true });
+    const approvals = await this._withSenders(rows);
+
+    const chatIds = [...new Set([
+      ...(offer.target_chat_ids || []),
+      ...(approvals || []).map(a => a.chat_id)
+    ])];
+
+    const { data: groups } = chatIds.length > 0
+      ? await this.db.from('groups').select('chat_id, name').in('chat_id', chatIds)
+      : { data: [] };
+    const nameMap = {};
+    for (const g of groups || []) nameMap[g.chat_id] = g.name;
+
+    const byChat = {};
+    for (const chatId of chatIds) {
+      byChat[chatId] = { chatId, chatName: nameMap[chatId] || chatId, status: 'no_response', approvals: [] };
+    }
+    for (const a of approvals || []) {
+      const entry = byChat[a.chat_id];
+      entry.approvals.push(a);
+      // A deleted reply (or a reaction taken back) no longer answers the offer
+      if (a.deleted_at) continue;
+      entry.status = a.status;
+      if (a.chat_name) entry.chatName = a.chat_name;
+    }
+
+    const responses = Object.values(byChat);
+    const summary = { approved: 0, rejected: 0, conditional: 0, pending_review: 0, no_response: 0 };
+    for (const r of responses) summary[r.status] = (summary[r.status] || 0) + 1;
+
+    return { offer, responses, summary };
+  }
+
+  _normalizeLineItems(items) {
+    if (!Array.isArray(items)) return [];
+    const num = (v) => (v === undefined || v === null || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+    return items
+      .filter(i => i && typeof i === 'object')
+      .map(i => ({
+        sku: i.sku ? String(i.sku) : null,
+        description: i.description ? String(i.description) : '',
+        quantity: num(i.quantity),
+        unit: i.unit ? String(i.unit) : null,
+        price: num(i.price)
+      }));
   }
 
   // ═══════════════════════════════════════════
-  // User Management
+  // Approvals (partner responses to offer sheets)
   // ═══════════════════════════════════════════
 
-  async createUser({ email, passwordHash, name, trackName, isAdmin = false }) {
-    const { data, error } = await this.supabase
-      .from('users')
-      .insert({
-        email: email.toLowerCase().trim(),
-        password_hash: passwordHash,
-        name: name.trim(),
-        track_name: (trackName || '').trim(),
-        is_admin: isAdmin
-      })
-      .select()
-      .single();
-    if (error) throw error;
+  async addApproval({ chatId, chatName, sender, senderId, body, timestamp, msgId, offerSheetId, offerSheetRef, offerDescription, sourceMessageId, status, conditions, lineItems, currency, deadline, deadlineText, extractedBy, confidence, aiSummary, contextMessages }) {
+    try {
+      // Same message can be classified twice (live + backfill) — keep the first
+      if (msgId) {
+        const { data: existing } = await this.db
+          .from('approvals')
+          .select('id')
+          .eq('msg_id', msgId)
+          .limit(1);
+        if (existing && existing.length > 0) return existing[0].id;
+      }
+
+      const id = `approval_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+      const { error } = await this.db.from('approvals').insert({
+        id,
+        chat_id: chatId,
+        chat_name: chatName || '',
+        sender: sender || 'Unknown',
+        sender_id: senderId || null,
+        body: (body || '').substring(0, 500),
+        timestamp: timestamp || Date.now(),
+        msg_id: msgId || null,
+        offer_sheet_id: offerSheetId || null,
+        offer_sheet_ref: (offerSheetRef || '').substring(0, 200),
+        offer_description: offerDescription || '',
+        source_message_id: sourceMessageId || null,
+        status: APPROVAL_STATUSES.includes(status) ? status : 'pending_review',
+        conditions: conditions || '',
+        line_items: this._normalizeLineItems(lineItems),
+        currency: currency || null,
+        deadline: deadline || null,
+        deadline_text: deadlineText || null,
+        extracted_by: extractedBy || 'none',
+        confidence: confidence || 0,
+        ai_summary: aiSummary || '',
+        context_messages: contextMessages || []
+      });
+      if (error) throw error;
+
+      this.emit('approval_changed', { id, action: 'created' });
+      return id;
+    } catch (err) {
+      console.error('[Store] addApproval error:', err.message);
+      return null;
+    }
+  }
+
+  async getApprovals({ status, sender, chatId, offerSheetId, reviewed, limit } = {}) {
+    const partnerIds = await this._getPartnerChatIds();
+    let query = this.db
+      .from('approvals')
+      .select('*')
+      .order('timestamp', { ascending: false });
+
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+    if (sender) {
+      // A contact id, or a name as stored at the time
+      query = sender.includes('@') ? query.eq('sender_id', sender) : query.eq('sender', sender);
+    }
+    if (chatId) {
+      query = query.eq('chat_id', chatId);
+    }
+    if (offerSheetId) {
+      query = query.eq('offer_sheet_id', offerSheetId);
+    }
+    if (reviewed !== undefined) {
+      query = query.eq('reviewed', reviewed);
+    }
+    if (partnerIds) query = query.in('chat_id', partnerIds);
+    query = query.limit(limit || 500);
+
+    const { data } = await query;
+    return this._withSenders(data);
+  }
+
+  async getApproval(approvalId) {
+    const { data } = await this.db
+      .from('approvals')
+      .select('*')
+      .eq('id', approvalId)
+      .single();
+    return data ? (await this._withSenders([data]))[0] : data;
+  }
+
+  async updateApproval(approvalId, updates) {
+    try {
+      const allowed = ['status', 'conditions', 'notes', 'offer_sheet_ref', 'offer_description', 'currency', 'deadline', 'deadline_text'];
+      const clean = {};
+      for (const key of allowed) {
+        if (updates[key] !== undefined) clean[key] = updates[key];
+      }
+      if (clean.status !== undefined && !APPROVAL_STATUSES.includes(clean.status)) {
+        throw new Error(`Invalid approval status: ${clean.status}`);
+      }
+      if (updates.line_items !== undefined) clean.line_items = this._normalizeLineItems(updates.line_items);
+      // Hand-corrected terms shouldn't be mistaken for AI output
+      if (['conditions', 'line_items', 'currency', 'deadline'].some(k => clean[k] !== undefined)) {
+        clean.extracted_by = 'manual';
+      }
+      clean.updated_at = new Date().toISOString();
+
+      const { error } = await this.db
+        .from('approvals')
+        .update(clean)
+        .eq('id', approvalId);
+      if (error) throw error;
+
+      this.emit('approval_changed', { id: approvalId, action: 'updated' });
+      return true;
+    } catch (err) {
+      console.error('[Store] updateApproval error:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Overwrite an approval's terms with a (re-)run of AIClassifier.extractApproval().
+   * An "unclear" decision leaves the current status alone.
+   */
+  async setApprovalTerms(approvalId, extraction) {
+    try {
+      const clean = {
+        conditions: extraction.conditions || '',
+        line_items: this._normalizeLineItems(extraction.lineItems),
+        currency: extraction.currency || null,
+        deadline: extraction.deadline || null,
+        deadline_text: extraction.deadlineText || null,
+        extracted_by: extraction.extractedBy || 'ai',
+        confidence: extraction.confidence || 0,
+        updated_at: new Date().toISOString()
+      };
+      if (APPROVAL_STATUSES.includes(extraction.decision)) clean.status = extraction.decision;
+      if (extraction.summary) clean.ai_summary = extraction.summary;
+
+      const { error } = await this.db
+        .from('approvals')
+        .update(clean)
+        .eq('id', approvalId);
+      if (error) throw error;
+
+      this.emit('approval_changed', { id: approvalId, action: 'updated' });
+      return true;
+    } catch (err) {
+      console.error('[Store] setApprovalTerms error:', err.message);
+      return false;
+    }
+  }
+
+  async reviewApproval(approvalId, reviewedBy) {
+    try {
+      const { error } = await this.db
+        .from('approvals')
+        .update({
+          reviewed: true,
+          reviewed_by: reviewedBy || 'Admin',
+          reviewed_at: Date.now(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', approvalId);
+      if (error) throw error;
+      this.emit('approval_changed', { id: approvalId, action: 'reviewed' });
+      return true;
+    } catch (err) {
+      console.error('[Store] reviewApproval error:', err.message);
+      return false;
+    }
+  }
+
+  async getApprovalStats() {
+    const partnerIds = await this._getPartnerChatIds();
+
+    const countWhere = async (column, value) => {
+      let q = this.db.from('approvals').select('*', { count: 'exact', head: true });
+      if (column) q = q.eq(column, value);
+      if (partnerIds) q = q.in('chat_id', partnerIds);
+      const { count } = await q;
+      return count || 0;
+    };
+
+    const [total, approved, rejected, conditional, pendingReview, unreviewed] = await Promise.all([
+      countWhere(null),
+      countWhere('status', 'approved'),
+      countWhere('status', 'rejected'),
+      countWhere('status', 'conditional'),
+      countWhere('status', 'pending_review'),
+      countWhere('reviewed', false)
+    ]);
+
+    return { total, approved, rejected, conditional, pendingReview, unreviewed };
+  }
+
+  // ═══════════════════════════════════════════
+  // Webhooks (outbound event subscriptions — see webhooks.js)
+  // ═══════════════════════════════════════════
+
+  async addWebhook({ url, secret, events, description, enabled, createdBy }) {
+    const id = `wh_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { data, error } = await this.db
+      .from('webhooks')
+      .insert({
+        id,
+        url,
+        secret,
+        events: events || [],
+        enabled: enabled !== false,
+        description: description || '',
+        created_by: createdBy || ''
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async getWebhooks() {
+    const { data } = await this.db
+      .from('webhooks')
+      .select('*')
+      .order('created_at', { ascending: true });
+    return data || [];
+  }
+
+  async getWebhook(webhookId) {
+    const { data } = await this.db
+      .from('webhooks')
+      .select('*')
+      .eq('id', webhookId)
+      .single();
+    return data;
+  }
+
+  async updateWebhook(webhookId, updates) {
+    const allowed = ['url', 'secret', 'events', 'description', 'enabled'];
+    const clean = {};
+    for (const key of allowed) {
+      if (updates[key] !== undefined) clean[key] = updates[key];
+    }
+    clean.updated_at = new Date().toISOString();
+
+    const { data, error } = await this.db
+      .from('webhooks')
+      .update(clean)
+      .eq('id', webhookId)
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteWebhook(webhookId) {
+    // Explicit for adapters without ON DELETE CASCADE (memory)
+    await this.db.from('webhook_deliveries').delete().eq('webhook_id', webhookId);
+    const { error } = await this.db
+      .from('webhooks')
+      .delete()
+      .eq('id', webhookId);
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Enabled webhooks subscribed to an event (an empty filter means every event).
+   */
+  async getWebhooksForEvent(event) {
+    const { data } = await this.db
+      .from('webhooks')
+      .select('*')
+      .eq('enabled', true);
+    return (data || []).filter(w => !w.events || w.events.length === 0 || w.events.includes(event));
+  }
+
+  async addWebhookDelivery({ webhookId, event, payload, nextAttemptAt }) {
+    try {
+      const { error } = await this.db.from('webhook_deliveries').insert({
+        id: payload.id,
+        webhook_id: webhookId,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: nextAttemptAt || Date.now()
+      });
+      if (error) throw error;
+      return payload.id;
+    } catch (err) {
+      console.error('[Store] addWebhookDelivery error:', err.message);
+      return null;
+    }
+  }
+
+  async updateWebhookDelivery(deliveryId, updates) {
+    try {
+      const { error } = await this.db
+        .from('webhook_deliveries')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', deliveryId);
+      if (error) throw error;
+      return true;
+    } catch (err) {
+      console.error('[Store] updateWebhookDelivery error:', err.message);
+      return false;
+    }
+  }
+
+  async getWebhookDelivery(deliveryId) {
+    const { data } = await this.db
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .single();
+    return data;
+  }
+
+  async getWebhookDeliveries({ webhookId, status, event, limit } = {}) {
+    let query = this.db
+      .from('webhook_deliveries')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (webhookId) query = query.eq('webhook_id', webhookId);
+    if (status && status !== 'all') query = query.eq('status', status);
+    if (event) query = query.eq('event', event);
+    query = query.limit(limit || 100);
+
+    const { data } = await query;
+    return data || [];
+  }
+
+  // Pending deliveries whose next attempt is due (oldest first)
+  async getDueWebhookDeliveries(limit = 50) {
+    const { data } = await this.db
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', Date.now())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+    return data || [];
+  }
+
+  // ═══════════════════════════════════════════
+  // Outbound Queue (messages waiting to be sent — see outbox.js)
+  // ═══════════════════════════════════════════
+
+  async addOutboundMedia({ mimetype, filename, data }) {
+    const id = `media_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { error } = await this.db.from('outbound_media').insert({
+      id,
+      mimetype,
+      filename: filename || null,
+      data
+    });
+    if (error) throw error;
+    return id;
+  }
+
+  async getOutboundMedia(mediaId) {
+    const { data } = await this.db
+      .from('outbound_media')
+      .select('*')
+      .eq('id', mediaId)
+      .single();
+    return data;
+  }
+
+  async hasOutboundMedia(mediaId) {
+    const { count } = await this.db
+      .from('outbound_media')
+      .select('id', { count: 'exact', head: true })
+      .eq('id', mediaId);
+    return !!count;
+  }
+
+  /**
+   * Drop an attachment once no queued message or pending schedule still needs it.
+   */
+  async releaseOutboundMedia(mediaId) {
+    try {
+      const [{ count: queued }, { count: scheduled }] = await Promise.all([
+        this.db.from('outbound_messages').select('id', { count: 'exact', head: true })
+          .eq('media_id', mediaId).in('status', ['queued', 'sending']),
+        this.db.from('scheduled_sends').select('id', { count: 'exact', head: true })
+          .eq('media_id', mediaId).eq('status', 'scheduled')
+      ]);
+      if (queued || scheduled) return false;
+      await this.db.from('outbound_media').delete().eq('id', mediaId);
+      return true;
+    } catch (err) {
+      console.error('[Store] releaseOutboundMedia error:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Queue one message per chat. `bodies` ({ chatId: text }) overrides `body`
+   * for personalized broadcasts (templating.js). Returns the rows (without media data).
+   */
+  async enqueueOutbound({ chatIds, kind, body, bodies, mentionIds, mediaId, offerSheetId, templateId, createdBy }) {
+    const batchId = `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const now = Date.now();
+    const rows = chatIds.map((chatId, i) => ({
+      id: `out_${now}_${i}_${Math.random().toString(36).slice(2, 8)}`,
+      batch_id: batchId,
+      chat_id: chatId,
+      kind: kind || 'text',
+      body: (bodies && bodies[chatId] !== undefined ? bodies[chatId] : body) || '',
+      mention_ids: mentionIds || [],
+      media_id: mediaId || null,
+      offer_sheet_id: offerSheetId || null,
+      template_id: templateId || null,
+      status: 'queued',
+      attempts: 0,
+      next_attempt_at: now,
+      created_by: createdBy || ''
+    }));
+
+    const { data, error } = await this.db
+      .from('outbound_messages')
+      .insert(rows)
+      .select('*');
+    if (error) throw error;
+    return data || rows;
+  }
+
+  async getOutboundMessage(messageId) {
+    const { data } = await this.db
+      .from('outbound_messages')
+      .select('*')
+      .eq('id', messageId)
+      .single();
+    return data;
+  }
+
+  async getOutboundMessages({ status, batchId, chatId, limit } = {}) {
+    let query = this.db
+      .from('outbound_messages')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (status && status !== 'all') query = query.eq('status', status);
+    if (batchId) query = query.eq('batch_id', batchId);
+    if (chatId) query = query.eq('chat_id', chatId);
+    query = query.limit(limit || 200);
+
+    const { data } = await query;
+    return this._withReceiptCounts(data || []);
+  }
+
+  // Queued messages whose (next) attempt is due, oldest first
+  async getDueOutbound(limit = 100) {
+    const { data } = await this.db
+      .from('outbound_messages')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('next_attempt_at', Date.now())
+      .order('created_at', { ascending: true })
+      .limit(limit);
+    return data || [];
+  }
+
+  async updateOutboundMessage(messageId, updates) {
+    try {
+      const { error } = await this.db
+        .from('outbound_messages')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', messageId);
+      if (error) throw error;
+      return true;
+    } catch (err) {
+      console.error('[Store] updateOutboundMessage error:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Move a message from one status to another only if it is still in `from`
+   * (so a cancel can't race the worker). Returns true if it changed.
+   */
+  async transitionOutboundMessage(messageId, from, updates) {
+    const { data, error } = await this.db
+      .from('outbound_messages')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', messageId)
+      .in('status', Array.isArray(from) ? from : [from])
+      .select('id');
+    if (error) throw error;
+    return !!(data && data.length);
+  }
+
+  /**
+   * Messages left in 'sending' by a process that died mid-send. WhatsApp may or
+   * may not have delivered them, so they are failed for a human to retry rather
+   * than re-sent automatically (a duplicate offer to a partner is worse).
+   * Only rows whose send lease has run out are touched, so the worker calls
+   * this on every pass. Their attachments are released like any failed send.
+   */
+  async failInterruptedOutbound() {
+    const { data, error } = await this.db
+      .from('outbound_messages')
+      .update({
+        status: 'failed',
+        error: 'Interrupted while sending — check the chat before retrying',
+        next_attempt_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('status', 'sending')
+      .lte('next_attempt_at', Date.now())
+      .select('id, media_id');
+    if (error) throw error;
+    const mediaIds = new Set((data || []).map(m => m.media_id).filter(Boolean));
+    for (const mediaId of mediaIds) await this.releaseOutboundMedia(mediaId);
+    return (data || []).length;
+  }
+
+  async getOutboundStats() {
+    const statuses = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+    const counts = await Promise.all(statuses.map(async (status) => {
+      const { count } = await this.db
+        .from('outbound_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+      return count || 0;
+    }));
+    return Object.fromEntries(statuses.map((s, i) => [s, counts[i]]));
+  }
+
+  // ═══════════════════════════════════════════
+  // Delivery Receipts (WhatsApp acks on outbound messages)
+  // ═══════════════════════════════════════════
+
+  /**
+   * Apply a WhatsApp ack (-1 error … 4 played) to the outbound message it
+   * belongs to. Acks only move forward — a late "delivered" can't undo
+   * "read". Returns the row, or null when the message wasn't sent through
+   * the outbox.
+   */
+  async recordOutboundAck({ msgId, ack, timestamp }) {
+    if (!msgId) return null;
+    try {
+      const { data: message } = await this.db
+        .from('outbound_messages')
+        .select('*')
+        .eq('msg_id', msgId)
+        .single();
+      if (!message) return null;
+
+      const current = message.ack === null || message.ack === undefined ? -2 : message.ack;
+      if (ack <= current) return message;
+
+      const at = timestamp || Date.now();
+      const updates = { ack };
+      if (ack >= 2 && !message.delivered_at) updates.delivered_at = at;
+      if (ack >= 3 && !message.read_at) updates.read_at = at;
+
+      const { error } = await this.db
+        .from('outbound_messages')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', message.id);
+      if (error) throw error;
+      return { ...message, ...updates };
+    } catch (err) {
+      console.error('[Store] recordOutboundAck error:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge per-recipient receipts ({ waId, recipient, recipientId,
+   * deliveredAt, readAt }) into outbound_receipts. The first time seen is
+   * kept, and reading implies delivery. `recipientCount` is how many people
+   * the message went to, including any who haven't received it yet.
+   */
+  async setOutboundReceipts(outboundId, { chatId, recipientCount, receipts }) {
+    try {
+      const { data: existing } = await this.db
+        .from('outbound_receipts')
+        .select('*')
+        .eq('outbound_id', outboundId);
+      const byId = new Map((existing || []).map(r => [r.id, r]));
+
+      const rows = (receipts || []).map(r => {
+        const id = `${outboundId}|${r.waId}`;
+        const prev = byId.get(id) || {};
+        const readAt = prev.read_at || r.readAt || null;
+        return {
+          id,
+          outbound_id: outboundId,
+          chat_id: chatId,
+          recipient: r.recipient || r.waId.split('@')[0],
+          recipient_id: r.recipientId || prev.recipient_id || null,
+          delivered_at: prev.delivered_at || r.deliveredAt || readAt,
+          read_at: readAt,
+          updated_at: new Date().toISOString()
+        };
+      });
+      if (rows.length) {
+        const { error } = await this.db.from('outbound_receipts').upsert(rows, { onConflict: 'id' });
+        if (error) throw error;
+      }
+
+      if (recipientCount !== undefined && recipientCount !== null) {
+        await this.updateOutboundMessage(outboundId, { recipient_count: recipientCount });
+      }
+      return rows.length;
+    } catch (err) {
+      console.error('[Store] setOutboundReceipts error:', err.message);
+      return 0;
+    }
+  }
+
+  /** Receipts for one outbound message, read ones first. */
+  async getOutboundReceipts(outboundId) {
+    const { data } = await this.db
+      .from('outbound_receipts')
+      .select('*')
+      .eq('outbound_id', outboundId);
+    return (data || []).sort((a, b) =>
+      (b.read_at ? 1 : 0) - (a.read_at ? 1 : 0) || (a.recipient || '').localeCompare(b.recipient || ''));
+  }
+
+  // { recipients, delivered, read } on each row, so a broadcast shows which chats saw it
+  async _withReceiptCounts(messages) {
+    const ids = messages.filter(m => m.msg_id).map(m => m.id);
+    const counts = new Map();
+    if (ids.length) {
+      const { data } = await this.db
+        .from('outbound_receipts')
+        .select('outbound_id, delivered_at, read_at')
+        .in('outbound_id', ids);
+      for (const r of data || []) {
+        const c = counts.get(r.outbound_id) || { delivered: 0, read: 0, known: 0 };
+        c.known++;
+        if (r.delivered_at) c.delivered++;
+        if (r.read_at) c.read++;
+        counts.set(r.outbound_id, c);
+      }
+    }
+    return messages.map(m => {
+      const c = counts.get(m.id) || { delivered: 0, read: 0, known: 0 };
+      return {
+        ...m,
+        receipt_counts: {
+          recipients: m.recipient_count || c.known,
+          delivered: c.delivered,
+          read: c.read
+        }
+      };
+    });
+  }
+
+  // ═══════════════════════════════════════════
+  // Scheduled Sends (dispatched into the outbound queue — see scheduler.js)
+  // ═══════════════════════════════════════════
+
+  async addScheduledSend({ chatIds, audienceId, kind, body, mediaId, mediaMimetype, mediaFilename, offer, templateId, sendAt, timezone, localTime, createdBy }) {
+    const id = `sched_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { data, error } = await this.db
+      .from('scheduled_sends')
+      .insert({
+        id,
+        chat_ids: chatIds,
+        audience_id: audienceId || null,
+        kind: kind || 'text',
+        body: body || '',
+        media_id: mediaId || null,
+        media_mimetype: mediaMimetype || null,
+        media_filename: mediaFilename || null,
+        offer: offer || null,
+        template_id: templateId || null,
+        send_at: sendAt,
+        timezone: timezone || 'America/Los_Angeles',
+        local_time: localTime || null,
+        status: 'scheduled',
+        created_by: createdBy || ''
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async getScheduledSend(scheduledId) {
+    const { data } = await this.db
+      .from('scheduled_sends')
+      .select('*')
+      .eq('id', scheduledId)
+      .single();
+    return data;
+  }
+
+  async getScheduledSends({ status, limit } = {}) {
+    let query = this.db
+      .from('scheduled_sends')
+      .select('*')
+      .order('send_at', { ascending: true });
+
+    if (status && status !== 'all') query = query.eq('status', status);
+    query = query.limit(limit || 200);
+
+    const { data } = await query;
+    return data || [];
+  }
+
+  async getDueScheduledSends(limit = 50) {
+    const { data } = await this.db
+      .from('scheduled_sends')
+      .select('*')
+      .eq('status', 'scheduled')
+      .lte('send_at', Date.now())
+      .order('send_at', { ascending: true })
+      .limit(limit);
+    return data || [];
+  }
+
+  /**
+   * Update a scheduled send only while it is still in `from` — edits and
+   * cancels can't race the scheduler. Returns the updated row, or null.
+   */
+  async transitionScheduledSend(scheduledId, from, updates) {
+    const { data, error } = await this.db
+      .from('scheduled_sends')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', scheduledId)
+      .in('status', Array.isArray(from) ? from : [from])
+      .select('*');
+    if (error) throw error;
+    return data && data.length ? data[0] : null;
+  }
+
+  // ═══════════════════════════════════════════
+  // Recipient Directory (per-chat template variables — see templating.js)
+  // ═══════════════════════════════════════════
+
+  /** Directory entries, optionally only for the given chats. */
+  async getRecipientDirectory(chatIds) {
+    let query = this.db
+      .from('recipient_directory')
+      .select('*')
+      .order('chat_id', { ascending: true });
+    if (chatIds) query = query.in('chat_id', chatIds);
+    const { data } = await query;
+    return data || [];
+  }
+
+  async getRecipientEntry(chatId) {
+    const { data } = await this.db
+      .from('recipient_directory')
+      .select('*')
+      .eq('chat_id', chatId)
+      .single();
+    return data;
+  }
+
+  async setRecipientEntry(chatId, { contactName, fields, updatedBy }) {
+    const { data, error } = await this.db
+      .from('recipient_directory')
+      .upsert({
+        chat_id: chatId,
+        contact_name: contactName || '',
+        fields: fields || {},
+        updated_by: updatedBy || '',
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chat_id' })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteRecipientEntry(chatId) {
+    const { error } = await this.db
+      .from('recipient_directory')
+      .delete()
+      .eq('chat_id', chatId);
+    if (error) throw error;
+  }
+
+  // ═══════════════════════════════════════════
+  // Message Templates (with version history and usage counts)
+  // ═══════════════════════════════════════════
+
+  async getTemplates({ category, search } = {}) {
+    let query = this.db
+      .from('message_templates')
+      .select(TEMPLATE_COLUMNS)
+      .order('name', { ascending: true });
+
+    if (category) query = query.eq('category', category);
+    if (search) query = query.ilike('name', `%${search}%`);
+
+    const { data } = await query;
+    return data || [];
+  }
+
+  async getTemplate(templateId, { withMedia = false } = {}) {
+    const { data } = await this.db
+      .from('message_templates')
+      .select(withMedia ? '*' : TEMPLATE_COLUMNS)
+      .eq('id', templateId)
+      .single();
+    return data;
+  }
+
+  async getTemplateByName(name) {
+    const { data } = await this.db
+      .from('message_templates')
+      .select('id, name')
+      .eq('name', name)
+      .single();
+    return data;
+  }
+
+  /**
+   * @param {object} template
+   * @param {object} [template.media] — { mimetype, filename, data (base64) }
+   */
+  async addTemplate({ name, category, body, media, createdBy }) {
+    const id = `tpl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { data, error } = await this.db
+      .from('message_templates')
+      .insert({
+        id,
+        name,
+        category: category || 'general',
+        body: body || '',
+        media_mimetype: media ? media.mimetype : null,
+        media_filename: media ? media.filename : null,
+        media_data: media ? media.data : null,
+        version: 1,
+        created_by: createdBy || '',
+        updated_by: createdBy || ''
+      })
+      .select(TEMPLATE_COLUMNS)
+      .single();
+    if (error) throw error;
+    await this._addTemplateVersion(data, createdBy);
+    return data;
+  }
+
+  /**
+   * Apply an edit as a new version. `media` replaces the attachment; pass
+   * `media: null` to remove it, or leave it out to keep the current one.
+   */
+  async updateTemplate(templateId, { name, category, body, media }, editedBy) {
+    const current = await this.getTemplate(templateId);
+    if (!current) return null;
+
+    const updates = {
+      version: (current.version || 1) + 1,
+      updated_by: editedBy || '',
+      updated_at: new Date().toISOString()
+    };
+    if (name !== undefined) updates.name = name;
+    if (category !== undefined) updates.category = category || 'general';
+    if (body !== undefined) updates.body = body;
+    if (media !== undefined) {
+      updates.media_mimetype = media ? media.mimetype : null;
+      updates.media_filename = media ? media.filename : null;
+      updates.media_data = media ? media.data : null;
+    }
+
+    const { data, error } = await this.db
+      .from('message_templates')
+      .update(updates)
+      .eq('id', templateId)
+      .select(TEMPLATE_COLUMNS)
+      .single();
+    if (error) throw error;
+    await this._addTemplateVersion(data, editedBy);
+    return data;
+  }
+
+  async _addTemplateVersion(template, editedBy) {
+    try {
+      await this.db.from('message_template_versions').insert({
+        template_id: template.id,
+        version: template.version,
+        name: template.name,
+        category: template.category,
+        body: template.body,
+        media_filename: template.media_filename,
+        edited_by: editedBy || ''
+      });
+    } catch (err) {
+      console.error('[Store] _addTemplateVersion error:', err.message);
+    }
+  }
+
+  async getTemplateVersions(templateId) {
+    const { data } = await this.db
+      .from('message_template_versions')
+      .select('*')
+      .eq('template_id', templateId)
+      .order('version', { ascending: false });
+    return data || [];
+  }
+
+  async deleteTemplate(templateId) {
+    await this.db.from('message_template_versions').delete().eq('template_id', templateId);
+    const { error } = await this.db
+      .from('message_templates')
+      .delete()
+      .eq('id', templateId);
+    if (error) throw error;
+  }
+
+  async getTemplateCategories() {
+    const { data } = await this.db
+      .from('message_templates')
+      .select('category');
+    return [...new Set((data || []).map(t => t.category).filter(Boolean))].sort();
+  }
+
+  // Called by the Outbox after a message built from a template is delivered
+  async recordTemplateSend(templateId) {
+    try {
+      const template = await this.getTemplate(templateId);
+      if (!template) return;
+      await this.db
+        .from('message_templates')
+        .update({ send_count: (template.send_count || 0) + 1, last_sent_at: Date.now() })
+        .eq('id', templateId);
+    } catch (err) {
+      console.error('[Store] recordTemplateSend error:', err.message);
+    }
+  }
+
+  /**
+   * Count an incoming message as a reply to a recent template send in the
+   * same chat — the one it quotes, else the latest within 24h. Each sent
+   * message is counted at most once.
+   */
+  async recordTemplateReply({ chatId, quotedMsgId, timestamp }) {
+    try {
+      const { data: recent } = await this.db
+        .from('outbound_messages')
+        .select('id, template_id, msg_id, sent_at')
+        .eq('chat_id', chatId)
+        .eq('status', 'sent')
+        .is('replied_at', null)
+        .gte('sent_at', timestamp - 24 * 3600000)
+        .lte('sent_at', timestamp)
+        .order('sent_at', { ascending: false })
+        .limit(20);
+
+      const candidates = (recent || []).filter(m => m.template_id);
+      if (!candidates.length) return;
+      const sent = (quotedMsgId && candidates.find(m => m.msg_id === quotedMsgId)) || candidates[0];
+
+      const { data: claimed } = await this.db
+        .from('outbound_messages')
+        .update({ replied_at: timestamp })
+        .eq('id', sent.id)
+        .is('replied_at', null)
+        .select('id');
+      if (!claimed || !claimed.length) return;
+
+      const template = await this.getTemplate(sent.template_id);
+      if (!template) return;
+      await this.db
+        .from('message_templates')
+        .update({ reply_count: (template.reply_count || 0) + 1 })
+        .eq('id', sent.template_id);
+    } catch (err) {
+      console.error('[Store] recordTemplateReply error:', err.message);
+    }
+  }
+
+  // ═══════════════════════════════════════════
+  // Audiences (recipient lists and segments — see audiences.js)
+  // ═══════════════════════════════════════════
+
+  async getAudiences() {
+    const { data } = await this.db
+      .from('audiences')
+      .select('*')
+      .order('name', { ascending: true });
+    return data || [];
+  }
+
+  async getAudience(audienceId) {
+    const { data } = await this.db
+      .from('audiences')
+      .select('*')
+      .eq('id', audienceId)
+      .single();
+    return data;
+  }
+
+  async getAudienceByName(name) {
+    const { data } = await this.db
+      .from('audiences')
+      .select('*')
+      .eq('name', name)
+      .single();
+    return data;
+  }
+
+  async addAudience({ name, kind, description, chatIds, rules, createdBy }) {
+    const id = `aud_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { data, error } = await this.db
+      .from('audiences')
+      .insert({
+        id,
+        name,
+        kind,
+        description: description || '',
+        chat_ids: kind === 'list' ? (chatIds || []) : [],
+        rules: kind === 'segment' ? (rules || {}) : {},
+        created_by: createdBy || ''
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async updateAudience(audienceId, updates) {
+    const allowed = ['name', 'description', 'chat_ids', 'rules'];
+    const clean = { updated_at: new Date().toISOString() };
+    for (const key of allowed) {
+      if (updates[key] !== undefined) clean[key] = updates[key];
+    }
+    const { data, error } = await this.db
+      .from('audiences')
+      .update(clean)
+      .eq('id', audienceId)
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteAudience(audienceId) {
+    const { error } = await this.db
+      .from('audiences')
+      .delete()
+      .eq('id', audienceId);
+    if (error) throw error;
+  }
+
+  /**
+   * Groups matching segment rules (see audiences.js for the rule list).
+   * Unlike the dashboard, "partners only" with no partner groups configured
+   * matches nothing rather than everything.
+   */
+  async getGroupsForSegment({ partnersOnly, activeWithinDays, hasOpenQuestions, nameContains, includeIgnored } = {}) {
+    let query = this.db
+      .from('groups')
+      .select('chat_id, name, last_message_time')
+      .order('name', { ascending: true });
+
+    if (!includeIgnored) query = query.eq('is_ignored', false);
+    if (activeWithinDays) query = query.gte('last_message_time', Date.now() - activeWithinDays * 86400000);
+    if (nameContains) query = query.ilike('name', `%${nameContains}%`);
+    if (partnersOnly) {
+      const partnerIds = await this._getPartnerChatIds();
+      if (!partnerIds) return [];
+      query = query.in('chat_id', partnerIds);
+    }
+    if (hasOpenQuestions) {
+      const { data: open } = await this.db
+        .from('questions')
+        .select('chat_id')
+        .eq('status', 'open');
+      const chatIds = [...new Set((open || []).map(q => q.chat_id))];
+      if (!chatIds.length) return [];
+      query = query.in('chat_id', chatIds);
+    }
+
+    const { data } = await query;
+    return data || [];
+  }
+
+  // ═══════════════════════════════════════════
+  // Message Events (edits, deletions, reactions — see migration 021)
+  // ═══════════════════════════════════════════
+
+  /**
+   * A message was edited. The stored message and any question or approval
+   * raised from it take the new text, keeping the first version in
+   * original_body; edited approvals go back for review. Returns
+   * { questionIds, approvalIds } of the rows that changed, plus the stored
+   * `message` row (null if it wasn't recorded) and `hasQuestion`, whether a
+   * question was raised from it at all.
+   */
+  async recordMessageEdit({ chatId, chatName, msgId, body, sender, senderId, timestamp }) {
+    const changed = { questionIds: [], approvalIds: [], message: null, hasQuestion: false };
+    if (!msgId) return changed;
+    try {
+      const editedAt = timestamp || Date.now();
+      const text = (body || '').substring(0, 500);
+
+      for (const table of MESSAGE_EVENT_TABLES) {
+        const { data: rows } = await this.db
+          .from(table)
+          .select('*')
+          .eq('chat_id', chatId)
+          .eq('msg_id', msgId);
+
+        for (const row of rows || []) {
+          if (table === 'messages' && !changed.message) changed.message = { ...row, body: text };
+          if (table === 'questions') changed.hasQuestion = true;
+          if (row.body === text) continue;
+          const update = {
+            body: text,
+            original_body: row.original_body === null || row.original_body === undefined ? row.body : row.original_body,
+            edited_at: editedAt
+          };
+          if (table === 'approvals') {
+            update.reviewed = false;
+            update.updated_at = new Date().toISOString();
+          }
+          await this.db.from(table).update(update).eq('id', row.id);
+
+          if (table === 'questions') changed.questionIds.push(row.id);
+          if (table === 'approvals') {
+            changed.approvalIds.push(row.id);
+            this.emit('approval_changed', { id: row.id, action: 'updated' });
+          }
+        }
+      }
+
+      await this._addToFeed({ type: 'edit', chatId, chatName, sender, senderId, body: text, timestamp: editedAt });
+    } catch (err) {
+      console.error('[Store] recordMessageEdit error:', err.message);
+    }
+    return changed;
+  }
+
+  /**
+   * A message was deleted for everyone. Rows raised from it are marked
+   * deleted_at; an open question is dismissed, an approval goes back for
+   * review. Returns { questionIds, approvalIds } of the rows that changed.
+   */
+  async recordMessageRevoke({ chatId, chatName, msgId, sender, senderId, timestamp }) {
+    const changed = { questionIds: [], approvalIds: [] };
+    if (!msgId) return changed;
+    try {
+      const deletedAt = timestamp || Date.now();
+      let deletedText = '';
+
+      for (const table of MESSAGE_EVENT_TABLES) {
+        const { data: rows } = await this.db
+          .from(table)
+          .select('*')
+          .eq('chat_id', chatId)
+          .eq('msg_id', msgId);
+
+        for (const row of rows || []) {
+          if (row.deleted_at) continue;
+          deletedText = deletedText || row.body || '';
+          const update = { deleted_at: deletedAt };
+          if (table === 'questions' && row.status === 'open') {
+            Object.assign(update, { status: 'dismissed', dismissed: true, dismissed_by: 'Deleted by sender', dismissed_at: deletedAt });
+          }
+          if (table === 'approvals') {
+            update.reviewed = false;
+            update.updated_at = new Date().toISOString();
+          }
+          await this.db.from(table).update(update).eq('id', row.id);
+
+          if (table === 'questions') changed.questionIds.push(row.id);
+          if (table === 'approvals') {
+            changed.approvalIds.push(row.id);
+            this.emit('approval_changed', { id: row.id, action: 'updated' });
+          }
+        }
+      }
+
+      await this._addToFeed({
+        type: 'delete', chatId, chatName, sender, senderId,
+        body: deletedText || 'Message deleted',
+        timestamp: deletedAt
+      });
+    } catch (err) {
+      console.error('[Store] recordMessageRevoke error:', err.message);
+    }
+    return changed;
+  }
+
+  /**
+   * Someone reacted to a message (an empty emoji removes their reaction).
+   * A 👍 / 👎 on a posted offer sheet message is recorded as that sender's
+   * approval / rejection of the offer; taking the reaction back marks that
+   * approval deleted. Returns the approval id, if one was recorded.
+   */
+  async recordReaction({ chatId, chatName, msgId, emoji, sender, senderId, timestamp }) {
+    if (!msgId) return null;
+    try {
+      const reactedAt = timestamp || Date.now();
+      const id = `${msgId}|${senderId || sender}`;
+      // Approvals raised by a reaction are keyed by it, one per sender and offer message
+      const approvalMsgId = `reaction:${id}`;
+      const { data: approvals } = await this.db
+        .from('approvals')
+        .select('id, reviewed, deleted_at')
+        .eq('msg_id', approvalMsgId)
+        .limit(1);
+      const approval = approvals && approvals[0];
+
+      if (!emoji) {
+        await this.db.from('message_reactions').delete().eq('id', id);
+        if (approval && !approval.deleted_at) {
+          await this.db.from('approvals')
+            .update({ deleted_at: reactedAt, reviewed: false, updated_at: new Date().toISOString() })
+            .eq('id', approval.id);
+          this.emit('approval_changed', { id: approval.id, action: 'updated' });
+        }
+        return null;
+      }
+
+      await this.db.from('message_reactions').upsert({
+        id,
+        chat_id: chatId,
+        msg_id: msgId,
+        sender: sender || 'Unknown',
+        sender_id: senderId || null,
+        emoji,
+        timestamp: reactedAt
+      });
+
+      const { data: targets } = await this.db
+        .from('messages')
+        .select('body')
+        .eq('chat_id', chatId)
+        .eq('msg_id', msgId)
+        .limit(1);
+      const target = targets && targets[0] ? targets[0].body : '';
+      await this._addToFeed({
+        type: 'reaction', chatId, chatName, sender, senderId,
+        body: target ? `${emoji} to "${target.substring(0, 120)}"` : emoji,
+        timestamp: reactedAt
+      });
+
+      const decision = reactionDecision(emoji);
+      const { data: links } = await this.db
+        .from('offer_sheet_messages')
+        .select('offer_sheet_id')
+        .eq('msg_id', msgId)
+        .limit(1);
+      const offer = links && links.length ? await this.getOfferSheet(links[0].offer_sheet_id) : null;
+      if (!offer) return null;
+
+      if (approval) {
+        // Changed their reaction: follow it unless someone already reviewed the approval
+        if (!approval.reviewed) {
+          await this.db.from('approvals')
+            .update({
+              status: decision || 'pending_review',
+              body: emoji,
+              timestamp: reactedAt,
+              deleted_at: null,
+              updated_at: new Date().toISOString()
+            })
+            .eq('id', approval.id);
+          this.emit('approval_changed', { id: approval.id, action: 'updated' });
+        }
+        return approval.id;
+      }
+      if (!decision) return null;
+
+      return this.addApproval({
+        chatId,
+        chatName,
+        sender,
+        senderId,
+        body: emoji,
+        timestamp: reactedAt,
+        msgId: approvalMsgId,
+        offerSheetId: offer.id,
+        offerSheetRef: offer.title || '',
+        sourceMessageId: msgId,
+        status: decision,
+        extractedBy: 'reaction',
+        confidence: 0.7,
+        aiSummary: `Reacted ${emoji} to the offer`
+      });
+    } catch (err) {
+      console.error('[Store] recordReaction error:', err.message);
+      return null;
+    }
+  }
+
+  /** Reactions on the given messages, as { msgId: [{ emoji, sender, sender_id }] }. */
+  async getReactions(chatId, msgIds) {
+    const ids = [...new Set((msgIds || []).filter(Boolean))];
+    if (ids.length === 0) return {};
+    const { data } = await this.db
+      .from('message_reactions')
+      .select('*')
+      .eq('chat_id', chatId)
+      .in('msg_id', ids)
+      .order('timestamp', { ascending: true });
+    const reactions = {};
+    for (const r of await this._withSenders(data || [])) {
+      (reactions[r.msg_id] = reactions[r.msg_id] || []).push({ emoji: r.emoji, sender: r.sender, sender_id: r.sender_id });
+    }
+    return reactions;
+  }
+
+  // ═══════════════════════════════════════════
+  // Media Archive (files partners send — see media-archive.js)
+  // ═══════════════════════════════════════════
+
+  /**
+   * Save a downloaded attachment ({ data, thumbnail } as base64) unless the
+   * same file is already archived, and link it to the group message it came
+   * in (chat_id + msg_id). Returns the media_files row, or null on failure.
+   */
+  async archiveMedia({ chatId, msgId, kind, data, mimetype, filename, thumbnail }) {
+    try {
+      const buffer = Buffer.from(data, 'base64');
+      const id = contentHash(buffer);
+      let file = await this.getMediaFile(id);
+
+      if (!file) {
+        const storageKey = mediaKey(id, mimetype);
+        await this.media.put(storageKey, buffer, mimetype);
+        let thumbnailKey = null;
+        if (thumbnail) {
+          thumbnailKey = mediaKey(id, 'image/jpeg', '_thumb');
+          await this.media.put(thumbnailKey, Buffer.from(thumbnail, 'base64'), 'image/jpeg');
+        }
+
+        const { data: row, error } = await this.db
+          .from('media_files')
+          .upsert({
+            id,
+            mimetype: mimetype || 'application/octet-stream',
+            filename: filename || null,
+            size: buffer.length,
+            kind: kind || null,
+            backend: this.media.name,
+            storage_key: storageKey,
+            thumbnail_key: thumbnailKey,
+            chat_id: chatId || null,
+            msg_id: msgId || null
+          }, { onConflict: 'id' })
+          .select('*')
+          .single();
+        if (error) throw error;
+        file = row;
+      }
+
+      if (chatId && msgId) {
+        const { error } = await this.db
+          .from('messages')
+          .update({ media_id: id, media_text: file.extracted_text || null })
+          .eq('chat_id', chatId)
+          .eq('msg_id', msgId);
+        if (error) throw error;
+      }
+      return file;
+    } catch (err) {
+      console.error('[Store] archiveMedia error:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store the text read from an archived file (text-extraction.js) or a
+   * voice note's transcript (transcription.js, with the spoken `language`)
+   * and copy it onto every message carrying the file. `text` is null when
+   * nothing was found, `error` when extraction failed; either way the file
+   * is marked done. Returns the updated row.
+   */
+  async setMediaText(mediaId, { text, method, language, error }) {
+    try {
+      const updates = {
+        extracted_text: text || null,
+        text_method: text ? method : null,
+        text_language: text ? language || null : null,
+        text_extracted_at: Date.now(),
+        text_error: error || null
+      };
+      const { data, error: updateError } = await this.db
+        .from('media_files')
+        .update(updates)
+        .eq('id', mediaId)
+        .select('*');
+      if (updateError) throw updateError;
+
+      if (text) {
+        await this.db.from('messages').update({ media_text: text }).eq('media_id', mediaId);
+      }
+      return data && data.length ? data[0] : null;
+    } catch (err) {
+      console.error('[Store] setMediaText error:', err.message);
+      return null;
+    }
+  }
+
+  async getMediaFile(mediaId) {
+    const { data } = await this.db
+      .from('media_files')
+      .select('*')
+      .eq('id', mediaId)
+      .single();
+    return data;
+  }
+
+  /**
+   * The archived bytes of a file — or its thumbnail, which for images
+   * without a WhatsApp preview is the image itself. Returns
+   * { file, buffer, mimetype }, or null.
+   */
+  async readMedia(mediaId, { thumbnail = false } = {}) {
+    const file = await this.getMediaFile(mediaId);
+    if (!file) return null;
+
+    if (thumbnail && file.thumbnail_key) {
+      const buffer = await this.media.get(file.thumbnail_key);
+      if (buffer) return { file, buffer, mimetype: 'image/jpeg' };
+    }
+    if (thumbnail && file.kind !== 'image') return null;
+
+    const buffer = await this.media.get(file.storage_key);
+    return buffer ? { file, buffer, mimetype: file.mimetype } : null;
+  }
+
+  /** Archived files for the given messages of one chat, as { msgId: media_files row }. */
+  async getMessageMedia(chatId, msgIds) {
+    const ids = [...new Set((msgIds || []).filter(Boolean))];
+    if (ids.length === 0) return {};
+    const { data: rows } = await this.db
+      .from('messages')
+      .select('msg_id, media_id')
+      .eq('chat_id', chatId)
+      .in('msg_id', ids)
+      .not('media_id', 'is', null);
+
+    const mediaIds = [...new Set((rows || []).map(r => r.media_id))];
+    if (mediaIds.length === 0) return {};
+    const { data: files } = await this.db
+      .from('media_files')
+      .select('*')
+      .in('id', mediaIds);
+    const byId = new Map((files || []).map(f => [f.id, f]));
+
+    const media = {};
+    for (const r of rows) {
+      if (byId.has(r.media_id)) media[r.msg_id] = byId.get(r.media_id);
+    }
+    return media;
+  }
+
+  /**
+   * Group messages with archived media, newest first — each with its file
+   * as `media`. Filter by chat, kind (image, video, audio, document) or sender.
+   */
+  async getMediaMessages({ chatId, kind, senderId, limit } = {}) {
+    let query = this.db
+      .from('messages')
+      .select('id, chat_id, chat_name, sender, sender_id, body, media_text, timestamp, msg_id, media_type, media_id')
+      .not('media_id', 'is', null)
+      .order('timestamp', { ascending: false });
+
+    if (chatId) query = query.eq('chat_id', chatId);
+    if (senderId) query = query.eq('sender_id', senderId);
+
+    // Kind lives on media_files; over-fetch a little so filtering still fills the page
+    const max = limit || 100;
+    query = query.limit(kind ? max * 4 : max);
+
+    const { data: rows } = await query;
+    const mediaIds = [...new Set((rows || []).map(r => r.media_id))];
+    if (mediaIds.length === 0) return [];
+    const { data: files } = await this.db
+      .from('media_files')
+      .select('*')
+      .in('id', mediaIds);
+    const byId = new Map((files || []).map(f => [f.id, f]));
+
+    const items = (rows || [])
+      .filter(r => byId.has(r.media_id) && (!kind || byId.get(r.media_id).kind === kind))
+      .slice(0, max)
+      .map(r => ({ ...r, media: byId.get(r.media_id) }));
+    return this._withSenders(items);
+  }
+
+  // ═══════════════════════════════════════════
+  // Activity Feed
+  // ═══════════════════════════════════════════
+
+  async _addToFeed({ type, chatId, chatName, sender, senderId, body, timestamp, hasMedia, mediaType }) {
+    // Check for existing entry with same sender+body+timestamp+chat to prevent duplicates
+    const trimmedBody = (body || '').substring(0, 300);
+    const { data: existing } = await this.db
+      .from('activity_feed')
+      .select('id')
+      .eq('chat_id', chatId)
+      .eq('sender', sender || 'Unknown')
+      .eq('timestamp', timestamp)
+      .eq('body', trimmedBody)
+      .limit(1);
+
+    if (existing && existing.length > 0) return; // Already exists, skip
+
+    await this.db.from('activity_feed').insert({
+      type,
+      chat_id: chatId,
+      chat_name: chatName || '',
+      sender: sender || 'Unknown',
+      sender_id: senderId || null,
+      body: trimmedBody,
+      timestamp,
+      has_media: hasMedia || false,
+      media_type: mediaType || 'chat'
+    });
+  }
+
+  // ═══════════════════════════════════════════
+  // Search (see search.js and migration 018)
+  // ═══════════════════════════════════════════
+
+  /**
+   * Full-text search across messages, questions, answer candidates, tasks and
+   * approvals, best match first. `sender` is a contact id, or a name / company
+   * matched against the contact directory and the names stored on rows.
+   * Results carry `type`, the row's id and sender fields, `rank` and an
+   * HTML-escaped `snippet` with matches in <mark>.
+   */
+  async search({ query, types, chatId, sender, from, to, intent, limit } = {}) {
+    const partnerIds = await this._getPartnerChatIds();
+
+    let senderIds = null;
+    let senderName = null;
+    if (sender) {
+      if (sender.includes('@')) {
+        senderIds = [sender];
+      } else {
+        senderName = sender;
+        senderIds = (await this.getContacts({ search: sender, limit: 100 })).map(c => c.id);
+      }
+    }
+
+    const args = {
+      search_query: query,
+      search_types: types && types.length ? types : null,
+      chat_ids: chatId ? [chatId] : partnerIds,
+      sender_ids: senderIds,
+      sender_name: senderName,
+      from_ts: from || null,
+      to_ts: to || null,
+      intent: intent || null,
+      max_results: limit || 50
+    };
+
+    let rows;
+    const { data, error } = await this.db.rpc('search_content', args);
+    if (error && MISSING_FUNCTION_CODES.includes(error.code)) {
+      rows = await this._searchFallback(args);
+    } else if (error) {
+      console.error('[Store] search error:', error.message);
+      throw new Error(error.message);
+    } else {
+      rows = (data || []).map(r => ({ ...r, timestamp: Number(r.timestamp), rank: Number(r.rank) }));
+    }
+    return this._withSenders(rows);
+  }
+
+  // Substring matching for backends without search_content()
+  async _searchFallback({ search_query, search_types, chat_ids, sender_ids, sender_name, from_ts, to_ts, intent, max_results }) {
+    const parsed = parseQuery(search_query);
+    if (parsed.terms.length === 0) return [];
+    const safe = value => !/[,()]/.test(value);
+
+    const results = [];
+    for (const type of search_types || SEARCH_TYPES) {
+      const { table, columns } = SEARCH_SOURCES[type];
+      // Only messages and questions are classified by intent
+      if (intent && type !== 'message' && type !== 'question') continue;
+
+      let q = this.db.from(table).select('*').order('timestamp', { ascending: false }).limit(2000);
+      // Narrow on the first term in the database, check the rest below
+      if (safe(parsed.terms[0])) q = q.or(columns.map(c => `${c}.ilike.%${parsed.terms[0]}%`).join(','));
+      if (chat_ids) {
+        const ids = chat_ids.filter(safe);
+        q = type === 'task'
+          ? q.or(ids.length ? `chat_id.in.(${ids.join(',')}),chat_id.is.null` : 'chat_id.is.null')
+          : q.in('chat_id', chat_ids);
+      }
+      if (sender_ids || sender_name) {
+        const match = [];
+        const ids = (sender_ids || []).filter(safe);
+        if (ids.length) match.push(`sender_id.in.(${ids.join(',')})`);
+        if (sender_name && safe(sender_name)) match.push(`sender.ilike.%${sender_name}%`);
+        if (match.length === 0) continue;
+        q = q.or(match.join(','));
+      }
+      if (from_ts) q = q.gte('timestamp', from_ts);
+      if (to_ts) q = q.lte('timestamp', to_ts);
+      if (intent) q = q.eq('ai_intent', intent);
+
+      const { data } = await q;
+      for (const row of data || []) {
+        const text = columns.map(c => row[c]).filter(Boolean).join('\n');
+        if (!matchesQuery(text, parsed)) continue;
+        const body = type === 'task' ? [row.title, row.body].filter(Boolean).join('\n')
+          : type === 'message' ? [row.body, row.media_text].filter(Boolean).join('\n')
+          : row.body;
+        results.push({
+          type,
+          id: String(row.id),
+          question_id: row.question_id || null,
+          chat_id: row.chat_id,
+          chat_name: row.chat_name || '',
+          sender: row.sender,
+          sender_id: row.sender_id || null,
+          body,
+          timestamp: row.timestamp,
+          ai_intent: row.ai_intent || null,
+          rank: rankText(text, parsed.terms),
+          snippet: buildSnippet(text, parsed.terms)
+        });
+      }
+    }
+
+    // Answer candidates don't store the group name
+    const questionIds = [...new Set(results.filter(r => r.type === 'answer').map(r => r.question_id))];
+    if (questionIds.length) {
+      const { data: questions } = await this.db.from('questions').select('id, chat_name').in('id', questionIds);
+      const names = new Map((questions || []).map(q => [q.id, q.chat_name]));
+      for (const r of results) {
+        if (r.type === 'answer') r.chat_name = names.get(r.question_id) || '';
+      }
+    }
+
+    return results
+      .sort((a, b) => b.rank - a.rank || b.timestamp - a.timestamp)
+      .slice(0, max_results);
+  }
+
+  // ═══════════════════════════════════════════
+  // Analyzer Rules (admin keywords, filters and weights — see analyzer-rules.js)
+  // ═══════════════════════════════════════════
+
+  async addAnalyzerRule({ kind, matchType, pattern, weight, language, chatId, enabled, description, createdBy }) {
+    const id = `ar_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { data, error } = await this.db
+      .from('analyzer_rules')
+      .insert({
+        id,
+        kind,
+        match_type: matchType,
+        pattern,
+        weight: weight || 0,
+        language: language || null,
+        chat_id: chatId || null,
+        enabled: enabled !== false,
+        description: description || '',
+        created_by: createdBy || ''
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+    this._cache.analyzerRules = null;
+    return data;
+  }
+
+  async getAnalyzerRules() {
+    const { data } = await this.db
+      .from('analyzer_rules')
+      .select('*')
+      .order('created_at', { ascending: true });
+    return data || [];
+  }
+
+  async getAnalyzerRule(ruleId) {
+    const { data } = await this.db
+      .from('analyzer_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .single();
+    return data;
+  }
+
+  async updateAnalyzerRule(ruleId, updates) {
+    const columns = {
+      kind: 'kind', matchType: 'match_type', pattern: 'pattern', weight: 'weight',
+      language: 'language', chatId: 'chat_id', enabled: 'enabled', description: 'description'
+    };
+    const clean = {};
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] !== undefined) clean[column] = updates[key];
+    }
+    clean.updated_at = new Date().toISOString();
+
+    const { data, error } = await this.db
+      .from('analyzer_rules')
+      .update(clean)
+      .eq('id', ruleId)
+      .select('*')
+      .single();
+    if (error) throw error;
+    this._cache.analyzerRules = null;
+    return data;
+  }
+
+  async deleteAnalyzerRule(ruleId) {
+    const { error } = await this.db
+      .from('analyzer_rules')
+      .delete()
+      .eq('id', ruleId);
+    if (error) throw error;
+    this._cache.analyzerRules = null;
+    return true;
+  }
+
+  /** Priority weights / thresholds and their per-group overrides ({} when unchanged). */
+  async getAnalyzerConfig() {
+    return (await this._getSetting('analyzer_config')) || {};
+  }
+
+  async setAnalyzerConfig(config) {
+    await this._setSetting('analyzer_config', config);
+    this._cache.analyzerRules = null;
+  }
+
+  /** Admin changes to the built-in rules: { [id]: { enabled, pattern } } (see builtinRules). */
+  async getAnalyzerBuiltins() {
+    return (await this._getSetting('analyzer_builtins')) || {};
+  }
+
+  /**
+   * Switch a built-in rule on or off, or replace its pattern (null restores
+   * the built-in one). A rule back to its defaults is dropped from the setting.
+   */
+  async setAnalyzerBuiltin(ruleId, { enabled, pattern }) {
+    const builtins = await this.getAnalyzerBuiltins();
+    const override = { ...(builtins[ruleId] || {}) };
+    if (enabled !== undefined) override.enabled = enabled;
+    if (pattern !== undefined) override.pattern = pattern || null;
+    if (override.enabled !== false) delete override.enabled;
+    if (!override.pattern) delete override.pattern;
+
+    if (Object.keys(override).length) builtins[ruleId] = override;
+    else delete builtins[ruleId];
+    await this._setSetting('analyzer_builtins', builtins);
+    this._cache.analyzerRules = null;
+    return builtins;
+  }
+
+  /**
+   * Rules, config and built-in changes for Analyzer.setRules, with a
+   * revision that changes whenever any of them does. Re-read at most every ANALYZER_RULES_REFRESH_MS
+   * (immediately after a change made through this Store).
+   */
+  async getAnalyzerRuleset() {
+    const cached = this._cache.analyzerRules;
+    if (cached && Date.now() - cached.loadedAt < ANALYZER_RULES_REFRESH_MS) return cached.ruleset;
+
+    try {
+      const [rules, config, builtins] = await Promise.all([
+        this.getAnalyzerRules(), this.getAnalyzerConfig(), this.getAnalyzerBuiltins()
+      ]);
+      const ruleset = { rules, config, builtins, revision: contentHash(JSON.stringify({ rules, config, builtins })) };
+      this._cache.analyzerRules = { ruleset, loadedAt: Date.now() };
+      return ruleset;
+    } catch (err) {
+      console.error('[Store] getAnalyzerRuleset error:', err.message);
+      return cached ? cached.ruleset : { rules: [], config: {}, builtins: {}, revision: null };
+    }
+  }
+
+  // ═══════════════════════════════════════════
+  // App Settings (generic key-value via app_settings table)
+  // ═══════════════════════════════════════════
+
+  async _getSetting(key) {
+    try {
+      const { data } = await this.db
+        .from('app_settings')
+        .select('value')
+        .eq('key', key)
+        .single();
+      return data ? data.value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async _setSetting(key, value) {
+    await this.db
+      .from('app_settings')
+      .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+  }
+
+  // ═══════════════════════════════════════════
+  // Date Helpers
+  // ═══════════════════════════════════════════
+
+  _pacificDate(ts) {
+    const d = ts ? new Date(ts) : new Date();
+    // Always use America/Los_Angeles so Vercel (UTC) matches the local bot
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/Los_Angeles',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', hour12: false
+    }).formatToParts(d);
+    const get = type => parts.find(p => p.type === type).value;
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour') };
+  }
+
+  _todayKey() {
+    const p = this._pacificDate();
+    return `${p.year}-${p.month}-${p.day}`;
+  }
+
+  _hourKey(ts) {
+    const p = this._pacificDate(ts);
+    return `${p.year}-${p.month}-${p.day}-${p.hour}`;
+  }
+
+  _dayKey(ts) {
+    const p = this._pacificDate(ts);
+    return `${p.year}-${p.month}-${p.day}`;
+  }
+
+  // ═══════════════════════════════════════════
+  // Force Save (no-op — adapter writes are immediate, kept for API compat)
+  // ═══════════════════════════════════════════
+
+  async forceSave() {
+    // No-op — adapter writes are immediate
+  }
+
+  // ═══════════════════════════════════════════
+  // User Management
+  // ═══════════════════════════════════════════
+
+  async createUser({ email, passwordHash, name, trackName, isAdmin = false, role }) {
+    const userRole = USER_ROLES.includes(role) ? role : (isAdmin ? 'admin' : 'viewer');
+    const { data, error } = await this.db
+      .from('users')
+      .insert({
+        email: email.toLowerCase().trim(),
+        password_hash: passwordHash,
+        name: name.trim(),
+        track_name: (trackName || '').trim(),
+        role: userRole,
+        is_admin: userRole === 'admin'
+      })
+      .select()
+      .single();
+    if (error) throw error;
     return data;
   }
 
   async getUserByEmail(email) {
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('users')
       .select('*')
       .eq('email', email.toLowerCase().trim())
@@ -1551,18 +3937,18 @@ class Store {
   }
 
   async getUserById(id) {
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('users')
-      .select('id, email, name, track_name, is_admin, created_at')
+      .select('id, email, name, track_name, is_admin, role, created_at')
       .eq('id', id)
       .single();
     return data || null;
   }
 
   async getUsers() {
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('users')
-      .select('id, email, name, track_name, is_admin, created_at')
+      .select('id, email, name, track_name, is_admin, role, created_at')
       .order('name');
     return data || [];
   }
@@ -1575,18 +3961,38 @@ class Store {
     if (updates.passwordHash !== undefined) allowed.password_hash = updates.passwordHash;
     allowed.updated_at = new Date().toISOString();
 
-    const { data, error } = await this.supabase
+    const { data, error } = await this.db
       .from('users')
       .update(allowed)
       .eq('id', id)
-      .select('id, email, name, track_name, is_admin, created_at')
+      .select('id, email, name, track_name, is_admin, role, created_at')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async getUserCount() {
+    const { count } = await this.db
+      .from('users')
+      .select('id', { count: 'exact', head: true });
+    return count || 0;
+  }
+
+  // is_admin is kept in step with role for older clients that still read it
+  async setUserRole(id, role) {
+    if (!USER_ROLES.includes(role)) throw new Error(`Invalid role: ${role}`);
+    const { data, error } = await this.db
+      .from('users')
+      .update({ role, is_admin: role === 'admin', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('id, email, name, track_name, is_admin, role, created_at')
       .single();
     if (error) throw error;
     return data;
   }
 
   async deleteUser(id) {
-    const { error } = await this.supabase
+    const { error } = await this.db
       .from('users')
       .delete()
       .eq('id', id);
@@ -1595,7 +4001,7 @@ class Store {
   }
 
   async getAllTrackNames() {
-    const { data } = await this.supabase
+    const { data } = await this.db
       .from('users')
       .select('track_name')
       .neq('track_name', '');
@@ -0,0 +1,140 @@
+/**
+ * Templating — placeholders in message templates, rendered per recipient
+ *
+ * A template body can contain {{variable}} or {{variable|fallback}}:
+ *
+ *   Hi {{contact_name|team}}, updated pricing for {{group_name}} ({{date}}):
+ *   {{terms}}
+ *
+ * Built-in variables are listed in BUILTIN_VARIABLES. Any other name is
+ * looked up in the recipient's custom fields from the recipient directory
+ * (Store.getRecipientDirectory). A variable with no value and no fallback
+ * renders as empty text and is reported in `missing`, so the preview can
+ * warn before anything is sent.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][\w.]*)\s*(?:\|([^}]*))?\}\}/g;
+
+const BUILTIN_VARIABLES = {
+  group_name: 'Name of the group (or chat) the message goes to',
+  contact_name: 'Contact name from the recipient directory',
+  first_name: 'First word of contact_name',
+  date: 'Send date, e.g. Mar 14, 2025',
+  weekday: 'Send day of the week, e.g. Friday',
+  time: 'Send time, e.g. 9:00 AM',
+  sender_name: 'Name of the team member sending'
+};
+
+/** Variable names used in a body, in order of first appearance. */
+function extractVariables(body) {
+  const names = [];
+  for (const m of String(body || '').matchAll(PLACEHOLDER)) {
+    if (!names.includes(m[1])) names.push(m[1]);
+  }
+  return names;
+}
+
+function hasVariables(body) {
+  return extractVariables(body).length > 0;
+}
+
+/**
+ * Fill in a body. Returns { text, missing } — `missing` lists variables that
+ * had neither a value nor a fallback.
+ */
+function renderTemplate(body, vars) {
+  const missing = [];
+  const text = String(body || '').replace(PLACEHOLDER, (match, name, fallback) => {
+    const value = vars[name];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return String(value);
+    if (fallback !== undefined) return fallback.trim();
+    if (!missing.includes(name)) missing.push(name);
+    return '';
+  });
+  return { text, missing };
+}
+
+function dateVariables(ts, timeZone) {
+  const d = new Date(ts);
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    timeZone = DEFAULT_TIMEZONE; // unknown zone — don't fail the send over a date
+  }
+  const format = options => new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(d);
+  return {
+    date: format({ month: 'short', day: 'numeric', year: 'numeric' }),
+    weekday: format({ weekday: 'long' }),
+    time: format({ hour: 'numeric', minute: '2-digit' })
+  };
+}
+
+/**
+ * Variables for each recipient: { [chatId]: { group_name, contact_name, ... } }.
+ *
+ * @param {Store} store
+ * @param {string[]} chatIds
+ * @param {object} [options]
+ * @param {number} [options.at] — send time for date/weekday/time (default now)
+ * @param {string} [options.timezone] — zone for the date variables
+ * @param {string} [options.senderName]
+ */
+async function buildRecipientVariables(store, chatIds, { at, timezone, senderName } = {}) {
+  const [groups, directory] = await Promise.all([
+    store.getGroupsByIds(chatIds),
+    store.getRecipientDirectory(chatIds)
+  ]);
+  const groupNames = new Map(groups.map(g => [g.chat_id, g.name]));
+  const entries = new Map(directory.map(e => [e.chat_id, e]));
+  const dates = dateVariables(at || Date.now(), timezone || DEFAULT_TIMEZONE);
+
+  const result = {};
+  for (const chatId of chatIds) {
+    const entry = entries.get(chatId) || {};
+    const contactName = entry.contact_name || '';
+    result[chatId] = {
+      ...(entry.fields || {}),
+      ...dates,
+      group_name: groupNames.get(chatId) || contactName || chatId.split('@')[0],
+      contact_name: contactName,
+      first_name: contactName.split(/\s+/)[0] || '',
+      sender_name: senderName || ''
+    };
+  }
+  return result;
+}
+
+/**
+ * Render `body` for every recipient. Returns { [chatId]: { text, missing } },
+ * or null when the body has no placeholders (so callers can skip the work).
+ */
+async function personalize(store, chatIds, body, options = {}) {
+  if (!hasVariables(body)) return null;
+  const vars = await buildRecipientVariables(store, chatIds, options);
+  const rendered = {};
+  for (const chatId of chatIds) {
+    rendered[chatId] = renderTemplate(body, vars[chatId]);
+  }
+  return rendered;
+}
+
+/** Just the texts from personalize(), in the shape enqueueOutbound's `bodies` takes. */
+async function personalizedBodies(store, chatIds, body, options = {}) {
+  const rendered = await personalize(store, chatIds, body, options);
+  if (!rendered) return null;
+  const bodies = {};
+  for (const chatId of chatIds) bodies[chatId] = rendered[chatId].text;
+  return bodies;
+}
+
+module.exports = {
+  BUILTIN_VARIABLES,
+  extractVariables,
+  hasVariables,
+  renderTemplate,
+  buildRecipientVariables,
+  personalize,
+  personalizedBodies
+};
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Analyzer = require('../analyzer');
+const { validateConfig, validateRule, validateBuiltinOverride, builtinRules, compileRuleset } = require('../analyzer-rules');
+const { fakeWhatsApp, startApp } = require('./helpers');
+
+// The question's priority, or null when it isn't one
+function priority(analyzer, body, chatId = null) {
+  const qa = analyzer.analyzeQuestion({ body, mentionedIds: [] }, '999@c.us', null, true, { chatId });
+  return qa && qa.priority;
+}
+
+test('validateConfig() checks numbers and keeps thresholds in order, per group too', () => {
+  assert.equal(validateConfig({}), null);
+  assert.equal(validateConfig({ weights: { urgent: 4 }, thresholds: { urgent: 5 } }), null);
+  assert.match(validateConfig({ weights: { shouting: 1 } }), /Unknown weights "shouting"/);
+  assert.match(validateConfig({ thresholds: { high: '2' } }), /thresholds.high must be a number/);
+  // Defaults filled in: urgent 3, high 2, low -1
+  assert.match(validateConfig({ thresholds: { high: 4 } }), /urgent > high > low \(got 3, 4, -1\)/);
+  assert.match(validateConfig({ groups: { 'g1@g.us': { thresholds: { low: 2 } } } }), /groups\["g1@g.us"\]\.thresholds must be in order/);
+  assert.match(validateConfig([]), /must be an object/);
+});
+
+test('validateRule() and validateBuiltinOverride() reject what would not compile', () => {
+  assert.equal(validateRule({ kind: 'priority', matchType: 'keywords', pattern: 'recall, stop ship', weight: 3 }), null);
+  assert.match(validateRule({ kind: 'priority', matchType: 'keywords', pattern: 'recall' }), /non-zero weight/);
+  assert.match(validateRule({ kind: 'non_question', matchType: 'regex', pattern: '(' }), /Invalid regex/);
+  assert.match(validateRule({ kind: 'non_question', matchType: 'keywords', pattern: ' , ' }), /at least one word/);
+  assert.match(validateRule({ kind: 'non_question', matchType: 'regex', pattern: 'x', language: 'fr' }), /language must be one of/);
+
+  assert.equal(validateBuiltinOverride('builtin.es.urgent', { enabled: false }), null);
+  assert.match(validateBuiltinOverride('builtin.xx.urgent', {}), /Unknown built-in rule/);
+  assert.match(validateBuiltinOverride('builtin.en.high', { pattern: '[' }), /Invalid regex/);
+});
+
+test('built-in rules have stable ids for every pack', () => {
+  const ids = builtinRules().map(r => r.id);
+  for (const language of ['en', 'es', 'pt']) {
+    assert.ok(ids.includes(`builtin.${language}.urgent`));
+    assert.ok(ids.includes(`builtin.${language}.non_question.1`));
+  }
+});
+
+test('compileRuleset() leaves out disabled and broken rules', () => {
+  const ruleset = compileRuleset({
+    rules: [
+      { id: 'r1', kind: 'priority', match_type: 'keywords', pattern: 'recall', weight: '3' },
+      { id: 'r2', kind: 'priority', match_type: 'keywords', pattern: 'late', weight: 1, enabled: false },
+      { id: 'r3', kind: 'non_question', match_type: 'regex', pattern: '(' }
+    ],
+    builtins: { 'builtin.en.urgent': { enabled: false }, 'builtin.en.high': { pattern: '(' } },
+    config: { thresholds: { urgent: 5 } }
+  });
+  assert.deepEqual(ruleset.rules.map(r => [r.id, r.weight]), [['r1', 3]]);
+  assert.ok(!ruleset.builtins.some(r => r.id === 'builtin.en.urgent'));
+  // An override that no longer compiles keeps the built-in pattern
+  assert.ok(ruleset.builtins.find(r => r.id === 'builtin.en.high').pattern.test('deadline'));
+  assert.deepEqual(ruleset.thresholds, { urgent: 5, high: 2, low: -1 });
+});
+
+test('rules, built-in changes and group overrides change how a question is classified', () => {
+  const analyzer = new Analyzer('Me');
+  assert.equal(priority(analyzer, 'Can you check the recall on lot 7?'), 'normal');
+
+  analyzer.setRules({
+    rules: [
+      { id: 'r1', kind: 'priority', match_type: 'keywords', pattern: 'recall', weight: 3 },
+      { id: 'r2', kind: 'non_question', match_type: 'regex', pattern: '^daily report\\?$', chat_id: 'g1@g.us' }
+    ],
+    builtins: { 'builtin.en.urgent': { enabled: false } },
+    config: { groups: { 'g2@g.us': { thresholds: { urgent: 10, high: 3 } } } },
+    revision: 'r1'
+  });
+  assert.equal(priority(analyzer, 'Can you check the recall on lot 7?'), 'urgent');
+  assert.equal(priority(analyzer, 'Can you check the recall on lot 7?', 'g2@g.us'), 'high');
+  assert.equal(priority(analyzer, 'Can you send it asap?'), 'normal');
+  assert.equal(priority(analyzer, 'daily report?', 'g1@g.us'), null);
+  assert.equal(priority(analyzer, 'daily report?', 'g2@g.us'), 'normal');
+
+  // Same revision: skipped
+  analyzer.setRules({ rules: [], revision: 'r1' });
+  assert.equal(priority(analyzer, 'Can you check the recall on lot 7?'), 'urgent');
+  analyzer.setRules();
+  assert.equal(priority(analyzer, 'Can you send it asap?'), 'urgent');
+});
+
+test('a rule saved in the store applies to the next message without a restart', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  await ws._handleMessage(message('M1', 'Can you check the recall on lot 7?'));
+  await store.addAnalyzerRule({ kind: 'priority', matchType: 'keywords', pattern: 'recall', weight: 3 });
+  await ws._handleMessage(message('M2', 'Can you check the recall on lot 8?'));
+
+  const questions = (await store.db.from('questions').select('msg_id, priority')).data;
+  assert.deepEqual(questions.map(q => [q.msg_id, q.priority]).sort(), [['M1', 'normal'], ['M2', 'urgent']]);
+});
+
+test('analyzer settings routes are admin-only and validated, with a dry run', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+  const rule = { kind: 'priority', matchType: 'keywords', pattern: 'recall', weight: 3 };
+
+  assert.equal((await app.request('GET', '/api/settings/analyzer', null, app.viewer)).status, 403);
+  assert.equal((await app.request('POST', '/api/settings/analyzer/rules', { ...rule, weight: 0 }, app.admin)).status, 400);
+  const created = await app.request('POST', '/api/settings/analyzer/rules', rule, app.admin);
+  assert.equal(created.body.rule.created_by, 'Ann');
+  assert.equal((await app.request('PUT', `/api/settings/analyzer/rules/${created.body.rule.id}`, { matchType: 'regex', pattern: '(' }, app.admin)).status, 400);
+  assert.equal((await app.request('PUT', '/api/settings/analyzer/rules/ar_missing', { weight: 1 }, app.admin)).status, 404);
+
+  const inverted = await app.request('PUT', '/api/settings/analyzer/config', { config: { thresholds: { urgent: 1 } } }, app.admin);
+  assert.equal(inverted.status, 400);
+  const off = await app.request('PUT', '/api/settings/analyzer/builtins/builtin.en.urgent', { enabled: false }, app.admin);
+  assert.equal(off.body.rule.enabled, false);
+
+  const dry = await app.request('POST', '/api/settings/analyzer/dry-run', { body: 'Can you check the recall asap?' }, app.admin);
+  assert.equal(dry.body.result.questionAnalysis.priority, 'urgent');
+  assert.deepEqual(dry.body.result.trace.priority.signals.map(s => s.signal), ['rule']);
+  assert.equal((await app.request('POST', '/api/settings/analyzer/dry-run', {}, app.admin)).status, 400);
+
+  const settings = await app.request('GET', '/api/settings/analyzer', null, app.admin);
+  assert.equal(settings.body.rules.length, 1);
+  assert.equal(settings.body.builtins.find(b => b.id === 'builtin.en.urgent').enabled, false);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AIClassifier = require('../ai-classifier');
+const { createStore, startApp } = require('./helpers');
+
+// A classifier whose API call returns `reply` without touching the network
+function stubClassifier(reply) {
+  const ai = new AIClassifier({ apiKey: 'test' });
+  ai.rateLimitDelayMs = 0;
+  ai._requestWithRetry = async () => (typeof reply === 'string' ? reply : JSON.stringify(reply));
+  return ai;
+}
+
+test('extractApproval() normalizes the model output', async () => {
+  const ai = stubClassifier('```json\n' + JSON.stringify({
+    decision: 'conditional',
+    line_items: [{ sku: 'A1', description: 'Blue', quantity: 200, price: 3.5 }, null],
+    currency: 'usd',
+    conditions: ['ship by sea', 'net 30'],
+    deadline: '2026-03-15',
+    deadline_text: 'mid March',
+    confidence: 4,
+    summary: '200 blue at 3.50'
+  }) + '\n```');
+  const r = await ai.extractApproval('ok 200 of the blue ones, by sea, net 30');
+  assert.equal(r.decision, 'conditional');
+  assert.equal(r.lineItems.length, 1);
+  assert.equal(r.currency, 'USD');
+  assert.equal(r.conditions, 'ship by sea; net 30');
+  assert.equal(r.deadline, '2026-03-15');
+  assert.equal(r.deadlineText, 'mid March');
+  assert.equal(r.confidence, 1);
+  assert.equal(r.extractedBy, 'ai');
+});
+
+test('extractApproval() keeps only real calendar dates as the deadline', async () => {
+  const deadlineOf = async (deadline) =>
+    (await stubClassifier({ decision: 'approved', deadline }).extractApproval('ok')).deadline;
+
+  assert.equal(await deadlineOf('2024-02-29'), '2024-02-29');
+  assert.equal(await deadlineOf('2025-02-29'), null);
+  assert.equal(await deadlineOf('2025-02-30'), null);
+  assert.equal(await deadlineOf('2025-13-01'), null);
+  assert.equal(await deadlineOf('2025-04-31'), null);
+  assert.equal(await deadlineOf('2025-00-10'), null);
+  assert.equal(await deadlineOf('next week'), null);
+  assert.equal(await deadlineOf(20250301), null);
+});
+
+test('extractApproval() falls back to "unclear" and returns null on bad JSON', async () => {
+  assert.equal((await stubClassifier({ decision: 'maybe' }).extractApproval('hm')).decision, 'unclear');
+  assert.equal(await stubClassifier('not json').extractApproval('hm'), null);
+  const disabled = stubClassifier({ decision: 'approved' });
+  disabled.enabled = false;
+  assert.equal(await disabled.extractApproval('ok'), null);
+});
+
+test('approval terms are stored, and hand edits are marked manual', async () => {
+  const store = createStore();
+  const id = await store.addApproval({
+    chatId: 'g1@g.us', sender: 'Pat', body: 'ok', msgId: 'm1', status: 'approved',
+    lineItems: [{ sku: 'A1', quantity: '12', price: 'n/a' }, 'junk'],
+    deadline: '2026-03-15', extractedBy: 'ai', confidence: 0.9
+  });
+  assert.ok(id);
+  assert.equal(await store.addApproval({ chatId: 'g1@g.us', msgId: 'm1' }), id);
+
+  let a = await store.getApproval(id);
+  assert.deepEqual(a.line_items, [{ sku: 'A1', description: '', quantity: 12, unit: null, price: null }]);
+  assert.equal(a.deadline, '2026-03-15');
+
+  assert.equal(await store.updateApproval(id, { deadline: '2026-04-01' }), true);
+  a = await store.getApproval(id);
+  assert.equal(a.deadline, '2026-04-01');
+  assert.equal(a.extracted_by, 'manual');
+
+  assert.equal(await store.updateApproval(id, { status: 'bogus' }), false);
+
+  await store.setApprovalTerms(id, { decision: 'rejected', conditions: 'too pricey', confidence: 0.8 });
+  a = await store.getApproval(id);
+  assert.equal(a.status, 'rejected');
+  assert.equal(a.extracted_by, 'ai');
+  assert.equal(a.deadline, null);
+});
+
+test('approval routes list, filter, count, review and export', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+  const { store } = app;
+
+  const a1 = await store.addApproval({ chatId: 'g1@g.us', chatName: 'Acme', sender: 'Pat', senderId: '111@c.us', body: 'ok "all" of it', msgId: 'm1', status: 'approved', timestamp: 1000 });
+  await store.addApproval({ chatId: 'g2@g.us', chatName: 'Beta', sender: 'Lee', body: 'no thanks', msgId: 'm2', status: 'rejected', timestamp: 2000 });
+  await store.addApproval({ chatId: 'g2@g.us', chatName: 'Beta', sender: 'Lee', body: 'only if net 30', msgId: 'm3', status: 'bogus', timestamp: 3000 });
+
+  const list = async (query = '') => (await app.request('GET', `/api/approvals${query}`, null, app.viewer)).body.approvals;
+  assert.deepEqual((await list()).map(a => a.msg_id), ['m3', 'm2', 'm1']);
+  assert.deepEqual((await list('?status=approved')).map(a => a.msg_id), ['m1']);
+  assert.deepEqual((await list('?chat_id=g2@g.us')).map(a => a.status), ['pending_review', 'rejected']);
+  assert.deepEqual((await list('?sender=111@c.us')).map(a => a.msg_id), ['m1']);
+
+  let stats = (await app.request('GET', '/api/approvals/stats', null, app.viewer)).body.stats;
+  assert.deepEqual(stats, { total: 3, approved: 1, rejected: 1, conditional: 0, pendingReview: 1, unreviewed: 3 });
+
+  assert.equal((await app.request('POST', `/api/approvals/${a1}/review`, {}, app.viewer)).status, 403);
+  assert.equal((await app.request('POST', `/api/approvals/${a1}/review`, {}, app.admin)).body.ok, true);
+  const reviewed = (await app.request('GET', `/api/approvals/${a1}`, null, app.viewer)).body.approval;
+  assert.equal(reviewed.reviewed, true);
+  assert.equal(reviewed.reviewed_by, 'Ann');
+  assert.equal((await list('?reviewed=false')).length, 2);
+  stats = (await app.request('GET', '/api/approvals/stats', null, app.viewer)).body.stats;
+  assert.equal(stats.unreviewed, 2);
+
+  assert.equal((await app.request('GET', '/api/approvals/nope', null, app.viewer)).status, 404);
+
+  const csv = await app.request('GET', '/api/approvals/export/csv?status=approved', null, app.viewer);
+  assert.match(csv.headers.get('content-type'), /^text\/csv/);
+  const lines = csv.text.split('\n');
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^ID,Date,Time,Group,Sender/);
+  assert.match(lines[1], /"ok ""all"" of it"/);
+});
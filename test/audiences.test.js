@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRules, findAudience, resolveAudience, resolveRecipients } = require('../audiences');
+const { createStore, startApp } = require('./helpers');
+
+const DAY = 86400000;
+
+test('normalizeRules() tidies known rules and rejects the rest', () => {
+  assert.deepEqual(normalizeRules({ partnersOnly: 'true', activeWithinDays: '7', nameContains: '  acme ', includeIgnored: false }), {
+    partnersOnly: true, activeWithinDays: 7, nameContains: 'acme', includeIgnored: false
+  });
+  assert.deepEqual(normalizeRules({ activeWithinDays: '' }), {});
+  assert.throws(() => normalizeRules({ region: 'west' }), /Unknown rule\(s\): region/);
+  assert.throws(() => normalizeRules({ activeWithinDays: -1 }), /positive number/);
+  assert.throws(() => normalizeRules([]), /must be an object/);
+});
+
+async function groupStore() {
+  const store = createStore();
+  await store.db.from('groups').insert([
+    { chat_id: 'g1@g.us', name: 'Acme Buyers', last_message_time: Date.now() - DAY, is_ignored: false },
+    { chat_id: 'g2@g.us', name: 'Beta Traders', last_message_time: Date.now() - 30 * DAY, is_ignored: false },
+    { chat_id: 'g3@g.us', name: 'Acme Old', last_message_time: Date.now() - DAY, is_ignored: true }
+  ]);
+  await store.db.from('questions').insert([{ chat_id: 'g2@g.us', status: 'open' }]);
+  return store;
+}
+
+test('segments are matched against groups when resolved', async () => {
+  const store = await groupStore();
+  const ids = rules => resolveAudience(store, { kind: 'segment', rules });
+
+  assert.deepEqual(await ids({ nameContains: 'acme' }), ['g1@g.us']);
+  assert.deepEqual(await ids({ nameContains: 'acme', includeIgnored: true }), ['g1@g.us', 'g3@g.us']);
+  assert.deepEqual(await ids({ activeWithinDays: 7 }), ['g1@g.us']);
+  assert.deepEqual(await ids({ hasOpenQuestions: true }), ['g2@g.us']);
+  // No partner groups configured: matches nothing
+  assert.deepEqual(await ids({ partnersOnly: true }), []);
+  await store.addPartnerGroup('Beta Traders');
+  assert.deepEqual(await ids({ partnersOnly: true }), ['g2@g.us']);
+});
+
+test('resolveRecipients() takes explicit ids, a built-in segment or a stored audience', async () => {
+  const store = await groupStore();
+  assert.deepEqual(await resolveRecipients(store, { chatIds: ['x@c.us'] }), { chatIds: ['x@c.us'], audience: null });
+
+  const active = await resolveRecipients(store, { audience: 'Active in last 7 days' });
+  assert.equal(active.audience.id, 'builtin:active-7d');
+  assert.deepEqual(active.chatIds, ['g1@g.us']);
+
+  const list = await store.addAudience({ name: 'VIPs', kind: 'list', chatIds: ['g2@g.us', 'g2@g.us', '5511@c.us'] });
+  assert.deepEqual((await resolveRecipients(store, { audience: list.id })).chatIds, ['g2@g.us', '5511@c.us']);
+  assert.equal((await findAudience(store, 'VIPs')).id, list.id);
+
+  await assert.rejects(resolveRecipients(store, { audience: 'Nobody' }), /Unknown audience: Nobody/);
+});
+
+test('audience routes check roles and names, and keep built-ins read-only', async (t) => {
+  const app = await startApp({ store: await groupStore() });
+  t.after(() => app.close());
+
+  const segment = { name: 'Acme', kind: 'segment', rules: { nameContains: 'acme' } };
+  assert.equal((await app.request('POST', '/api/audiences', segment, app.viewer)).status, 403);
+  assert.equal((await app.request('POST', '/api/audiences', { ...segment, rules: { region: 'x' } }, app.admin)).status, 400);
+  assert.equal((await app.request('POST', '/api/audiences', { name: 'Empty', kind: 'list', chatIds: [] }, app.admin)).status, 400);
+  assert.equal((await app.request('POST', '/api/audiences', { ...segment, name: 'all partner groups' }, app.admin)).status, 409);
+
+  const created = await app.request('POST', '/api/audiences', segment, app.admin);
+  assert.deepEqual(created.body.audience.members, [{ chatId: 'g1@g.us', name: 'Acme Buyers' }]);
+
+  const preview = await app.request('POST', '/api/audiences/preview', { rules: { hasOpenQuestions: true } }, app.viewer);
+  assert.deepEqual(preview.body.members, [{ chatId: 'g2@g.us', name: 'Beta Traders' }]);
+
+  const listed = await app.request('GET', '/api/audiences', null, app.viewer);
+  const counts = Object.fromEntries(listed.body.audiences.map(a => [a.name, a.memberCount]));
+  assert.equal(counts.Acme, 1);
+  assert.equal(counts['Groups with open questions'], 1);
+
+  assert.equal((await app.request('PUT', '/api/audiences/builtin:partners', { name: 'Mine' }, app.admin)).status, 400);
+  const id = created.body.audience.id;
+  const changed = await app.request('PUT', `/api/audiences/${id}`, { rules: { nameContains: 'beta' } }, app.admin);
+  assert.deepEqual(changed.body.audience.members.map(m => m.chatId), ['g2@g.us']);
+  assert.equal((await app.request('DELETE', `/api/audiences/${id}`, null, app.admin)).status, 200);
+  assert.equal((await app.request('GET', `/api/audiences/${id}`, null, app.viewer)).status, 404);
+});
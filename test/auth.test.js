@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roleOf, hasRole, isPublicPath, acceptsQueryToken } = require('../auth');
+const { startApp } = require('./helpers');
+
+test('roleOf falls back to is_admin for rows without a role', () => {
+  assert.equal(roleOf({ role: 'viewer' }), 'viewer');
+  assert.equal(roleOf({ is_admin: true }), 'admin');
+  assert.equal(roleOf({}), 'agent');
+  assert.equal(roleOf(null), null);
+});
+
+test('hasRole: each role includes the ones below it', () => {
+  assert.ok(hasRole({ role: 'admin' }, 'agent'));
+  assert.ok(hasRole({ role: 'agent' }, 'viewer'));
+  assert.ok(!hasRole({ role: 'viewer' }, 'agent'));
+  assert.ok(!hasRole({ role: 'agent' }, 'admin'));
+});
+
+test('only login, register and status are public', () => {
+  assert.ok(isPublicPath('/api/auth/login'));
+  assert.ok(isPublicPath('/api/status'));
+  assert.ok(!isPublicPath('/api/questions'));
+});
+
+test('?token= is only accepted for the SSE stream and media files', () => {
+  assert.ok(acceptsQueryToken('GET', '/api/events'));
+  assert.ok(acceptsQueryToken('GET', '/api/media/abc'));
+  assert.ok(acceptsQueryToken('GET', '/api/media/abc/thumbnail'));
+  assert.ok(!acceptsQueryToken('GET', '/api/media'));
+  assert.ok(!acceptsQueryToken('POST', '/api/media/abc'));
+  assert.ok(!acceptsQueryToken('GET', '/api/users'));
+  assert.ok(!acceptsQueryToken('GET', '/api/templates/t1/media'));
+});
+
+test('routes require a bearer token and the right role', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  assert.equal((await app.request('GET', '/api/questions')).status, 401);
+  assert.equal((await app.request('GET', '/api/questions', null, 'not-a-jwt')).status, 401);
+  assert.equal((await app.request('GET', '/api/questions', null, app.viewer)).status, 200);
+
+  // The query-string token doesn't work on ordinary routes…
+  assert.equal((await app.request('GET', `/api/questions?token=${app.admin}`)).status, 401);
+  // …but does for a media file (404: authenticated, nothing archived)
+  assert.equal((await app.request('GET', `/api/media/nope?token=${app.admin}`)).status, 404);
+
+  // Viewers can't change settings; a role change applies at once
+  assert.equal((await app.request('POST', '/api/settings/staff', { name: 'Sam' }, app.viewer)).status, 403);
+  const users = (await app.request('GET', '/api/users', null, app.admin)).body.users;
+  const vic = users.find(u => u.name === 'Vic');
+  assert.equal((await app.request('PUT', `/api/users/${vic.id}/role`, { role: 'admin' }, app.admin)).status, 200);
+  assert.equal((await app.request('POST', '/api/settings/staff', { name: 'Sam' }, app.viewer)).status, 200);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeWhatsApp, startApp } = require('./helpers');
+
+// fakeWhatsApp with two members listed in the group: Bob, and Dana by LID only
+async function groupWithMembers() {
+  const wa = await fakeWhatsApp();
+  const dana = { id: { _serialized: '222@lid' }, pushname: 'Dana', number: '' };
+  wa.chat.participants = [{ id: { _serialized: '111@c.us' } }, { id: { _serialized: '222@lid' }, isAdmin: true }];
+  wa.ws.client.getContactById = async (id) => (id === '222@lid' ? dana : { id: { _serialized: '111@c.us' }, pushname: 'Bob', number: '111' });
+  wa.ws.ready = true;
+  return wa;
+}
+
+test('group members are added to the directory without being marked as seen', async () => {
+  const { store, ws } = await groupWithMembers();
+  assert.deepEqual(await ws.syncGroupContacts(['g1@g.us']), { groups: 1, contacts: 2 });
+
+  const contacts = await store.getContacts();
+  assert.deepEqual(contacts.map(c => [c.id, c.name, c.last_seen]).sort(), [['111@c.us', 'Bob', null], ['222@lid', 'Dana', null]]);
+  assert.deepEqual(contacts[0].groups, ['g1@g.us']);
+
+  ws.ready = false;
+  await assert.rejects(ws.syncGroupContacts(['g1@g.us']), /not connected/);
+});
+
+test('tags are searchable and shown on what the contact sent', async () => {
+  const { store, ws, message } = await groupWithMembers();
+  await ws._handleMessage(message('M1', 'Can you confirm the price for 200 units by Friday?'));
+  await store.upsertContact({ phone: '333', pushName: 'Eve' });
+
+  await store.updateContact('111@c.us', { company: ' Acme ', role: 'Buyer', accountManager: 'Ann' }, 'Ann');
+  await store.updateContact('333@c.us', { company: 'Beta' }, 'Ann');
+
+  assert.deepEqual((await store.getContacts({ search: 'acme' })).map(c => c.id), ['111@c.us']);
+  assert.deepEqual((await store.getContacts({ accountManager: 'Ann' })).map(c => c.id), ['111@c.us']);
+  assert.deepEqual(await store.getContactCompanies(), ['Acme', 'Beta']);
+
+  const [question] = await store.getQuestions();
+  assert.equal(question.sender, 'Bob');
+  assert.equal(question.sender_company, 'Acme');
+  assert.equal(question.sender_role, 'Buyer');
+  assert.equal(question.sender_account_manager, 'Ann');
+  const [top] = await store.getTopSenders();
+  assert.equal(top.sender_company, 'Acme');
+});
+
+test('contact routes: viewers read, agents tag', async (t) => {
+  const { store, ws } = await groupWithMembers();
+  const app = await startApp({ store, whatsapp: ws });
+  t.after(() => app.close());
+
+  assert.equal((await app.request('POST', '/api/whatsapp/contacts/sync', {}, app.viewer)).status, 403);
+  const sync = await app.request('POST', '/api/whatsapp/contacts/sync', { chatIds: ['g1@g.us'] }, app.admin);
+  assert.deepEqual(sync.body, { ok: true, groups: 1, contacts: 2 });
+
+  const tag = { company: 'Acme', notes: 'Prefers mornings' };
+  assert.equal((await app.request('PUT', '/api/contacts/111@c.us', tag, app.viewer)).status, 403);
+  assert.equal((await app.request('PUT', '/api/contacts/404@c.us', tag, app.admin)).status, 404);
+  const tagged = await app.request('PUT', '/api/contacts/111@c.us', tag, app.admin);
+  assert.equal(tagged.body.contact.name, 'Bob');
+  assert.equal(tagged.body.contact.updated_by, 'Ann');
+
+  const listed = await app.request('GET', '/api/contacts?company=Acme', null, app.viewer);
+  assert.deepEqual(listed.body.contacts.map(c => c.id), ['111@c.us']);
+  assert.deepEqual(listed.body.companies, ['Acme']);
+  assert.equal((await app.request('GET', '/api/contacts/111@c.us', null, app.viewer)).body.contact.notes, 'Prefers mornings');
+});
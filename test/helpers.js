@@ -0,0 +1,108 @@
+/**
+ * Test helpers — a Store on the memory adapter, the data routes served on a
+ * random port with an admin and a viewer signed in, and a WhatsAppService
+ * wired to a fake client.
+ */
+
+const express = require('express');
+const Store = require('../store');
+const { createAuth } = require('../auth');
+const { createDataRouter } = require('../routes/data');
+const { createWhatsAppRouter } = require('../routes/whatsapp');
+const MemoryAdapter = require('../storage/memory');
+
+function createStore() {
+  return new Store({ adapter: new MemoryAdapter(), mediaBackend: memoryMediaBackend() });
+}
+
+// media-archive.js backend interface, kept in a Map
+function memoryMediaBackend() {
+  const files = new Map();
+  return {
+    name: 'memory',
+    files,
+    async put(key, buffer) { files.set(key, Buffer.from(buffer)); },
+    async get(key) { return files.get(key) || null; }
+  };
+}
+
+/**
+ * Start the data router — and the WhatsApp routes, when given a (fake)
+ * `whatsapp` client, as if it were connected. The first user registered
+ * becomes admin, later ones viewers (see the register route). Call close()
+ * when done.
+ */
+async function startApp({ store = createStore(), webhooks = {}, getAI = () => ({}), whatsapp = null } = {}) {
+  const auth = createAuth({ getStore: async () => store, secret: 'test-secret' });
+  const app = express();
+  app.use(express.json());
+  app.use('/api', auth.guard);
+  app.use(createDataRouter({ getStore: async () => store, getAI, auth, webhooks }));
+  if (whatsapp) {
+    app.use(createWhatsAppRouter({ store, getClient: () => whatsapp, getStatus: () => 'ready', getQR: () => null }, auth));
+  }
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(base + path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, body: json, headers: res.headers, text };
+  }
+
+  const register = async (email, name) =>
+    (await request('POST', '/api/auth/register', { email, password: 'secret1', name })).body;
+
+  const admin = await register('admin@example.com', 'Ann');
+  const viewer = await register('viewer@example.com', 'Vic');
+
+  return {
+    store,
+    base,
+    request,
+    admin: admin.token,
+    viewer: viewer.token,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * A WhatsAppService with a fake whatsapp-web.js client and one group chat.
+ * message(id, body, extra) builds an incoming group message from "Bob".
+ */
+async function fakeWhatsApp({ store = createStore(), chatId = 'g1@g.us', chatName = 'Acme' } = {}) {
+  const WhatsAppService = require('../whatsapp');
+  const Analyzer = require('../analyzer');
+  await store.setMyId('999@c.us');
+  const ws = new WhatsAppService(store, new Analyzer('Me'), null);
+  const bob = { id: { _serialized: '111@c.us' }, pushname: 'Bob', number: '111' };
+  const chat = { id: { _serialized: chatId }, name: chatName, isGroup: true, fetchMessages: async () => [] };
+  ws.client = { getChatById: async () => chat, getContactById: async () => bob };
+
+  const message = (id, body, extra = {}) => ({
+    id: { _serialized: id },
+    from: chatId,
+    author: '111@c.us',
+    fromMe: false,
+    hasMedia: false,
+    type: 'chat',
+    body,
+    timestamp: Math.floor(Date.now() / 1000),
+    mentionedIds: [],
+    hasQuotedMsg: false,
+    _data: {},
+    getChat: async () => chat,
+    getContact: async () => bob,
+    ...extra
+  });
+
+  return { store, ws, chat, chatId, message };
+}
+
+module.exports = { createStore, memoryMediaBackend, startApp, fakeWhatsApp };
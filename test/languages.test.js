@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Analyzer = require('../analyzer');
+const { detectLanguage, foldText } = require('../language-packs');
+const { fakeWhatsApp } = require('./helpers');
+
+const analyze = (body) => new Analyzer('Me').analyzeQuestion({ body, mentionedIds: [] }, '999@c.us', null, true);
+
+test('detectLanguage() picks the pack whose words a message uses, else English', () => {
+  assert.equal(detectLanguage('¿Cuándo llega el pedido?'), 'es');
+  assert.equal(detectLanguage('Vocês podem confirmar o preço até sexta?'), 'pt');
+  assert.equal(detectLanguage('Can you confirm the price?'), 'en');
+  // Nothing to go on
+  assert.equal(detectLanguage('200 units?'), 'en');
+  assert.equal(detectLanguage(''), 'en');
+  assert.equal(foldText('cuándo não'), 'cuando nao');
+});
+
+test('Spanish and Portuguese questions are typed, prioritized and tagged with their language', () => {
+  const when = analyze('¿Cuándo llega el pedido?');
+  assert.equal(when.language, 'es');
+  assert.equal(when.questionType, 'info_seeking');
+  assert.equal(when.priority, 'normal');
+
+  const urgent = analyze('é urgente, podem confirmar hoje?');
+  assert.equal(urgent.language, 'pt');
+  assert.equal(urgent.questionType, 'action_request');
+  assert.equal(urgent.priority, 'urgent');
+  assert.deepEqual(urgent.keywords, ['urgente', 'confirmar', 'hoje']);
+});
+
+test('reactions and greetings are no questions in any language', () => {
+  for (const body of ['jajaja?', 'jejeje?', 'kkkkk?', 'rsrs?', 'hahaha?', 'buenos días?', 'beleza?', 'ok?']) {
+    assert.equal(analyze(body), null, body);
+  }
+});
+
+test('a Spanish question is answered in Spanish', () => {
+  const analyzer = new Analyzer('Me');
+  const question = { body: '¿Pueden confirmar el envío?', language: 'es', questionType: 'yes_no', sender: 'Bob', timestamp: 0 };
+  const { signals } = analyzer.scoreAnswer(question, { body: 'Sí, confirmado' }, { timeDeltaMs: 60000 });
+  assert.ok(signals.answer_pattern.score >= 0.5);
+});
+
+test('the detected language is stored on the question', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  await ws._handleMessage(message('M1', 'Vocês podem confirmar o preço até sexta?'));
+  const [question] = (await store.db.from('questions').select('*')).data;
+  assert.equal(question.language, 'pt');
+});
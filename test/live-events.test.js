@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { LiveEvents } = require('../live-events');
+
+// A request / response pair as subscribe() uses them; res.events lists what was sent
+function fakeStream(query = {}) {
+  const req = new EventEmitter();
+  req.query = query;
+  req.user = { name: 'Ann' };
+  const res = {
+    chunks: [],
+    ended: false,
+    writeHead(status, headers) { this.status = status; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+    get events() {
+      return this.chunks
+        .map(c => /^event: (\w+)\ndata: (.*)\n\n$/.exec(c))
+        .filter(Boolean)
+        .map(m => [m[1], JSON.parse(m[2])]);
+    }
+  };
+  return { req, res };
+}
+
+test('subscribers get events as SSE, filtered by ?topics=', async (t) => {
+  const live = new LiveEvents();
+  t.after(() => live.close());
+  const all = fakeStream();
+  const tasks = fakeStream({ topics: 'task_changed, approval_changed' });
+  live.subscribe(all.req, all.res);
+  live.subscribe(tasks.req, tasks.res);
+
+  assert.equal(all.res.headers['Content-Type'], 'text/event-stream');
+  assert.equal(all.res.chunks[0], 'retry: 5000\n\n');
+
+  live.publish('notification', { type: 'question', sender: 'Bob' });
+  live.publish('task_changed', { id: 't1', action: 'created' });
+
+  assert.deepEqual(all.res.events.map(e => e[0]), ['hello', 'notification', 'task_changed']);
+  assert.deepEqual(tasks.res.events.map(e => e[0]), ['hello', 'task_changed']);
+  assert.deepEqual(tasks.res.events[1][1], { id: 't1', action: 'created' });
+
+  // A closed connection stops receiving
+  tasks.req.emit('close');
+  live.publish('task_changed', { id: 't2', action: 'updated' });
+  assert.equal(tasks.res.events.length, 2);
+  assert.equal(live.clients.size, 1);
+});
+
+test('data_updated is coalesced to one event per second', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const live = new LiveEvents();
+  t.after(() => live.close());
+  const { req, res } = fakeStream();
+  live.subscribe(req, res);
+
+  for (let i = 0; i < 50; i++) live.publish('data_updated');
+  assert.equal(res.events.length, 1);
+  t.mock.timers.tick(1000);
+  assert.deepEqual(res.events.map(e => e[0]), ['hello', 'data_updated']);
+
+  live.publish('data_updated');
+  t.mock.timers.tick(1000);
+  assert.equal(res.events.filter(e => e[0] === 'data_updated').length, 2);
+});
+
+test('forward() relays an emitter\'s events until removed', (t) => {
+  const live = new LiveEvents();
+  t.after(() => live.close());
+  const { req, res } = fakeStream();
+  live.subscribe(req, res);
+
+  const store = new EventEmitter();
+  const stop = live.forward(store, ['approval_changed']);
+  store.emit('approval_changed', { id: 'a1', action: 'reviewed' });
+  store.emit('task_changed', { id: 't1' });
+  stop();
+  store.emit('approval_changed', { id: 'a2', action: 'created' });
+
+  assert.deepEqual(res.events.slice(1), [['approval_changed', { id: 'a1', action: 'reviewed' }]]);
+  assert.equal(store.listenerCount('approval_changed'), 0);
+
+  live.close();
+  assert.equal(res.ended, true);
+});
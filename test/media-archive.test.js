@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mediaKind, mediaKey, contentHash, publicMedia } = require('../media-archive');
+const { createStore, startApp } = require('./helpers');
+
+const PNG = Buffer.from('fake png bytes').toString('base64');
+
+test('files are keyed by content, with kinds and extensions from WhatsApp\'s types', () => {
+  assert.equal(mediaKind('ptt'), 'audio');
+  assert.equal(mediaKind('sticker'), 'image');
+  assert.equal(mediaKind('chat'), null);
+
+  const hash = contentHash(Buffer.from('abc'));
+  assert.equal(hash, 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(mediaKey(hash, 'audio/ogg; codecs=opus'), `ba/${hash}.ogg`);
+  assert.equal(mediaKey(hash, 'image/jpeg', '_thumb'), `ba/${hash}_thumb.jpg`);
+  assert.equal(mediaKey(hash, 'application/x-unknown'), `ba/${hash}.bin`);
+
+  assert.equal(publicMedia({ id: 'f1', kind: 'document' }).thumbnailUrl, null);
+  assert.equal(publicMedia({ id: 'f1', kind: 'image' }).thumbnailUrl, '/api/media/f1/thumbnail');
+  assert.equal(publicMedia(null), null);
+});
+
+test('the same file sent twice is stored once and linked to both messages', async () => {
+  const store = createStore();
+  await store.db.from('messages').insert([
+    { chat_id: 'g1@g.us', msg_id: 'M1', body: '' },
+    { chat_id: 'g2@g.us', msg_id: 'M2', body: '' }
+  ]);
+  const first = await store.archiveMedia({ chatId: 'g1@g.us', msgId: 'M1', kind: 'image', data: PNG, mimetype: 'image/png', filename: 'a.png' });
+  const second = await store.archiveMedia({ chatId: 'g2@g.us', msgId: 'M2', kind: 'image', data: PNG, mimetype: 'image/png', filename: 'b.png' });
+
+  assert.equal(first.id, second.id);
+  assert.equal(second.filename, 'a.png');
+  assert.equal(store.media.files.size, 1);
+  const { data: messages } = await store.db.from('messages').select('media_id');
+  assert.deepEqual(messages.map(m => m.media_id), [first.id, first.id]);
+  assert.equal((await store.getMessageMedia('g2@g.us', ['M2'])).M2.id, first.id);
+});
+
+test('media routes serve archived files and thumbnails to signed-in users', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+  const { store } = app;
+  const image = await store.archiveMedia({ kind: 'image', data: PNG, mimetype: 'image/png', filename: 'a.png' });
+  const doc = await store.archiveMedia({ kind: 'document', data: Buffer.from('%PDF').toString('base64'), mimetype: 'application/pdf' });
+
+  assert.equal((await app.request('GET', `/api/media/${image.id}`)).status, 401);
+  const file = await app.request('GET', `/api/media/${image.id}`, null, app.viewer);
+  assert.equal(file.status, 200);
+  assert.equal(file.text, 'fake png bytes');
+  assert.match(file.headers.get('cache-control'), /immutable/);
+  assert.match(file.headers.get('content-disposition'), /^inline; filename="a.png"/);
+
+  // Images without a WhatsApp preview fall back to the file itself; documents have none
+  assert.equal((await app.request('GET', `/api/media/${image.id}/thumbnail`, null, app.viewer)).status, 200);
+  assert.equal((await app.request('GET', `/api/media/${doc.id}/thumbnail`, null, app.viewer)).status, 404);
+  assert.equal((await app.request('GET', '/api/media/nope', null, app.viewer)).status, 404);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('./helpers');
+
+const chat = { chatId: 'g1@g.us', chatName: 'Acme' };
+
+async function recorded(store, msgId, body) {
+  await store.recordGroupMessage({ ...chat, sender: 'Bob', senderId: '111@c.us', body, timestamp: 1000, msgId });
+}
+
+test('an edit updates the message and its question, keeping the first version', async () => {
+  const store = createStore();
+  await recorded(store, 'M1', 'Can you send the catalog?');
+  await store.addQuestion({ ...chat, sender: 'Bob', body: 'Can you send the catalog?', timestamp: 1000, msgId: 'M1' });
+
+  const first = await store.recordMessageEdit({ ...chat, msgId: 'M1', body: 'Can you send the new catalog?', sender: 'Bob' });
+  assert.equal(first.questionIds.length, 1);
+  assert.equal(first.hasQuestion, true);
+  assert.equal(first.message.body, 'Can you send the new catalog?');
+
+  await store.recordMessageEdit({ ...chat, msgId: 'M1', body: 'Can you send both catalogs?', sender: 'Bob' });
+  const { data: [q] } = await store.db.from('questions').select('*').eq('msg_id', 'M1');
+  assert.equal(q.body, 'Can you send both catalogs?');
+  assert.equal(q.original_body, 'Can you send the catalog?');
+  assert.ok(q.edited_at);
+
+  // Nothing changed: no question ids, but the question is still reported
+  const same = await store.recordMessageEdit({ ...chat, msgId: 'M1', body: 'Can you send both catalogs?', sender: 'Bob' });
+  assert.deepEqual(same.questionIds, []);
+  assert.equal(same.hasQuestion, true);
+
+  const unknown = await store.recordMessageEdit({ ...chat, msgId: 'nope', body: 'x', sender: 'Bob' });
+  assert.equal(unknown.message, null);
+  assert.equal(unknown.hasQuestion, false);
+});
+
+test('updateQuestionAnalysis() re-classifies a question', async () => {
+  const store = createStore();
+  const id = await store.addQuestion({ ...chat, sender: 'Bob', body: 'Any news?', timestamp: 1000, msgId: 'M1' });
+  await store.updateQuestionAnalysis(id, { questionType: 'approval', priority: 'urgent', keywords: ['shipment'], language: 'en', directedAtMe: true });
+  const { data: [q] } = await store.db.from('questions').select('*').eq('id', id);
+  assert.equal(q.question_type, 'approval');
+  assert.equal(q.priority, 'urgent');
+  assert.deepEqual(q.keywords, ['shipment']);
+  assert.equal(q.directed_at_me, true);
+});
+
+test('deleting a message dismisses its open question', async () => {
+  const store = createStore();
+  await recorded(store, 'M1', 'Can you send the catalog?');
+  const id = await store.addQuestion({ ...chat, sender: 'Bob', body: 'Can you send the catalog?', timestamp: 1000, msgId: 'M1' });
+
+  const { questionIds } = await store.recordMessageRevoke({ ...chat, msgId: 'M1', sender: 'Bob' });
+  assert.deepEqual(questionIds, [id]);
+  const { data: [q] } = await store.db.from('questions').select('*').eq('id', id);
+  assert.equal(q.status, 'dismissed');
+  assert.equal(q.dismissed_by, 'Deleted by sender');
+  assert.ok(q.deleted_at);
+});
+
+test('a thumbs up on an offer sheet is that sender\'s approval, and taking it back deletes it', async () => {
+  const store = createStore();
+  const offerId = await store.addOfferSheet({ title: 'Spring prices', targetChatIds: [chat.chatId] });
+  await store.linkOfferSheetMessage(offerId, chat.chatId, 'OFFER1', 1000);
+  const react = emoji => store.recordReaction({ ...chat, msgId: 'OFFER1', emoji, sender: 'Bob', senderId: '111@c.us', timestamp: 2000 });
+
+  const approvalId = await react('👍🏽');
+  assert.ok(approvalId);
+  let approval = await store.getApproval(approvalId);
+  assert.equal(approval.status, 'approved');
+  assert.equal(approval.offer_sheet_id, offerId);
+
+  await react('👎');
+  approval = await store.getApproval(approvalId);
+  assert.equal(approval.status, 'rejected');
+
+  await react('');
+  approval = await store.getApproval(approvalId);
+  assert.ok(approval.deleted_at);
+
+  assert.equal(await store.recordReaction({ ...chat, msgId: 'OTHER', emoji: '👍', sender: 'Bob', senderId: '111@c.us' }), null);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Analyzer = require('../analyzer');
+const { createStore, fakeWhatsApp } = require('./helpers');
+
+const messages = async (store) => (await store.db.from('messages').select('*')).data;
+
+test('a message is recorded once per WhatsApp id, with its quote and author', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  const first = message('M1', 'Trucks leave at noon');
+  const reply = message('M2', 'Noted', { hasQuotedMsg: true, getQuotedMessage: async () => first });
+
+  await ws._handleMessage(first);
+  await ws._handleMessage(reply);
+  // Redelivered after a reconnect
+  await ws._handleMessage(reply);
+
+  const rows = await messages(store);
+  assert.deepEqual(rows.map(m => [m.msg_id, m.quoted_msg_id, m.author_id, m.media_type]), [
+    ['M1', null, '111@c.us', 'chat'],
+    ['M2', 'M1', '111@c.us', 'chat']
+  ]);
+  const [stats] = (await store.db.from('sender_stats').select('*')).data;
+  assert.equal(stats.message_count, 2);
+});
+
+test('recordGroupMessage() dedups on chat and msg id only', async () => {
+  const store = createStore();
+  const record = (chatId, msgId) =>
+    store.recordGroupMessage({ chatId, chatName: 'Acme', sender: 'Bob', body: 'hi', timestamp: Date.now(), msgId });
+
+  assert.equal(await record('g1@g.us', 'M1'), true);
+  assert.equal(await record('g1@g.us', 'M1'), false);
+  assert.equal(await record('g2@g.us', 'M1'), true);
+  // Without an id (older clients) nothing is treated as a duplicate
+  assert.equal(await record('g1@g.us', null), true);
+  assert.equal(await record('g1@g.us', null), true);
+
+  // Analytics off still stores the message, so redeliveries are caught there too
+  await store.setGroupCategorySetting('g3@g.us', 'analytics', false);
+  assert.equal(await record('g3@g.us', 'M9'), true);
+  assert.equal(await record('g3@g.us', 'M9'), false);
+  assert.equal((await messages(store)).length, 5);
+});
+
+test('a quoted reply matches its question by id when both ids are known', () => {
+  const analyzer = new Analyzer('Me');
+  const question = { msg_id: 'Q1', body: 'Can you confirm the price for 200 units?', sender: 'Bob' };
+  const reply = { body: 'Yes, 4.20 each' };
+  const quoting = opts => analyzer.scoreAnswer(question, reply, { isQuotedReply: true, ...opts }).signals.quoted_reply;
+
+  assert.equal(quoting({ quotedMsgId: 'Q1' }).detail, 'quoted reply');
+  // Same text, different message: not the question
+  assert.equal(quoting({ quotedMsgId: 'Q0', quotedMsgBody: question.body }), undefined);
+  // No id on the quote: fall back to comparing the text
+  assert.match(quoting({ quotedMsgBody: question.body }).detail, /similarity/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOfferPayload } = require('../routes/whatsapp');
+const { createStore, startApp } = require('./helpers');
+
+const DAY = 86400000;
+
+test('parseOfferPayload() takes an object or a JSON string from a form', () => {
+  assert.deepEqual(parseOfferPayload({ title: 'Spring' }), { title: 'Spring' });
+  assert.deepEqual(parseOfferPayload('{"title":"Spring"}'), { title: 'Spring' });
+  assert.equal(parseOfferPayload('not json'), null);
+  assert.equal(parseOfferPayload('"just a string"'), null);
+  assert.equal(parseOfferPayload(null), null);
+});
+
+test('a reply is matched to the offer it quotes, else the latest open one in its chat', async () => {
+  const store = createStore();
+  const older = await store.addOfferSheet({ title: 'Winter prices', targetChatIds: ['g1@g.us', 'g2@g.us'] });
+  const newer = await store.addOfferSheet({ title: 'Spring prices', targetChatIds: ['g1@g.us'] });
+  await store.db.from('offer_sheets').update({ timestamp: Date.now() - 2 * DAY }).eq('id', older);
+  await store.db.from('offer_sheets').update({ timestamp: Date.now() - DAY }).eq('id', newer);
+  await store.linkOfferSheetMessage(older, 'g1@g.us', 'POST1');
+
+  const find = args => store.findOfferSheetForReply({ chatId: 'g1@g.us', timestamp: Date.now(), ...args });
+  assert.equal((await find({ quotedMsgId: 'POST1' })).id, older);
+  assert.equal((await find({})).id, newer);
+  assert.equal((await find({ chatId: 'g2@g.us' })).id, older);
+  assert.equal(await find({ chatId: 'g3@g.us' }), null);
+
+  // Closed or more than two weeks old: no longer a candidate
+  await store.updateOfferSheet(newer, { status: 'closed' });
+  assert.equal((await find({})).id, older);
+  assert.equal(await find({ timestamp: Date.now() + 20 * DAY }), null);
+});
+
+test('offer responses: the latest reply per group wins, deleted ones don\'t count', async () => {
+  const store = createStore();
+  const offer = await store.addOfferSheet({ title: 'Spring prices', targetChatIds: ['g1@g.us', 'g2@g.us', 'g3@g.us'] });
+  const reply = (chatId, msgId, status, timestamp) =>
+    store.addApproval({ chatId, chatName: chatId, sender: 'Pat', body: status, msgId, status, offerSheetId: offer, timestamp });
+
+  await reply('g1@g.us', 'm1', 'conditional', 1000);
+  await reply('g1@g.us', 'm2', 'approved', 2000);
+  await reply('g2@g.us', 'm3', 'rejected', 1000);
+  const taken = await reply('g2@g.us', 'm4', 'approved', 2000);
+  await store.db.from('approvals').update({ deleted_at: 3000 }).eq('id', taken);
+
+  const { responses, summary } = await store.getOfferSheetResponses(offer);
+  const status = Object.fromEntries(responses.map(r => [r.chatId, r.status]));
+  assert.deepEqual(status, { 'g1@g.us': 'approved', 'g2@g.us': 'rejected', 'g3@g.us': 'no_response' });
+  assert.deepEqual(summary, { approved: 1, rejected: 1, conditional: 0, pending_review: 0, no_response: 1 });
+  assert.equal(await store.getOfferSheetResponses('nope'), null);
+});
+
+test('offer routes validate and register offers posted elsewhere', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  assert.equal((await app.request('POST', '/api/offers', { title: 'Spring' }, app.admin)).status, 400);
+  assert.equal((await app.request('POST', '/api/offers', { title: 'Spring', targetChatIds: ['g1@g.us'] }, app.viewer)).status, 403);
+
+  const created = await app.request('POST', '/api/offers', {
+    title: 'Spring', targetChatIds: ['g1@g.us'], lineItems: [{ sku: 'A1', price: '3.5' }]
+  }, app.admin);
+  assert.equal(created.body.ok, true);
+
+  const offer = (await app.request('GET', `/api/offers/${created.body.id}`, null, app.viewer)).body.offer;
+  assert.equal(offer.created_by, 'Ann');
+  assert.equal(offer.line_items[0].price, 3.5);
+  assert.equal((await app.request('GET', '/api/offers?chat_id=g1@g.us', null, app.viewer)).body.offers.length, 1);
+  assert.equal((await app.request('GET', '/api/offers/nope/responses', null, app.viewer)).status, 404);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Outbox } = require('../outbox');
+const { createStore, startApp } = require('./helpers');
+
+// An Outbox whose send() answers from `results` in turn (an Error is thrown)
+function outbox(store, results = [], options = {}) {
+  const sent = [];
+  const box = new Outbox(store, {
+    ...options,
+    send: async (message, media) => {
+      sent.push({ chatId: message.chat_id, media });
+      const result = results.length ? results.shift() : `wa_${message.id}`;
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  });
+  return { box, sent };
+}
+
+const row = (store, id) => store.getOutboundMessage(id);
+
+test('a delivered message is marked sent and linked to its offer', async () => {
+  const store = createStore();
+  const offerId = await store.addOfferSheet({ title: 'Spring', targetChatIds: ['g1@g.us'] });
+  const [message] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], body: 'Spring prices', offerSheetId: offerId });
+  const { box } = outbox(store, ['WA1']);
+  const statuses = [];
+  box.on('status', s => statuses.push(s.status));
+
+  await box._deliver(message);
+  const sent = await row(store, message.id);
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.msg_id, 'WA1');
+  assert.equal(sent.attempts, 1);
+  assert.equal((await store.findOfferSheetForReply({ chatId: 'g1@g.us', quotedMsgId: 'WA1' })).id, offerId);
+  assert.deepEqual(statuses, ['sent']);
+});
+
+test('transient failures retry with backoff, then fail; permanent ones fail at once', async () => {
+  const store = createStore();
+  const [message] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], body: 'hi' });
+  const { box } = outbox(store, [new Error('timeout'), new Error('timeout')], { maxAttempts: 2 });
+
+  const before = Date.now();
+  await box._deliver(message);
+  let current = await row(store, message.id);
+  assert.equal(current.status, 'queued');
+  assert.equal(current.error, 'timeout');
+  assert.ok(current.next_attempt_at >= before + 10000);
+
+  await box._deliver(current);
+  current = await row(store, message.id);
+  assert.equal(current.status, 'failed');
+  assert.equal(current.attempts, 2);
+
+  const [bad] = await store.enqueueOutbound({ chatIds: ['nope'], body: 'hi' });
+  await outbox(store, [new Error('Invalid wid')]).box._deliver(bad);
+  assert.equal((await row(store, bad.id)).status, 'failed');
+
+  // Cancelled before its turn: not sent
+  const [cancelled] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], body: 'hi' });
+  await store.transitionOutboundMessage(cancelled.id, 'queued', { status: 'cancelled' });
+  const { box: idle, sent } = outbox(store);
+  await idle._deliver(cancelled);
+  assert.equal(sent.length, 0);
+});
+
+test('a broadcast attachment is kept until the last send that needs it', async () => {
+  const store = createStore();
+  const mediaId = await store.addOutboundMedia({ mimetype: 'image/png', filename: 'a.png', data: 'AAAA' });
+  const [first, second] = await store.enqueueOutbound({ chatIds: ['g1@g.us', 'g2@g.us'], kind: 'media', mediaId });
+  const { box, sent } = outbox(store);
+
+  await box._deliver(first);
+  assert.equal(sent[0].media.data, 'AAAA');
+  assert.equal(await store.hasOutboundMedia(mediaId), true);
+
+  await box._deliver(second);
+  assert.equal(await store.hasOutboundMedia(mediaId), false);
+
+  // Gone before a retry: fails for good
+  await store.updateOutboundMessage(second.id, { status: 'queued' });
+  await box._deliver(await row(store, second.id));
+  const failed = await row(store, second.id);
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /no longer stored/);
+});
+
+test('sends interrupted by a restart are failed once their lease runs out', async () => {
+  const store = createStore();
+  const mediaId = await store.addOutboundMedia({ mimetype: 'image/png', data: 'AAAA' });
+  const [dead, live] = await store.enqueueOutbound({ chatIds: ['g1@g.us', 'g2@g.us'], kind: 'media', mediaId });
+  await store.updateOutboundMessage(dead.id, { status: 'sending', next_attempt_at: Date.now() - 1 });
+  await store.updateOutboundMessage(live.id, { status: 'sending', next_attempt_at: Date.now() + 60000 });
+
+  assert.equal(await store.failInterruptedOutbound(), 1);
+  assert.equal((await row(store, dead.id)).status, 'failed');
+  assert.equal((await row(store, live.id)).status, 'sending');
+  // Still needed by the live send
+  assert.equal(await store.hasOutboundMedia(mediaId), true);
+
+  await store.updateOutboundMessage(live.id, { next_attempt_at: Date.now() - 1 });
+  assert.equal(await store.failInterruptedOutbound(), 1);
+  assert.equal(await store.hasOutboundMedia(mediaId), false);
+});
+
+test('retry and cancel routes', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+  const { store } = app;
+  const post = (path, token = app.admin) => app.request('POST', path, {}, token);
+
+  const [text] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], body: 'hi' });
+  assert.equal((await post(`/api/outbox/${text.id}/retry`)).status, 409);
+  await store.updateOutboundMessage(text.id, { status: 'failed', attempts: 5, error: 'timeout' });
+  assert.equal((await post(`/api/outbox/${text.id}/retry`, app.viewer)).status, 403);
+  assert.equal((await post(`/api/outbox/${text.id}/retry`)).status, 200);
+  const retried = await row(store, text.id);
+  assert.equal(retried.status, 'queued');
+  assert.equal(retried.attempts, 0);
+
+  const mediaId = await store.addOutboundMedia({ mimetype: 'image/png', data: 'AAAA' });
+  const [media] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], kind: 'media', mediaId });
+  assert.equal((await post(`/api/outbox/${media.id}/cancel`)).status, 200);
+  assert.equal(await store.hasOutboundMedia(mediaId), false);
+  await store.updateOutboundMessage(media.id, { status: 'failed' });
+  const gone = await post(`/api/outbox/${media.id}/retry`);
+  assert.equal(gone.status, 409);
+  assert.match(gone.body.error, /no longer stored/);
+
+  const batch = await store.enqueueOutbound({ chatIds: ['g1@g.us', 'g2@g.us', 'g3@g.us'], body: 'hi' });
+  await store.updateOutboundMessage(batch[0].id, { status: 'sent' });
+  const cancelled = await post(`/api/outbox/batches/${batch[0].batch_id}/cancel`);
+  assert.equal(cancelled.body.cancelled, 2);
+});
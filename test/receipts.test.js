@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore, startApp } = require('./helpers');
+
+// A broadcast of `count` group messages, all sent
+async function sentBatch(store, count) {
+  const chatIds = Array.from({ length: count }, (_, i) => `g${i}@g.us`);
+  const rows = await store.enqueueOutbound({ chatIds, body: 'New price list' });
+  for (const row of rows) {
+    await store.updateOutboundMessage(row.id, { status: 'sent', msg_id: `wa_${row.id}`, sent_at: Date.now() });
+  }
+  return rows[0].batch_id;
+}
+
+test('receipts are merged: first time seen kept, reading implies delivery', async () => {
+  const store = createStore();
+  const [out] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], body: 'hi' });
+  await store.updateOutboundMessage(out.id, { status: 'sent', msg_id: 'wa1' });
+
+  await store.setOutboundReceipts(out.id, {
+    chatId: 'g1@g.us',
+    recipientCount: 3,
+    receipts: [{ waId: '111@c.us', recipient: 'Bob', deliveredAt: 1000 }, { waId: '222@c.us', readAt: 2000 }]
+  });
+  await store.setOutboundReceipts(out.id, {
+    chatId: 'g1@g.us',
+    receipts: [{ waId: '111@c.us', recipient: 'Bob', deliveredAt: 5000, readAt: 6000 }, { waId: '222@c.us', readAt: 9000 }]
+  });
+
+  const receipts = await store.getOutboundReceipts(out.id);
+  assert.deepEqual(receipts.map(r => [r.recipient, r.delivered_at, r.read_at]), [
+    ['222', 2000, 2000],
+    ['Bob', 1000, 6000]
+  ]);
+
+  const [row] = await store.getOutboundMessages({ batchId: out.batch_id });
+  assert.deepEqual(row.receipt_counts, { recipients: 3, delivered: 2, read: 2 });
+});
+
+test('refreshing a batch\'s receipts goes a page at a time', async (t) => {
+  const refreshed = [];
+  const whatsapp = { refreshOutboundReceipts: async (message) => { refreshed.push(message.id); return 0; } };
+  const store = createStore();
+  const app = await startApp({ store, whatsapp });
+  t.after(() => app.close());
+
+  const batchId = await sentBatch(store, 30);
+  const refresh = (body, token = app.admin) =>
+    app.request('POST', `/api/outbox/batches/${batchId}/receipts/refresh`, body, token);
+
+  let res = await refresh({});
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refreshed, 25);
+  assert.equal(res.body.remaining, 5);
+  assert.equal(res.body.nextOffset, 25);
+  assert.equal(res.body.messages.length, 30);
+
+  res = await refresh({ offset: res.body.nextOffset });
+  assert.equal(res.body.refreshed, 5);
+  assert.equal(res.body.remaining, 0);
+  assert.equal(res.body.nextOffset, null);
+  assert.equal(new Set(refreshed).size, 30);
+
+  assert.equal((await app.request('POST', '/api/outbox/batches/nope/receipts/refresh', {}, app.admin)).status, 404);
+  assert.equal((await refresh({}, app.viewer)).status, 403);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createWhatsAppRouter, WHATSAPP_ROUTES } = require('../routes/whatsapp');
+const { createAuth } = require('../auth');
+const { createStore } = require('./helpers');
+
+// Serve an express app on a random port; resolves to { request, close }
+async function serve(app) {
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    async request(method, path, body, token) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const res = await fetch(base + path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+      return { status: res.status, body: await res.json().catch(() => null) };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const register = async (app, email) =>
+  (await app.request('POST', '/api/auth/register', { email, password: 'secret1', name: email.split('@')[0] })).body.token;
+
+test('the Vercel API answers every WhatsApp route, with the same role checks', async (t) => {
+  process.env.STORAGE_BACKEND = 'memory';
+  const app = await serve(require('../api'));
+  t.after(() => app.close());
+
+  const status = await app.request('GET', '/api/status');
+  assert.equal(status.status, 200);
+  assert.equal(status.body.mode, 'dashboard-only');
+
+  const admin = await register(app, 'admin@example.com');
+  const viewer = await register(app, 'viewer@example.com');
+
+  for (const route of WHATSAPP_ROUTES) {
+    if (route.path === '/api/status' || route.path === '/api/events') continue;
+    const path = route.path.replace(/:(\w+)/g, 'x');
+    const res = await app.request(route.method.toUpperCase(), path, route.method === 'get' ? null : {}, admin);
+    assert.equal(res.status, 503, `${route.method} ${route.path}`);
+    assert.match(res.body.error, /not available on Vercel/);
+  }
+
+  assert.equal((await app.request('POST', '/api/send', {})).status, 401);
+  assert.equal((await app.request('POST', '/api/send', {}, viewer)).status, 403);
+  assert.equal((await app.request('GET', '/api/whatsapp/chats', null, viewer)).status, 503);
+});
+
+test('WhatsApp routes that need the client answer 503 until it is ready', async (t) => {
+  const store = createStore();
+  const auth = createAuth({ getStore: async () => store, secret: 'test-secret' });
+  let status = 'qr';
+  const client = { getChats: async () => [{ id: 'g1@g.us' }] };
+  const waApp = express();
+  waApp.use(express.json());
+  waApp.use('/api', auth.guard);
+  waApp.use(createWhatsAppRouter({ store, getClient: () => client, getStatus: () => status, getQR: () => 'data:image/png;base64,' }, auth));
+  const app = await serve(waApp);
+  t.after(() => app.close());
+
+  const admin = auth.signToken(await store.createUser({ email: 'admin@example.com', passwordHash: 'x', name: 'Ann', role: 'admin' }));
+  assert.equal((await app.request('GET', '/api/status')).body.whatsapp, 'qr');
+  assert.equal((await app.request('GET', '/api/qr', null, admin)).body.qr, 'data:image/png;base64,');
+
+  const chats = () => app.request('GET', '/api/whatsapp/chats', null, admin);
+  let res = await chats();
+  assert.equal(res.status, 503);
+  assert.equal(res.body.error, 'WhatsApp not connected');
+
+  status = 'ready';
+  res = await chats();
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.chats, [{ id: 'g1@g.us' }]);
+});
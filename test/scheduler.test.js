@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, resolveSendAt, zonedTimeToEpoch } = require('../scheduler');
+const { createStore } = require('./helpers');
+
+const HOUR = 3600000;
+
+test('zonedTimeToEpoch() follows the zone\'s offset across DST changes', () => {
+  // London moves to BST (UTC+1) on 2026-03-29
+  assert.equal(zonedTimeToEpoch('2026-03-28T09:00', 'Europe/London'), Date.UTC(2026, 2, 28, 9));
+  assert.equal(zonedTimeToEpoch('2026-03-29T09:00', 'Europe/London'), Date.UTC(2026, 2, 29, 8));
+  // Los Angeles falls back to PST (UTC-8) on 2026-11-01
+  assert.equal(zonedTimeToEpoch('2026-10-31 09:00', 'America/Los_Angeles'), Date.UTC(2026, 9, 31, 16));
+  assert.equal(zonedTimeToEpoch('2026-11-01T09:00:30', 'America/Los_Angeles'), Date.UTC(2026, 10, 1, 17, 0, 30));
+  // The hour that happens twice resolves to one of its instants
+  const repeated = zonedTimeToEpoch('2026-11-01T01:30', 'America/Los_Angeles');
+  assert.ok([Date.UTC(2026, 10, 1, 8, 30), Date.UTC(2026, 10, 1, 9, 30)].includes(repeated));
+  assert.equal(zonedTimeToEpoch('tomorrow 9am', 'UTC'), null);
+});
+
+test('resolveSendAt() takes localTime + timezone, or sendAt', () => {
+  const future = new Date(Date.now() + 48 * HOUR);
+  const local = `${future.toISOString().slice(0, 10)}T09:00`;
+  const resolved = resolveSendAt({ localTime: local, timezone: 'Asia/Tokyo' });
+  assert.equal(resolved.sendAt, zonedTimeToEpoch(local, 'Asia/Tokyo'));
+  assert.equal(resolved.timezone, 'Asia/Tokyo');
+  assert.equal(resolved.localTime, local);
+
+  const at = Date.now() + HOUR;
+  assert.equal(resolveSendAt({ sendAt: at }).sendAt, at);
+  assert.equal(resolveSendAt({ sendAt: String(at) }).sendAt, at);
+  assert.equal(resolveSendAt({ sendAt: new Date(at).toISOString() }).sendAt, at);
+  assert.equal(resolveSendAt({ sendAt: at }).timezone, 'America/Los_Angeles');
+
+  assert.throws(() => resolveSendAt({ sendAt: at, timezone: 'Mars/Olympus' }), /Unknown timezone/);
+  assert.throws(() => resolveSendAt({ localTime: 'soon' }), /YYYY-MM-DDTHH:mm/);
+  assert.throws(() => resolveSendAt({ sendAt: 'next week' }), /ISO timestamp or epoch/);
+  assert.throws(() => resolveSendAt({ sendAt: Date.now() - HOUR }), /in the past/);
+  assert.throws(() => resolveSendAt({}), /required/);
+});
+
+// A client whose queueOutbound stores the rows like the real one
+function fakeClient(store) {
+  const queued = [];
+  return {
+    queued,
+    queueOutbound: async (args) => {
+      queued.push(args);
+      return store.enqueueOutbound(args);
+    }
+  };
+}
+
+test('due sends are dispatched once, rendered for each group when they go out', async () => {
+  const store = createStore();
+  await store.db.from('groups').insert([{ chat_id: 'g1@g.us', name: 'Acme' }, { chat_id: 'g2@g.us', name: 'Beta' }]);
+  const scheduled = await store.addScheduledSend({
+    chatIds: ['g1@g.us', 'g2@g.us'],
+    body: 'Hi {{group_name}}, prices for {{date}}',
+    offer: { title: 'Spring' },
+    sendAt: Date.UTC(2026, 2, 14, 17),
+    timezone: 'America/Los_Angeles',
+    createdBy: 'Ann'
+  });
+  await store.addScheduledSend({ chatIds: ['g1@g.us'], body: 'later', sendAt: Date.now() + HOUR });
+
+  const client = fakeClient(store);
+  const scheduler = new Scheduler(store, { getClient: () => client });
+  await scheduler.tick();
+  await scheduler.tick();
+
+  assert.equal(client.queued.length, 1);
+  assert.deepEqual(client.queued[0].bodies, {
+    'g1@g.us': 'Hi Acme, prices for Mar 14, 2026',
+    'g2@g.us': 'Hi Beta, prices for Mar 14, 2026'
+  });
+  const done = await store.getScheduledSend(scheduled.id);
+  assert.equal(done.status, 'dispatched');
+  assert.ok(done.batch_id);
+  assert.ok(done.offer_sheet_id);
+  assert.equal(client.queued[0].offerSheetId, done.offer_sheet_id);
+});
+
+test('a send whose audience is gone fails and releases its attachment', async () => {
+  const store = createStore();
+  const mediaId = await store.addOutboundMedia({ mimetype: 'image/png', data: 'AAAA' });
+  const scheduled = await store.addScheduledSend({
+    chatIds: [], audienceId: 'aud_gone', kind: 'media', mediaId, sendAt: Date.now() - 1000
+  });
+
+  const client = fakeClient(store);
+  await new Scheduler(store, { getClient: () => client }).tick();
+  const failed = await store.getScheduledSend(scheduled.id);
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /no longer exists/);
+  assert.equal(client.queued.length, 0);
+  assert.equal(await store.hasOutboundMedia(mediaId), false);
+});
+
+test('nothing is dispatched without a client', async () => {
+  const store = createStore();
+  const scheduled = await store.addScheduledSend({ chatIds: ['g1@g.us'], body: 'hi', sendAt: Date.now() - 1000 });
+  await new Scheduler(store, { getClient: () => null }).tick();
+  assert.equal((await store.getScheduledSend(scheduled.id)).status, 'scheduled');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, matchesQuery, rankText, buildSnippet, parseSearchDate } = require('../search');
+const { createStore, startApp } = require('./helpers');
+
+test('parseQuery() keeps phrases whole and splits out exclusions', () => {
+  assert.deepEqual(parseQuery('Price "blue widgets" -sample OR net30'), {
+    terms: ['price', 'blue widgets', 'net30'],
+    excluded: ['sample']
+  });
+  assert.deepEqual(parseQuery('-"free shipping"'), { terms: [], excluded: ['free shipping'] });
+  assert.deepEqual(parseQuery(undefined), { terms: [], excluded: [] });
+});
+
+test('matchesQuery() needs every term and none of the exclusions', () => {
+  const q = parseQuery('price blue -sample');
+  assert.equal(matchesQuery('New PRICE for the blue ones', q), true);
+  assert.equal(matchesQuery('New price for the red ones', q), false);
+  assert.equal(matchesQuery('Blue sample price', q), false);
+  assert.equal(matchesQuery('anything', parseQuery('-sample')), false);
+});
+
+test('rankText() favours denser matches', () => {
+  assert.ok(rankText('price price', ['price']) > rankText(`price ${'x'.repeat(300)}`, ['price']));
+  assert.equal(rankText('nothing here', ['price']), 0);
+});
+
+test('buildSnippet() escapes the text and marks every term once', () => {
+  assert.equal(buildSnippet('The <b>price</b> & terms', ['price']), 'The &lt;b&gt;<mark>price</mark>&lt;/b&gt; &amp; terms');
+  assert.equal(buildSnippet('mark the amp', ['mark', 'amp']), '<mark>mark</mark> the <mark>amp</mark>');
+  assert.equal(buildSnippet('blue widgets', ['blue', 'blue widgets']), '<mark>blue widgets</mark>');
+
+  const long = `${'lorem '.repeat(60)}the price is right ${'ipsum '.repeat(60)}`;
+  const snippet = buildSnippet(long, ['price']);
+  assert.match(snippet, /^… .*<mark>price<\/mark>.* …$/);
+  assert.ok(snippet.length < 230);
+});
+
+test('parseSearchDate() reads epoch ms and dates, end of day for a bare end date', () => {
+  assert.equal(parseSearchDate(''), null);
+  assert.equal(parseSearchDate('1700000000000'), 1700000000000);
+  assert.equal(parseSearchDate('2026-03-01'), Date.UTC(2026, 2, 1));
+  assert.equal(parseSearchDate('2026-03-01', { endOfDay: true }), Date.UTC(2026, 2, 2) - 1);
+  assert.throws(() => parseSearchDate('soon'), /Not a date: soon/);
+});
+
+async function seed(store) {
+  await store.db.from('messages').insert([
+    { id: 'm1', chat_id: 'g1@g.us', chat_name: 'Acme', sender: 'Bob', body: 'What is the price of the blue widgets?', timestamp: 1000 },
+    { id: 'm2', chat_id: 'g2@g.us', chat_name: 'Beta', sender: 'Ann', body: 'Blue widgets price list attached', media_text: 'Price list 2026', timestamp: 2000 }
+  ]);
+  await store.db.from('tasks').insert([
+    { id: 't1', chat_id: null, title: 'Send price list', body: '', timestamp: 3000 },
+    { id: 't2', chat_id: 'g2@g.us', title: 'Price follow-up', body: '', timestamp: 4000 }
+  ]);
+}
+
+test('search falls back to substring matching without search_content()', async () => {
+  const store = createStore();
+  await seed(store);
+
+  const results = await store.search({ query: 'price blue', types: ['message'] });
+  assert.deepEqual(results.map(r => r.id).sort(), ['m1', 'm2']);
+  assert.ok(results.every(r => /<mark>/.test(r.snippet)));
+
+  const inChat = await store.search({ query: 'price', chatId: 'g1@g.us', types: ['message', 'task'] });
+  assert.deepEqual(inChat.map(r => r.id).sort(), ['m1', 't1']);
+});
+
+test('search keeps unsafe ids out of the fallback\'s or() filters', async () => {
+  const store = createStore();
+  await seed(store);
+
+  const tasks = await store.search({ query: 'price', chatId: 'g2@g.us),id.neq.(x', types: ['task'] });
+  assert.deepEqual(tasks.map(r => r.id), ['t1']);
+
+  const bySender = await store.search({ query: 'price', sender: 'a@c.us),id.neq.(x', types: ['message'] });
+  assert.deepEqual(bySender, []);
+});
+
+test('search surfaces search_content() errors other than a missing function', async (t) => {
+  const store = createStore();
+  await seed(store);
+  store.db.rpc = async () => ({ data: null, error: { message: 'statement timeout', code: '57014' } });
+  await assert.rejects(store.search({ query: 'price' }), /statement timeout/);
+
+  store.db.rpc = async () => ({ data: null, error: { message: 'Could not find the function', code: 'PGRST202' } });
+  assert.equal((await store.search({ query: 'price', types: ['message'] })).length, 2);
+
+  const app = await startApp({ store });
+  t.after(() => app.close());
+  store.db.rpc = async () => ({ data: null, error: { message: 'statement timeout', code: '57014' } });
+  const res = await app.request('GET', '/api/search?q=price', null, app.viewer);
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error, 'statement timeout');
+});
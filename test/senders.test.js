@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore, fakeWhatsApp } = require('./helpers');
+
+test('a sender\'s history follows their contact id when they rename', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  const bob = await ws.client.getContactById('111@c.us');
+
+  await ws._handleMessage(message('M1', 'Morning all'));
+  bob.pushname = 'Robert';
+  await ws._handleMessage(message('M2', 'Trucks leave at noon'));
+
+  const top = await store.getTopSenders();
+  assert.equal(top.length, 1);
+  assert.equal(top[0].sender_id, '111@c.us');
+  assert.equal(top[0].sender, 'Robert');
+  assert.equal(top[0].message_count, 2);
+
+  const { data: messages } = await store.db.from('messages').select('sender, sender_id');
+  assert.deepEqual(messages.map(m => m.sender_id), ['111@c.us', '111@c.us']);
+  // A name saved in the address book wins over the push name
+  await store.upsertContact({ phone: '111', savedName: 'Bob (Acme)' });
+  assert.equal((await store.getContactNames(['111@c.us'])).get('111@c.us'), 'Bob (Acme)');
+});
+
+test('a contact first seen by LID is merged once the phone number turns up', async () => {
+  const store = createStore();
+  const byLid = await store.upsertContact({ lid: '777@lid', pushName: 'Carla', chatId: 'g1@g.us' });
+  assert.equal(byLid.id, '777@lid');
+  await store.recordGroupMessage({ chatId: 'g1@g.us', chatName: 'Acme', sender: 'Carla', senderId: '777@lid', body: 'hi', timestamp: Date.now(), msgId: 'M1' });
+  await store.recordGroupMessage({ chatId: 'g2@g.us', chatName: 'Beta', sender: 'Carla', senderId: '5511@c.us', body: 'hi', timestamp: Date.now(), msgId: 'M2' });
+
+  const merged = await store.upsertContact({ phone: '+55 11', lid: '777@lid', chatId: 'g2@g.us' });
+  assert.equal(merged.id, '5511@c.us');
+  assert.equal(merged.push_name, 'Carla');
+  assert.deepEqual(merged.groups.sort(), ['g1@g.us', 'g2@g.us']);
+  assert.equal(await store.getContact('777@lid'), null);
+
+  const { data: messages } = await store.db.from('messages').select('sender_id');
+  assert.deepEqual(messages.map(m => m.sender_id), ['5511@c.us', '5511@c.us']);
+  const top = await store.getTopSenders();
+  assert.deepEqual(top.map(s => [s.sender, s.message_count]), [['Carla', 2]]);
+
+  // Later messages by LID alone land on the phone-keyed row
+  assert.equal((await store.upsertContact({ lid: '777@lid' })).id, '5511@c.us');
+});
+
+test('my own messages are stored under my id and shown with the track name', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  await store.setTrackName('Ann');
+  const me = await ws._resolveSender(message('M1', 'hi', { fromMe: true }));
+  assert.deepEqual(me, { id: '999@c.us', name: 'Ann' });
+  assert.equal((await store.getContact('999@c.us')).is_me, true);
+  assert.equal((await store.getContactNames(['999@c.us'])).get('999@c.us'), 'Ann');
+
+  // Nothing to identify the sender by
+  assert.equal(await store.upsertContact({ pushName: 'Ghost' }), null);
+});
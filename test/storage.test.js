@@ -0,0 +1,187 @@
+/**
+ * Storage adapters — the same QueryBuilder queries run against the memory
+ * adapter (checked by the rows it returns) and compiled by the Postgres
+ * adapter (checked by its SQL, through a recording pool — no database needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryAdapter = require('../storage/memory');
+const PostgresAdapter = require('../storage/postgres');
+
+const COLUMN_TYPES = {
+  id: 'integer',
+  name: 'text',
+  kind: 'text',
+  rank: 'integer',
+  tags: 'ARRAY',
+  meta: 'jsonb',
+  note: 'text'
+};
+
+const ITEMS = [
+  { id: 1, name: 'one', kind: 'a', rank: 1, tags: ['x', 'y'], meta: { color: 'red', size: { w: 1 } }, note: null },
+  { id: 2, name: 'two', kind: 'a', rank: 3, tags: ['y'], meta: { color: 'blue' }, note: 'hi' },
+  { id: 3, name: 'three', kind: 'b', rank: 2, tags: [], meta: {}, note: null }
+];
+
+// Records every statement; answers the column-type lookup from COLUMN_TYPES
+function recordingPool() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      if (sql.includes('information_schema')) {
+        return { rows: Object.entries(COLUMN_TYPES).map(([column_name, data_type]) => ({ column_name, data_type })) };
+      }
+      queries.push({ sql, params });
+      return { rows: sql.startsWith('select count') ? [{ count: 0 }] : [] };
+    },
+    async end() {}
+  };
+}
+
+async function seededMemory() {
+  const db = new MemoryAdapter();
+  const { error } = await db.from('items').insert(ITEMS);
+  assert.equal(error, null);
+  return db;
+}
+
+async function compiled(build) {
+  const pool = recordingPool();
+  const { error } = await build(new PostgresAdapter({ pool }));
+  assert.equal(error, null);
+  return pool.queries[pool.queries.length - 1];
+}
+
+const CASES = [
+  {
+    name: 'eq with order and limit',
+    build: db => db.from('items').select('id, name').eq('kind', 'a').order('rank', { ascending: false }).limit(2),
+    data: [{ id: 2, name: 'two' }, { id: 1, name: 'one' }],
+    sql: 'select "id", "name" from "items" where "kind" = $1 order by "rank" desc nulls first limit 2',
+    params: ['a']
+  },
+  {
+    name: 'in and neq',
+    build: db => db.from('items').select('id').in('id', [1, 3]).neq('kind', 'b'),
+    data: [{ id: 1 }],
+    sql: 'select "id" from "items" where "id" in ($1, $2) and "kind" <> $3',
+    params: [1, 3, 'b']
+  },
+  {
+    name: 'is null',
+    build: db => db.from('items').select('id').is('note', null).order('id'),
+    data: [{ id: 1 }, { id: 3 }],
+    sql: 'select "id" from "items" where "note" is null order by "id" asc nulls last',
+    params: []
+  },
+  {
+    name: 'or expression',
+    build: db => db.from('items').select('id').or('kind.eq.b,rank.gte.3').order('id'),
+    data: [{ id: 2 }, { id: 3 }],
+    sql: 'select "id" from "items" where ("kind" = $1 or "rank" >= $2) order by "id" asc nulls last',
+    params: ['b', 3]
+  },
+  {
+    name: 'not',
+    build: db => db.from('items').select('id').not('kind', 'eq', 'a'),
+    data: [{ id: 3 }],
+    sql: 'select "id" from "items" where not ("kind" = $1)',
+    params: ['a']
+  },
+  {
+    name: 'ilike',
+    build: db => db.from('items').select('name').ilike('name', 'T%').order('id'),
+    data: [{ name: 'two' }, { name: 'three' }],
+    sql: 'select "name" from "items" where "name" ilike $1 order by "id" asc nulls last',
+    params: ['T%']
+  },
+  {
+    name: 'contains on an array column',
+    build: db => db.from('items').select('id').contains('tags', ['y']).order('id'),
+    data: [{ id: 1 }, { id: 2 }],
+    sql: 'select "id" from "items" where "tags" @> $1 order by "id" asc nulls last',
+    params: [['y']]
+  },
+  {
+    name: 'contains on a jsonb column',
+    build: db => db.from('items').select('id').contains('meta', { color: 'red' }),
+    data: [{ id: 1 }],
+    sql: 'select "id" from "items" where "meta" @> $1',
+    params: ['{"color":"red"}']
+  },
+  {
+    name: 'contains a nested jsonb object',
+    build: db => db.from('items').select('id').contains('meta', { size: { w: 1 } }),
+    data: [{ id: 1 }],
+    sql: 'select "id" from "items" where "meta" @> $1',
+    params: ['{"size":{"w":1}}']
+  }
+];
+
+for (const c of CASES) {
+  test(`memory: ${c.name}`, async () => {
+    const db = await seededMemory();
+    const { data, error } = await c.build(db);
+    assert.equal(error, null);
+    assert.deepEqual(data, c.data);
+  });
+
+  test(`postgres: ${c.name}`, async () => {
+    const { sql, params } = await compiled(c.build);
+    assert.equal(sql, c.sql);
+    assert.deepEqual(params, c.params);
+  });
+}
+
+test('memory: exact count with head returns no rows', async () => {
+  const db = await seededMemory();
+  const { data, count, error } = await db.from('items').select('id', { count: 'exact', head: true }).eq('kind', 'a');
+  assert.equal(error, null);
+  assert.equal(data, null);
+  assert.equal(count, 2);
+});
+
+test('postgres: exact count with head runs only the count', async () => {
+  const pool = recordingPool();
+  await new PostgresAdapter({ pool }).from('items').select('id', { count: 'exact', head: true }).eq('kind', 'a');
+  assert.deepEqual(pool.queries, [{ sql: 'select count(*)::int as count from "items" where "kind" = $1', params: ['a'] }]);
+});
+
+test('memory: single() errors unless exactly one row matches', async () => {
+  const db = await seededMemory();
+  assert.equal((await db.from('items').select('name').eq('id', 2).single()).data.name, 'two');
+  const none = await db.from('items').select('*').eq('id', 99).single();
+  assert.equal(none.data, null);
+  assert.equal(none.error.code, 'PGRST116');
+  assert.equal((await db.from('items').select('*').eq('id', 99).maybeSingle()).error, null);
+});
+
+test('memory: unique constraints reject duplicates with 23505', async () => {
+  const db = new MemoryAdapter();
+  await db.from('messages').insert({ chat_id: 'g1', msg_id: 'M1', body: 'hi' });
+  const { error } = await db.from('messages').insert({ chat_id: 'g1', msg_id: 'M1', body: 'again' });
+  assert.equal(error.code, '23505');
+  // A null msg_id never conflicts, as in Postgres
+  await db.from('messages').insert({ chat_id: 'g1', msg_id: null });
+  assert.equal((await db.from('messages').insert({ chat_id: 'g1', msg_id: null })).error, null);
+});
+
+test('memory: upsert updates on the conflict column', async () => {
+  const db = new MemoryAdapter();
+  await db.from('app_settings').upsert({ key: 'k', value: 1 }, { onConflict: 'key' });
+  await db.from('app_settings').upsert({ key: 'k', value: 2 }, { onConflict: 'key' });
+  const { data } = await db.from('app_settings').select('key, value');
+  assert.deepEqual(data, [{ key: 'k', value: 2 }]);
+});
+
+test('postgres: jsonb values are written as JSON, arrays as arrays', async () => {
+  const pool = recordingPool();
+  await new PostgresAdapter({ pool }).from('items').insert({ id: 4, tags: ['z'], meta: { color: 'green' } });
+  assert.deepEqual(pool.queries[0], {
+    sql: 'insert into "items" ("id", "tags", "meta") values ($1, $2, $3) returning *',
+    params: [4, ['z'], '{"color":"green"}']
+  });
+});
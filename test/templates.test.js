@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore, startApp } = require('./helpers');
+
+test('each edit is saved as a new version, and media can be kept or removed', async () => {
+  const store = createStore();
+  const media = { mimetype: 'image/png', filename: 'price.png', data: 'AAAA' };
+  const created = await store.addTemplate({ name: 'Weekly prices', body: 'v1', media, createdBy: 'Ann' });
+  assert.equal(created.version, 1);
+  assert.equal(created.category, 'general');
+
+  await store.updateTemplate(created.id, { body: 'v2' }, 'Vic');
+  let current = await store.getTemplate(created.id, { withMedia: true });
+  assert.equal(current.version, 2);
+  assert.equal(current.updated_by, 'Vic');
+  assert.equal(current.media_data, 'AAAA');
+
+  await store.updateTemplate(created.id, { media: null }, 'Ann');
+  current = await store.getTemplate(created.id, { withMedia: true });
+  assert.equal(current.media_data, null);
+
+  const versions = await store.getTemplateVersions(created.id);
+  assert.deepEqual(versions.map(v => [v.version, v.body, v.media_filename, v.edited_by]), [
+    [3, 'v2', null, 'Ann'],
+    [2, 'v2', 'price.png', 'Vic'],
+    [1, 'v1', 'price.png', 'Ann']
+  ]);
+  assert.equal(await store.updateTemplate('tpl_missing', { body: 'x' }), null);
+
+  await store.deleteTemplate(created.id);
+  assert.deepEqual(await store.getTemplateVersions(created.id), []);
+});
+
+test('templates are filtered by category and name', async () => {
+  const store = createStore();
+  await store.addTemplate({ name: 'Weekly prices', category: 'offers', body: 'a' });
+  await store.addTemplate({ name: 'Holiday hours', category: 'notices', body: 'b' });
+  await store.addTemplate({ name: 'Price update', category: 'offers', body: 'c' });
+
+  assert.deepEqual((await store.getTemplates({ category: 'offers' })).map(t => t.name), ['Price update', 'Weekly prices']);
+  assert.deepEqual((await store.getTemplates({ search: 'price' })).map(t => t.name), ['Price update', 'Weekly prices']);
+  assert.deepEqual(await store.getTemplateCategories(), ['notices', 'offers']);
+});
+
+test('sends and replies are counted once per sent message', async () => {
+  const store = createStore();
+  const template = await store.addTemplate({ name: 'Weekly prices', body: 'Prices' });
+  const now = Date.now();
+  const [older] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], body: 'Prices', templateId: template.id });
+  const [newer] = await store.enqueueOutbound({ chatIds: ['g1@g.us'], body: 'Prices', templateId: template.id });
+  await store.updateOutboundMessage(older.id, { status: 'sent', msg_id: 'WA1', sent_at: now - 2 * 3600000 });
+  await store.updateOutboundMessage(newer.id, { status: 'sent', msg_id: 'WA2', sent_at: now - 3600000 });
+  await store.recordTemplateSend(template.id);
+  await store.recordTemplateSend(template.id);
+
+  // Quoting the older send counts against it, not the latest
+  await store.recordTemplateReply({ chatId: 'g1@g.us', quotedMsgId: 'WA1', timestamp: now });
+  assert.ok((await store.getOutboundMessage(older.id)).replied_at);
+  assert.ok(!(await store.getOutboundMessage(newer.id)).replied_at);
+
+  await store.recordTemplateReply({ chatId: 'g1@g.us', timestamp: now });
+  await store.recordTemplateReply({ chatId: 'g1@g.us', timestamp: now });
+  await store.recordTemplateReply({ chatId: 'g2@g.us', timestamp: now });
+
+  const counted = await store.getTemplate(template.id);
+  assert.equal(counted.send_count, 2);
+  assert.equal(counted.reply_count, 2);
+});
+
+test('template routes check roles, names and versions, and serve media safely', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+  const { store } = app;
+
+  assert.equal((await app.request('POST', '/api/templates', { name: 'Hi', body: 'Hello' }, app.viewer)).status, 403);
+  assert.equal((await app.request('POST', '/api/templates', { name: ' ', body: 'Hello' }, app.admin)).status, 400);
+  const created = await app.request('POST', '/api/templates', { name: 'Hi', body: 'Hello {{first_name}}' }, app.admin);
+  assert.equal(created.status, 200);
+  const id = created.body.template.id;
+  assert.equal((await app.request('POST', '/api/templates', { name: 'Hi', body: 'again' }, app.admin)).status, 409);
+
+  assert.equal((await app.request('PUT', `/api/templates/${id}`, { body: 'Bye' }, app.admin)).status, 200);
+  assert.equal((await app.request('PUT', `/api/templates/${id}`, { name: '' }, app.admin)).status, 400);
+  const restored = await app.request('POST', `/api/templates/${id}/restore`, { version: 1 }, app.admin);
+  assert.equal(restored.body.template.body, 'Hello {{first_name}}');
+  assert.equal(restored.body.template.version, 3);
+  assert.equal((await app.request('POST', `/api/templates/${id}/restore`, { version: 9 }, app.admin)).status, 404);
+
+  const shown = await app.request('GET', `/api/templates/${id}`, null, app.viewer);
+  assert.deepEqual(shown.body.template.variables, ['first_name']);
+  assert.equal(shown.body.versions.length, 3);
+
+  // Agent uploads of any type are downloaded, never rendered in the page
+  const page = await store.addTemplate({ name: 'Page', media: { mimetype: 'text/html', filename: 'a.html', data: 'PHNjcmlwdD4=' } });
+  let file = await app.request('GET', `/api/templates/${page.id}/media`, null, app.viewer);
+  assert.equal(file.headers.get('x-content-type-options'), 'nosniff');
+  assert.match(file.headers.get('content-disposition'), /^attachment;/);
+
+  const image = await store.addTemplate({ name: 'Image', media: { mimetype: 'image/png', filename: 'a.png', data: 'AAAA' } });
+  file = await app.request('GET', `/api/templates/${image.id}/media`, null, app.viewer);
+  assert.match(file.headers.get('content-disposition'), /^inline;/);
+  file = await app.request('GET', `/api/templates/${image.id}/media?download=1`, null, app.viewer);
+  assert.match(file.headers.get('content-disposition'), /^attachment;/);
+  assert.equal((await app.request('GET', `/api/templates/${id}/media`, null, app.viewer)).status, 404);
+
+  assert.equal((await app.request('DELETE', `/api/templates/${id}`, null, app.viewer)).status, 403);
+  assert.equal((await app.request('DELETE', `/api/templates/${id}`, null, app.admin)).status, 200);
+  assert.equal((await app.request('DELETE', `/api/templates/${id}`, null, app.admin)).status, 404);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractVariables, hasVariables, renderTemplate, buildRecipientVariables, personalize, personalizedBodies } = require('../templating');
+const { createStore, startApp } = require('./helpers');
+
+test('extractVariables() lists each placeholder once, in order', () => {
+  assert.deepEqual(extractVariables('Hi {{ first_name|team }}, {{group_name}} / {{first_name}} {{terms.net}}'), ['first_name', 'group_name', 'terms.net']);
+  assert.deepEqual(extractVariables('No placeholders {here}'), []);
+  assert.equal(hasVariables('{{date}}'), true);
+  assert.equal(hasVariables(null), false);
+});
+
+test('renderTemplate() uses values, then fallbacks, and reports what is missing', () => {
+  assert.deepEqual(renderTemplate('Hi {{first_name|team}}, {{terms}} {{terms}}', { first_name: '  ' }), {
+    text: 'Hi team,  ',
+    missing: ['terms']
+  });
+  assert.deepEqual(renderTemplate('{{qty}} units', { qty: 0 }), { text: '0 units', missing: [] });
+});
+
+async function directoryStore() {
+  const store = createStore();
+  await store.db.from('groups').insert([{ chat_id: 'g1@g.us', name: 'Acme Buyers' }]);
+  await store.setRecipientEntry('g1@g.us', { contactName: 'Maria Lopez', fields: { terms: 'net 30', group_name: 'ignored' } });
+  await store.setRecipientEntry('5511@c.us', { contactName: 'Joao Silva' });
+  return store;
+}
+
+test('recipient variables come from the group, the directory and the send time', async () => {
+  const store = await directoryStore();
+  const vars = await buildRecipientVariables(store, ['g1@g.us', '5511@c.us', '999@c.us'], {
+    at: Date.UTC(2026, 2, 13, 17), timezone: 'Asia/Tokyo', senderName: 'Ann'
+  });
+
+  assert.equal(vars['g1@g.us'].group_name, 'Acme Buyers');
+  assert.equal(vars['g1@g.us'].first_name, 'Maria');
+  assert.equal(vars['g1@g.us'].terms, 'net 30');
+  assert.equal(vars['g1@g.us'].sender_name, 'Ann');
+  // Tokyo is already on the 14th
+  assert.equal(vars['g1@g.us'].date, 'Mar 14, 2026');
+  assert.equal(vars['g1@g.us'].weekday, 'Saturday');
+  assert.equal(vars['5511@c.us'].group_name, 'Joao Silva');
+  assert.equal(vars['999@c.us'].group_name, '999');
+  assert.equal(vars['999@c.us'].contact_name, '');
+});
+
+test('personalize() renders per recipient, and is skipped for plain text', async () => {
+  const store = await directoryStore();
+  const chatIds = ['g1@g.us', '999@c.us'];
+  const rendered = await personalize(store, chatIds, 'Hi {{first_name|there}}, terms: {{terms}}');
+  assert.deepEqual(rendered['g1@g.us'], { text: 'Hi Maria, terms: net 30', missing: [] });
+  assert.deepEqual(rendered['999@c.us'], { text: 'Hi there, terms: ', missing: ['terms'] });
+
+  assert.deepEqual(await personalizedBodies(store, chatIds, 'For {{group_name}}'), { 'g1@g.us': 'For Acme Buyers', '999@c.us': 'For 999' });
+  assert.equal(await personalize(store, chatIds, 'Same for everyone'), null);
+});
+
+test('the preview route shows each recipient\'s text without sending', async (t) => {
+  const app = await startApp({ store: await directoryStore() });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/api/templates/preview', {
+    body: 'Hi {{first_name}} from {{sender_name}}', chatIds: ['g1@g.us', '999@c.us']
+  }, app.viewer);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.variables, ['first_name', 'sender_name']);
+  assert.deepEqual(res.body.recipients, [
+    { chatId: 'g1@g.us', name: 'Acme Buyers', text: 'Hi Maria from Vic', missing: [] },
+    { chatId: '999@c.us', name: '999', text: 'Hi  from Vic', missing: ['first_name'] }
+  ]);
+  assert.equal((await app.request('POST', '/api/templates/preview', { body: 'hi' }, app.viewer)).status, 400);
+});
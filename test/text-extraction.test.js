@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canExtract, cleanText, mediaMessageText, extractText } = require('../text-extraction');
+const { createStore } = require('./helpers');
+
+test('canExtract() covers PDFs and the OCR image types', () => {
+  assert.equal(canExtract('application/pdf'), true);
+  assert.equal(canExtract('image/JPEG; charset=binary'), true);
+  assert.equal(canExtract('image/png'), true);
+  assert.equal(canExtract('image/gif'), false);
+  assert.equal(canExtract('video/mp4'), false);
+  assert.equal(canExtract(undefined), false);
+});
+
+test('cleanText() collapses layout whitespace and drops OCR noise', () => {
+  assert.equal(cleanText('Order  7731\f\n\n\n\n  Qty:\t200  '), 'Order 7731\n\nQty: 200');
+  assert.equal(cleanText(' | ~ . '), '');
+  assert.equal(cleanText('ok'), '');
+  assert.equal(cleanText(null), '');
+});
+
+test('mediaMessageText() puts the caption first, then the start of the file text', () => {
+  assert.equal(mediaMessageText('see attached', 'Can you confirm?'), 'see attached\n\nCan you confirm?');
+  assert.equal(mediaMessageText('', 'Can you confirm?'), 'Can you confirm?');
+  assert.equal(mediaMessageText('see attached', '   '), 'see attached');
+  assert.equal(mediaMessageText(undefined, null), '');
+  assert.equal(mediaMessageText('', 'x'.repeat(5000)).length, 1000);
+});
+
+test('extractText() skips unsupported files and TEXT_EXTRACTION=off', async (t) => {
+  assert.equal(await extractText(Buffer.from('GIF89a'), 'image/gif'), null);
+  assert.equal(await extractText(null, 'application/pdf'), null);
+
+  const previous = process.env.TEXT_EXTRACTION;
+  t.after(() => {
+    if (previous === undefined) delete process.env.TEXT_EXTRACTION;
+    else process.env.TEXT_EXTRACTION = previous;
+  });
+  process.env.TEXT_EXTRACTION = 'off';
+  assert.equal(await extractText(Buffer.from('%PDF-1.4'), 'application/pdf'), null);
+});
+
+test('setMediaText() stores the text on the file and its messages', async () => {
+  const store = createStore();
+  const file = await store.archiveMedia({
+    chatId: 'g1@g.us', msgId: 'M1', kind: 'document',
+    data: Buffer.from('%PDF-1.4 order').toString('base64'),
+    mimetype: 'application/pdf', filename: 'order.pdf'
+  });
+  assert.ok(file && file.id);
+  await store.db.from('messages').insert({ id: 'row1', chat_id: 'g1@g.us', msg_id: 'M1', media_id: file.id, body: '' });
+
+  const updated = await store.setMediaText(file.id, { text: 'Purchase order 7731', method: 'pdf' });
+  assert.equal(updated.extracted_text, 'Purchase order 7731');
+  assert.equal(updated.text_method, 'pdf');
+  assert.ok(updated.text_extracted_at);
+  const { data } = await store.db.from('messages').select('media_text').eq('id', 'row1');
+  assert.equal(data[0].media_text, 'Purchase order 7731');
+
+  // A failed read is recorded, with no text
+  const failed = await store.setMediaText(file.id, { text: null, error: 'tesseract crashed' });
+  assert.equal(failed.extracted_text, null);
+  assert.equal(failed.text_method, null);
+  assert.equal(failed.text_error, 'tesseract crashed');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildThread, normalizeSender } = require('../threads');
+const { createStore, startApp } = require('./helpers');
+
+const T = Date.UTC(2026, 2, 10, 9);
+const MIN = 60000;
+
+test('buildThread() merges sources once each and marks the reply chain', () => {
+  const question = { msg_id: 'Q', quoted_msg_id: 'A0', sender: 'Bob', body: 'Can you do 200 units?', timestamp: T };
+  const thread = buildThread({
+    question,
+    candidates: [{ id: 'c1', msg_id: 'R1', quoted_msg_id: 'Q', sender: 'Ann', body: 'Yes, by Friday', timestamp: T + 2 * MIN, confidence: 0.9, is_accepted: true }],
+    context: [
+      { msg_id: 'A0', sender: 'Bob', body: 'Prices for March?', timestamp: T - 5 * MIN },
+      // Same message as A0, stored before ids were captured
+      { sender: 'Bob', body: 'Prices for March?', timestamp: T - 5 * MIN + 200 }
+    ],
+    messages: [
+      { msg_id: 'Q', sender: 'Bob', body: 'Can you do 200 units?', timestamp: T },
+      { msg_id: 'R2', quoted_msg_id: 'R1', sender: 'Bob', body: 'Great, thanks', timestamp: T + 3 * MIN },
+      { msg_id: 'X', sender: 'Eve', body: 'Lunch?', timestamp: T + MIN }
+    ]
+  });
+
+  assert.deepEqual(thread.map(e => [e.msg_id, e.kind, e.reply_to, e.in_reply_chain]), [
+    ['A0', 'context', null, true],
+    ['Q', 'question', 'A0', true],
+    ['X', 'message', null, false],
+    ['R1', 'answer', 'Q', true],
+    ['R2', 'message', 'R1', true]
+  ]);
+  assert.equal(thread[3].candidate_id, 'c1');
+  assert.equal(thread[3].is_accepted, true);
+});
+
+test('normalizeSender() turns a stored raw id into a sender id', () => {
+  assert.deepEqual(normalizeSender({ sender: '5511@c.us', body: 'hi' }), { sender: '+5511', sender_id: '5511@c.us', body: 'hi' });
+  assert.deepEqual(normalizeSender({ sender: 'Bob' }), { sender: 'Bob' });
+  assert.deepEqual(normalizeSender({ sender: 'Bob', sender_id: '111@c.us' }), { sender: 'Bob', sender_id: '111@c.us' });
+});
+
+test('the thread route covers the whole chat window with current names', async (t) => {
+  const store = createStore();
+  await store.upsertContact({ phone: '111', pushName: 'Robert' });
+  await store.db.from('questions').insert({
+    id: 'q1', chat_id: 'g1@g.us', msg_id: 'Q', sender: 'Bob', sender_id: '111@c.us', body: 'Can you do 200 units?', timestamp: T, status: 'open'
+  });
+  await store.db.from('messages').insert([
+    { chat_id: 'g1@g.us', msg_id: 'Q', sender: 'Bob', sender_id: '111@c.us', body: 'Can you do 200 units?', timestamp: T },
+    { chat_id: 'g1@g.us', msg_id: 'R1', quoted_msg_id: 'Q', sender: 'Ann', body: 'Yes', timestamp: T + 20 * MIN },
+    { chat_id: 'g2@g.us', msg_id: 'Y', sender: 'Eve', body: 'Other chat', timestamp: T + MIN }
+  ]);
+  const app = await startApp({ store });
+  t.after(() => app.close());
+
+  const res = await app.request('GET', '/api/questions/q1/thread', null, app.viewer);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.thread.map(e => [e.msg_id, e.sender, e.reply_to]), [['Q', 'Robert', null], ['R1', 'Ann', 'Q']]);
+  assert.deepEqual(res.body.thread[1].reactions, []);
+
+  const missing = await app.request('GET', '/api/questions/q_missing/thread', null, app.viewer);
+  assert.deepEqual(missing.body.thread, []);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranscriber, WhisperCppTranscriber } = require('../transcription');
+const { fakeWhatsApp } = require('./helpers');
+
+test('createTranscriber() picks the provider, or none', () => {
+  assert.ok(createTranscriber({ provider: 'whisper-cpp' }) instanceof WhisperCppTranscriber);
+  assert.equal(createTranscriber({ provider: 'OFF' }), null);
+  assert.throws(() => createTranscriber({ provider: 'cloud' }), /Unknown TRANSCRIPTION_PROVIDER "cloud"/);
+});
+
+test('whisper-cpp without its tools or model is skipped, not failed', async () => {
+  const whisper = new WhisperCppTranscriber({ binary: 'no-such-whisper-cli', model: '/nonexistent/ggml-base.bin' });
+  assert.equal(await whisper.transcribe(Buffer.from('OggS')), null);
+  assert.equal(await whisper.transcribe(null), null);
+});
+
+// A voice note from Bob, and a transcriber that answers `result`
+async function voiceNote(result, { duration = 8 } = {}) {
+  const wa = await fakeWhatsApp();
+  const heard = [];
+  wa.ws.transcriber = {
+    name: 'fake',
+    transcribe: async (buffer, mimetype) => {
+      heard.push(mimetype);
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  };
+  const note = wa.message('V1', '', {
+    type: 'ptt',
+    hasMedia: true,
+    _data: { duration: String(duration) },
+    downloadMedia: async () => ({ data: Buffer.from('OggS voice').toString('base64'), mimetype: 'audio/ogg; codecs=opus' })
+  });
+  await wa.ws._handleMessage(note);
+  await wa.ws._mediaQueue;
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const [file] = (await wa.store.db.from('media_files').select('*')).data;
+  const questions = (await wa.store.db.from('questions').select('*')).data;
+  return { ...wa, heard, file, questions };
+}
+
+test('a spoken question is transcribed, stored and raised like a typed one', async () => {
+  const { heard, file, questions } = await voiceNote({ text: 'Can you confirm the price for 200 units by Friday?', language: 'en' });
+  assert.deepEqual(heard, ['audio/ogg; codecs=opus']);
+  assert.equal(file.text_method, 'transcription');
+  assert.equal(file.text_language, 'en');
+  assert.equal(questions.length, 1);
+  assert.equal(questions[0].msg_id, 'V1');
+  assert.match(questions[0].body, /confirm the price for 200 units/);
+});
+
+test('long, failed and unavailable transcriptions raise nothing', async () => {
+  const long = await voiceNote({ text: 'Can you confirm the price?', language: 'en' }, { duration: 3600 });
+  assert.deepEqual(long.heard, []);
+  assert.match(long.file.text_error, /over TRANSCRIPTION_MAX_SECONDS/);
+  assert.equal(long.questions.length, 0);
+
+  const failed = await voiceNote(new Error('model crashed'));
+  assert.equal(failed.file.text_error, 'model crashed');
+  assert.ok(failed.file.text_extracted_at);
+
+  // The provider can't run here: left unmarked so it's tried again
+  const unavailable = await voiceNote(null);
+  assert.ok(!unavailable.file.text_extracted_at);
+  assert.equal(unavailable.questions.length, 0);
+});
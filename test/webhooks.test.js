@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { sign, generateSecret } = require('../webhooks');
+const { startApp } = require('./helpers');
+
+test('sign() is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'ping' });
+  const expected = crypto.createHmac('sha256', 'k').update(`123.${body}`).digest('hex');
+  assert.equal(sign('k', 123, body), `sha256=${expected}`);
+  assert.notEqual(sign('k', 124, body), sign('k', 123, body));
+});
+
+test('generateSecret() makes long, distinct secrets', () => {
+  const a = generateSecret();
+  assert.match(a, /^whsec_[0-9a-f]{48}$/);
+  assert.notEqual(a, generateSecret());
+});
+
+test('webhook routes validate url, secret and events', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const create = body => app.request('POST', '/api/webhooks', body, app.admin);
+
+  assert.equal((await create({ url: 'ftp://example.com' })).status, 400);
+  assert.equal((await create({ url: 'https://example.com/h', events: ['nope'] })).status, 400);
+
+  const short = await create({ url: 'https://example.com/h', secret: 'x' });
+  assert.equal(short.status, 400);
+  assert.match(short.body.error, /at least 16 characters/);
+
+  const created = await create({ url: 'https://example.com/h', events: ['question.created'] });
+  assert.equal(created.status, 200);
+  assert.match(created.body.webhook.secret, /^whsec_/);
+
+  const update = await app.request('PUT', `/api/webhooks/${created.body.webhook.id}`, { secret: 'short' }, app.admin);
+  assert.equal(update.status, 400);
+
+  assert.equal((await app.request('GET', '/api/webhooks', null, app.viewer)).status, 403);
+  const listed = await app.request('GET', '/api/webhooks', null, app.admin);
+  assert.equal(listed.body.webhooks.length, 1);
+  assert.notEqual(listed.body.webhooks[0].secret, created.body.webhook.secret, 'secret is masked after creation');
+});
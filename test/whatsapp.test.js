@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeWhatsApp } = require('./helpers');
+
+const questions = async (store) => (await store.db.from('questions').select('*')).data;
+
+// Hold _archiveMedia open until finish(row) is called, as a busy OCR queue would
+function pendingArchive(ws) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  ws._archiveMedia = () => done;
+  return row => { finish(row); return new Promise(resolve => setTimeout(resolve, 20)); };
+}
+
+test('a media message is analyzed on its caption before the archive finishes', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  const finish = pendingArchive(ws);
+
+  await ws._handleMessage(message('M1', 'Can you confirm the delivery date for this order?', { hasMedia: true, type: 'image' }));
+  const qs = await questions(store);
+  assert.equal(qs.length, 1);
+  assert.equal(qs[0].msg_id, 'M1');
+
+  // The caption was already a question — the file's text doesn't raise another
+  await finish({ id: 'f1', extracted_text: 'Can you also send the invoice?' });
+  assert.equal((await questions(store)).length, 1);
+});
+
+test('an attachment whose text asks a question raises it once the text is read', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  const finish = pendingArchive(ws);
+
+  await ws._handleMessage(message('M2', '', { hasMedia: true, type: 'document' }));
+  assert.equal((await questions(store)).length, 0);
+
+  await finish({ id: 'f2', extracted_text: 'Purchase order 7731\nCan you confirm the price for 200 units by Friday?' });
+  const qs = await questions(store);
+  assert.equal(qs.length, 1);
+  assert.equal(qs[0].msg_id, 'M2');
+  assert.match(qs[0].body, /confirm the price for 200 units/);
+  assert.equal(qs[0].has_media, true);
+});
+
+test('an attachment with no readable text raises nothing', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  const finish = pendingArchive(ws);
+
+  await ws._handleMessage(message('M3', 'photo from the site', { hasMedia: true, type: 'image' }));
+  await finish(null);
+  assert.equal((await questions(store)).length, 0);
+});
+
+test('a message edited into a question is raised as one', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  const msg = message('M4', 'ok thanks');
+  await ws._handleMessage(msg);
+  assert.equal((await questions(store)).length, 0);
+
+  await ws._handleEdit(msg, 'Can you confirm the price for 200 units by Friday?', 'ok thanks');
+  const qs = await questions(store);
+  assert.equal(qs.length, 1);
+  assert.equal(qs[0].msg_id, 'M4');
+  assert.equal(qs[0].body, 'Can you confirm the price for 200 units by Friday?');
+
+  // Editing it again updates that question rather than raising another
+  await ws._handleEdit(msg, 'Can you confirm the price for 300 units by Friday?', qs[0].body);
+  assert.equal((await questions(store)).length, 1);
+});
+
+test('an edited question is classified again on its new text', async () => {
+  const { store, ws, message } = await fakeWhatsApp();
+  const msg = message('M5', 'What time is the delivery?');
+  await ws._handleMessage(msg);
+  const [before] = await questions(store);
+  assert.notEqual(before.priority, 'urgent');
+
+  await ws._handleEdit(msg, 'URGENT: can you approve the shipment asap? The truck leaves in an hour', msg.body);
+  const [after] = await questions(store);
+  assert.equal(after.id, before.id);
+  assert.equal(after.original_body, 'What time is the delivery?');
+  assert.notDeepEqual(after.keywords, before.keywords);
+  assert.ok(after.keywords.includes('shipment'));
+  assert.notEqual(after.question_type, before.question_type);
+  assert.ok(['urgent', 'high'].includes(after.priority));
+});
@@ -0,0 +1,134 @@
+/**
+ * Text Extraction — reads the text out of archived media (media-archive.js),
+ * so a photo of a signed offer sheet or a PDF order is analyzed and
+ * searchable like a typed reply
+ *
+ *   PDFs   — the text layer, via pdftotext; scanned PDFs without one are
+ *            rendered with pdftoppm and OCR'd (first OCR_PDF_PAGES pages)
+ *   images — OCR with tesseract, in OCR_LANGS (default 'eng+spa+por', the
+ *            language packs the analyzer has; each needs its tesseract-ocr-* data)
+ *
+ * Everything runs locally with the poppler-utils and tesseract-ocr command
+ * line tools (installed in the Dockerfile). Where a tool is missing that
+ * kind of file is skipped; TEXT_EXTRACTION=off turns it off altogether.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL_TIMEOUT_MS = 60000;
+const PDF_MAX_PAGES = 20;
+const OCR_PDF_PAGES = 3;
+
+// Stored per file; analysis only looks at the start (see mediaMessageText)
+const MAX_TEXT_CHARS = 20000;
+const ANALYZED_TEXT_CHARS = 1000;
+
+const OCR_MIMETYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/bmp'];
+
+const toolChecks = new Map(); // command -> Promise<boolean>
+
+function run(command, args, timeout = TOOL_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout, maxBuffer: 16 * 1024 * 1024 }, (err, stdout) => {
+      if (err) return reject(err);
+      resolve(stdout);
+    });
+  });
+}
+
+// Whether a command-line tool is installed (checked once per process)
+function hasTool(command) {
+  if (!toolChecks.has(command)) {
+    toolChecks.set(command, run(command, ['-v']).then(() => true).catch(err => err.code !== 'ENOENT'));
+  }
+  return toolChecks.get(command);
+}
+
+function enabled() {
+  return !/^(off|false|0|no)$/i.test(process.env.TEXT_EXTRACTION || '');
+}
+
+/** Whether this kind of file is something text can be extracted from. */
+function canExtract(mimetype) {
+  const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+  return type === 'application/pdf' || OCR_MIMETYPES.includes(type);
+}
+
+// Collapse the layout whitespace; text with hardly any letters or digits is OCR noise
+function cleanText(text) {
+  const cleaned = String(text || '')
+    .replace(/\f/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return (cleaned.match(/[\p{L}\p{N}]/gu) || []).length >= 3 ? cleaned.slice(0, MAX_TEXT_CHARS) : '';
+}
+
+async function ocrFile(file) {
+  return run('tesseract', [file, 'stdout', '-l', process.env.OCR_LANGS || 'eng+spa+por']);
+}
+
+async function extractPdf(dir, file) {
+  const hasTextTool = await hasTool('pdftotext');
+  if (hasTextTool) {
+    const text = cleanText(await run('pdftotext', ['-layout', '-l', String(PDF_MAX_PAGES), file, '-']));
+    if (text) return { text, method: 'pdf' };
+  }
+
+  // No text layer — a scan. Render the first pages and read them.
+  if (!(await hasTool('pdftoppm')) || !(await hasTool('tesseract'))) {
+    return hasTextTool ? { text: '', method: 'pdf' } : null;
+  }
+  await run('pdftoppm', ['-r', '200', '-png', '-l', String(OCR_PDF_PAGES), file, path.join(dir, 'page')]);
+  const pages = (await fs.promises.readdir(dir)).filter(f => f.startsWith('page')).sort();
+  const texts = [];
+  for (const page of pages) texts.push(await ocrFile(path.join(dir, page)));
+  return { text: cleanText(texts.join('\n\n')), method: 'ocr' };
+}
+
+/**
+ * Extract the text of one file. Resolves to { text, method: 'pdf' | 'ocr' }
+ * (text is '' when none was found), or null when extraction is off or the
+ * tool this file needs isn't installed — so it can be tried again later.
+ * Throws if a tool fails.
+ */
+async function extractText(buffer, mimetype) {
+  if (!enabled() || !buffer || !canExtract(mimetype)) return null;
+  const type = mimetype.split(';')[0].trim().toLowerCase();
+  if (type !== 'application/pdf' && !(await hasTool('tesseract'))) return null;
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cc-extract-'));
+  try {
+    const file = path.join(dir, type === 'application/pdf' ? 'input.pdf' : 'input');
+    await fs.promises.writeFile(file, buffer);
+    if (type === 'application/pdf') return await extractPdf(dir, file);
+
+    return { text: cleanText(await ocrFile(file)), method: 'ocr' };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * A media message's text for analysis: its caption followed by the start of
+ * what was read from the attachment.
+ */
+function mediaMessageText(caption, extractedText) {
+  const text = (extractedText || '').slice(0, ANALYZED_TEXT_CHARS).trim();
+  if (!text) return caption || '';
+  return caption ? `${caption}\n\n${text}` : text;
+}
+
+module.exports = {
+  extractText,
+  canExtract,
+  cleanText,
+  mediaMessageText,
+  // Shared with transcription.js
+  run,
+  hasTool
+};
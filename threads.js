@@ -0,0 +1,112 @@
+/**
+ * Threads — rebuilds the conversation around a question for
+ * /api/questions/:id/thread (Store.getQuestionThread)
+ *
+ * The thread is pieced together from the chat history captured when the
+ * question arrived plus every later message that quoted into it
+ * (question_context), the answer candidates, and the stored `messages`
+ * table for whatever was said in between. Entries that carry a WhatsApp
+ * message id are linked through the id they quote, which is how the reply
+ * chain from the messages the question builds on to its answer is traced.
+ */
+
+// Raw WhatsApp ids, as stored for senders before contacts existed
+const WHATSAPP_ID = /@(c\.us|lid|s\.whatsapp\.net)$/;
+
+// For entries without a message id: same second, same opening words
+function dedupKey(row) {
+  return `${Math.floor((row.timestamp || 0) / 1000)}|${(row.body || '').substring(0, 50)}`;
+}
+
+/**
+ * Old context rows stored the raw author id as `sender`; treat it as the
+ * sender id so the name is looked up, and show the number if it isn't.
+ */
+function normalizeSender(row) {
+  if (row.sender_id || !WHATSAPP_ID.test(row.sender || '')) return row;
+  return { ...row, sender_id: row.sender, sender: `+${row.sender.split('@')[0]}` };
+}
+
+/**
+ * Merge everything known about a question's conversation into one
+ * chronological list. Each entry has `kind` (context, question, candidate,
+ * answer or message), `msg_id` / `quoted_msg_id` where known, `reply_to`
+ * (the quoted entry's msg_id, when it is part of the thread) and
+ * `in_reply_chain` — whether it is linked to the question or its accepted
+ * answer by quotes.
+ */
+function buildThread({ question, context = [], candidates = [], messages = [] }) {
+  const entries = [];
+  const byMsgId = new Map();
+  const seen = new Map(); // dedupKey -> msg_id (null when unknown)
+
+  const add = (row, kind, extra = {}) => {
+    // Added most informative first: the question, candidates, context, messages.
+    // Two rows are the same message if their ids match, or if either has no
+    // id and they were sent the same second with the same text.
+    const key = dedupKey(row);
+    if (row.msg_id && byMsgId.has(row.msg_id)) return;
+    if (seen.has(key) && (!row.msg_id || !seen.get(key))) return;
+    if (!seen.has(key) || row.msg_id) seen.set(key, row.msg_id || null);
+
+    const entry = {
+      msg_id: row.msg_id || null,
+      quoted_msg_id: row.quoted_msg_id || null,
+      reply_to: null,
+      sender: row.sender || 'Unknown',
+      sender_id: row.sender_id || null,
+      body: row.body || '',
+      timestamp: row.timestamp,
+      kind,
+      in_reply_chain: false,
+      edited_at: row.edited_at || null,
+      deleted_at: row.deleted_at || null,
+      ...extra
+    };
+    entries.push(entry);
+    if (entry.msg_id) byMsgId.set(entry.msg_id, entry);
+  };
+
+  add(question, 'question');
+  for (const c of candidates) {
+    add(c, c.is_accepted ? 'answer' : 'candidate', { candidate_id: c.id, confidence: c.confidence, is_accepted: !!c.is_accepted });
+  }
+  for (const row of context) add(row, 'context');
+  for (const row of messages) add(row, 'message');
+
+  for (const entry of entries) {
+    if (entry.quoted_msg_id && byMsgId.has(entry.quoted_msg_id)) entry.reply_to = entry.quoted_msg_id;
+  }
+
+  // The reply chain: what the question (or the answer) quotes, transitively,
+  // and everything that replies into it
+  const chain = new Set();
+  const markAncestors = entry => {
+    while (entry && !chain.has(entry)) {
+      chain.add(entry);
+      entry = entry.reply_to ? byMsgId.get(entry.reply_to) : null;
+    }
+  };
+  markAncestors(entries[0]);
+  for (const entry of entries) {
+    if (entry.kind === 'answer') markAncestors(entry);
+  }
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const entry of entries) {
+      if (!chain.has(entry) && entry.reply_to && chain.has(byMsgId.get(entry.reply_to))) {
+        chain.add(entry);
+        grew = true;
+      }
+    }
+  }
+  for (const entry of chain) entry.in_reply_chain = true;
+
+  return entries.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+module.exports = {
+  buildThread,
+  normalizeSender
+};
@@ -0,0 +1,108 @@
+/**
+ * Transcription — turns voice notes into text, so a spoken "can you confirm
+ * the price for 200 units?" is tracked like a typed one
+ *
+ * Transcripts are produced offline by a provider chosen with
+ * TRANSCRIPTION_PROVIDER:
+ *
+ *   whisper-cpp (default) — whisper.cpp's `whisper-cli` (WHISPER_CPP_BIN) with a
+ *                           ggml model file (WHISPER_MODEL, default
+ *                           <WWEBJS_DATA_DIR>/models/ggml-base.bin). Audio is
+ *                           converted to 16 kHz WAV with ffmpeg first. Both are
+ *                           built into the Docker image.
+ *   off                   — voice notes are archived but not transcribed
+ *
+ * A provider has a `name` and `transcribe(buffer, mimetype)`, which resolves
+ * to { text, language } (text is '' when nothing was said), or null when it
+ * can't run here — its tools or model are missing — so the note is tried
+ * again later. It throws if transcription fails.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, hasTool, cleanText } = require('./text-extraction');
+
+const TRANSCRIPTION_PROVIDERS = ['whisper-cpp', 'off'];
+
+// Longer voice notes are skipped (TRANSCRIPTION_MAX_SECONDS); whisper on a
+// small CPU runs at a few times real time
+const DEFAULT_MAX_SECONDS = 300;
+const CONVERT_TIMEOUT_MS = 60000;
+const TRANSCRIBE_TIMEOUT_MS = 10 * 60000;
+
+// Whisper's annotations for non-speech: [BLANK_AUDIO], (music), [Applause] …
+const NON_SPEECH = /\[[^\]]*\]|\([^)]*\)/g;
+
+class WhisperCppTranscriber {
+  constructor({ binary, model, language } = {}) {
+    this.name = 'whisper-cpp';
+    this.binary = binary || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+    this.model = model || process.env.WHISPER_MODEL ||
+      path.join(process.env.WWEBJS_DATA_DIR || path.join(__dirname, '.wwebjs_data'), 'models', 'ggml-base.bin');
+    this.language = language || process.env.WHISPER_LANGUAGE || 'auto';
+    this._warned = false;
+  }
+
+  async _available() {
+    const missing = [];
+    if (!(await hasTool('ffmpeg'))) missing.push('ffmpeg');
+    if (!(await hasTool(this.binary))) missing.push(this.binary);
+    if (!fs.existsSync(this.model)) missing.push(`model ${this.model}`);
+    if (missing.length && !this._warned) {
+      console.warn(`[Transcription] whisper-cpp unavailable — missing ${missing.join(', ')}`);
+      this._warned = true;
+    }
+    return missing.length === 0;
+  }
+
+  async transcribe(buffer) {
+    if (!buffer || !(await this._available())) return null;
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cc-transcribe-'));
+    try {
+      const input = path.join(dir, 'input');
+      const wav = path.join(dir, 'audio.wav');
+      const output = path.join(dir, 'transcript');
+      await fs.promises.writeFile(input, buffer);
+      await run('ffmpeg', ['-nostdin', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], CONVERT_TIMEOUT_MS);
+      await run(this.binary, ['-m', this.model, '-f', wav, '-l', this.language, '-np', '-oj', '-of', output], TRANSCRIBE_TIMEOUT_MS);
+
+      const result = JSON.parse(await fs.promises.readFile(`${output}.json`, 'utf8'));
+      const spoken = (result.transcription || []).map(segment => segment.text || '').join(' ');
+      return {
+        text: cleanText(spoken.replace(NON_SPEECH, ' ')),
+        language: (result.result && result.result.language) || null
+      };
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+/** The configured transcription provider, or null when transcription is off. */
+function createTranscriber(options = {}) {
+  const provider = (options.provider || process.env.TRANSCRIPTION_PROVIDER || 'whisper-cpp').toLowerCase();
+
+  switch (provider) {
+    case 'whisper-cpp':
+      return new WhisperCppTranscriber(options);
+
+    case 'off':
+      return null;
+
+    default:
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${provider}" — expected one of: ${TRANSCRIPTION_PROVIDERS.join(', ')}`);
+  }
+}
+
+function transcriptionMaxSeconds() {
+  return parseFloat(process.env.TRANSCRIPTION_MAX_SECONDS) || DEFAULT_MAX_SECONDS;
+}
+
+module.exports = {
+  TRANSCRIPTION_PROVIDERS,
+  WhisperCppTranscriber,
+  createTranscriber,
+  transcriptionMaxSeconds
+};
@@ -0,0 +1,264 @@
+/**
+ * Outbound Webhooks — signed HTTP callbacks for ERP / ticketing integrations
+ *
+ * Admins register endpoints (URL, secret, event filter) via /api/webhooks.
+ * When an event fires, every subscribed webhook gets a delivery row in
+ * webhook_deliveries and a POST with a JSON body:
+ *
+ *   { "id": "dlv_…", "event": "approval.created", "timestamp": 1712345678901, "data": { … } }
+ *
+ * Headers:
+ *   X-Webhook-Event      the event name
+ *   X-Webhook-Delivery   the delivery id (stable across retries — use it to dedupe)
+ *   X-Webhook-Timestamp  epoch ms of this attempt
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>
+ *
+ * The first attempt is made immediately. Failures (network errors, timeouts,
+ * 5xx, 408, 429) are retried with backoff by sweep(), which server.js runs on
+ * an interval — pending retries live in the database, so they survive a
+ * restart. Other 4xx responses fail the delivery straight away.
+ *
+ * Zero external dependencies — uses Node.js built-in http/https modules.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const WEBHOOK_EVENTS = [
+  'question.created',
+  'question.answered',
+  'mention.created',
+  'dm.received',
+  'approval.created',
+  'approval.updated',
+  'approval.reviewed',
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'task.reopened',
+  'task.deleted'
+];
+
+// Delay before retry N (after attempt N failed); one more failure after the last is final
+const RETRY_DELAYS_MS = [15000, 60000, 5 * 60000, 30 * 60000, 2 * 3600000];
+const REQUEST_TIMEOUT_MS = 10000;
+
+// An attempt in flight holds its delivery this long, so sweep() can't send it twice;
+// if the process dies mid-attempt the sweep picks it up once the lease runs out
+const ATTEMPT_LEASE_MS = 3 * REQUEST_TIMEOUT_MS;
+
+// WhatsAppClient `notification` types → webhook events
+const NOTIFICATION_EVENTS = { question: 'question.created', mention: 'mention.created', dm: 'dm.received' };
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isRetryable(status) {
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} options
+   * @param {() => Promise<Store>} options.getStore — resolves the (initialized) Store
+   */
+  constructor({ getStore }) {
+    this.getStore = getStore;
+    this._sweeping = false;
+    this._sweepTimer = null;
+  }
+
+  // ── Event sources ──
+
+  /** Subscribe to Store's approval / task / question events. */
+  bindStore(store) {
+    store.on('question_answered', (data) => this.dispatch('question.answered', data));
+    store.on('approval_changed', ({ id, action }) => this._dispatchRecord(`approval.${action}`, () => store.getApproval(id), { id }));
+    store.on('task_changed', ({ id, action }) => {
+      if (action === 'deleted') return this.dispatch('task.deleted', { id });
+      this._dispatchRecord(`task.${action}`, () => store.getTask(id), { id });
+    });
+  }
+
+  /** Subscribe to a WhatsAppClient's new question / mention / DM notifications. */
+  bindClient(client) {
+    client.on('notification', (notification) => {
+      const event = NOTIFICATION_EVENTS[notification.type];
+      if (event) this.dispatch(event, notification);
+    });
+  }
+
+  // Send the full row so receivers don't have to call back into the API
+  async _dispatchRecord(event, load, fallback) {
+    let record = null;
+    try {
+      record = await load();
+    } catch (err) {
+      console.error(`[Webhooks] Failed to load ${event} record:`, err.message);
+    }
+    return this.dispatch(event, record || fallback);
+  }
+
+  // ── Delivery ──
+
+  /**
+   * Queue an event for every enabled webhook subscribed to it and make the
+   * first attempt. Never throws — webhook trouble must not break the caller.
+   */
+  async dispatch(event, data) {
+    try {
+      const store = await this.getStore();
+      const hooks = await store.getWebhooksForEvent(event);
+      await Promise.all(hooks.map(async (hook) => {
+        const deliveryId = await this._createDelivery(store, hook, event, data);
+        if (deliveryId) await this._attempt(store, hook, await store.getWebhookDelivery(deliveryId));
+      }));
+    } catch (err) {
+      console.error(`[Webhooks] dispatch ${event} error:`, err.message);
+    }
+  }
+
+  /** Send a `ping` to one webhook right away (from the settings screen). */
+  async ping(webhookId) {
+    const store = await this.getStore();
+    const hook = await store.getWebhook(webhookId);
+    if (!hook) return null;
+    const deliveryId = await this._createDelivery(store, hook, 'ping', { webhookId, message: 'Webhook is configured correctly' });
+    if (!deliveryId) return null;
+    await this._attempt(store, hook, await store.getWebhookDelivery(deliveryId));
+    return store.getWebhookDelivery(deliveryId);
+  }
+
+  /** Re-send an existing delivery (same id and payload), e.g. after fixing the receiver. */
+  async redeliver(deliveryId) {
+    const store = await this.getStore();
+    const delivery = await store.getWebhookDelivery(deliveryId);
+    if (!delivery) return null;
+    const hook = await store.getWebhook(delivery.webhook_id);
+    if (!hook) return null;
+    await store.updateWebhookDelivery(deliveryId, { status: 'pending', next_attempt_at: Date.now() + ATTEMPT_LEASE_MS });
+    await this._attempt(store, hook, { ...delivery, status: 'pending' });
+    return store.getWebhookDelivery(deliveryId);
+  }
+
+  /** Retry every pending delivery that is due. Safe to call on an interval. */
+  async sweep() {
+    if (this._sweeping) return;
+    this._sweeping = true;
+    try {
+      const store = await this.getStore();
+      const due = await store.getDueWebhookDeliveries();
+      for (const delivery of due) {
+        const hook = await store.getWebhook(delivery.webhook_id);
+        if (!hook || !hook.enabled) {
+          await store.updateWebhookDelivery(delivery.id, { status: 'failed', next_attempt_at: null, error: hook ? 'Webhook disabled' : 'Webhook deleted' });
+          continue;
+        }
+        await this._attempt(store, hook, delivery);
+      }
+    } catch (err) {
+      console.error('[Webhooks] sweep error:', err.message);
+    } finally {
+      this._sweeping = false;
+    }
+  }
+
+  startSweeping(intervalMs = 15000) {
+    if (this._sweepTimer) return;
+    this._sweepTimer = setInterval(() => this.sweep(), intervalMs);
+    this._sweepTimer.unref();
+  }
+
+  stopSweeping() {
+    clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+  }
+
+  async _createDelivery(store, hook, event, data) {
+    const payload = {
+      id: `dlv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      event,
+      timestamp: Date.now(),
+      data: data || {}
+    };
+    return store.addWebhookDelivery({ webhookId: hook.id, event, payload, nextAttemptAt: Date.now() + ATTEMPT_LEASE_MS });
+  }
+
+  async _attempt(store, hook, delivery) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Date.now();
+
+    let result;
+    try {
+      result = await this._post(hook.url, body, {
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(hook.secret, timestamp, body)
+      });
+    } catch (err) {
+      result = { status: null, body: '', error: err.message };
+    }
+
+    const ok = result.status >= 200 && result.status < 300;
+    const update = {
+      attempts,
+      response_status: result.status,
+      response_body: (result.body || '').substring(0, 1000),
+      error: ok ? null : (result.error || `HTTP ${result.status}`)
+    };
+
+    if (ok) {
+      Object.assign(update, { status: 'delivered', delivered_at: Date.now(), next_attempt_at: null });
+    } else if (isRetryable(result.status) && attempts <= RETRY_DELAYS_MS.length) {
+      update.next_attempt_at = Date.now() + RETRY_DELAYS_MS[attempts - 1];
+    } else {
+      Object.assign(update, { status: 'failed', next_attempt_at: null });
+      console.error(`[Webhooks] ${delivery.event} → ${hook.url} failed after ${attempts} attempt(s): ${update.error}`);
+    }
+
+    await store.updateWebhookDelivery(delivery.id, update);
+    return ok;
+  }
+
+  _post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      let target;
+      try {
+        target = new URL(url);
+      } catch {
+        return reject(new Error(`Invalid webhook URL: ${url}`));
+      }
+      const transport = target.protocol === 'http:' ? http : https;
+
+      const req = transport.request(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'WhatsApp-Command-Center-Webhooks/1.0',
+          ...headers
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { if (data.length < 4000) data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: data }));
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+      req.on('error', reject);
+      req.write(body);
+      req.end();
+    });
+  }
+}
+
+module.exports = { WebhookDispatcher, WEBHOOK_EVENTS, generateSecret, sign };
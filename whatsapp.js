@@ -3,10 +3,34 @@ const { EventEmitter } = require('events');
 const path = require('path');
 const fs = require('fs');
 const QRCode = require('qrcode');
+const { Outbox } = require('./outbox');
+const { mediaKind, mediaMaxBytes, publicMedia } = require('./media-archive');
+const { extractText, canExtract, mediaMessageText } = require('./text-extraction');
+const { createTranscriber, transcriptionMaxSeconds } = require('./transcription');
 
 // Data directory for WhatsApp auth session (server-side, no Electron)
 const DATA_DIR = process.env.WWEBJS_DATA_DIR || path.join(__dirname, '.wwebjs_data');
 
+// Chat history kept with a new question, and how far back its quotes are followed
+const QUESTION_HISTORY_LIMIT = 20;
+const QUOTE_CHAIN_MAX_DEPTH = 10;
+
+function serializedId(message) {
+  return message && message.id ? (message.id._serialized || message.id.id) : null;
+}
+
+// The WhatsApp id that wrote `message` as it came in (the participant in groups)
+function rawAuthorId(message) {
+  const id = message.author || message.from;
+  return id ? String(id._serialized || id) : null;
+}
+
+// The JPEG preview WhatsApp sends inline with images, videos and some documents
+function whatsappThumbnail(message) {
+  const preview = message && message._data && message._data.body;
+  return typeof preview === 'string' && preview.startsWith('/9j/') ? preview : null;
+}
+
 // Find a usable Chrome/Chromium binary on the system
 function findChromePath() {
   const candidates = [
@@ -47,6 +71,17 @@ class WhatsAppService extends EventEmitter {
     this.aiClassifier = aiClassifier;
     this.client = null;
     this.ready = false;
+
+    // Outgoing messages go through the durable, rate-limited queue
+    this.outbox = new Outbox(store, {
+      send: (message, media) => this._deliverOutbound(message, media),
+      isReady: () => this.ready
+    });
+    this.outbox.on('status', (update) => this.emit('outbox_status', update));
+
+    // Incoming attachments are archived one at a time (see _queueMediaArchive)
+    this._mediaQueue = Promise.resolve();
+    this.transcriber = createTranscriber();
   }
 
   async initialize() {
@@ -171,6 +206,7 @@ class WhatsAppService extends EventEmitter {
         await this.store.setMyLid(info.lid._serialized);
       }
 
+      this.outbox.start();
       this.emit('ready');
     });
 
@@ -189,27 +225,59 @@ class WhatsAppService extends EventEmitter {
         try {
           const chatId = message.to || message.from;
           const trackName = await this.store.getTrackName();
+          const me = await this._resolveSender(message);
 
           let chat;
           try { chat = await message.getChat(); } catch { /* ok */ }
           const chatName = (chat && chat.name) ? chat.name : chatId;
           const timestamp = message.timestamp ? message.timestamp * 1000 : Date.now();
 
+          // Quoted message info (stored with the message and used for answer detection)
+          const outMsgId = serializedId(message);
+          let quotedMsgBody = null;
+          let quotedMsgSender = null;
+          let quotedMsgSenderId = null;
+          let quotedMsgId = null;
+          let isQuotedReply = false;
+          try {
+            if (message.hasQuotedMsg) {
+              isQuotedReply = true;
+              const quoted = await message.getQuotedMessage();
+              if (quoted) {
+                quotedMsgBody = (quoted.body || '').substring(0, 500);
+                quotedMsgId = serializedId(quoted);
+                const quotedSender = await this._resolveSender(quoted);
+                quotedMsgSender = quotedSender.name;
+                quotedMsgSenderId = quotedSender.id;
+              }
+            }
+          } catch { /* ok */ }
+
           if (chat && chat.isGroup) {
-            await this.store.recordGroupMessage({
+            const recorded = await this.store.recordGroupMessage({
               chatId,
               chatName,
               sender: trackName || 'Me',
+              senderId: me.id,
               body: message.body || '',
               timestamp,
               hasMedia: message.hasMedia || false,
-              mediaType: message.type || 'chat'
+              mediaType: message.type || 'chat',
+              msgId: outMsgId,
+              quotedMsgId,
+              authorId: rawAuthorId(message)
             });
+            // Already handled (WhatsApp can emit message_create twice)
+            if (recorded === false) return;
+            if (quotedMsgId) {
+              await this.store.linkThreadReply({ chatId, msgId: outMsgId, quotedMsgId, sender: trackName || 'Me', senderId: me.id, body: message.body || '', timestamp });
+            }
           } else if (chat && !chat.isGroup) {
             await this.store.addDirectMessage({
               chatId,
               chatName: chatName || 'DM',
               sender: trackName || 'You',
+              senderId: me.id,
               body: (message.body || '').substring(0, 500),
               timestamp,
               hasMedia: message.hasMedia || false,
@@ -219,34 +287,17 @@ class WhatsAppService extends EventEmitter {
           }
 
           // Smart answer detection for our own messages
-          const outMsgId = message.id ? (message.id._serialized || message.id.id) : null;
-          let quotedMsgBody = null;
-          let quotedMsgSender = null;
-          let isQuotedReply = false;
-          try {
-            if (message.hasQuotedMsg) {
-              isQuotedReply = true;
-              const quoted = await message.getQuotedMessage();
-              if (quoted) {
-                quotedMsgBody = (quoted.body || '').substring(0, 500);
-                try {
-                  const quotedContact = await quoted.getContact();
-                  quotedMsgSender = quotedContact.pushname || quotedContact.name || quotedContact.number || 'Unknown';
-                } catch {
-                  quotedMsgSender = quoted.from || 'Unknown';
-                }
-              }
-            }
-          } catch { /* ok */ }
-
           await this.store.checkForAnswers({
             chatId,
             sender: trackName || 'Me',
+            senderId: me.id,
             body: message.body || '',
             timestamp: message.timestamp ? message.timestamp * 1000 : Date.now(),
             msgId: outMsgId,
+            quotedMsgId,
             quotedMsgBody,
             quotedMsgSender,
+            quotedMsgSenderId,
             isQuotedReply,
             isMyMessage: true,
             recentMsgCount: 0,
@@ -260,6 +311,40 @@ class WhatsAppService extends EventEmitter {
       }
     });
 
+    // ── Edits, Deletions, Reactions ──
+    this.client.on('message_edit', async (message, newBody, prevBody) => {
+      try {
+        await this._handleEdit(message, newBody, prevBody);
+      } catch (err) {
+        console.error('Error handling message edit:', err);
+      }
+    });
+
+    this.client.on('message_revoke_everyone', async (message, revokedMsg) => {
+      try {
+        await this._handleRevoke(message, revokedMsg);
+      } catch (err) {
+        console.error('Error handling message deletion:', err);
+      }
+    });
+
+    this.client.on('message_reaction', async (reaction) => {
+      try {
+        await this._handleReaction(reaction);
+      } catch (err) {
+        console.error('Error handling reaction:', err);
+      }
+    });
+
+    // ── Delivery Receipts ──
+    this.client.on('message_ack', async (message, ack) => {
+      try {
+        await this._handleAck(message, ack);
+      } catch (err) {
+        console.error('Error handling message ack:', err);
+      }
+    });
+
     // ── State Change ──
     this.client.on('change_state', (state) => {
       console.log(`[STATE] WhatsApp state changed to: ${state}`);
@@ -301,36 +386,66 @@ class WhatsAppService extends EventEmitter {
     const chatId = chat.id._serialized;
     const isGroupChat = chat.isGroup;
 
-    // Get sender info
-    let senderName = 'Unknown';
-    try {
-      const contact = await message.getContact();
-      senderName = contact.pushname || contact.name || contact.number || 'Unknown';
-    } catch {
-      senderName = message.from || 'Unknown';
-    }
+    // Get sender info — stored by contact id, the name is for logs and notifications
+    const { id: senderId, name: senderName } = await this._resolveSender(message);
 
     const timestamp = message.timestamp * 1000 || Date.now();
     const hasMedia = message.hasMedia || false;
     const mediaType = message.type || 'chat';
 
+    // Get message ID and quoted message info (stored with the message, used by question tracking and answer detection)
+    const msgId = serializedId(message);
+    let quotedMsgBody = null;
+    let quotedMsgSender = null;
+    let quotedMsgSenderId = null;
+    let quotedMsgId = null;
+    let isQuotedReply = false;
+    try {
+      if (message.hasQuotedMsg) {
+        isQuotedReply = true;
+        const quoted = await message.getQuotedMessage();
+        if (quoted) {
+          quotedMsgBody = (quoted.body || '').substring(0, 500);
+          quotedMsgId = serializedId(quoted);
+          const quotedSender = await this._resolveSender(quoted);
+          quotedMsgSender = quotedSender.name;
+          quotedMsgSenderId = quotedSender.id;
+        }
+      }
+    } catch {
+      // Quoted message retrieval failed
+    }
+
     // ── ALWAYS record group activity for dashboard ──
+    let mediaJob = null;
     if (isGroupChat) {
-      await this.store.recordGroupMessage({
+      const recorded = await this.store.recordGroupMessage({
         chatId,
         chatName,
         sender: senderName,
+        senderId,
         body: message.body,
         timestamp,
         hasMedia,
-        mediaType
+        mediaType,
+        msgId,
+        quotedMsgId,
+        authorId: rawAuthorId(message)
       });
+      // WhatsApp redelivers messages after a reconnect; each is handled once
+      if (recorded === false) return;
 
       // Skip all further processing if group is fully ignored
       const isIgnored = await this.store.isGroupIgnored(chatId);
       if (isIgnored) {
         return;
       }
+
+      // Archive the attachment and read its text in the background — OCR and
+      // transcription queue behind other files, so the caption is analyzed
+      // now and what the PDF, photo or voice note says once it's read
+      // (see _analyzeAttachmentText)
+      if (this._archivable(message)) mediaJob = this._queueMediaArchive(message, chatId);
     }
 
     // Auto-learn LID
@@ -355,7 +470,8 @@ class WhatsAppService extends EventEmitter {
     }
 
     // Analyze the message
-    const analysis = this.analyzer.analyze(message, myId, myLid, isGroupChat);
+    await this._loadAnalyzerRules();
+    const analysis = this.analyzer.analyze(message, myId, myLid, isGroupChat, { chatId });
 
     if (analysis.isMention || analysis.isDirectedQuestion || analysis.isDirectMessage) {
       const tags = [];
@@ -366,11 +482,13 @@ class WhatsAppService extends EventEmitter {
     }
 
     let updated = false;
+    const ctx = { message, chat, chatId, chatName, isGroupChat, senderName, senderId, timestamp, msgId, quotedMsgId, quotedMsgBody, myId, myLid };
 
     const msgData = {
       chatId,
       chatName,
       sender: senderName,
+      senderId,
       body: (message.body || '').substring(0, 500),
       timestamp,
       hasMedia,
@@ -389,141 +507,28 @@ class WhatsAppService extends EventEmitter {
       updated = true;
     }
 
-    // Get message ID and quoted message info (used by both question tracking and answer detection)
-    const msgId = message.id ? (message.id._serialized || message.id.id) : null;
-    let quotedMsgBody = null;
-    let quotedMsgSender = null;
-    let isQuotedReply = false;
-    try {
-      if (message.hasQuotedMsg) {
-        isQuotedReply = true;
-        const quoted = await message.getQuotedMessage();
-        if (quoted) {
-          quotedMsgBody = (quoted.body || '').substring(0, 500);
-          try {
-            const quotedContact = await quoted.getContact();
-            quotedMsgSender = quotedContact.pushname || quotedContact.name || quotedContact.number || 'Unknown';
-          } catch {
-            quotedMsgSender = quoted.from || 'Unknown';
-          }
-        }
-      }
-    } catch {
-      // Quoted message retrieval failed
-    }
+    // Reply-rate stats for message templates
+    await this.store.recordTemplateReply({ chatId, quotedMsgId, timestamp });
 
     if (analysis.isQuestion) {
-      const questionId = await this.store.addQuestion({
-        ...msgData,
-        msgId,
-        questionAnalysis: analysis.questionAnalysis || {}
-      });
-
-      // Store context messages around the question (recent chat history)
-      if (questionId && isGroupChat) {
-        try {
-          const recentMsgs = await chat.fetchMessages({ limit: 6 });
-          const contextMessages = recentMsgs
-            .filter(m => m.id._serialized !== msgId)
-            .slice(-5)
-            .map(m => ({
-              msgId: m.id ? (m.id._serialized || m.id.id) : null,
-              chatId,
-              sender: m.fromMe ? 'Me' : (m.author || m.from || 'Unknown'),
-              body: (m.body || '').substring(0, 300),
-              timestamp: m.timestamp ? m.timestamp * 1000 : Date.now(),
-              isBefore: (m.timestamp || 0) * 1000 < timestamp
-            }));
-          if (contextMessages.length > 0) {
-            await this.store.addQuestionContext(questionId, contextMessages);
-          }
-        } catch (err) {
-          console.error('[Context] Failed to fetch context messages:', err.message);
-        }
-      }
-
-      // Queue for AI verification (async — won't block message processing)
-      if (this.aiClassifier && questionId) {
-        this.aiClassifier.queueMessage({
-          id: questionId,
-          body: message.body || '',
-          sender: senderName,
-          chatName,
-          isGroupChat,
-          regexResult: analysis.questionAnalysis,
-          onClassified: async (id, aiResult) => {
-            await this.store.updateQuestionAIClassification(id, aiResult);
-          }
-        });
-      }
-
+      await this._raiseQuestion(ctx, analysis);
       updated = true;
     }
 
     // For non-question messages in groups, queue for AI classification
-    // (AI might catch questions that regex missed)
-    if (isGroupChat && !analysis.isQuestion && this.aiClassifier) {
-      this.aiClassifier.queueMessage({
-        id: `msg_check_${msgId || Date.now()}`,
-        body: message.body || '',
-        sender: senderName,
-        chatName,
-        isGroupChat,
-        regexResult: null,
-        onClassified: async (id, aiResult) => {
-          // If AI detected a question regex missed, promote it
-          if (aiResult && aiResult.intent === 'question' && aiResult.confidence >= 0.7) {
-            await this.store.promoteMessageToQuestion({
-              chat_id: chatId,
-              chat_name: chatName,
-              sender: senderName,
-              body: (message.body || '').substring(0, 500),
-              timestamp,
-              id: msgId
-            }, aiResult);
-            console.log(`[AI] Caught missed question: "${(message.body || '').substring(0, 40)}..." from ${senderName}`);
-          }
+    // (AI might catch questions that regex missed). Attachments wait for
+    // their text so the AI sees it too.
+    if (mediaJob) {
+      mediaJob
+        .then(file => this._analyzeAttachmentText(ctx, file, analysis))
+        .catch(err => console.error('[Media] Attachment text analysis failed:', err.message));
+    } else if (isGroupChat && !analysis.isQuestion && this.aiClassifier) {
+      this._queueAICheck(ctx);
+    }
 
-          // If AI detected an approval (response to an offer sheet)
-          if (aiResult && aiResult.intent === 'approval' && aiResult.confidence >= 0.5) {
-            // Gather context messages for reference
-            let contextMsgs = [];
-            try {
-              const recent = await chat.fetchMessages({ limit: 8 });
-              contextMsgs = recent
-                .filter(m => (m.id._serialized || m.id.id) !== msgId)
-                .slice(-6)
-                .map(m => ({
-                  sender: m.fromMe ? 'Me' : (m.author || m.from || 'Unknown'),
-                  body: (m.body || '').substring(0, 300),
-                  timestamp: m.timestamp ? m.timestamp * 1000 : Date.now()
-                }));
-            } catch { /* ok */ }
-
-            const approvalStatus = aiResult.summary?.toLowerCase().includes('reject') ? 'rejected'
-              : aiResult.summary?.toLowerCase().includes('condition') ? 'conditional'
-              : 'approved';
-
-            await this.store.addApproval({
-              chatId,
-              chatName,
-              sender: senderName,
-              body: (message.body || '').substring(0, 500),
-              timestamp,
-              offerSheetRef: quotedMsgBody ? quotedMsgBody.substring(0, 200) : '',
-              offerDescription: aiResult.summary || '',
-              status: approvalStatus,
-              confidence: aiResult.confidence,
-              aiSummary: aiResult.summary || '',
-              conditions: '',
-              sourceMessageId: null,
-              msgId,
-              contextMessages: contextMsgs
-            });
-            console.log(`[Approval] Detected ${approvalStatus} from ${senderName} in ${chatName}`);
-          }
-        }
-      });
+    // Replies quoting into a question's thread become part of it
+    if (isGroupChat && quotedMsgId) {
+      await this.store.linkThreadReply({ chatId, msgId, quotedMsgId, sender: senderName, senderId, body: message.body || '', timestamp });
     }
 
     // Check if non-question messages answer a pending question
@@ -538,11 +543,14 @@ class WhatsAppService extends EventEmitter {
       await this.store.checkForAnswers({
         chatId,
         sender: senderName,
+        senderId,
         body: message.body || '',
         timestamp,
         msgId,
+        quotedMsgId,
         quotedMsgBody,
         quotedMsgSender,
+        quotedMsgSenderId,
         isQuotedReply,
         isMyMessage: false,
         recentMsgCount,
@@ -555,33 +563,559 @@ class WhatsAppService extends EventEmitter {
     }
   }
 
-  // ── Outgoing Messages ──
+  // ── Questions and AI Checks ──
+  // Shared by the live handler and the second look at an attachment's text.
+  // `ctx` is the message with its chat, sender and quoted-message details.
 
-  async sendMessage(chatId, text, mentionIds = []) {
-    if (!this.ready || !this.client) {
-      throw new Error('WhatsApp not connected');
+  /** Record a detected question, with its chat history, and queue it for AI verification. */
+  async _raiseQuestion(ctx, analysis) {
+    const { message, chat, chatId, chatName, isGroupChat, senderName, senderId, timestamp, msgId, quotedMsgId } = ctx;
+    const questionId = await this.store.addQuestion({
+      chatId,
+      chatName,
+      sender: senderName,
+      senderId,
+      body: (message.body || '').substring(0, 500),
+      timestamp,
+      hasMedia: message.hasMedia || false,
+      mediaType: message.type || 'chat',
+      msgId,
+      quotedMsgId,
+      questionAnalysis: analysis.questionAnalysis || {}
+    });
+    if (questionId) {
+      this.emit('notification', { type: 'question', id: questionId, sender: senderName, body: (message.body || '').substring(0, 120), chatId, chatName, timestamp });
     }
-    try {
-      const options = {};
-      if (mentionIds.length > 0) {
-        const mentions = [];
-        for (const mid of mentionIds) {
+
+    // Store the chat history leading up to the question
+    if (questionId && isGroupChat) {
+      try {
+        const contextMessages = await this._questionHistory(chat, message, chatId);
+        if (contextMessages.length > 0) {
+          await this.store.addQuestionContext(questionId, contextMessages);
+        }
+      } catch (err) {
+        console.error('[Context] Failed to fetch context messages:', err.message);
+      }
+    }
+
+    // Queue for AI verification (async — won't block message processing)
+    if (this.aiClassifier && questionId) {
+      this.aiClassifier.queueMessage({
+        id: questionId,
+        body: message.body || '',
+        sender: senderName,
+        chatName,
+        isGroupChat,
+        regexResult: analysis.questionAnalysis,
+        onClassified: async (id, aiResult) => {
+          await this.store.updateQuestionAIClassification(id, aiResult);
+        }
+      });
+    }
+
+    return questionId;
+  }
+
+  /** Ask the AI about a message the regex analyzer passed over: a missed question, or an approval. */
+  _queueAICheck(ctx) {
+    const { message, chat, chatId, chatName, isGroupChat, senderName, senderId, timestamp, msgId, quotedMsgId, quotedMsgBody } = ctx;
+    this.aiClassifier.queueMessage({
+      id: `msg_check_${msgId || Date.now()}`,
+      body: message.body || '',
+      sender: senderName,
+      chatName,
+      isGroupChat,
+      regexResult: null,
+      onClassified: async (id, aiResult) => {
+        // If AI detected a question regex missed, promote it
+        if (aiResult && aiResult.intent === 'question' && aiResult.confidence >= 0.7) {
+          await this.store.promoteMessageToQuestion({
+            chat_id: chatId,
+            chat_name: chatName,
+            sender: senderName,
+            sender_id: senderId,
+            body: (message.body || '').substring(0, 500),
+            timestamp,
+            id: msgId,
+            quoted_msg_id: quotedMsgId
+          }, aiResult);
+          console.log(`[AI] Caught missed question: "${(message.body || '').substring(0, 40)}..." from ${senderName}`);
+        }
+
+        // If AI detected an approval (response to an offer sheet)
+        if (aiResult && aiResult.intent === 'approval' && aiResult.confidence >= 0.5) {
+          // Gather context messages for reference
+          let contextMsgs = [];
           try {
-            const contact = await this.client.getContactById(mid);
-            if (contact) mentions.push(contact);
-          } catch (e) { /* skip unresolvable */ }
+            const recent = await chat.fetchMessages({ limit: 8 });
+            contextMsgs = recent
+              .filter(m => (m.id._serialized || m.id.id) !== msgId)
+              .slice(-6)
+              .map(m => ({
+                sender: m.fromMe ? 'Me' : (m.author || m.from || 'Unknown'),
+                body: (m.body || '').substring(0, 300),
+                timestamp: m.timestamp ? m.timestamp * 1000 : Date.now()
+              }));
+          } catch { /* ok */ }
+
+          // Link to the registered offer this reply is about
+          const offer = await this.store.findOfferSheetForReply({ chatId, quotedMsgId, timestamp });
+
+          // Pull the actual terms (quantities, prices, conditions, deadline) out of the reply
+          const terms = await this.aiClassifier.extractApproval(message.body || '', {
+            sender: senderName,
+            chatName,
+            timestamp,
+            offer,
+            quotedBody: quotedMsgBody,
+            contextMessages: contextMsgs
+          });
+
+          // Without an extraction, fall back to guessing from the classifier summary
+          const approvalStatus = terms
+            ? (terms.decision === 'unclear' ? 'pending_review' : terms.decision)
+            : aiResult.summary?.toLowerCase().includes('reject') ? 'rejected'
+            : aiResult.summary?.toLowerCase().includes('condition') ? 'conditional'
+            : 'approved';
+
+          await this.store.addApproval({
+            chatId,
+            chatName,
+            sender: senderName,
+            senderId,
+            body: (message.body || '').substring(0, 500),
+            timestamp,
+            offerSheetId: offer ? offer.id : null,
+            offerSheetRef: quotedMsgBody ? quotedMsgBody.substring(0, 200) : (offer ? offer.title : ''),
+            offerDescription: aiResult.summary || '',
+            status: approvalStatus,
+            confidence: terms ? terms.confidence : aiResult.confidence,
+            aiSummary: (terms && terms.summary) || aiResult.summary || '',
+            conditions: terms ? terms.conditions : '',
+            lineItems: terms ? terms.lineItems : [],
+            currency: terms ? terms.currency : null,
+            deadline: terms ? terms.deadline : null,
+            deadlineText: terms ? terms.deadlineText : null,
+            extractedBy: terms ? terms.extractedBy : 'none',
+            sourceMessageId: quotedMsgId,
+            msgId,
+            contextMessages: contextMsgs
+          });
+          console.log(`[Approval] Detected ${approvalStatus} from ${senderName} in ${chatName}${offer ? ` (offer "${offer.title}")` : ''}`);
         }
-        if (mentions.length > 0) options.mentions = mentions;
       }
-      await this.client.sendMessage(chatId, text, options);
-      console.log(`[SENT] Message to ${chatId}${mentionIds.length ? ` (mentions: ${mentionIds.length})` : ''}`);
-      return { success: true };
+    });
+  }
+
+  /**
+   * Second pass over an attachment once it's archived: if its caption wasn't
+   * a question, analyze the caption plus the text read from the file and
+   * raise the question (or queue the AI check for an approval) then.
+   */
+  async _analyzeAttachmentText(ctx, file, captionAnalysis) {
+    if (captionAnalysis.isQuestion) return;
+    const { message, chatId, myId, myLid } = ctx;
+    if (file && file.extracted_text) {
+      message.body = mediaMessageText(message.body, file.extracted_text);
+      await this._loadAnalyzerRules();
+      const analysis = this.analyzer.analyze(message, myId, myLid, true, { chatId });
+      if (analysis.isQuestion) {
+        await this._raiseQuestion(ctx, analysis);
+        this.emit('data_updated');
+        return;
+      }
+    }
+    if (this.aiClassifier) this._queueAICheck(ctx);
+  }
+
+  // ── Analyzer Rules ──
+  // Admin-managed keywords, filters and priority weights (analyzer-rules.js)
+  // are re-applied before analysis, so edits take effect without a restart.
+
+  async _loadAnalyzerRules() {
+    try {
+      this.analyzer.setRules(await this.store.getAnalyzerRuleset());
     } catch (err) {
-      console.error('[SEND ERR]', err.message);
-      throw err;
+      console.error('[Analyzer] Failed to load rules:', err.message);
     }
   }
 
+  // ── Edits, Deletions, Reactions ──
+
+  // The chat a message belongs to, by id and name; null for ignored groups
+  async _eventChat(chatId) {
+    if (!chatId) return null;
+    if (chatId.endsWith('@g.us') && await this.store.isGroupIgnored(chatId)) return null;
+    let chatName = chatId;
+    try {
+      const chat = await this.client.getChatById(chatId);
+      if (chat && chat.name) chatName = chat.name;
+    } catch { /* keep the id */ }
+    return { chatId, chatName };
+  }
+
+  async _handleEdit(message, newBody, prevBody) {
+    const chat = await this._eventChat(message.fromMe ? message.to : message.from);
+    if (!chat) return;
+    const { id: senderId, name: senderName } = await this._resolveSender(message);
+    const body = newBody !== undefined ? newBody : message.body;
+    console.log(`[Edit] ${senderName} in ${chat.chatName}: "${(prevBody || '').substring(0, 30)}" → "${(body || '').substring(0, 30)}"`);
+
+    const msgId = serializedId(message);
+    const { questionIds, approvalIds, message: stored, hasQuestion } = await this.store.recordMessageEdit({
+      ...chat,
+      msgId,
+      body,
+      sender: senderName,
+      senderId,
+      timestamp: Date.now()
+    });
+
+    // Edited questions are classified again on their new text, and a group
+    // message edited into a question is raised like a new one
+    if (!message.fromMe && (questionIds.length || (stored && !hasQuestion))) {
+      message.body = body;
+      const isGroupChat = chat.chatId.endsWith('@g.us');
+      const myId = await this.store.getMyId();
+      const myLid = await this.store.getMyLid();
+      await this._loadAnalyzerRules();
+      const analysis = this.analyzer.analyze(message, myId, myLid, isGroupChat, { chatId: chat.chatId });
+      if (analysis.isQuestion) {
+        for (const questionId of questionIds) {
+          await this.store.updateQuestionAnalysis(questionId, analysis.questionAnalysis);
+        }
+        if (stored && !hasQuestion) {
+          const waChat = await this.client.getChatById(chat.chatId).catch(() => null);
+          await this._raiseQuestion({
+            message,
+            chat: waChat,
+            ...chat,
+            isGroupChat,
+            senderName,
+            senderId,
+            timestamp: stored.timestamp,
+            msgId,
+            quotedMsgId: stored.quoted_msg_id || null
+          }, analysis);
+          console.log(`[Edit] "${(body || '').substring(0, 40)}" is now a question`);
+        }
+      }
+    }
+
+    // An edited approval usually means changed terms — read them again
+    if (this.aiClassifier) {
+      for (const approvalId of approvalIds) {
+        const approval = await this.store.getApproval(approvalId);
+        const offer = approval && approval.offer_sheet_id ? await this.store.getOfferSheet(approval.offer_sheet_id) : null;
+        const terms = await this.aiClassifier.extractApproval(body || '', {
+          sender: senderName,
+          chatName: chat.chatName,
+          timestamp: approval ? approval.timestamp : Date.now(),
+          offer,
+          contextMessages: approval ? approval.context_messages : []
+        });
+        if (terms) await this.store.setApprovalTerms(approvalId, terms);
+      }
+    }
+    this.emit('data_updated');
+  }
+
+  // `message` is the revoked message (same id as the original); `revokedMsg`
+  // the original, when WhatsApp Web still had it
+  async _handleRevoke(message, revokedMsg) {
+    const original = revokedMsg || message;
+    const chat = await this._eventChat(original.fromMe ? original.to : original.from);
+    if (!chat) return;
+    const { id: senderId, name: senderName } = await this._resolveSender(original);
+
+    const { questionIds } = await this.store.recordMessageRevoke({
+      ...chat,
+      msgId: serializedId(message) || serializedId(revokedMsg),
+      sender: senderName,
+      senderId,
+      timestamp: Date.now()
+    });
+    console.log(`[Delete] ${senderName} deleted a message in ${chat.chatName}${questionIds.length ? ' (question dismissed)' : ''}`);
+    this.emit('data_updated');
+  }
+
+  async _handleReaction(reaction) {
+    const target = reaction.msgId || {};
+    const msgId = target._serialized || null;
+    const remote = target.remote;
+    const chat = await this._eventChat(remote ? String(remote._serialized || remote) : null);
+    if (!chat || !msgId) return;
+
+    // Reactions carry only the reactor's id — shape it like a message for _resolveSender
+    const fromMe = !!(reaction.id && reaction.id.fromMe);
+    const { id: senderId, name: senderName } = await this._resolveSender({
+      fromMe,
+      author: reaction.senderId,
+      from: chat.chatId,
+      timestamp: reaction.timestamp,
+      getContact: () => this.client.getContactById(reaction.senderId)
+    });
+
+    const approvalId = await this.store.recordReaction({
+      ...chat,
+      msgId,
+      emoji: reaction.reaction || '',
+      sender: senderName,
+      senderId,
+      timestamp: reaction.timestamp ? reaction.timestamp * 1000 : Date.now()
+    });
+    if (approvalId) console.log(`[Approval] ${senderName} reacted ${reaction.reaction} to an offer in ${chat.chatName}`);
+    this.emit('data_updated');
+  }
+
+  // ── Media Archive ──
+  // Attachments are downloaded once and kept (see media-archive.js), and
+  // PDFs and photos have their text read (text-extraction.js). Both run one
+  // file at a time so a burst of videos or scans can't swamp the server.
+
+  // An incoming attachment of a kind the archive keeps
+  _archivable(message) {
+    return !!(message && !message.fromMe && message.hasMedia && mediaKind(message.type));
+  }
+
+  /** Archive an incoming attachment in turn. Resolves to the media_files row, or null. */
+  _queueMediaArchive(message, chatId) {
+    if (!this._archivable(message)) return Promise.resolve(null);
+    const job = this._mediaQueue.then(() => this._archiveMedia(message, chatId));
+    this._mediaQueue = job.catch(() => {});
+    return job.catch(err => {
+      console.error('[Media] Archive failed:', err.message);
+      return null;
+    });
+  }
+
+  /** Download one message's attachment into the archive. Resolves to the media_files row, or null. */
+  async _archiveMedia(message, chatId) {
+    const msgId = serializedId(message);
+    const size = message._data && message._data.size;
+    if (size && size > mediaMaxBytes()) {
+      console.log(`[Media] Not archiving ${msgId} — ${Math.round(size / 1048576)} MB is over MEDIA_MAX_MB`);
+      return null;
+    }
+
+    // Backfill hands over plain message data — fetch the real message to download
+    if (typeof message.downloadMedia !== 'function') {
+      message = msgId && this.client ? await this.client.getMessageById(msgId) : null;
+      if (!message) return null;
+    }
+
+    const media = await message.downloadMedia();
+    if (!media || !media.data) return null; // gone from WhatsApp's servers
+    if (Buffer.byteLength(media.data, 'base64') > mediaMaxBytes()) return null;
+
+    const file = await this.store.archiveMedia({
+      chatId,
+      msgId,
+      kind: mediaKind(message.type),
+      data: media.data,
+      mimetype: media.mimetype,
+      filename: media.filename || null,
+      thumbnail: whatsappThumbnail(message)
+    });
+    if (!file || file.text_extracted_at) return file;
+    if (message.type === 'ptt') return (await this._transcribeVoiceNote(file, Buffer.from(media.data, 'base64'), message)) || file;
+    if (!canExtract(file.mimetype)) return file;
+    return (await this._extractMediaText(file, Buffer.from(media.data, 'base64'))) || file;
+  }
+
+  // Read an archived file's text. Left unmarked if the tool it needs isn't installed, so it's tried again next time.
+  async _extractMediaText(file, buffer) {
+    let result;
+    try {
+      result = await extractText(buffer, file.mimetype);
+    } catch (err) {
+      console.error(`[Media] Text extraction failed for ${file.filename || file.id}:`, err.message);
+      return this.store.setMediaText(file.id, { text: null, error: err.message });
+    }
+    if (!result) return null;
+    if (result.text) console.log(`[Media] Read ${result.text.length} chars (${result.method}) from ${file.filename || file.kind}`);
+    return this.store.setMediaText(file.id, result);
+  }
+
+  // Transcribe a voice note; like _extractMediaText, left unmarked if the provider can't run here
+  async _transcribeVoiceNote(file, buffer, message) {
+    if (!this.transcriber) return null;
+    const duration = parseFloat(message._data && message._data.duration) || 0;
+    if (duration > transcriptionMaxSeconds()) {
+      return this.store.setMediaText(file.id, { text: null, error: `${Math.round(duration)}s is over TRANSCRIPTION_MAX_SECONDS` });
+    }
+
+    let result;
+    try {
+      result = await this.transcriber.transcribe(buffer, file.mimetype);
+    } catch (err) {
+      console.error(`[Media] Transcription failed for ${file.id}:`, err.message);
+      return this.store.setMediaText(file.id, { text: null, error: err.message });
+    }
+    if (!result) return null;
+    if (result.text) console.log(`[Media] Transcribed a ${Math.round(duration)}s voice note (${result.language || 'unknown language'})`);
+    return this.store.setMediaText(file.id, { text: result.text, method: 'transcription', language: result.language });
+  }
+
+  // ── Question Threads ──
+
+  /**
+   * Context for a new question: the messages before it in the chat, plus
+   * anything further back that it quotes (and what that quotes), with
+   * senders resolved to contacts and quoted ids kept for the reply links.
+   */
+  async _questionHistory(chat, message, chatId) {
+    const msgId = serializedId(message);
+    const recent = await chat.fetchMessages({ limit: QUESTION_HISTORY_LIMIT + 1 });
+    const history = recent.filter(m => serializedId(m) !== msgId).slice(-QUESTION_HISTORY_LIMIT);
+
+    const included = new Set(history.map(serializedId));
+    let current = message;
+    for (let depth = 0; depth < QUOTE_CHAIN_MAX_DEPTH && current.hasQuotedMsg; depth++) {
+      const quoted = await current.getQuotedMessage().catch(() => null);
+      if (!quoted || included.has(serializedId(quoted))) break;
+      included.add(serializedId(quoted));
+      history.push(quoted);
+      current = quoted;
+    }
+
+    const questionTs = message.timestamp || 0;
+    const context = [];
+    for (const m of history.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))) {
+      const sender = await this._resolveSender(m);
+      context.push({
+        msgId: serializedId(m),
+        quotedMsgId: await this._quotedMsgId(m),
+        chatId,
+        sender: sender.name,
+        senderId: sender.id,
+        body: (m.body || '').substring(0, 300),
+        timestamp: m.timestamp ? m.timestamp * 1000 : Date.now(),
+        isBefore: (m.timestamp || 0) < questionTs
+      });
+    }
+    return context;
+  }
+
+  async _quotedMsgId(message) {
+    if (!message.hasQuotedMsg) return null;
+    try {
+      return serializedId(await message.getQuotedMessage());
+    } catch {
+      return null;
+    }
+  }
+
+  // ── Sender Identity ──
+
+  /**
+   * Who sent `message`, as { id, name }: `id` is the contacts row it's stored
+   * under (see Store.upsertContact), `name` their current WhatsApp name.
+   * `id` is null only if WhatsApp gave us nothing to identify them by.
+   */
+  async _resolveSender(message) {
+    if (message.fromMe) {
+      const [myId, myLid, trackName] = await Promise.all([
+        this.store.getMyId(), this.store.getMyLid(), this.store.getTrackName()
+      ]);
+      const me = await this.store.upsertContact({
+        phone: myId ? myId.split('@')[0] : null,
+        lid: myLid,
+        isMe: true,
+        seenAt: message.timestamp ? message.timestamp * 1000 : Date.now()
+      });
+      return { id: me ? me.id : null, name: trackName || 'Me' };
+    }
+
+    const rawId = message.author || message.from || '';
+    let contact = null;
+    try {
+      contact = await message.getContact();
+    } catch {
+      // fall back to the raw id below
+    }
+
+    // In groups `from` is the group and `author` the member
+    const saved = await this._rememberContact(contact, rawId, {
+      chatId: message.author ? message.from : null,
+      seenAt: message.timestamp ? message.timestamp * 1000 : Date.now()
+    });
+    const name = (contact && (contact.pushname || contact.name || contact.number)) || rawId || 'Unknown';
+    return { id: saved ? saved.id : null, name };
+  }
+
+  /**
+   * Upsert a whatsapp-web.js Contact (or just its raw id) into the contact
+   * directory, resolving a LID to the phone number where WhatsApp Web can.
+   */
+  async _rememberContact(contact, rawId, { chatId, seenAt } = {}) {
+    const waId = (contact && contact.id && contact.id._serialized) || rawId || '';
+    let lid = waId.endsWith('@lid') ? waId : null;
+    let phone = waId.endsWith('@c.us') ? waId.split('@')[0] : null;
+
+    // Groups increasingly address members by LID only — ask WhatsApp Web for the number
+    if (!phone && lid && this.client && typeof this.client.getContactLidAndPhone === 'function') {
+      try {
+        const [mapping] = await this.client.getContactLidAndPhone([lid]);
+        if (mapping && mapping.pn) phone = String(mapping.pn).split('@')[0];
+      } catch {
+        // keep the LID; the contact is merged once a phone number turns up
+      }
+    }
+
+    return this.store.upsertContact({
+      phone,
+      lid,
+      pushName: contact ? contact.pushname : null,
+      savedName: contact ? contact.name : null,
+      chatId,
+      seenAt
+    });
+  }
+
+  /**
+   * Add every member of the given groups (default: all groups) to the
+   * contact directory, so people show up before they've said anything.
+   * Returns { groups, contacts } counts.
+   */
+  async syncGroupContacts(chatIds) {
+    if (!this.ready || !this.client) throw new Error('WhatsApp not connected');
+    if (!chatIds) {
+      const chats = await this.client.getChats();
+      chatIds = chats.filter(c => c.isGroup).map(c => c.id._serialized);
+    }
+    const seen = new Set();
+    for (const chatId of chatIds) {
+      const participants = await this.getGroupParticipants(chatId);
+      participants.forEach(p => seen.add(p.contactId || p.id));
+    }
+    console.log(`[Contacts] Synced ${seen.size} contact(s) from ${chatIds.length} group(s)`);
+    return { groups: chatIds.length, contacts: seen.size };
+  }
+
+  // ── Outgoing Messages ──
+  // These only enqueue — the Outbox delivers (see outbox.js). Each returns
+  // immediately with the queued row(s); follow delivery via /api/outbox or
+  // the `outbox_status` event.
+
+  /**
+   * Enqueue already-stored content (used directly by the Scheduler, whose
+   * media is uploaded ahead of time). Returns the queued rows.
+   */
+  async queueOutbound({ chatIds, kind, body, bodies, mentionIds, mediaId, offerSheetId, templateId, createdBy }) {
+    const queued = await this.store.enqueueOutbound({ chatIds, kind, body, bodies, mentionIds, mediaId, offerSheetId, templateId, createdBy });
+    this.outbox.wake();
+    return queued;
+  }
+
+  async sendMessage(chatId, text, mentionIds = [], { offerSheetId, templateId, createdBy } = {}) {
+    const [queued] = await this.queueOutbound({
+      chatIds: [chatId], kind: 'text', body: text, mentionIds, offerSheetId, templateId, createdBy
+    });
+    return { success: true, queued: true, id: queued.id, batchId: queued.batch_id, status: queued.status };
+  }
+
   async getGroupParticipants(chatId) {
     if (!this.ready || !this.client) return [];
     try {
@@ -591,22 +1125,21 @@ class WhatsAppService extends EventEmitter {
       const result = [];
       for (const p of participants) {
         const id = p.id._serialized || p.id;
+        let contact = null;
         try {
-          const contact = await this.client.getContactById(id);
-          result.push({
-            id,
-            name: contact.pushname || contact.name || contact.number || id.split('@')[0],
-            number: contact.number || id.split('@')[0],
-            isAdmin: p.isAdmin || false
-          });
+          contact = await this.client.getContactById(id);
         } catch {
-          result.push({
-            id,
-            name: id.split('@')[0],
-            number: id.split('@')[0],
-            isAdmin: p.isAdmin || false
-          });
+          // list them by number
         }
+        // Participants go into the contact directory too (without touching last_seen)
+        const saved = await this._rememberContact(contact, id, { chatId, seenAt: null });
+        result.push({
+          id,
+          contactId: saved ? saved.id : null,
+          name: (contact && (contact.pushname || contact.name || contact.number)) || id.split('@')[0],
+          number: (contact && contact.number) || id.split('@')[0],
+          isAdmin: p.isAdmin || false
+        });
       }
       return result.sort((a, b) => a.name.localeCompare(b.name));
     } catch (err) {
@@ -615,23 +1148,13 @@ class WhatsAppService extends EventEmitter {
     }
   }
 
-  async sendBroadcast(chatIds, text) {
-    if (!this.ready || !this.client) {
-      throw new Error('WhatsApp not connected');
-    }
-    const results = [];
-    for (const chatId of chatIds) {
-      try {
-        await this.client.sendMessage(chatId, text);
-        results.push({ chatId, success: true });
-        console.log(`[BROADCAST] Sent to ${chatId}`);
-        await new Promise(r => setTimeout(r, 500));
-      } catch (err) {
-        console.error(`[BROADCAST ERR] ${chatId}:`, err.message);
-        results.push({ chatId, success: false, error: err.message });
-      }
-    }
-    return results;
+  // `bodies` ({ chatId: text }) sends each chat its own rendering of a template
+  async sendBroadcast(chatIds, text, { bodies, offerSheetId, templateId, createdBy } = {}) {
+    const queued = await this.queueOutbound({
+      chatIds, kind: 'text', body: text, bodies, offerSheetId, templateId, createdBy
+    });
+    console.log(`[BROADCAST] Queued ${queued.length} message(s)`);
+    return queued.map(q => ({ chatId: q.chat_id, success: true, queued: true, id: q.id, batchId: q.batch_id }));
   }
 
   async getChats() {
@@ -673,6 +1196,7 @@ class WhatsAppService extends EventEmitter {
     try {
       const chat = await this.client.getChatById(chatId);
       const messages = await chat.fetchMessages({ limit });
+      const archived = await this.store.getMessageMedia(chatId, messages.filter(m => m.hasMedia).map(serializedId));
       const result = [];
 
       for (const msg of messages) {
@@ -684,7 +1208,7 @@ class WhatsAppService extends EventEmitter {
           type: msg.type || 'chat',
           hasMedia: msg.hasMedia || false,
           sender: 'Unknown',
-          mediaData: null
+          media: null
         };
 
         try {
@@ -698,21 +1222,16 @@ class WhatsAppService extends EventEmitter {
           entry.sender = msg.fromMe ? 'You' : (msg.from || 'Unknown');
         }
 
+        // Served from the archive (GET /api/media/:id); downloaded from WhatsApp only the first time
         if (msg.hasMedia) {
-          try {
-            const media = await msg.downloadMedia();
-            if (media) {
-              entry.mediaData = {
-                mimetype: media.mimetype,
-                data: media.data,
-                filename: media.filename || null,
-                filesize: media.filesize || null
-              };
-            }
-          } catch (err) {
-            console.error('[MEDIA DL ERR]', err.message);
-            entry.mediaData = null;
+          let file = archived[entry.id];
+          if (!file && mediaKind(msg.type)) {
+            file = await this._archiveMedia(msg, chatId).catch(err => {
+              console.error('[MEDIA DL ERR]', err.message);
+              return null;
+            });
           }
+          entry.media = publicMedia(file);
         }
 
         if (msg.type === 'location' && msg.location) {
@@ -737,23 +1256,139 @@ class WhatsAppService extends EventEmitter {
     }
   }
 
-  async sendMediaMessage(chatId, base64Data, mimetype, filename, caption) {
+  async sendMediaMessage(chatId, base64Data, mimetype, filename, caption, options = {}) {
+    const [result] = await this.sendMediaBroadcast([chatId], base64Data, mimetype, filename, caption, options);
+    return result;
+  }
+
+  // The attachment is stored once and shared by every recipient's queue row
+  async sendMediaBroadcast(chatIds, base64Data, mimetype, filename, caption, { bodies, offerSheetId, templateId, createdBy } = {}) {
+    const mediaId = await this.store.addOutboundMedia({ mimetype, filename, data: base64Data });
+    const queued = await this.queueOutbound({
+      chatIds, kind: 'media', body: caption, bodies, mediaId, offerSheetId, templateId, createdBy
+    });
+    return queued.map(q => ({ chatId: q.chat_id, success: true, queued: true, id: q.id, batchId: q.batch_id }));
+  }
+
+  /**
+   * Actually send one queued message (called by the Outbox). Resolves to the
+   * WhatsApp message id; throws so the Outbox can retry or fail the row.
+   */
+  async _deliverOutbound(message, media) {
     if (!this.ready || !this.client) {
       throw new Error('WhatsApp not connected');
     }
-    try {
-      const media = new MessageMedia(mimetype, base64Data, filename);
-      await this.client.sendMessage(chatId, media, {
-        caption: caption || undefined
+
+    if (message.kind === 'media') {
+      const attachment = new MessageMedia(media.mimetype, media.data, media.filename);
+      const sent = await this.client.sendMessage(message.chat_id, attachment, {
+        caption: message.body || undefined
+      });
+      console.log(`[SENT MEDIA] ${media.mimetype} to ${message.chat_id}`);
+      return serializedId(sent);
+    }
+
+    const options = {};
+    const mentionIds = message.mention_ids || [];
+    if (mentionIds.length > 0) {
+      const mentions = [];
+      for (const mid of mentionIds) {
+        try {
+          const contact = await this.client.getContactById(mid);
+          if (contact) mentions.push(contact);
+        } catch (e) { /* skip unresolvable */ }
+      }
+      if (mentions.length > 0) options.mentions = mentions;
+    }
+    const sent = await this.client.sendMessage(message.chat_id, message.body, options);
+    console.log(`[SENT] Message to ${message.chat_id}${mentionIds.length ? ` (mentions: ${mentionIds.length})` : ''}`);
+    return serializedId(sent);
+  }
+
+  // ── Delivery Receipts ──
+  // WhatsApp acks the messages we send as they reach the server, each
+  // recipient's phone, and are read. Only messages sent through the outbox
+  // are tracked (matched by msg_id).
+
+  async _handleAck(message, ack) {
+    if (!message || !message.fromMe) return;
+    const outbound = await this.store.recordOutboundAck({ msgId: serializedId(message), ack, timestamp: Date.now() });
+    if (!outbound) return;
+    if (ack >= 2) await this.refreshOutboundReceipts(outbound, message);
+    this.emit('outbox_receipt', {
+      id: outbound.id,
+      batchId: outbound.batch_id,
+      chatId: outbound.chat_id,
+      ack: outbound.ack,
+      deliveredAt: outbound.delivered_at || null,
+      readAt: outbound.read_at || null
+    });
+  }
+
+  /**
+   * Record who has received and read a sent message so far. A group's ack
+   * only moves once every member has, so partial progress comes from
+   * WhatsApp's message info; a 1:1 chat's single recipient follows the ack.
+   * Returns the number of receipts stored.
+   */
+  async refreshOutboundReceipts(outbound, message = null) {
+    if (!outbound || !outbound.msg_id || !this.ready || !this.client) return 0;
+
+    if (!outbound.chat_id.endsWith('@g.us')) {
+      if (!outbound.delivered_at) return 0;
+      const contact = await this.client.getContactById(outbound.chat_id).catch(() => null);
+      const saved = await this._rememberContact(contact, outbound.chat_id, { seenAt: null });
+      return this.store.setOutboundReceipts(outbound.id, {
+        chatId: outbound.chat_id,
+        recipientCount: 1,
+        receipts: [{
+          waId: outbound.chat_id,
+          recipient: (contact && (contact.pushname || contact.name || contact.number)) || null,
+          recipientId: saved ? saved.id : null,
+          deliveredAt: outbound.delivered_at,
+          readAt: outbound.read_at || null
+        }]
       });
-      console.log(`[SENT MEDIA] ${mimetype} to ${chatId}`);
-      return { success: true };
-    } catch (err) {
-      console.error('[SEND MEDIA ERR]', err.message);
-      throw err;
     }
+
+    if (!message) message = await this.client.getMessageById(outbound.msg_id).catch(() => null);
+    const info = message ? await message.getInfo().catch(() => null) : null;
+    if (!info) return 0;
+
+    // read / played entries are people who also received it
+    const byWaId = new Map();
+    const note = (entries, field) => {
+      for (const entry of entries || []) {
+        const waId = entry.id && (entry.id._serialized || entry.id);
+        if (!waId) continue;
+        const r = byWaId.get(waId) || { waId };
+        if (!r[field]) r[field] = entry.t ? entry.t * 1000 : Date.now();
+        byWaId.set(waId, r);
+      }
+    };
+    note(info.delivery, 'deliveredAt');
+    note(info.read, 'readAt');
+    note(info.played, 'readAt');
+
+    const receipts = [];
+    for (const r of byWaId.values()) {
+      const contact = await this.client.getContactById(r.waId).catch(() => null);
+      const saved = await this._rememberContact(contact, r.waId, { chatId: outbound.chat_id, seenAt: null });
+      receipts.push({
+        ...r,
+        recipient: (contact && (contact.pushname || contact.name || contact.number)) || null,
+        recipientId: saved ? saved.id : null
+      });
+    }
+
+    let recipientCount = null;
+    const chat = await this.client.getChatById(outbound.chat_id).catch(() => null);
+    if (chat && chat.participants && chat.participants.length) recipientCount = chat.participants.length - 1;
+
+    return this.store.setOutboundReceipts(outbound.id, { chatId: outbound.chat_id, recipientCount, receipts });
   }
 
+
   // ── Backfill: Pull historical messages and process as inbound ──
 
   /**
@@ -773,9 +1408,9 @@ class WhatsAppService extends EventEmitter {
 
     const myId = await this.store.getMyId();
     const myLid = await this.store.getMyLid();
-    const trackName = await this.store.getTrackName() || '';
+    await this._loadAnalyzerRules();
 
-    // Get ALL group chats (not just partner groups) so everything is captured in Supabase
+    // Get ALL group chats (not just partner groups) so everything is captured in the store
     const allChats = await this.client.getChats();
     const groupChats = allChats.filter(c => c.isGroup);
 
@@ -845,7 +1480,12 @@ class WhatsAppService extends EventEmitter {
                 for (const j of list) mentioned.push(j._serialized || j.toString());
               } catch {}
               let quotedBody = '';
+              let quotedId = null;
               try { quotedBody = (m.quotedMsgObj && m.quotedMsgObj.body) || (m.quotedMsg && m.quotedMsg.body) || ''; } catch {}
+              try {
+                const quoted = window.Store.QuotedMsg && window.Store.QuotedMsg.getQuotedMsgObj(m);
+                quotedId = quoted && quoted.id ? quoted.id._serialized : null;
+              } catch {}
               return {
                 id: (m.id && (m.id._serialized || m.id.id)) || null,
                 body: m.body || m.caption || '',
@@ -856,8 +1496,9 @@ class WhatsAppService extends EventEmitter {
                 type: m.type || 'chat',
                 hasMedia: !!m.mediaObject || !!m.deprecatedMms3Url || !!m.clientUrl,
                 mentionedIds: mentioned,
-                hasQuotedMsg: !!quotedBody,
+                hasQuotedMsg: !!quotedBody || !!quotedId,
                 quotedBody,
+                quotedId,
               };
             });
           } catch (e) { return { __err: e.message || String(e) }; }
@@ -879,6 +1520,7 @@ class WhatsAppService extends EventEmitter {
           hasMedia: r.hasMedia,
           mentionedIds: r.mentionedIds || [],
           hasQuotedMsg: !!r.hasQuotedMsg,
+          quotedMsgId: r.quotedId || null,
           _data: r.hasQuotedMsg ? { quotedMsg: { body: r.quotedBody || '' } } : undefined,
           getContact: async function () {
             try {
@@ -890,67 +1532,68 @@ class WhatsAppService extends EventEmitter {
         }));
         console.log(`[Backfill] ${chatName}: fetched ${messages.length} messages (via Store)`);
 
-        // Check which msg_ids already exist in our messages table to skip dupes
-        const msgIds = messages
-          .map(m => m.id ? (m.id._serialized || m.id.id) : null)
-          .filter(Boolean);
-
-        const { data: existing } = await this.store.supabase
+        // Messages already stored are skipped by msg_id (see recordGroupMessage).
+        // Rows recorded before message ids were kept are matched on
+        // sender+timestamp+body instead, and given their id.
+        const { data: legacy } = await this.store.db
           .from('messages')
-          .select('body, sender, timestamp')
+          .select('id, body, sender, sender_id, timestamp')
           .eq('chat_id', chatId)
+          .is('msg_id', null)
           .order('timestamp', { ascending: false })
           .limit(500);
 
-        // Build a simple dedup set from existing messages (body+sender+timestamp)
-        const existingSet = new Set();
-        if (existing) {
-          for (const row of existing) {
-            existingSet.add(`${row.sender}|${row.timestamp}|${(row.body || '').substring(0, 50)}`);
-          }
+        const legacyRows = new Map();
+        for (const row of legacy || []) {
+          legacyRows.set(`${row.sender_id || row.sender}|${row.timestamp}|${(row.body || '').substring(0, 50)}`, row.id);
         }
 
         for (const msg of messages) {
           stats.totalMessages++;
 
           const timestamp = msg.timestamp ? msg.timestamp * 1000 : Date.now();
-          const msgId = msg.id ? (msg.id._serialized || msg.id.id) : null;
+          const msgId = serializedId(msg);
+          const quotedMsgId = msg.quotedMsgId || null;
+          const authorId = rawAuthorId(msg);
           const hasMedia = msg.hasMedia || false;
           const mediaType = msg.type || 'chat';
-          const body = msg.body || '';
-
-          // Resolve sender name
-          let senderName = 'Unknown';
-          try {
-            if (msg.fromMe) {
-              senderName = trackName || 'Me';
-            } else {
-              const contact = await msg.getContact();
-              senderName = contact.pushname || contact.name || contact.number || 'Unknown';
+          let body = msg.body || '';
+
+          // Resolve sender
+          const { id: senderId, name: senderName } = await this._resolveSender(msg);
+
+          const legacyKey = `${senderId || senderName}|${timestamp}|${body.substring(0, 50)}`;
+          if (legacyRows.has(legacyKey)) {
+            if (msgId) {
+              await this.store.db
+                .from('messages')
+                .update({ msg_id: msgId, quoted_msg_id: quotedMsgId, author_id: authorId })
+                .eq('id', legacyRows.get(legacyKey));
             }
-          } catch {
-            senderName = msg.fromMe ? (trackName || 'Me') : (msg.author || msg.from || 'Unknown');
-          }
-
-          // Dedup check
-          const dupeKey = `${senderName}|${timestamp}|${body.substring(0, 50)}`;
-          if (existingSet.has(dupeKey)) {
+            legacyRows.delete(legacyKey);
             stats.skippedDuplicates++;
             continue;
           }
-          existingSet.add(dupeKey);
 
           // Record the group message (analytics, volume, sender stats, feed)
           try {
-            await this.store.recordGroupMessage({
+            const recorded = await this.store.recordGroupMessage({
               chatId,
               chatName,
               sender: senderName,
+              senderId,
               body,
               timestamp,
               hasMedia,
-              mediaType
+              mediaType,
+              msgId,
+              quotedMsgId,
+              authorId
             });
+            if (recorded === false) {
+              stats.skippedDuplicates++;
+              continue;
+            }
             stats.newMessages++;
           } catch (err) {
             stats.errors++;
@@ -960,14 +1603,18 @@ class WhatsAppService extends EventEmitter {
           // Skip further analysis for our own messages during backfill
           if (msg.fromMe) continue;
 
+          // Keep the attachment while WhatsApp still has it; its text is analyzed with the message
+          const file = await this._queueMediaArchive(msg, chatId);
+          if (file && file.extracted_text) msg.body = body = mediaMessageText(body, file.extracted_text);
+
           // Run the analyzer (same as live inbound)
-          const analysis = this.analyzer.analyze(msg, myId, myLid, true);
+          const analysis = this.analyzer.analyze(msg, myId, myLid, true, { chatId });
 
           // Mentions
           if (analysis.isMention) {
             try {
               await this.store.addMention({
-                chatId, chatName, sender: senderName,
+                chatId, chatName, sender: senderName, senderId,
                 body: body.substring(0, 500),
                 timestamp, hasMedia, mediaType
               });
@@ -979,10 +1626,11 @@ class WhatsAppService extends EventEmitter {
           if (analysis.isQuestion) {
             try {
               const questionId = await this.store.addQuestion({
-                chatId, chatName, sender: senderName,
+                chatId, chatName, sender: senderName, senderId,
                 body: body.substring(0, 500),
                 timestamp, hasMedia, mediaType,
                 msgId,
+                quotedMsgId,
                 questionAnalysis: analysis.questionAnalysis || {}
               });
               stats.questions++;
@@ -1013,7 +1661,7 @@ class WhatsAppService extends EventEmitter {
                 if (aiResult && aiResult.intent === 'question' && aiResult.confidence >= 0.7) {
                   await this.store.promoteMessageToQuestion({
                     chat_id: chatId, chat_name: chatName,
-                    sender: senderName,
+                    sender: senderName, sender_id: senderId,
                     body: body.substring(0, 500),
                     timestamp, id: msgId
                   }, aiResult);
@@ -1057,6 +1705,7 @@ class WhatsAppService extends EventEmitter {
   }
 
   async destroy() {
+    this.outbox.stop();
     if (this.client) {
       try {
         await this.client.destroy();